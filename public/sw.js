@@ -1,40 +1,189 @@
 // public/sw.js
 /**
  * Service Worker for offline support and caching
+ *
+ *   bundles and static files   - cache first, precached on install
+ *   pages                      - network first, cached copy when offline
+ *   story JSON (Storyblok CDN) - stale-while-revalidate
+ *   Storyblok images           - stale-while-revalidate
+ *
+ * Cache names carry the build version, so a new build starts with fresh
+ * caches and activate removes the old ones. Every cache except the static
+ * one is bounded.
  */
 
-const CACHE_NAME = 'svarog-storyblok-v1';
-const urlsToCache = [
-  '/',
-  '/js/vendors.js',
-  '/js/svarog-ui.js',
-  '/offline.html',
-];
+// Replaced by scripts/optimize-build.js from the build manifest
+const BUILD_VERSION = 'dev';
+const PRECACHE_URLS = ['/offline.html'];
+
+const CACHE_PREFIX = 'svarog-';
+const CACHES = {
+  static: `${CACHE_PREFIX}static-${BUILD_VERSION}`,
+  pages: `${CACHE_PREFIX}pages-${BUILD_VERSION}`,
+  content: `${CACHE_PREFIX}content-${BUILD_VERSION}`,
+  images: `${CACHE_PREFIX}images-${BUILD_VERSION}`,
+};
+
+// Entries kept per cache; the oldest are dropped first
+const CACHE_LIMITS = {
+  [CACHES.pages]: 50,
+  [CACHES.content]: 200,
+  [CACHES.images]: 100,
+};
+
+const STORYBLOK_API = /^api(-[a-z]+)?\.storyblok\.com$/;
+const STORYBLOK_ASSETS = 'a.storyblok.com';
+const STATIC_FILE = /\.(js|css|svg|png|jpe?g|gif|webp|avif|woff2?|ico)$/;
+
+/**
+ * Key a response is cached under
+ * The content version (cv) changes whenever anything is published; keying
+ * story JSON without it lets visited stories load offline
+ * @param {Request} request - Request
+ * @returns {string} Cache key
+ */
+const toCacheKey = request => {
+  const url = new URL(request.url);
+  url.searchParams.delete('cv');
+  return url.href;
+};
+
+/**
+ * Checks whether a response may be cached
+ * Private responses, like pages of preview sessions, are never stored
+ * @param {Response} response - Response
+ * @returns {boolean} True for cacheable responses
+ */
+const isCacheable = response =>
+  Boolean(response) &&
+  (response.ok || response.type === 'opaque') &&
+  !/no-store|private/.test(response.headers.get('Cache-Control') || '');
+
+/**
+ * Drops the oldest entries of a cache above its limit
+ * @param {string} name - Cache name
+ */
+const trimCache = async name => {
+  const limit = CACHE_LIMITS[name];
+  const cache = await caches.open(name);
+  const keys = await cache.keys();
+
+  await Promise.all(
+    keys
+      .slice(0, Math.max(0, keys.length - limit))
+      .map(key => cache.delete(key))
+  );
+};
+
+/**
+ * Stores a response and trims the cache
+ * @param {string} name - Cache name
+ * @param {string} key - Cache key
+ * @param {Response} response - Response to store
+ */
+const store = async (name, key, response) => {
+  if (!isCacheable(response)) {
+    return;
+  }
+
+  const cache = await caches.open(name);
+  // Writing again moves the entry to the end, so it is dropped last
+  await cache.delete(key);
+  await cache.put(key, response);
+  if (CACHE_LIMITS[name]) {
+    await trimCache(name);
+  }
+};
+
+/**
+ * Serves from the cache and refreshes the entry in the background
+ * @param {FetchEvent} event - Fetch event
+ * @param {string} name - Cache name
+ * @returns {Promise<Response>} Cached or fetched response
+ */
+const staleWhileRevalidate = async (event, name) => {
+  const key = toCacheKey(event.request);
+  const cached = await caches.match(key, { cacheName: name });
+  const update = fetch(event.request).then(async response => {
+    await store(name, key, response.clone());
+    return response;
+  });
+
+  if (cached) {
+    event.waitUntil(update.catch(() => {}));
+    return cached;
+  }
+  return update;
+};
+
+/**
+ * Fetches pages, falling back to the visited copy or the offline page
+ * @param {FetchEvent} event - Fetch event
+ * @returns {Promise<Response>} Page response
+ */
+const networkFirst = async event => {
+  const key = toCacheKey(event.request);
+
+  try {
+    const response = await fetch(event.request);
+    // Redirected responses cannot answer later navigations
+    if (!response.redirected) {
+      event.waitUntil(store(CACHES.pages, key, response.clone()));
+    }
+    return response;
+  } catch (error) {
+    return (
+      (await caches.match(key, { cacheName: CACHES.pages })) ||
+      (await caches.match('/offline.html', { cacheName: CACHES.static })) ||
+      Response.error()
+    );
+  }
+};
+
+/**
+ * Serves static files from the cache, fetching and storing missing ones
+ * @param {FetchEvent} event - Fetch event
+ * @returns {Promise<Response>} Static file
+ */
+const cacheFirst = async event => {
+  const cached = await caches.match(event.request, {
+    cacheName: CACHES.static,
+  });
+  if (cached) {
+    return cached;
+  }
+
+  const response = await fetch(event.request);
+  event.waitUntil(store(CACHES.static, event.request.url, response.clone()));
+  return response;
+};
 
 // Install event
 self.addEventListener('install', event => {
   event.waitUntil(
     caches
-      .open(CACHE_NAME)
-      .then(cache => cache.addAll(urlsToCache))
+      .open(CACHES.static)
+      .then(cache => cache.addAll(PRECACHE_URLS))
       .then(() => self.skipWaiting())
   );
 });
 
-// Activate event
+// Activate event, removes the caches of other builds
 self.addEventListener('activate', event => {
+  const current = Object.values(CACHES);
+
   event.waitUntil(
     caches
       .keys()
-      .then(cacheNames => {
-        return Promise.all(
-          cacheNames.map(cacheName => {
-            if (cacheName !== CACHE_NAME) {
-              return caches.delete(cacheName);
-            }
-          })
-        );
-      })
+      .then(cacheNames =>
+        Promise.all(
+          cacheNames
+            .filter(
+              name => name.startsWith(CACHE_PREFIX) && !current.includes(name)
+            )
+            .map(name => caches.delete(name))
+        )
+      )
       .then(() => self.clients.claim())
   );
 });
@@ -42,64 +191,36 @@ self.addEventListener('activate', event => {
 // Fetch event
 self.addEventListener('fetch', event => {
   const { request } = event;
+  if (request.method !== 'GET') {
+    return;
+  }
+
   const url = new URL(request.url);
 
-  // Skip cross-origin requests
-  if (url.origin !== location.origin) {
+  // Story JSON and images from Storyblok
+  if (STORYBLOK_API.test(url.hostname) && url.pathname.startsWith('/v2/cdn/')) {
+    event.respondWith(staleWhileRevalidate(event, CACHES.content));
+    return;
+  }
+  if (url.hostname === STORYBLOK_ASSETS) {
+    event.respondWith(staleWhileRevalidate(event, CACHES.images));
     return;
   }
 
-  // Network first for API calls
-  if (url.pathname.startsWith('/api/') || url.hostname.includes('storyblok')) {
-    event.respondWith(
-      fetch(request)
-        .then(response => {
-          // Clone the response before caching
-          const responseToCache = response.clone();
-          caches.open(CACHE_NAME).then(cache => {
-            cache.put(request, responseToCache);
-          });
-          return response;
-        })
-        .catch(() => {
-          return caches.match(request);
-        })
-    );
+  // Other origins, the server's API and preview drafts go to the network
+  if (
+    url.origin !== location.origin ||
+    url.pathname.startsWith('/api/') ||
+    url.pathname === '/health'
+  ) {
     return;
   }
 
-  // Cache first for assets
-  event.respondWith(
-    caches
-      .match(request)
-      .then(response => {
-        if (response) {
-          return response;
-        }
-
-        return fetch(request).then(response => {
-          // Check if valid response
-          if (
-            !response ||
-            response.status !== 200 ||
-            response.type !== 'basic'
-          ) {
-            return response;
-          }
-
-          const responseToCache = response.clone();
-          caches.open(CACHE_NAME).then(cache => {
-            cache.put(request, responseToCache);
-          });
-
-          return response;
-        });
-      })
-      .catch(() => {
-        // Offline fallback
-        if (request.destination === 'document') {
-          return caches.match('/offline.html');
-        }
-      })
-  );
+  if (request.mode === 'navigate') {
+    event.respondWith(networkFirst(event));
+    return;
+  }
+  if (STATIC_FILE.test(url.pathname)) {
+    event.respondWith(cacheFirst(event));
+  }
 });
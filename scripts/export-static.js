@@ -0,0 +1,94 @@
+// scripts/export-static.js
+/**
+ * Static site export
+ * Renders every published story in every configured language so the site
+ * can be deployed to any static host without running server/index.js
+ *
+ * Usage:
+ *   npm run export                      Full export into dist/
+ *   npm run export -- --incremental     Only re-render changed pages
+ *   npm run export -- --out=<dir>       Export into another directory
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { config } from 'dotenv';
+import { createRenderer } from '../server/renderer.js';
+import { MANIFEST_FILE, exportSite } from '../server/staticExport.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const distPath = path.join(__dirname, '../dist');
+
+// Load environment variables
+config();
+
+// Exports always target published content without development fallbacks
+process.env.NODE_ENV = process.env.NODE_ENV || 'production';
+
+const args = process.argv.slice(2);
+const incremental = args.includes('--incremental');
+const outArg = args.find(arg => arg.startsWith('--out='));
+const outPath = outArg ? path.resolve(outArg.slice('--out='.length)) : distPath;
+
+// Untouched client-side shell, also served by many hosts as SPA fallback
+const SHELL_FILE = '200.html';
+
+async function run() {
+  console.log('📦 Exporting static site...\n');
+
+  const template = readShell();
+
+  if (outPath !== distPath) {
+    copyAssets();
+  }
+
+  const renderer = await createRenderer({
+    template,
+    url: process.env.VITE_BASE_URL || 'http://localhost:3000/',
+  });
+
+  const { rendered, skipped, removed } = await exportSite({
+    renderer,
+    outPath,
+    incremental,
+  });
+
+  console.log(
+    `\n✅ Export complete: ${rendered} rendered, ${skipped} unchanged, ${removed} removed (${outPath})`
+  );
+}
+
+/**
+ * Reads the client-side shell, preserving it before index.html is replaced
+ * @returns {string} Shell HTML
+ */
+function readShell() {
+  const shellPath = path.join(distPath, SHELL_FILE);
+
+  if (!fs.existsSync(shellPath)) {
+    const indexPath = path.join(distPath, 'index.html');
+    if (!fs.existsSync(indexPath)) {
+      throw new Error('dist/index.html not found - run `npm run build` first');
+    }
+    fs.copyFileSync(indexPath, shellPath);
+  }
+
+  return fs.readFileSync(shellPath, 'utf8');
+}
+
+function copyAssets() {
+  console.log(`📁 Copying build assets to ${outPath}...`);
+
+  fs.cpSync(distPath, outPath, {
+    recursive: true,
+    filter: source => path.basename(source) !== MANIFEST_FILE,
+  });
+}
+
+// Run export
+run().catch(error => {
+  console.error('❌ Export failed:', error);
+  process.exit(1);
+});
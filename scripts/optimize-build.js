@@ -10,6 +10,8 @@ import { fileURLToPath } from 'url';
 import { gzip } from 'zlib';
 import { promisify } from 'util';
 import crypto from 'crypto';
+import { config } from 'dotenv';
+import { createSitemapClient, generateSitemaps } from '../server/sitemap.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -17,22 +19,28 @@ const distPath = path.join(__dirname, '../dist');
 
 const gzipAsync = promisify(gzip);
 
+// Load environment variables
+config();
+
 async function optimizeBuild() {
   console.log('🔧 Running post-build optimizations...\n');
 
   // 1. Generate build manifest
-  await generateBuildManifest();
+  const manifest = await generateBuildManifest();
+
+  // 2. Version the service worker caches
+  await injectServiceWorkerManifest(manifest);
 
-  // 2. Create critical CSS
+  // 3. Create critical CSS
   await extractCriticalCSS();
 
-  // 3. Generate security headers file
+  // 4. Generate security headers file
   await generateSecurityHeaders();
 
-  // 4. Create resource hints
+  // 5. Create resource hints
   await generateResourceHints();
 
-  // 5. Generate sitemap
+  // 6. Generate sitemap
   await generateSitemap();
 
   console.log('\n✅ Build optimization complete!');
@@ -65,12 +73,53 @@ async function generateBuildManifest() {
     };
   }
 
+  // Changes with any bundle, names the service worker caches
+  manifest.buildHash = crypto
+    .createHash('sha256')
+    .update(
+      Object.entries(manifest.files)
+        .map(([file, { hash }]) => `${file}:${hash}`)
+        .join('\n')
+    )
+    .digest('hex')
+    .substring(0, 8);
+
   fs.writeFileSync(
     path.join(distPath, 'build-manifest.json'),
     JSON.stringify(manifest, null, 2)
   );
 
   console.log('✅ Build manifest generated');
+  return manifest;
+}
+
+async function injectServiceWorkerManifest(manifest) {
+  console.log('📦 Versioning service worker caches...');
+
+  const swPath = path.join(distPath, 'sw.js');
+  if (!fs.existsSync(swPath)) {
+    console.log('ℹ️ No service worker in dist, skipping');
+    return;
+  }
+
+  const precache = [
+    '/offline.html',
+    ...Object.keys(manifest.files).map(file => `/js/${file}`),
+  ];
+  const content = fs
+    .readFileSync(swPath, 'utf8')
+    .replace(
+      /const BUILD_VERSION = .*;/,
+      `const BUILD_VERSION = '${manifest.buildHash}';`
+    )
+    .replace(
+      /const PRECACHE_URLS = .*;/,
+      `const PRECACHE_URLS = ${JSON.stringify(precache)};`
+    );
+
+  // A changed sw.js makes browsers install the new version
+  fs.writeFileSync(swPath, content);
+  console.log(`✅ Service worker caches versioned (${manifest.buildHash})`);
 }
 
 async function extractCriticalCSS() {
@@ -153,27 +202,24 @@ async function generateResourceHints() {
 async function generateSitemap() {
   console.log('🗺️ Generating sitemap...');
 
-  const sitemap = `<?xml version="1.0" encoding="UTF-8"?>
-<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
-  <url>
-    <loc>https://yourdomain.com/</loc>
-    <lastmod>${new Date().toISOString()}</lastmod>
-    <priority>1.0</priority>
-  </url>
-  <url>
-    <loc>https://yourdomain.com/about</loc>
-    <lastmod>${new Date().toISOString()}</lastmod>
-    <priority>0.8</priority>
-  </url>
-  <url>
-    <loc>https://yourdomain.com/contact</loc>
-    <lastmod>${new Date().toISOString()}</lastmod>
-    <priority>0.8</priority>
-  </url>
-</urlset>`;
-
-  fs.writeFileSync(path.join(distPath, 'sitemap.xml'), sitemap);
-  console.log('✅ Sitemap generated');
+  const baseUrl = process.env.VITE_BASE_URL;
+  if (!baseUrl) {
+    console.warn('⚠️ VITE_BASE_URL not set - skipping sitemap');
+    return;
+  }
+
+  try {
+    const sitemaps = await generateSitemaps(createSitemapClient(), baseUrl);
+
+    Object.entries(sitemaps).forEach(([file, xml]) => {
+      fs.writeFileSync(path.join(distPath, file), xml);
+    });
+
+    console.log(`✅ Sitemap generated (${Object.keys(sitemaps).length} files)`);
+  } catch (error) {
+    // The server still builds /sitemap.xml on request
+    console.warn('⚠️ Sitemap generation failed:', error.message);
+  }
 }
 
 // Run optimizations
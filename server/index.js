@@ -4,17 +4,64 @@
  */
 
 import express from 'express';
+import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import compression from 'compression';
 import morgan from 'morgan';
 import rateLimit from 'express-rate-limit';
+import { createRenderer } from './renderer.js';
+import {
+  createStoryCache,
+  getInvalidationTags,
+  getListingTags,
+} from './storyCache.js';
+import { createSitemapClient, generateSitemaps } from './sitemap.js';
+import { SIGNATURE_HEADER, verifyWebhookSignature } from './webhook.js';
+import {
+  createPreviewProxy,
+  createPreviewSessions,
+  getPreviewConfig,
+  readPreviewView,
+} from './preview.js';
+import {
+  LOCALE_COOKIE,
+  createLocaleResolver,
+  getLocaleCookie,
+} from '../src/integration/i18n.js';
+import { getI18nConfig } from '../src/config/environment.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 const app = express();
 const PORT = process.env.PORT || 3000;
+const distPath = path.join(__dirname, '../dist');
+const indexPath = path.join(distPath, 'index.html');
+
+// Server-side rendering is on unless explicitly disabled
+const SSR_ENABLED = process.env.SSR_ENABLED !== 'false';
+
+// sitemap.xml, or sitemap-<n>.xml once it is split into an index
+const SITEMAP_PATH = /^\/sitemap(-\d+)?\.xml$/;
+
+// Shared secret configured for the Storyblok webhook
+const WEBHOOK_SECRET = process.env.STORYBLOK_WEBHOOK_SECRET;
+
+// Server-only preview token and session secret; the client bundle only gets
+// the public token
+const PREVIEW = getPreviewConfig();
+if (!PREVIEW.enabled) {
+  console.warn(`⚠️ Preview sessions are off: ${PREVIEW.reason}`);
+}
+
+// Sessions started from the Visual Editor get draft content
+const previewSessions = createPreviewSessions(PREVIEW);
+
+// CDN responses and rendered pages, evicted by the Storyblok webhook
+const storyCache = createStoryCache({
+  ttl: (parseInt(process.env.STORY_CACHE_TTL) || 600) * 1000,
+});
 
 // Compression middleware
 app.use(compression());
@@ -29,6 +76,16 @@ const apiLimiter = rateLimit({
   message: 'Too many requests from this IP, please try again later.',
 });
 
+// Draft API for preview sessions; editing fetches more than the limit allows
+app.use(
+  '/api/preview',
+  previewSessions,
+  createPreviewProxy({
+    previewToken: PREVIEW.previewToken,
+    region: process.env.VITE_STORYBLOK_REGION,
+  })
+);
+
 // Apply rate limiting to API routes
 app.use('/api/', apiLimiter);
 
@@ -38,13 +95,25 @@ const healthLimiter = rateLimit({
   max: 10, // limit each IP to 10 health checks per minute
 });
 
-// Serve static files from dist directory
-app.use(express.static(path.join(__dirname, '../dist')));
+// Serve static files from dist directory (index.html is rendered per route)
+const serveDist = express.static(distPath, { index: false });
+
+// Sitemaps written by optimize-build are for static hosts, the server
+// generates current ones below
+app.use((req, res, next) =>
+  SITEMAP_PATH.test(req.path) ? next() : serveDist(req, res, next)
+);
+
+// Pages opened from the Visual Editor start a preview session
+app.use(previewSessions);
 
 // Security headers
 app.use((req, res, next) => {
   res.setHeader('X-Content-Type-Options', 'nosniff');
-  res.setHeader('X-Frame-Options', 'DENY');
+  // Only preview sessions are shown inside the Visual Editor
+  if (!req.preview) {
+    res.setHeader('X-Frame-Options', 'DENY');
+  }
   res.setHeader('X-XSS-Protection', '1; mode=block');
   res.setHeader('Referrer-Policy', 'strict-origin-when-cross-origin');
 
@@ -59,6 +128,7 @@ app.use((req, res, next) => {
       "connect-src 'self' api.storyblok.com",
       'frame-src app.storyblok.com',
       "font-src 'self' data:",
+      `frame-ancestors ${req.preview ? 'https://app.storyblok.com' : "'none'"}`,
     ].join('; ')
   );
 
@@ -94,59 +164,85 @@ app.get('/health', healthLimiter, async (req, res) => {
 });
 
 // API endpoint for cache invalidation (webhook from Storyblok)
-app.post('/api/invalidate-cache', express.json(), async (req, res) => {
-  try {
-    const { story_id, action } = req.body;
-
-    console.log(
-      `Cache invalidation requested for story ${story_id}, action: ${action}`
-    );
-
-    // In a real implementation, you might clear Redis cache or CDN cache here
-    // For now, we just log the request
-
-    res.json({
-      success: true,
-      message: 'Cache invalidation queued',
-      story_id,
-      action,
-      timestamp: new Date().toISOString(),
-    });
-  } catch (error) {
-    console.error('Cache invalidation error:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Cache invalidation failed',
-      timestamp: new Date().toISOString(),
-    });
+app.post(
+  '/api/invalidate-cache',
+  express.json({
+    // Keep the raw body for signature verification
+    verify: (req, res, buf) => {
+      req.rawBody = buf;
+    },
+  }),
+  async (req, res) => {
+    try {
+      if (!isWebhookAuthorized(req)) {
+        return res.status(401).json({
+          success: false,
+          error: 'Invalid webhook signature',
+          timestamp: new Date().toISOString(),
+        });
+      }
+
+      const { story_id, action, full_slug, datasource_slug } = req.body;
+
+      if (!story_id && !datasource_slug) {
+        return res.status(400).json({
+          success: false,
+          error: 'story_id or datasource_slug is required',
+          timestamp: new Date().toISOString(),
+        });
+      }
+
+      const evicted = storyCache.invalidate(
+        getInvalidationTags({ story_id, full_slug, datasource_slug })
+      );
+
+      // Drop the Storyblok client caches so the next fetch hits the CDN
+      if (rendererPromise) {
+        const renderer = await rendererPromise;
+        renderer.storyblok.clearCache();
+        renderer.globals.clear();
+        renderer.redirects.clear();
+        renderer.clearDraftSources();
+      }
+
+      console.log(
+        `Cache invalidated for ${datasource_slug ? `datasource ${datasource_slug}` : `story ${story_id}`} (${action}): ${evicted.length} entries`
+      );
+
+      res.json({
+        success: true,
+        message: 'Cache invalidated',
+        story_id,
+        datasource_slug,
+        action,
+        evicted: evicted.length,
+        timestamp: new Date().toISOString(),
+      });
+    } catch (error) {
+      console.error('Cache invalidation error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Cache invalidation failed',
+        timestamp: new Date().toISOString(),
+      });
+    }
   }
-});
+);
 
-// Sitemap generation (basic implementation)
-app.get('/sitemap.xml', async (req, res) => {
+// Sitemaps built from all published stories, kept until the webhook fires
+app.get(SITEMAP_PATH, async (req, res) => {
   try {
-    const baseUrl = req.protocol + '://' + req.get('host');
-
-    // In a real implementation, you'd fetch all published stories from Storyblok
-    const pages = [
-      { url: '/', lastmod: new Date().toISOString(), priority: '1.0' },
-      // Add more pages dynamically from Storyblok
-    ];
-
-    const sitemap = `<?xml version="1.0" encoding="UTF-8"?>
-<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
-${pages
-  .map(
-    page => `
-  <url>
-    <loc>${baseUrl}${page.url}</loc>
-    <lastmod>${page.lastmod}</lastmod>
-    <priority>${page.priority}</priority>
-  </url>
-`
-  )
-  .join('')}
-</urlset>`;
+    const host = req.get('host');
+    // Language domains list their own URLs
+    const baseUrl =
+      (!getI18nConfig().domains[host] && process.env.VITE_BASE_URL) ||
+      `${req.protocol}://${host}`;
+    const sitemaps = await getSitemaps(baseUrl);
+    const sitemap = sitemaps[req.path.slice(1)];
+
+    if (!sitemap) {
+      return res.status(404).send('Sitemap not found');
+    }
 
     res.set('Content-Type', 'application/xml');
     res.send(sitemap);
@@ -167,14 +263,99 @@ Allow: /
 Sitemap: ${baseUrl}/sitemap.xml`);
 });
 
-// Handle client-side routing - serve index.html for all non-API routes
-app.get('*', (req, res) => {
+// First visits to a page without language prefix are sent to the best
+// match for Accept-Language; the cookie keeps later visits where they are
+const redirectToPreferredLanguage = (req, res) => {
+  const locales = createLocaleResolver({
+    ...getI18nConfig(),
+    host: req.hostname,
+  });
+  const location = locales.parseLocation(req.path);
+
+  if (locales.locales.length < 2 || location.prefixed) {
+    return false;
+  }
+
+  res.vary('Accept-Language');
+  res.vary('Cookie');
+
+  if (getLocaleCookie(req.get('cookie'))) {
+    return false;
+  }
+
+  const preferred = locales.detectLanguage(req.get('accept-language'));
+  if (!preferred || preferred === location.language) {
+    return false;
+  }
+
+  const queryStart = req.originalUrl.indexOf('?');
+  const query = queryStart === -1 ? '' : req.originalUrl.slice(queryStart);
+  res.cookie(LOCALE_COOKIE, preferred, {
+    maxAge: 365 * 24 * 60 * 60 * 1000,
+    sameSite: 'lax',
+  });
+  res.redirect(302, locales.localizePath(location.path, preferred) + query);
+  return true;
+};
+
+// Redirects managed in Storyblok apply before anything is rendered
+const applyRedirect = async (req, res) => {
+  const renderer = await getRenderer();
+  const redirect = await renderer.redirects.resolve(req.originalUrl, {
+    locales: renderer.getLocales(req.hostname),
+  });
+
+  if (!redirect) {
+    return false;
+  }
+
+  res.redirect(redirect.status, redirect.location);
+  return true;
+};
+
+// Render stories on the server; fall back to the client-side shell
+app.get('*', async (req, res, next) => {
   // Skip API routes
   if (req.path.startsWith('/api/') || req.path.startsWith('/health')) {
     return res.status(404).json({ error: 'Not found' });
   }
 
-  res.sendFile(path.join(__dirname, '../dist/index.html'));
+  try {
+    if (await applyRedirect(req, res)) {
+      return;
+    }
+  } catch (error) {
+    console.error(`Redirects failed for ${req.path}:`, error.message);
+  }
+
+  // Missing files get the plain client-side shell
+  if (path.extname(req.path)) {
+    return res.sendFile(indexPath);
+  }
+
+  if (redirectToPreferredLanguage(req, res)) {
+    return;
+  }
+
+  if (!SSR_ENABLED) {
+    return res.sendFile(indexPath);
+  }
+
+  try {
+    const renderer = await getRenderer();
+    const page = await renderer.renderPage(req.path, {
+      host: req.hostname,
+      preview: req.preview && readPreviewView(req.query),
+    });
+
+    res.status(page.status);
+    res.set('Content-Type', 'text/html; charset=utf-8');
+    page.stream.on('error', next);
+    page.stream.pipe(res);
+  } catch (error) {
+    console.error(`SSR failed for ${req.path}:`, error.message);
+    res.sendFile(indexPath);
+  }
 });
 
 // Error handling middleware
@@ -212,6 +393,66 @@ const shutdown = signal => {
 process.on('SIGTERM', () => shutdown('SIGTERM'));
 process.on('SIGINT', () => shutdown('SIGINT'));
 
+// Lazily created SSR renderer (needs the built index.html as template)
+let rendererPromise = null;
+
+function getRenderer() {
+  if (!rendererPromise) {
+    // A static export replaces index.html and keeps the shell as 200.html
+    const shellPath = path.join(distPath, '200.html');
+    const templatePath = fs.existsSync(shellPath) ? shellPath : indexPath;
+
+    rendererPromise = createRenderer({
+      template: fs.readFileSync(templatePath, 'utf8'),
+      url: process.env.VITE_BASE_URL || `http://localhost:${PORT}/`,
+      cache: storyCache,
+      preview: PREVIEW.enabled ? { accessToken: PREVIEW.previewToken } : {},
+    }).catch(error => {
+      // Retry on the next request, e.g. once the build has finished
+      rendererPromise = null;
+      throw error;
+    });
+  }
+
+  return rendererPromise;
+}
+
+// Sitemaps are keyed by base URL, the host header may differ per request
+let sitemapClient = null;
+
+async function getSitemaps(baseUrl) {
+  const key = `sitemap:${baseUrl}`;
+  const cached = storyCache.get(key);
+  if (cached) {
+    return cached;
+  }
+
+  sitemapClient = sitemapClient || createSitemapClient();
+  const sitemaps = await generateSitemaps(sitemapClient, baseUrl);
+
+  // Any published story may change the sitemap
+  storyCache.set(key, sitemaps, getListingTags(), { ttl: Infinity });
+  return sitemaps;
+}
+
+// Verify the Storyblok webhook signature; unsigned requests are only
+// accepted outside production while no secret is configured
+function isWebhookAuthorized(req) {
+  if (!WEBHOOK_SECRET) {
+    if (process.env.NODE_ENV === 'production') {
+      console.error('STORYBLOK_WEBHOOK_SECRET is not configured');
+      return false;
+    }
+    return true;
+  }
+
+  return verifyWebhookSignature(
+    req.rawBody,
+    req.get(SIGNATURE_HEADER),
+    WEBHOOK_SECRET
+  );
+}
+
 // Helper function to check Storyblok health
 async function checkStoryblokHealth() {
   try {
@@ -0,0 +1,316 @@
+/**
+ * Preview sessions
+ * The Visual Editor opens pages with a `_storyblok_tk` token Storyblok signs
+ * with the space's preview token. A valid token starts a short preview
+ * session, kept in a signed cookie; only preview sessions get draft content
+ * and the editor bridge.
+ */
+
+import crypto from 'crypto';
+
+/**
+ * Cookie holding the preview session
+ */
+export const PREVIEW_COOKIE = 'sb_preview';
+
+/**
+ * Seconds a `_storyblok_tk` token is accepted after Storyblok issued it
+ */
+export const TOKEN_MAX_AGE = 60 * 60;
+
+/**
+ * Seconds a preview session lasts
+ */
+export const SESSION_MAX_AGE = 30 * 60;
+
+/**
+ * Compares two strings in constant time
+ * @param {string} expected - Expected value
+ * @param {string} received - Received value
+ * @returns {boolean} True if both match
+ */
+const safeEqual = (expected, received) => {
+  const a = Buffer.from(String(expected));
+  const b = Buffer.from(String(received));
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+};
+
+/**
+ * Reads the `_storyblok_tk` parameters of a query
+ * Works with nested (`qs`) and flat query parsing
+ * @param {Object} query - Parsed query of the request
+ * @returns {Object|null} { spaceId, timestamp, token }, null if missing
+ */
+export const readPreviewToken = (query = {}) => {
+  const nested = query._storyblok_tk || {};
+  const get = name => nested[name] ?? query[`_storyblok_tk[${name}]`];
+  const [spaceId, timestamp, token] = ['space_id', 'timestamp', 'token'].map(
+    get
+  );
+
+  return spaceId && timestamp && token
+    ? { spaceId: String(spaceId), timestamp: String(timestamp), token }
+    : null;
+};
+
+/**
+ * Verifies a `_storyblok_tk` token
+ * Storyblok hashes "space id:preview token:timestamp" with SHA-1
+ * @param {Object} params - Token from readPreviewToken
+ * @param {Object} options - Verification options
+ * @param {string} options.previewToken - Preview token of the space
+ * @param {string} [options.spaceId] - Only accept tokens of this space
+ * @param {number} [options.now] - Current time in seconds
+ * @param {number} [options.maxAge] - Seconds the token is valid
+ * @returns {boolean} True for a valid, current token
+ */
+export const verifyPreviewToken = (
+  params,
+  {
+    previewToken,
+    spaceId = null,
+    now = Math.floor(Date.now() / 1000),
+    maxAge = TOKEN_MAX_AGE,
+  }
+) => {
+  if (!params || !previewToken) {
+    return false;
+  }
+  if (spaceId && String(spaceId) !== params.spaceId) {
+    return false;
+  }
+
+  const issued = parseInt(params.timestamp, 10);
+  if (!Number.isFinite(issued) || issued > now + 60 || now - issued > maxAge) {
+    return false;
+  }
+
+  const expected = crypto
+    .createHash('sha1')
+    .update(`${params.spaceId}:${previewToken}:${params.timestamp}`)
+    .digest('hex');
+  return safeEqual(expected, params.token);
+};
+
+/**
+ * Signs the payload of a preview session
+ * @param {string} payload - "space id.expiry"
+ * @param {string} secret - Signing secret
+ * @returns {string} Signature
+ */
+const sign = (payload, secret) =>
+  crypto.createHmac('sha256', secret).update(payload).digest('base64url');
+
+/**
+ * Creates the cookie value of a preview session
+ * @param {string} spaceId - Space the session previews
+ * @param {Object} options - Session options
+ * @param {string} options.secret - Signing secret
+ * @param {number} [options.now] - Current time in seconds
+ * @param {number} [options.maxAge] - Seconds the session lasts
+ * @returns {string} Cookie value
+ */
+export const createPreviewSession = (
+  spaceId,
+  { secret, now = Math.floor(Date.now() / 1000), maxAge = SESSION_MAX_AGE }
+) => {
+  const payload = `${spaceId}.${now + maxAge}`;
+  return `${payload}.${sign(payload, secret)}`;
+};
+
+/**
+ * Verifies the cookie value of a preview session
+ * @param {string} value - Cookie value
+ * @param {Object} options - Session options
+ * @param {string} options.secret - Signing secret
+ * @param {number} [options.now] - Current time in seconds
+ * @returns {Object|null} { spaceId, expires }, null if invalid or expired
+ */
+export const verifyPreviewSession = (
+  value,
+  { secret, now = Math.floor(Date.now() / 1000) }
+) => {
+  const [spaceId, expires, signature] = String(value || '').split('.');
+  if (!spaceId || !expires || !signature || !secret) {
+    return null;
+  }
+  if (!safeEqual(sign(`${spaceId}.${expires}`, secret), signature)) {
+    return null;
+  }
+
+  return parseInt(expires, 10) > now
+    ? { spaceId, expires: parseInt(expires, 10) }
+    : null;
+};
+
+/**
+ * Reads the preview session cookie of a request
+ * @param {string} [cookies] - Cookie header
+ * @returns {string|null} Cookie value
+ */
+export const getPreviewCookie = cookies => {
+  const match = (cookies || '').match(
+    new RegExp(`(?:^|;\\s*)${PREVIEW_COOKIE}=([^;]+)`)
+  );
+  return match ? decodeURIComponent(match[1]) : null;
+};
+
+/**
+ * Reads the preview settings of the server environment
+ * VITE_STORYBLOK_TOKEN is bundled into the client, so anyone could sign
+ * tokens and cookies with it: previews need a server-only preview token
+ * and a separate secret, and are off otherwise.
+ * @param {Object} [env] - Environment variables
+ * @returns {Object} { enabled, previewToken, secret, spaceId, reason }
+ */
+export const getPreviewConfig = (env = process.env) => {
+  const previewToken = env.STORYBLOK_PREVIEW_TOKEN || null;
+  const secret = env.PREVIEW_SECRET || null;
+  const publicToken = env.VITE_STORYBLOK_TOKEN || null;
+
+  let reason = null;
+  if (!previewToken || !secret) {
+    reason = 'STORYBLOK_PREVIEW_TOKEN and PREVIEW_SECRET are required';
+  } else if (previewToken === publicToken) {
+    reason = 'STORYBLOK_PREVIEW_TOKEN must not be the bundled token';
+  } else if (secret === previewToken || secret === publicToken) {
+    reason = 'PREVIEW_SECRET must differ from the Storyblok tokens';
+  }
+
+  return {
+    enabled: !reason,
+    previewToken: reason ? null : previewToken,
+    secret: reason ? null : secret,
+    spaceId: env.VITE_STORYBLOK_SPACE_ID || null,
+    reason,
+  };
+};
+
+/**
+ * Creates the Express middleware for preview sessions
+ * Sets req.preview for requests of a valid session or with a valid token;
+ * all other requests get published content.
+ * @param {Object} options - Preview options, see getPreviewConfig
+ * @param {string} [options.previewToken] - Preview token of the space,
+ *   previews are off without it
+ * @param {string} [options.spaceId] - Only accept tokens of this space
+ * @param {string} [options.secret] - Signs the session cookie, previews are
+ *   off without it
+ * @param {number} [options.maxAge] - Seconds a session lasts
+ * @returns {Function} Express middleware
+ */
+export const createPreviewSessions =
+  ({ previewToken, spaceId = null, secret, maxAge = SESSION_MAX_AGE }) =>
+  (req, res, next) => {
+    const enabled = Boolean(previewToken && secret);
+    req.preview = Boolean(
+      enabled &&
+      verifyPreviewSession(getPreviewCookie(req.get('cookie')), { secret })
+    );
+
+    const token = enabled && readPreviewToken(req.query);
+    // Every valid token starts a new session; the editor shows the site in
+    // a cross-site iframe
+    if (token && verifyPreviewToken(token, { previewToken, spaceId })) {
+      res.cookie(
+        PREVIEW_COOKIE,
+        createPreviewSession(token.spaceId, { secret, maxAge }),
+        {
+          maxAge: maxAge * 1000,
+          httpOnly: true,
+          secure: true,
+          sameSite: 'none',
+        }
+      );
+      req.preview = true;
+    }
+
+    if (req.preview) {
+      res.set('Cache-Control', 'private, no-store');
+    }
+    next();
+  };
+
+/**
+ * Query parameter of the release picked in the Visual Editor
+ */
+export const RELEASE_PARAM = '_storyblok_release';
+
+/**
+ * Query parameter of the "view as of" date, as YYYY-MM-DD or
+ * YYYY-MM-DD HH:mm in UTC
+ */
+export const DATE_PARAM = '_preview_date';
+
+/**
+ * Reads what a preview shows from its query
+ * @param {Object} query - Parsed query of the request
+ * @returns {Object} { release, date }, null where not set or invalid
+ */
+export const readPreviewView = (query = {}) => {
+  const release = parseInt(query[RELEASE_PARAM], 10);
+  const date = String(query[DATE_PARAM] || '');
+
+  return {
+    // Storyblok sends 0 for the current content
+    release: release > 0 ? release : null,
+    date: /^\d{4}-\d{2}-\d{2}([ T]\d{2}:\d{2})?$/.test(date) ? date : null,
+  };
+};
+
+/**
+ * Storyblok API hosts by region
+ */
+const API_HOSTS = {
+  eu: 'api.storyblok.com',
+  us: 'api-us.storyblok.com',
+  ap: 'api-ap.storyblok.com',
+  ca: 'api-ca.storyblok.com',
+  cn: 'app.storyblokchina.cn',
+};
+
+/**
+ * Creates the Express handler serving draft content to preview sessions
+ * The browser client of a preview session uses it as API endpoint; the
+ * preview token never leaves the server.
+ * @param {Object} options - Proxy options
+ * @param {string} options.previewToken - Preview token of the space
+ * @param {string} [options.region] - Storyblok region
+ * @param {Function} [options.request] - fetch implementation
+ * @returns {Function} Express handler, mounted at the endpoint path
+ */
+export const createPreviewProxy =
+  ({ previewToken, region = 'eu', request = fetch }) =>
+  async (req, res) => {
+    if (!req.preview) {
+      return res.status(401).json({ error: 'Preview session required' });
+    }
+    // Only content delivery requests
+    if (!req.path.startsWith('/cdn/')) {
+      return res.status(404).json({ error: 'Not found' });
+    }
+
+    // The original query keeps nested filter parameters as sent
+    const queryStart = req.originalUrl.indexOf('?');
+    const target = new URL(
+      `https://${API_HOSTS[region] || API_HOSTS.eu}/v2${req.path}`
+    );
+    target.search =
+      queryStart === -1 ? '' : req.originalUrl.slice(queryStart + 1);
+    target.searchParams.set('token', previewToken);
+    target.searchParams.set('version', 'draft');
+
+    try {
+      const response = await request(target.href);
+      res.status(response.status);
+      res.set(
+        'Content-Type',
+        response.headers.get('content-type') || 'application/json'
+      );
+      res.set('Cache-Control', 'private, no-store');
+      res.send(Buffer.from(await response.arrayBuffer()));
+    } catch (error) {
+      console.error(`Preview request failed for ${req.path}:`, error.message);
+      res.status(502).json({ error: 'Storyblok request failed' });
+    }
+  };
@@ -0,0 +1,651 @@
+/**
+ * Server-side renderer for Storyblok stories
+ * Runs the client component factories inside a DOM stand-in and streams HTML
+ */
+
+import { Readable } from 'stream';
+import { Window } from 'happy-dom';
+import {
+  createStoryCache,
+  getDatasourceTags,
+  getStoryTags,
+} from './storyCache.js';
+
+const HEAD_MARKER = 'ssr-head';
+const HEADER_MARKER = 'ssr-header';
+const OUTLET_MARKER = 'ssr-outlet';
+const FOOTER_MARKER = 'ssr-footer';
+const STATE_MARKER = 'ssr-state';
+
+// Draft clients kept for preview sessions, each with its own CDN cache
+const MAX_DRAFT_SOURCES = 20;
+const DRAFT_SOURCE_TTL = 30 * 60 * 1000;
+
+// Browser globals the component factories and DOMPurify rely on
+const DOM_GLOBALS = [
+  'window',
+  'document',
+  'navigator',
+  'location',
+  'Node',
+  'Element',
+  'HTMLElement',
+  'DocumentFragment',
+  'DOMParser',
+  'Event',
+  'CustomEvent',
+  'MutationObserver',
+  'getComputedStyle',
+  'requestAnimationFrame',
+  'cancelAnimationFrame',
+];
+
+/**
+ * Installs a DOM stand-in on globalThis unless a DOM already exists
+ * Must run before the src modules are imported
+ * @param {string} url - URL of the virtual window
+ */
+const installDOM = url => {
+  if (typeof globalThis.document !== 'undefined') {
+    return;
+  }
+
+  const domWindow = new Window({ url });
+
+  DOM_GLOBALS.forEach(key => {
+    if (key !== 'window' && key in globalThis) {
+      return;
+    }
+
+    const value = key === 'window' ? domWindow : domWindow[key];
+    Object.defineProperty(globalThis, key, {
+      value:
+        typeof value === 'function' && /^[a-z]/.test(key)
+          ? value.bind(domWindow)
+          : value,
+      configurable: true,
+      writable: true,
+    });
+  });
+};
+
+/**
+ * Escapes text for use in HTML content and attribute values
+ * @param {*} value - Value to escape
+ * @returns {string} Escaped text
+ */
+const escapeHTML = value =>
+  String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+/**
+ * Splits the built index.html into the parts around the per-page slots
+ * The template title and description are kept as page defaults
+ * @param {string} template - Built index.html
+ * @returns {Object} Template parts and head defaults
+ */
+const prepareTemplate = template => {
+  const doc = new DOMParser().parseFromString(template, 'text/html');
+  const app = doc.getElementById('app');
+
+  if (!app) {
+    throw new Error('Template is missing the #app container');
+  }
+
+  const description = doc.querySelector('meta[name="description"]');
+  const defaults = {
+    title: doc.title,
+    description: description?.getAttribute('content') || '',
+  };
+
+  // Per-page head tags replace the template ones
+  doc.querySelector('title')?.remove();
+  description?.remove();
+  doc.head.appendChild(doc.createComment(HEAD_MARKER));
+
+  app.setAttribute('data-ssr', 'true');
+  app.innerHTML = '';
+  app.appendChild(doc.createComment(OUTLET_MARKER));
+
+  // The global header and footer surround the page content
+  const footer = doc.createComment(FOOTER_MARKER);
+  app.before(doc.createComment(HEADER_MARKER));
+  app.after(footer);
+  footer.after(doc.createComment(STATE_MARKER));
+
+  // Pre-rendered content is visible before the bundle runs
+  doc.body.classList.add('app-ready');
+
+  const html = `<!doctype html>\n${doc.documentElement.outerHTML}`;
+  const markers = [
+    HEAD_MARKER,
+    HEADER_MARKER,
+    OUTLET_MARKER,
+    FOOTER_MARKER,
+    STATE_MARKER,
+  ];
+  const [start, beforeHeader, beforeOutlet, beforeFooter, beforeState, end] =
+    html.split(new RegExp(`<!--(?:${markers.join('|')})-->`));
+
+  return {
+    start,
+    beforeHeader,
+    beforeOutlet,
+    beforeFooter,
+    beforeState,
+    end,
+    defaults,
+  };
+};
+
+/**
+ * Sets the lang attribute of the html element in the template start
+ * @param {string} start - Template part up to the head tags
+ * @param {string} [language] - Page language
+ * @returns {string} Template start
+ */
+const withLanguage = (start, language) => {
+  if (!language) {
+    return start;
+  }
+
+  const lang = `lang="${escapeHTML(language)}"`;
+  return /<html[^>]*\slang="/.test(start)
+    ? start.replace(/(<html[^>]*\s)lang="[^"]*"/, `$1${lang}`)
+    : start.replace('<html', `<html ${lang}`);
+};
+
+/**
+ * Adds the theme class to the body element in a template part
+ * @param {string} part - Template part holding the body tag
+ * @param {string} [theme] - Theme name
+ * @returns {string} Template part
+ */
+const withTheme = (part, theme) =>
+  theme
+    ? part.replace(
+        /<body([^>]*?)\sclass="([^"]*)"/,
+        `<body$1 class="$2 theme-${escapeHTML(theme)}"`
+      )
+    : part;
+
+/**
+ * Renders a head tag described by getHeadTags
+ * @param {Object} tag - Tag with attributes and text
+ * @returns {string} Tag markup
+ */
+const renderTag = ({ tag, attributes, text = '' }) => {
+  const attrs = Object.entries(attributes)
+    .map(([name, value]) => ` ${name}="${escapeHTML(value)}"`)
+    .join('');
+
+  if (tag === 'meta' || tag === 'link') {
+    return `<${tag}${attrs} />`;
+  }
+  // Script text is JSON, already safe inside the tag
+  return `<${tag}${attrs}>${tag === 'script' ? text : escapeHTML(text)}</${tag}>`;
+};
+
+/**
+ * Renders the per-page SEO tags and language alternates
+ * @param {Array<Object>} tags - Tags from getPageHeadTags
+ * @param {Array<Object>} [alternates] - hreflang links of the story
+ * @returns {string} Head tags
+ */
+const renderHeadTags = (tags, alternates = []) =>
+  [
+    ...tags.map(renderTag),
+    ...alternates.map(
+      ({ hreflang, href }) =>
+        `<link rel="alternate" hreflang="${escapeHTML(hreflang)}" href="${escapeHTML(href)}" />`
+    ),
+  ].join('\n    ');
+
+/**
+ * Serializes state for a JSON script tag, safe against `</script>` injection
+ * @param {string} id - Script element id
+ * @param {Object} state - State to embed
+ * @returns {string} Script tag
+ */
+const serializeState = (id, state) => {
+  const json = JSON.stringify(state)
+    .replace(/</g, '\\u003c')
+    .replace(/\u2028/g, '\\u2028')
+    .replace(/\u2029/g, '\\u2029');
+
+  return `<script id="${id}" type="application/json">${json}</script>`;
+};
+
+/**
+ * Creates a renderer for Storyblok stories
+ * @param {Object} options - Renderer options
+ * @param {string} options.template - Built index.html used as page shell
+ * @param {string} [options.url] - Public base URL of the site
+ * @param {Object} [options.storyblok] - Options for createStoryblokClient
+ * @param {Object} [options.preview] - Options of the draft client for
+ *   preview sessions, like the preview token as accessToken
+ * @param {Object} [options.cache] - Story cache for CDN responses and HTML
+ * @param {Object} [options.i18n] - Languages, defaults to getI18nConfig()
+ * @returns {Promise<Object>} Renderer API
+ */
+export const createRenderer = async ({
+  template,
+  url = 'http://localhost/',
+  storyblok: storyblokOptions = {},
+  preview: previewOptions = {},
+  cache = null,
+  i18n = null,
+} = {}) => {
+  installDOM(url);
+
+  // Imported after the DOM stand-in exists so DOMPurify binds to it
+  const [
+    { createStoryblokClient },
+    { createComponent, createRenderContext },
+    { createGlobalComponents, createGlobalSettings },
+    { OUTLET, createLayoutElement, createRegionComponents, resolveLayout },
+    { createLocaleResolver },
+    { SEO_ATTRIBUTE, getPageHeadTags },
+    { getAppConfig, getI18nConfig },
+    { createNotFoundStory, createRedirects },
+    { SSR_STATE_ID, createDefaultNavigation },
+  ] = await Promise.all([
+    import('../src/integration/storyblokClient.js'),
+    import('../src/integration/componentMapper.js'),
+    import('../src/integration/globalSettings.js'),
+    import('../src/integration/layouts.js'),
+    import('../src/integration/i18n.js'),
+    import('../src/integration/seo.js'),
+    import('../src/config/environment.js'),
+    import('../src/integration/redirects.js'),
+    import('../src/app.js'),
+  ]);
+
+  // Visitors get published content; drafts only go to preview sessions
+  const storyblok = createStoryblokClient({
+    version: 'published',
+    ...storyblokOptions,
+  });
+  // Draft clients by release and view date of preview sessions
+  const draftSources = createStoryCache({
+    ttl: DRAFT_SOURCE_TTL,
+    maxEntries: MAX_DRAFT_SOURCES,
+  });
+  const globals = createGlobalSettings(storyblok);
+  const redirects = createRedirects(storyblok);
+  const { notFoundStory } = getAppConfig();
+  const shell = prepareTemplate(template);
+  const i18nConfig = i18n || getI18nConfig();
+  // Links to other languages differ per host only with locale domains
+  const hostSpecific = Object.keys(i18nConfig.domains || {}).length > 0;
+
+  /**
+   * Gets the client and settings loader for drafts, created on first use
+   * Only the most recently used views are kept
+   * @param {Object} view - What the preview shows
+   * @param {number} [view.release] - Release shown on top of the drafts
+   * @param {string} [view.date] - "View as of" date for scheduled blocks
+   * @returns {Object} { client, globals } of preview sessions
+   */
+  const getDraftSource = ({ release = null, date = null }) => {
+    const key = `${release || ''}:${date || ''}`;
+    let source = draftSources.get(key);
+    if (!source) {
+      const client = createStoryblokClient({
+        ...storyblokOptions,
+        ...previewOptions,
+        version: 'draft',
+        release,
+        date,
+      });
+      source = { client, globals: createGlobalSettings(client) };
+      draftSources.set(key, source);
+    }
+    return source;
+  };
+
+  /**
+   * Creates the locale resolver for a request host
+   * @param {string} [host] - Request host
+   * @returns {Object} Locale resolver
+   */
+  const getLocales = (host = null) =>
+    createLocaleResolver({ ...i18nConfig, host });
+
+  /**
+   * Renders components to an HTML string
+   * @param {Array<Object>} components - Component instances
+   * @returns {string} Rendered markup
+   */
+  const renderComponentsHTML = components => {
+    const container = document.createElement('div');
+    components.forEach(component => {
+      container.appendChild(component.getElement());
+    });
+
+    const html = container.innerHTML;
+
+    components.forEach(component => {
+      if (component.destroy) {
+        component.destroy();
+      }
+    });
+
+    return html;
+  };
+
+  /**
+   * Renders story content in its layout to an HTML string
+   * Mirrors the client-side renderStory so the client can take over as-is
+   * @param {Object} story - Storyblok story
+   * @param {Object} [context] - Render context from createRenderContext
+   * @param {Object} [settings] - Global settings for the layout regions
+   * @returns {string} Rendered markup
+   */
+  const renderStoryHTML = (
+    story,
+    context = createRenderContext(),
+    settings = null
+  ) => {
+    const layout = resolveLayout(story);
+    const { element, regions } = createLayoutElement(layout);
+    const regionContext = createRenderContext({
+      language: context.language,
+      linkResolver: context.linkResolver,
+    });
+
+    const components = layout.regions.flatMap(region => {
+      const regionComponents =
+        region.name === OUTLET
+          ? story.renderedComponents?.length > 0
+            ? story.renderedComponents
+            : (story.content?.body || [])
+                .map(block => createComponent(block, context))
+                .filter(Boolean)
+          : createRegionComponents(region, settings, regionContext);
+
+      regionComponents.forEach(component => {
+        regions[region.name].appendChild(component.getElement());
+      });
+      return regionComponents;
+    });
+
+    const html = element.outerHTML;
+
+    components.forEach(component => {
+      if (component.destroy) {
+        component.destroy();
+      }
+    });
+
+    return html;
+  };
+
+  /**
+   * Renders a region of the global layout, as the client-side renderLayout
+   * @param {Object|null} settings - Global settings
+   * @param {string} name - 'header' or 'footer'
+   * @param {Object} context - Render context from createRenderContext
+   * @returns {string} Region markup
+   */
+  const renderRegionHTML = (settings, name, context) => {
+    const components = createGlobalComponents(settings, name, context);
+    const html =
+      components.length === 0 && name === 'header'
+        ? createDefaultNavigation().outerHTML
+        : renderComponentsHTML(components);
+
+    return `<div class="global-${name}" data-global="${name}">${html}</div>`;
+  };
+
+  /**
+   * Streams a full HTML document for an already fetched story
+   * @param {Object} story - Storyblok story
+   * @param {string} [slug] - Slug the story was requested with
+   * @param {Object} [options] - Render options
+   * @param {Function} [options.onComplete] - Receives the full HTML at the end
+   * @param {string} [options.language] - Page language
+   * @param {string} [options.host] - Request host
+   * @param {Object} [options.datasources] - Datasource options keyed by slug
+   * @param {Object} [options.settings] - Global settings for the layout
+   * @param {Object} [options.preview] - Release and view date of a preview
+   *   session, the client loads drafts and the editor bridge
+   * @returns {Readable} HTML stream
+   */
+  const renderStory = (
+    story,
+    slug = story.full_slug || story.slug,
+    {
+      onComplete,
+      language = null,
+      host = null,
+      datasources = {},
+      settings = null,
+      preview = null,
+    } = {}
+  ) => {
+    // Component instances are not serializable
+    const { renderedComponents: _components, ...storyData } = story;
+    const locales = getLocales(host);
+    // Untranslated stories are shown in the default language
+    const contentLanguage = story.missingTranslation
+      ? locales.defaultLanguage
+      : language;
+    const context = createRenderContext({
+      language: locales.toApiLanguage(language),
+      host,
+      datasources,
+    });
+
+    const layoutContext = createRenderContext({
+      language: locales.toApiLanguage(language),
+      host,
+    });
+    // Default SEO of the global settings replaces the template defaults
+    const seo = settings?.seo || {};
+    const headTags = getPageHeadTags(story, {
+      defaults: {
+        title: seo.title || shell.defaults.title,
+        description: seo.description || shell.defaults.description,
+        image: seo.image,
+      },
+      url: new URL(
+        locales.getStoryPath(story, contentLanguage || undefined),
+        url
+      ).href,
+      siteName: seo.siteName,
+      currency: seo.currency,
+    }).map(tag => ({
+      ...tag,
+      attributes: { ...tag.attributes, [SEO_ATTRIBUTE]: '' },
+    }));
+
+    const parts = [
+      () => withLanguage(shell.start, contentLanguage),
+      () => renderHeadTags(headTags, locales.getHreflangLinks(story, url)),
+      () => withTheme(shell.beforeHeader, settings?.theme),
+      () => renderRegionHTML(settings, 'header', layoutContext),
+      () => shell.beforeOutlet,
+      () => renderStoryHTML(story, context, settings),
+      () => shell.beforeFooter,
+      () => renderRegionHTML(settings, 'footer', layoutContext),
+      () => shell.beforeState,
+      () =>
+        serializeState(SSR_STATE_ID, {
+          slug,
+          story: storyData,
+          datasources,
+          global: settings?.story || null,
+          ...(preview && { preview }),
+        }),
+      () => shell.end,
+    ];
+
+    async function* chunks() {
+      const html = [];
+
+      for (const part of parts) {
+        const chunk = part();
+        html.push(chunk);
+        yield chunk;
+      }
+
+      if (onComplete) {
+        onComplete(html.join(''));
+      }
+    }
+
+    return Readable.from(chunks());
+  };
+
+  /**
+   * Fetches a story, served from the cache when possible
+   * @param {string} slug - Story slug
+   * @param {string} [language] - Storyblok language code, omitted for the
+   *   default language
+   * @param {Object} [draft] - Draft source of a preview, bypasses the cache
+   * @returns {Promise<Object>} Storyblok story
+   */
+  const fetchStory = async (slug, language, draft = null) => {
+    if (draft) {
+      return draft.client.getStory(slug, { language });
+    }
+
+    const key = language ? `cdn:${language}:${slug}` : `cdn:${slug}`;
+    const cached = cache?.get(key);
+    if (cached) {
+      return cached;
+    }
+
+    const story = await storyblok.getStory(slug, { language });
+    cache?.set(key, story, getStoryTags(story));
+    return story;
+  };
+
+  /**
+   * Fetches the story of a page, or null if it does not exist
+   * @param {string} slug - Story slug
+   * @param {string} [language] - Storyblok language code
+   * @param {Object} [draft] - Draft source of a preview
+   * @returns {Promise<Object|null>} Storyblok story
+   */
+  const findStory = (slug, language, draft = null) =>
+    fetchStory(slug, language, draft).catch(error => {
+      if (error.status === 404) {
+        return null;
+      }
+      throw error;
+    });
+
+  /**
+   * Fetches the story shown for missing pages
+   * A built-in page stands in until editors create the story
+   * @param {string} [language] - Storyblok language code
+   * @param {Object} [draft] - Draft source of a preview
+   * @returns {Promise<Object>} Storyblok story
+   */
+  const fetchNotFoundStory = async (language, draft = null) =>
+    (await findStory(notFoundStory, language, draft)) ||
+    createNotFoundStory(notFoundStory);
+
+  /**
+   * Resolves a pathname to a story and prepares the page stream
+   * The story is fetched before returning so the caller can set the status.
+   * Paths without a story get the not-found story with status 404.
+   * @param {string} pathname - Request pathname
+   * @param {Object} [options] - Request details
+   * @param {string} [options.host] - Request host, for locale domains
+   * @param {boolean|Object} [options.preview] - Request of a preview
+   *   session, gets drafts and is never cached; may select a release and a
+   *   "view as of" date as { release, date }
+   * @returns {Promise<Object>} Page with status, story, the datasources it
+   *   shows and HTML stream
+   */
+  const renderPage = async (
+    pathname,
+    { host = null, preview = false } = {}
+  ) => {
+    const locales = getLocales(host);
+    const { slug, language } = locales.parseLocation(pathname);
+    const apiLanguage = locales.toApiLanguage(language);
+    const key = [hostSpecific && host, apiLanguage, slug]
+      .filter(Boolean)
+      .join(':');
+
+    const cached = !preview && cache?.get(`html:${key}`);
+    if (cached) {
+      return {
+        status: cached.status,
+        slug,
+        language,
+        story: cached.story,
+        datasources: cached.datasources,
+        stream: Readable.from([cached.html]),
+      };
+    }
+
+    const view = preview && {
+      release: preview.release || null,
+      date: preview.date || null,
+    };
+    const draft = view ? getDraftSource(view) : null;
+    const source = draft || { client: storyblok, globals };
+    if (draft) {
+      // Every preview shows the latest draft of the settings
+      draft.globals.clear();
+    }
+    const [found, settings] = await Promise.all([
+      findStory(slug, apiLanguage, draft),
+      source.globals.load(apiLanguage),
+    ]);
+    const status = found ? 200 : 404;
+    const story = found || (await fetchNotFoundStory(apiLanguage, draft));
+    const datasources = await source.client.loadStoryDatasources(story, {
+      dimension: apiLanguage,
+    });
+
+    return {
+      status,
+      slug,
+      language,
+      story,
+      datasources,
+      stream: renderStory(story, slug, {
+        language,
+        host,
+        datasources,
+        settings,
+        preview: view,
+        onComplete: html => {
+          if (view) {
+            return;
+          }
+          cache?.set(`html:${key}`, { story, datasources, html, status }, [
+            ...getStoryTags(story),
+            // Publishing the missing story replaces the not-found page
+            ...(found ? [] : [`slug:${slug}`]),
+            ...getDatasourceTags(datasources),
+            // Every page shows the global settings
+            ...(settings ? getStoryTags(settings.story) : []),
+          ]);
+        },
+      }),
+    };
+  };
+
+  return {
+    getLocales,
+    globals,
+    redirects,
+    // Drops the draft clients, e.g. when content was published
+    clearDraftSources: draftSources.clear,
+    renderPage,
+    renderStory,
+    renderStoryHTML,
+    fetchStory,
+    storyblok,
+  };
+};
@@ -0,0 +1,296 @@
+/**
+ * Sitemap generation from published Storyblok stories
+ * Shared by the server (/sitemap.xml) and scripts/optimize-build.js
+ */
+
+import StoryblokClient from 'storyblok-js-client';
+import {
+  getI18nConfig,
+  getLinkConfig,
+  getStoryblokConfig,
+} from '../src/config/environment.js';
+import { createLinkResolver, isPageStory } from '../src/integration/links.js';
+import { createLocaleResolver } from '../src/integration/i18n.js';
+
+const PER_PAGE = 100;
+
+// Sitemaps protocol limit per file
+export const MAX_SITEMAP_URLS = 50000;
+
+/**
+ * Creates a Storyblok client for published content
+ * @returns {Object} Storyblok client
+ */
+export const createSitemapClient = () => {
+  const { accessToken, region } = getStoryblokConfig();
+
+  return new StoryblokClient({
+    accessToken,
+    region,
+    cache: { clear: 'auto', type: 'memory' },
+  });
+};
+
+/**
+ * Escapes text for XML content
+ * @param {string} value - Value to escape
+ * @returns {string} Escaped text
+ */
+const escapeXML = value =>
+  String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+
+/**
+ * Checks whether a path is an absolute URL, e.g. of a language domain
+ * @param {string} path - Path or URL
+ * @returns {boolean} True for absolute URLs
+ */
+const isAbsolute = path => /^https?:\/\//.test(path);
+
+/**
+ * Checks whether editors excluded a story from search engines
+ * @param {Object} story - Storyblok story
+ * @returns {boolean} True if the story is flagged noindex
+ */
+const isNoIndex = story => {
+  const content = story.content || {};
+  return Boolean(content.noindex || content.seo?.noindex);
+};
+
+/**
+ * Creates the URL builder of a site's stories
+ * Paths come from the same link and locale resolvers the pages use, so the
+ * URL prefix, translated slugs and language domains apply
+ * @param {Object} options - Site options
+ * @param {string} [options.host] - Host the sitemap is served from
+ * @param {Object} [options.i18n] - Languages, see getI18nConfig
+ * @param {Object} [options.links] - Link options, see getLinkConfig
+ * @returns {Object} { languages, defaultLanguage, getPath }
+ */
+const createStoryPaths = ({ host = null, i18n, links }) => {
+  const locales = createLocaleResolver({ ...i18n, host });
+  const resolvers = new Map(
+    [null, ...locales.locales].map(language => [
+      language,
+      createLinkResolver({
+        ...links,
+        language,
+        localizePath: locales.localizePath,
+      }),
+    ])
+  );
+
+  /**
+   * Gets the path of a story in a language
+   * @param {Object} story - Storyblok story
+   * @param {string} [language] - Language code
+   * @returns {string} Path, or absolute URL on another language domain
+   */
+  const getPath = (story, language = null) => {
+    const translated = (story.translated_slugs || []).find(
+      entry => entry.lang === language
+    );
+    return resolvers
+      .get(language)
+      .storyPath(
+        translated?.path || story.default_full_slug || story.full_slug
+      );
+  };
+
+  return {
+    languages: locales.locales,
+    defaultLanguage: locales.defaultLanguage,
+    getPath,
+  };
+};
+
+/**
+ * Pages through every published story and collects sitemap URLs
+ * Each language version served from the sitemap's host is its own URL
+ * carrying all alternates; settings, redirects and the not-found story are
+ * no pages and left out
+ * @param {Object} client - Storyblok client
+ * @param {Object} [options] - Options
+ * @param {string} [options.host] - Host the sitemap is served from
+ * @param {Object} [options.i18n] - Languages, see getI18nConfig
+ * @param {Object} [options.links] - Link options, see getLinkConfig
+ * @returns {Promise<Array<Object>>} Entries with path, lastmod and alternates
+ */
+export const fetchSitemapEntries = async (
+  client,
+  { host = null, i18n = getI18nConfig(), links = getLinkConfig() } = {}
+) => {
+  const { languages, defaultLanguage, getPath } = createStoryPaths({
+    host,
+    i18n,
+    links,
+  });
+  const entries = [];
+  let page = 1;
+
+  while (true) {
+    const response = await client.get('cdn/stories', {
+      version: 'published',
+      per_page: PER_PAGE,
+      page,
+    });
+    const { stories } = response.data;
+
+    stories
+      .filter(story => isPageStory(story) && !isNoIndex(story))
+      .forEach(story => {
+        const lastmod = story.published_at || story.updated_at;
+
+        if (languages.length < 2) {
+          entries.push({ path: getPath(story, languages[0]), lastmod });
+          return;
+        }
+
+        const alternates = languages.map(lang => ({
+          lang,
+          path: getPath(story, lang),
+        }));
+        const fallback = alternates.find(
+          ({ lang }) => lang === defaultLanguage
+        );
+        if (fallback) {
+          alternates.push({ ...fallback, lang: 'x-default' });
+        }
+
+        // Other language domains list their URLs in their own sitemap
+        alternates
+          .filter(({ lang, path }) => lang !== 'x-default' && !isAbsolute(path))
+          .forEach(({ path }) => {
+            entries.push({ path, lastmod, alternates });
+          });
+      });
+
+    if (
+      stories.length < PER_PAGE ||
+      page * PER_PAGE >= (response.total ?? Infinity)
+    ) {
+      return entries;
+    }
+    page++;
+  }
+};
+
+/**
+ * Renders a urlset document
+ * @param {Array<Object>} entries - Sitemap entries
+ * @param {string} baseUrl - Site origin without trailing slash
+ * @returns {string} Sitemap XML
+ */
+const renderUrlSet = (entries, baseUrl) => {
+  const hasAlternates = entries.some(entry => entry.alternates);
+  const namespaces = [
+    'xmlns="http://www.sitemaps.org/schemas/sitemap/0.9"',
+    hasAlternates && 'xmlns:xhtml="http://www.w3.org/1999/xhtml"',
+  ]
+    .filter(Boolean)
+    .join(' ');
+
+  const toUrl = path => (isAbsolute(path) ? path : baseUrl + path);
+  const urls = entries.map(entry =>
+    [
+      '  <url>',
+      `    <loc>${escapeXML(toUrl(entry.path))}</loc>`,
+      entry.lastmod &&
+        `    <lastmod>${new Date(entry.lastmod).toISOString()}</lastmod>`,
+      ...(entry.alternates || []).map(
+        alternate =>
+          `    <xhtml:link rel="alternate" hreflang="${escapeXML(alternate.lang)}" href="${escapeXML(toUrl(alternate.path))}" />`
+      ),
+      '  </url>',
+    ]
+      .filter(Boolean)
+      .join('\n')
+  );
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<urlset ${namespaces}>
+${urls.join('\n')}
+</urlset>`;
+};
+
+/**
+ * Renders a sitemap index pointing at the split sitemap files
+ * @param {Array<string>} files - Sitemap file names
+ * @param {string} baseUrl - Site origin without trailing slash
+ * @returns {string} Sitemap index XML
+ */
+const renderIndex = (files, baseUrl) => `<?xml version="1.0" encoding="UTF-8"?>
+<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+${files
+  .map(
+    file => `  <sitemap>
+    <loc>${escapeXML(`${baseUrl}/${file}`)}</loc>
+    <lastmod>${new Date().toISOString()}</lastmod>
+  </sitemap>`
+  )
+  .join('\n')}
+</sitemapindex>`;
+
+/**
+ * Builds the sitemap files for a set of entries
+ * Up to maxUrls entries fit in sitemap.xml; beyond that sitemap.xml becomes
+ * an index of sitemap-1.xml, sitemap-2.xml, ...
+ * @param {Array<Object>} entries - Sitemap entries
+ * @param {string} baseUrl - Site origin
+ * @param {Object} [options] - Options
+ * @param {number} [options.maxUrls] - URLs per sitemap file
+ * @returns {Object} XML documents keyed by file name
+ */
+export const buildSitemaps = (
+  entries,
+  baseUrl,
+  { maxUrls = MAX_SITEMAP_URLS } = {}
+) => {
+  const origin = baseUrl.replace(/\/+$/, '');
+
+  if (entries.length <= maxUrls) {
+    return { 'sitemap.xml': renderUrlSet(entries, origin) };
+  }
+
+  const files = {};
+  for (let start = 0; start < entries.length; start += maxUrls) {
+    const file = `sitemap-${start / maxUrls + 1}.xml`;
+    files[file] = renderUrlSet(entries.slice(start, start + maxUrls), origin);
+  }
+
+  return {
+    'sitemap.xml': renderIndex(Object.keys(files), origin),
+    ...files,
+  };
+};
+
+/**
+ * Fetches all published stories and builds the sitemap files
+ * @param {Object} client - Storyblok client
+ * @param {string} baseUrl - Site origin
+ * @param {Object} [options] - Options
+ * @param {Object} [options.i18n] - Languages, see getI18nConfig
+ * @param {Object} [options.links] - Link options, see getLinkConfig
+ * @param {number} [options.maxUrls] - URLs per sitemap file
+ * @returns {Promise<Object>} XML documents keyed by file name
+ */
+export const generateSitemaps = async (
+  client,
+  baseUrl,
+  { i18n, links, maxUrls } = {}
+) => {
+  // Drop the client's cache version so newly published stories show up
+  await client.flushCache?.();
+
+  const entries = await fetchSitemapEntries(client, {
+    host: new URL(baseUrl).host,
+    i18n,
+    links,
+  });
+
+  return buildSitemaps(entries, baseUrl, { maxUrls });
+};
@@ -0,0 +1,330 @@
+/**
+ * Static site export
+ * Renders every published story in every language through the server
+ * renderer, so exported pages get the same settings, datasources and
+ * language as pages the server renders. Used by scripts/export-static.js.
+ *
+ * The manifest records what each page was rendered from: the versions of
+ * its story and of the stories it links or relates to. Incremental exports
+ * render pages again when any of them changed, and everything when the
+ * global settings or a datasource changed.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { pipeline } from 'stream/promises';
+import { getAppConfig, getLinkConfig } from '../src/config/environment.js';
+import { isPageStory } from '../src/integration/links.js';
+import { getStoryTags } from './storyCache.js';
+
+const PER_PAGE = 100;
+
+/**
+ * Manifest of the last export, kept in the output directory
+ */
+export const MANIFEST_FILE = 'export-manifest.json';
+
+/**
+ * Bumped when the manifest changes shape; older manifests force a full export
+ */
+const MANIFEST_VERSION = 2;
+
+/**
+ * Normalizes a full slug for tags and comparisons
+ * @param {string} fullSlug - Story full slug
+ * @returns {string} Slug without surrounding slashes
+ */
+const trimSlug = fullSlug => (fullSlug || '').replace(/^\/+|\/+$/g, '');
+
+/**
+ * Pages through all published stories
+ * @param {Object} client - Storyblok client
+ * @returns {Promise<Array<Object>>} Published stories
+ */
+const fetchPublishedStories = async client => {
+  const stories = [];
+  let page = 1;
+
+  while (true) {
+    const response = await client.get('cdn/stories', {
+      version: 'published',
+      per_page: PER_PAGE,
+      page,
+    });
+    stories.push(...response.data.stories);
+
+    if (
+      response.data.stories.length < PER_PAGE ||
+      page * PER_PAGE >= (response.total ?? Infinity)
+    ) {
+      return stories;
+    }
+    page++;
+  }
+};
+
+/**
+ * Maps the cache tags of all published stories to their version
+ * @param {Array<Object>} stories - Published stories
+ * @returns {Map<string, string>} published_at by story and slug tag
+ */
+const getVersions = stories =>
+  new Map(
+    stories.flatMap(story => [
+      [`story:${story.id}`, story.published_at],
+      [`slug:${trimSlug(story.full_slug)}`, story.published_at],
+    ])
+  );
+
+/**
+ * Hashes datasource options to detect changes
+ * @param {Array<Object>} options - Datasource options
+ * @returns {string} Hash
+ */
+const hashOptions = options =>
+  crypto
+    .createHash('sha1')
+    .update(JSON.stringify(options || []))
+    .digest('hex');
+
+/**
+ * Splits a localized path into the host and path it is rendered for
+ * Languages with their own domain get absolute URLs from getStoryPath
+ * @param {string} location - Path or absolute URL
+ * @returns {Object} { host, pathname }
+ */
+const toTarget = location => {
+  if (!/^https?:\/\//.test(location)) {
+    return { host: null, pathname: location };
+  }
+  const { host, pathname } = new URL(location);
+  return { host, pathname };
+};
+
+/**
+ * Maps a page to its output file
+ * Pages of a language domain go into a directory named after the domain;
+ * the output directory is served from the base path, like the build
+ * @param {Object} target - Target from toTarget
+ * @param {string} [name] - File name
+ * @returns {string} File path relative to the output directory
+ */
+const getPageFile = ({ host, pathname }, name = 'index.html') => {
+  const base = getLinkConfig().basePath.replace(/\/+$/, '');
+  const sitePath =
+    base && `${pathname}/`.startsWith(`${base}/`)
+      ? pathname.slice(base.length)
+      : pathname;
+  const file = path.normalize(
+    path.join(
+      host || '',
+      decodeURIComponent(sitePath).replace(/^\/+/, ''),
+      name
+    )
+  );
+  if (file.startsWith('..') || path.isAbsolute(file)) {
+    throw new Error(`Refusing to write outside the export: ${pathname}`);
+  }
+
+  return file;
+};
+
+/**
+ * Reads the manifest of the last export
+ * @param {string} outPath - Output directory
+ * @returns {Object|null} Manifest, null if missing or outdated
+ */
+const readManifest = outPath => {
+  const manifestPath = path.join(outPath, MANIFEST_FILE);
+  if (!fs.existsSync(manifestPath)) {
+    return null;
+  }
+
+  const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+  return manifest.version === MANIFEST_VERSION ? manifest : null;
+};
+
+/**
+ * Checks whether the global settings or a datasource changed
+ * @param {Object} previous - Manifest of the last export
+ * @param {Object} options - Current state
+ * @param {string} options.settings - Version of the settings story
+ * @param {Object} options.storyblok - Client from createStoryblokClient
+ * @returns {Promise<string|null>} What changed, null if nothing did
+ */
+const findGlobalChange = async (previous, { settings, storyblok }) => {
+  if (previous.settings !== settings) {
+    return 'global settings';
+  }
+
+  for (const [key, hash] of Object.entries(previous.datasources)) {
+    const [slug, dimension] = key.split(':');
+    const options = await storyblok.getDatasource(slug, {
+      dimension: dimension || undefined,
+    });
+    if (hashOptions(options) !== hash) {
+      return `datasource ${slug}`;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Checks whether a page of the last export is still current
+ * @param {Object} entry - Manifest entry of the page
+ * @param {Map<string, string>} versions - Versions from getVersions
+ * @returns {boolean} True if none of its stories changed
+ */
+const isCurrent = (entry, versions) =>
+  Object.entries(entry.dependencies).every(
+    ([tag, version]) => (versions.get(tag) ?? null) === version
+  );
+
+/**
+ * Renders a page through the renderer and writes it
+ * @param {Object} renderer - Renderer from createRenderer
+ * @param {Object} target - Target from toTarget
+ * @param {string} filePath - Absolute output file
+ * @returns {Promise<Object>} Page from renderPage
+ */
+const writePage = async (renderer, { host, pathname }, filePath) => {
+  const page = await renderer.renderPage(pathname, { host });
+
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  await pipeline(page.stream, fs.createWriteStream(filePath));
+  return page;
+};
+
+/**
+ * Exports the site into a directory
+ * @param {Object} options - Export options
+ * @param {Object} options.renderer - Renderer from createRenderer
+ * @param {string} options.outPath - Output directory
+ * @param {boolean} [options.incremental] - Only render changed pages
+ * @param {Function} [options.log] - Progress output
+ * @returns {Promise<Object>} Counts of rendered, skipped and removed pages
+ */
+export const exportSite = async ({
+  renderer,
+  outPath,
+  incremental = false,
+  log = console.log,
+}) => {
+  const { globalStory, notFoundStory } = getAppConfig();
+  const locales = renderer.getLocales();
+  const languages = locales.locales.length > 0 ? locales.locales : [null];
+
+  // Stories are listed by the client that renders them, so dropping its
+  // caches shows newly published stories in the list and on their pages
+  renderer.storyblok.clearCache();
+  const stories = await fetchPublishedStories(renderer.storyblok.client);
+  const versions = getVersions(stories);
+  const settings = versions.get(`slug:${trimSlug(globalStory)}`) ?? null;
+
+  // Full exports still remove the pages of unpublished stories
+  const previous = readManifest(outPath);
+  let reusable = incremental ? previous : null;
+  if (incremental && !previous) {
+    log('ℹ️ No export manifest found, running a full export');
+  } else if (reusable) {
+    const change = await findGlobalChange(previous, {
+      settings,
+      storyblok: renderer.storyblok,
+    });
+    if (change) {
+      log(`ℹ️ The ${change} changed, running a full export`);
+      reusable = null;
+    }
+  }
+
+  const manifest = {
+    version: MANIFEST_VERSION,
+    exportedAt: new Date().toISOString(),
+    settings,
+    datasources: reusable ? { ...reusable.datasources } : {},
+    pages: {},
+  };
+  const counts = { rendered: 0, skipped: 0, removed: 0 };
+
+  // Settings, redirects and the not-found story have no page of their own
+  for (const story of stories.filter(entry => isPageStory(entry))) {
+    for (const language of languages) {
+      const label = `/${story.full_slug}${language ? ` (${language})` : ''}`;
+      const target = toTarget(locales.getStoryPath(story, language));
+      const file = getPageFile(target);
+      const entry = reusable?.pages[file];
+
+      if (
+        entry &&
+        isCurrent(entry, versions) &&
+        fs.existsSync(path.join(outPath, file))
+      ) {
+        manifest.pages[file] = entry;
+        counts.skipped++;
+        continue;
+      }
+
+      const page = await writePage(renderer, target, path.join(outPath, file));
+      if (page.status !== 200) {
+        log(`  ⚠️ ${label} rendered with status ${page.status}`);
+      }
+
+      const dimension = locales.toApiLanguage(language) || '';
+      Object.entries(page.datasources || {}).forEach(([slug, options]) => {
+        manifest.datasources[`${slug}:${dimension}`] = hashOptions(options);
+      });
+      manifest.pages[file] = {
+        slug: story.full_slug,
+        language,
+        dependencies: Object.fromEntries(
+          [...getStoryTags(story), ...getStoryTags(page.story)].map(tag => [
+            tag,
+            versions.get(tag) ?? null,
+          ])
+        ),
+      };
+      log(`  ✓ ${label} → ${file}`);
+      counts.rendered++;
+
+      // Drop cached CDN responses every now and then on large spaces
+      if (counts.rendered % PER_PAGE === 0) {
+        renderer.storyblok.clearCache();
+      }
+    }
+  }
+
+  // Static hosts serve 404.html for missing paths, per language directory
+  for (const language of languages) {
+    const target = toTarget(
+      locales.localizePath(`/${trimSlug(notFoundStory)}`, language)
+    );
+    const file = getPageFile(
+      toTarget(locales.localizePath('/', language)),
+      '404.html'
+    );
+    await writePage(renderer, target, path.join(outPath, file));
+    log(`  ✓ not found${language ? ` (${language})` : ''} → ${file}`);
+  }
+
+  // Pages of unpublished stories
+  Object.keys(previous?.pages || {})
+    .filter(file => !manifest.pages[file])
+    .forEach(file => {
+      const filePath = path.join(outPath, file);
+      if (fs.existsSync(filePath)) {
+        fs.rmSync(filePath);
+        log(`  ✗ ${file} removed`);
+        counts.removed++;
+      }
+    });
+
+  fs.mkdirSync(outPath, { recursive: true });
+  fs.writeFileSync(
+    path.join(outPath, MANIFEST_FILE),
+    JSON.stringify(manifest, null, 2)
+  );
+
+  return counts;
+};
@@ -0,0 +1,201 @@
+/**
+ * Server-side story cache
+ * Holds CDN responses and rendered HTML, tagged for targeted invalidation
+ */
+
+/**
+ * Creates an in-memory cache with TTL, LRU eviction and tag invalidation
+ * @param {Object} options - Cache options
+ * @param {number} [options.ttl] - Entry lifetime in milliseconds
+ * @param {number} [options.maxEntries] - Maximum number of entries
+ * @returns {Object} Cache API
+ */
+export const createStoryCache = ({ ttl = 600000, maxEntries = 500 } = {}) => {
+  const entries = new Map();
+  let hits = 0;
+  let misses = 0;
+
+  /**
+   * Gets a cached value
+   * @param {string} key - Cache key
+   * @returns {*} Cached value or undefined
+   */
+  const get = key => {
+    const entry = entries.get(key);
+
+    if (!entry || entry.expires < Date.now()) {
+      entries.delete(key);
+      misses++;
+      return undefined;
+    }
+
+    // Re-insert to keep the Map in least-recently-used order
+    entries.delete(key);
+    entries.set(key, entry);
+    hits++;
+    return entry.value;
+  };
+
+  /**
+   * Stores a value
+   * @param {string} key - Cache key
+   * @param {*} value - Value to cache
+   * @param {Array<string>} tags - Tags used for invalidation
+   * @param {Object} [options] - Entry options
+   * @param {number} [options.ttl] - Lifetime override, Infinity to keep the
+   *   entry until it is invalidated
+   */
+  const set = (key, value, tags = [], { ttl: entryTtl = ttl } = {}) => {
+    entries.delete(key);
+    entries.set(key, {
+      value,
+      tags: new Set(tags),
+      expires: Date.now() + entryTtl,
+    });
+
+    while (entries.size > maxEntries) {
+      entries.delete(entries.keys().next().value);
+    }
+  };
+
+  /**
+   * Evicts every entry carrying at least one of the tags
+   * @param {Array<string>} tags - Tags to evict
+   * @returns {Array<string>} Evicted keys
+   */
+  const invalidate = tags => {
+    const evicted = [];
+
+    entries.forEach((entry, key) => {
+      if (tags.some(tag => entry.tags.has(tag))) {
+        entries.delete(key);
+        evicted.push(key);
+      }
+    });
+
+    return evicted;
+  };
+
+  const clear = () => {
+    entries.clear();
+  };
+
+  const getStats = () => ({
+    size: entries.size,
+    hits,
+    misses,
+  });
+
+  return {
+    get,
+    set,
+    invalidate,
+    clear,
+    getStats,
+  };
+};
+
+/**
+ * Tags for the folder listings a full slug appears in
+ * 'blog/2024/post' -> ['folder:', 'folder:blog/', 'folder:blog/2024/']
+ * @param {string} fullSlug - Story full slug
+ * @returns {Array<string>} Folder tags, the root listing first
+ */
+export const getFolderTags = fullSlug => {
+  const segments = (fullSlug || '').replace(/^\/+|\/+$/g, '').split('/');
+
+  return segments.map(
+    (_, index) =>
+      `folder:${segments.slice(0, index).join('/')}${index ? '/' : ''}`
+  );
+};
+
+/**
+ * Tags for a cached story listing (e.g. a folder overview or the sitemap)
+ * @param {string} [startsWith] - Folder prefix of the listing, '' for all
+ * @returns {Array<string>} Listing tags
+ */
+export const getListingTags = (startsWith = '') => [
+  'listing',
+  `folder:${startsWith}`,
+];
+
+/**
+ * Collects the tags of a story and of every story it depends on
+ * Resolved relations are tagged by id, resolved or cached links by slug
+ * @param {Object} story - Storyblok story
+ * @returns {Array<string>} Cache tags
+ */
+export const getStoryTags = story => {
+  const tags = new Set([
+    `story:${story.id}`,
+    `slug:${(story.full_slug || '').replace(/\/+$/, '')}`,
+  ]);
+
+  const visit = value => {
+    if (!value || typeof value !== 'object') {
+      return;
+    }
+
+    if (Array.isArray(value)) {
+      value.forEach(visit);
+      return;
+    }
+
+    // Resolved relation (a whole story inlined into the content)
+    if (value.uuid && value.id && value.content) {
+      tags.add(`story:${value.id}`);
+    }
+
+    // Story link field
+    if (value.linktype === 'story' && value.cached_url) {
+      tags.add(`slug:${value.cached_url.replace(/\/+$/, '')}`);
+    }
+
+    Object.values(value).forEach(visit);
+  };
+
+  visit(story.content);
+
+  return Array.from(tags);
+};
+
+/**
+ * Tags for pages rendered with options from datasources
+ * @param {Object} datasources - Options keyed by datasource slug
+ * @returns {Array<string>} Datasource tags
+ */
+export const getDatasourceTags = datasources =>
+  Object.keys(datasources || {}).map(slug => `datasource:${slug}`);
+
+/**
+ * Tags to evict for a Storyblok webhook event
+ * @param {Object} event - Webhook payload
+ * @param {number} [event.story_id] - Changed story id
+ * @param {string} [event.full_slug] - Changed story slug
+ * @param {string} [event.datasource_slug] - Changed datasource
+ * @returns {Array<string>} Tags to invalidate
+ */
+export const getInvalidationTags = ({
+  story_id,
+  full_slug,
+  datasource_slug,
+}) => {
+  if (datasource_slug) {
+    return [`datasource:${datasource_slug}`];
+  }
+
+  const tags = [`story:${story_id}`];
+
+  if (full_slug) {
+    tags.push(
+      `slug:${full_slug.replace(/\/+$/, '')}`,
+      ...getFolderTags(full_slug)
+    );
+  } else {
+    // Without a slug any listing may contain the story
+    tags.push('listing');
+  }
+
+  return tags;
+};
@@ -0,0 +1,34 @@
+/**
+ * Storyblok webhook helpers
+ */
+
+import crypto from 'crypto';
+
+/**
+ * Header Storyblok sends the webhook signature in
+ */
+export const SIGNATURE_HEADER = 'webhook-signature';
+
+/**
+ * Verifies a Storyblok webhook signature
+ * Storyblok signs the raw request body with HMAC-SHA1 and the webhook secret
+ * @param {Buffer|string} rawBody - Raw request body
+ * @param {string} signature - Value of the webhook-signature header
+ * @param {string} secret - Shared webhook secret
+ * @returns {boolean} True if the signature matches
+ */
+export const verifyWebhookSignature = (rawBody, signature, secret) => {
+  if (!rawBody || !signature || !secret) {
+    return false;
+  }
+
+  const expected = Buffer.from(
+    crypto.createHmac('sha1', secret).update(rawBody).digest('hex')
+  );
+  const received = Buffer.from(String(signature));
+
+  return (
+    expected.length === received.length &&
+    crypto.timingSafeEqual(expected, received)
+  );
+};
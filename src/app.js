@@ -5,29 +5,283 @@
  */
 
 import { createStoryblokClient } from './integration/storyblokClient.js';
+import { createRenderContext } from './integration/componentMapper.js';
+import {
+  createGlobalComponents,
+  createGlobalSettings,
+} from './integration/globalSettings.js';
+import {
+  OUTLET,
+  createLayoutElement,
+  createRegionComponents,
+  findLayoutElement,
+  resolveLayout,
+} from './integration/layouts.js';
+import { createHeadManager, getPageHeadTags } from './integration/seo.js';
+import {
+  createEditorBridge,
+  loadEditorBridge,
+  preserveView,
+} from './integration/visualEditor.js';
+import {
+  createReconciler,
+  reconcileElements,
+} from './integration/reconciler.js';
+import {
+  createNotFoundStory,
+  createRedirects,
+} from './integration/redirects.js';
+import { getRelationFields, switchTheme } from './config/components.js';
+import {
+  LOCALE_COOKIE,
+  createLocaleResolver,
+  getLocaleCookie,
+} from './integration/i18n.js';
+import { getAppConfig, getI18nConfig } from './config/environment.js';
+import {
+  Router,
+  createFormGuard,
+  createPrefetcher,
+} from './utils/router/index.js';
+import { runTransition } from './utils/transitions/index.js';
 import { isDevelopment } from './utils/environment.js';
 
+/**
+ * Id of the JSON script the server embeds alongside pre-rendered markup
+ */
+export const SSR_STATE_ID = '__SSR_STATE__';
+
+/**
+ * Read the preview session the server rendered the page for
+ * The server validates the Visual Editor's token and serves drafts only then
+ * @returns {Object|null} { release, date } of the preview, null for visitors
+ */
+const readPreviewSession = () => {
+  try {
+    const script = document.getElementById(SSR_STATE_ID);
+    const { preview } = JSON.parse(script?.textContent || '{}');
+    return preview && typeof preview === 'object' ? preview : null;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Creates the banner naming the release and date a preview shows
+ * @param {Object} preview - Preview session from the server state
+ * @param {number} [preview.release] - Release shown on top of the drafts
+ * @param {string} [preview.date] - "View as of" date
+ * @returns {HTMLElement|null} Banner, null when the preview shows the
+ *   current drafts
+ */
+export const createPreviewBanner = ({ release = null, date = null } = {}) => {
+  if (!release && !date) {
+    return null;
+  }
+
+  const banner = document.createElement('div');
+  banner.className = 'preview-banner no-print';
+  banner.setAttribute('role', 'status');
+  banner.textContent = [
+    'Preview',
+    release && `release ${release}`,
+    date && `as of ${date}`,
+  ]
+    .filter(Boolean)
+    .join(' · ');
+  banner.style.cssText = `
+    position: fixed;
+    bottom: 10px;
+    left: 10px;
+    padding: 0.25rem 0.75rem;
+    background: var(--color-warning, #ffc107);
+    color: #212529;
+    border-radius: 4px;
+    font-size: 13px;
+    z-index: 9998;
+  `;
+  return banner;
+};
+
+/**
+ * Creates the default navigation shown when the global settings have no
+ * header
+ * @returns {HTMLElement} Navigation element
+ */
+export const createDefaultNavigation = () => {
+  const nav = document.createElement('nav');
+  nav.className = 'default-nav no-print';
+  nav.innerHTML = `
+    <div style="
+      background: var(--color-bg-secondary, #f8f9fa);
+      padding: 1rem;
+      border-bottom: 1px solid var(--color-border, #dee2e6);
+      margin-bottom: 2rem;
+    ">
+      <div style="
+        max-width: 1200px;
+        margin: 0 auto;
+        display: flex;
+        justify-content: space-between;
+        align-items: center;
+      ">
+        <h3 style="margin: 0; color: var(--color-text, #333);">
+          Your Website
+        </h3>
+        <div>
+          <a href="/" style="margin: 0 0.5rem;">Home</a>
+          <a href="/about" style="margin: 0 0.5rem;">About</a>
+          <a href="/contact" style="margin: 0 0.5rem;">Contact</a>
+        </div>
+      </div>
+    </div>
+  `;
+  return nav;
+};
+
+/**
+ * Remembers the visitor's language choice
+ * @param {string} language - Language code
+ */
+const rememberLanguage = language => {
+  document.cookie = `${LOCALE_COOKIE}=${encodeURIComponent(language)}; path=/; max-age=31536000; samesite=lax`;
+};
+
+/**
+ * Creates the language switcher linking to a story in every language
+ * @param {Array<Object>} alternates - Localized paths, see getAlternates
+ * @param {string} currentLanguage - Language of the page
+ * @returns {HTMLElement} Navigation element
+ */
+export const createLanguageSwitcher = (alternates, currentLanguage) => {
+  const nav = document.createElement('nav');
+  nav.className = 'language-switcher no-print';
+  nav.setAttribute('aria-label', 'Language');
+  nav.style.cssText = `
+    position: fixed;
+    top: 10px;
+    right: 10px;
+    display: flex;
+    gap: 0.5rem;
+    padding: 0.25rem 0.5rem;
+    background: var(--color-bg, #fff);
+    border: 1px solid var(--color-border, #dee2e6);
+    border-radius: 4px;
+    font-size: 13px;
+    z-index: 9997;
+  `;
+
+  alternates.forEach(({ language, path }) => {
+    const link = document.createElement('a');
+    link.setAttribute('href', path);
+    link.setAttribute('hreflang', language);
+    link.setAttribute('lang', language);
+    link.textContent = language.toUpperCase();
+    if (language === currentLanguage) {
+      link.setAttribute('aria-current', 'true');
+      link.style.fontWeight = 'bold';
+    }
+    link.addEventListener('click', () => rememberLanguage(language));
+    nav.appendChild(link);
+  });
+
+  return nav;
+};
+
 /**
  * Creates the main application
  * @param {Object} config - Application configuration
+ * @param {HTMLElement} [config.container] - App container
+ * @param {boolean} [config.enableLivePreview] - Storyblok live preview in
+ *   development and preview sessions
+ * @param {Array<Object>} [config.routes] - Routes for special pages, as
+ *   { path, handler }; matched before the catch-all story route. Handlers
+ *   get the route context and { loadStory, getOutlet }. A route's
+ *   transition option overrides config.transitions for its pages
+ * @param {Object|boolean} [config.prefetch] - Prefetching of linked
+ *   stories, as { concurrency, hoverDelay }; false turns it off
+ * @param {Object|boolean} [config.transitions] - Page transitions, true or
+ *   { type, loadingDelay }; off by default
  * @returns {Object} Application API
  */
 export const createApp = (config = {}) => {
   const {
     container = document.getElementById('app'),
     enableLivePreview = true,
+    routes = [],
+    prefetch = {},
+    transitions = false,
   } = config;
 
   if (!container) {
     throw new Error('App container element not found');
   }
 
-  // Initialize Storyblok client
-  const storyblok = createStoryblokClient();
+  // Preview sessions load drafts through the server, which holds the
+  // preview token, with the release and date the session was opened with
+  const preview = readPreviewSession();
+  const storyblok = createStoryblokClient(
+    preview
+      ? {
+          version: 'draft',
+          endpoint: `${window.location.origin}/api/preview`,
+          release: preview.release,
+          date: preview.date,
+        }
+      : {}
+  );
+  const previewBanner = preview && createPreviewBanner(preview);
+  const globals = createGlobalSettings(storyblok);
+  const redirects = createRedirects(storyblok);
+  const head = createHeadManager();
+  const router = new Router({
+    errorHandler: (error, { path }) => {
+      console.error(`Failed to render ${path}:`, error);
+      showErrorState(error);
+    },
+  });
+  // Asks before leaving a form with unsaved input
+  const formGuard = createFormGuard(container);
+  const locales = createLocaleResolver({
+    ...getI18nConfig(),
+    host: window.location.hostname,
+  });
+  // Loads linked stories into the client cache before they are clicked
+  const prefetcher = prefetch
+    ? createPrefetcher({ ...prefetch, prefetch: path => prefetchStory(path) })
+    : null;
 
   // Application state
   let currentStory = null;
   let currentRoute = '/';
+  let currentLanguage = null;
+  // Layout around the page content; undefined until first rendered
+  let currentSettings;
+  // Components of the story body and of header and footer are reused
+  // across renders by the _uid of their blocks
+  const reconciler = createReconciler();
+  const layoutReconciler = createReconciler();
+  // Page layout holding the outlet the story body renders into
+  let currentLayout = null;
+  // Connection to the Visual Editor while previewing
+  let editorBridge = null;
+  // Set by destroy, stops the bridge from connecting once loaded
+  let destroyed = false;
+  // Page transitions: 'fade', 'slide' or false
+  const transitionOptions = {
+    type: transitions && 'fade',
+    // The old page stays this long before the spinner replaces it
+    loadingDelay: 300,
+    ...(typeof transitions === 'object' && transitions),
+  };
+  // Head defaults of index.html, used when neither story nor settings set them
+  const templateHead = {
+    title: document.title,
+    description:
+      document
+        .querySelector('meta[name="description"]')
+        ?.getAttribute('content') || '',
+  };
 
   /**
    * Initialize the application
@@ -37,13 +291,24 @@ export const createApp = (config = {}) => {
       // Set up routing
       setupRouter();
 
-      // Enable live preview in development
-      if (enableLivePreview && isDevelopment()) {
+      // Enable live preview in development and preview sessions
+      if (enableLivePreview && (isDevelopment() || preview)) {
         enableStoryblokPreview();
       }
+      if (previewBanner) {
+        document.body.appendChild(previewBanner);
+      }
 
-      // Load initial content
-      await loadContent();
+      // Take over server-rendered markup, or load initial content
+      const serverState = readServerState();
+      if (serverState) {
+        await adoptServerRender(serverState);
+      } else {
+        if (applyPreferredLanguage()) {
+          return;
+        }
+        await router.handleRoute();
+      }
 
       // Mark app as ready
       document.body.classList.add('app-ready');
@@ -65,22 +330,82 @@ export const createApp = (config = {}) => {
 
   /**
    * Load content from Storyblok
+   * Route handler of the catch-all story route
+   * @param {Object} [context] - Route context
+   * @param {AbortSignal} [context.signal] - Aborted by a newer navigation
+   * @param {string} [context.slug] - Story to load instead of the URL's
+   * @param {Object} [context.route] - Matched route, may set a transition
+   * @param {string} [context.direction] - Navigation direction; reloads of
+   *   the route have none and never animate
    */
-  const loadContent = async () => {
+  const loadContent = async ({
+    signal,
+    slug: storySlug,
+    route,
+    direction,
+  } = {}) => {
+    const transition =
+      direction && currentStory
+        ? (route?.options.transition ?? transitionOptions.type)
+        : false;
+    let loadingTimer = null;
+
     try {
-      showLoadingState();
+      // The old page stays while the story loads, so it can animate out
+      if (transition) {
+        loadingTimer = setTimeout(
+          showLoadingState,
+          transitionOptions.loadingDelay
+        );
+      } else {
+        showLoadingState();
+      }
 
-      // Get the current slug from URL
-      const slug = getCurrentSlug();
+      // Get the current slug and language from URL
+      const location = getCurrentLocation();
+      const slug = storySlug || location.slug;
+      const { language } = location;
+      const apiLanguage = locales.toApiLanguage(language);
 
-      // Load story from Storyblok
-      const story = await storyblok.getStoryWithComponents(slug);
+      // Load story from Storyblok, untranslated stories in the default
+      // language; global settings are loaded once per language. Components
+      // are created when the page renders, so an aborted navigation leaves
+      // the current page intact.
+      const [{ story, datasources }, settings] = await Promise.all([
+        storyblok
+          .loadStory(slug, { language: apiLanguage, signal })
+          .catch(error =>
+            error.status === 404
+              ? loadNotFoundStory(apiLanguage, signal)
+              : Promise.reject(error)
+          ),
+        globals.load(apiLanguage),
+      ]);
 
-      // Render story
-      currentStory = await renderStory(story);
+      clearTimeout(loadingTimer);
 
-      hideLoadingState();
+      // A newer navigation renders instead
+      if (signal?.aborted) {
+        return;
+      }
+
+      await runTransition(
+        async () => {
+          renderLayout(settings, apiLanguage);
+
+          // Render story
+          currentStory = await renderStory(story, { language, datasources });
+
+          hideLoadingState();
+        },
+        { root: container, type: transition, direction }
+      );
+      watchLinks();
     } catch (error) {
+      clearTimeout(loadingTimer);
+      if (signal?.aborted) {
+        return;
+      }
       console.error('Failed to load content:', error);
       hideLoadingState();
       showSetupGuide();
@@ -88,99 +413,527 @@ export const createApp = (config = {}) => {
   };
 
   /**
-   * Get current slug from URL
+   * Load the story shown for missing pages
+   * A built-in page stands in until editors create the story
+   * @param {string} [language] - Storyblok language code
+   * @param {AbortSignal} [signal] - Aborted by a newer navigation
+   * @returns {Promise<Object>} { story, datasources } of the not-found story
+   */
+  const loadNotFoundStory = (language, signal) =>
+    storyblok
+      .loadStory(getAppConfig().notFoundStory, { language, signal })
+      .catch(error =>
+        signal?.aborted
+          ? Promise.reject(error)
+          : { story: createNotFoundStory(), datasources: {} }
+      );
+
+  /**
+   * Read the story state embedded by the server next to pre-rendered markup
+   * @returns {Object|null} Server state or null when the page was not SSR'd
    */
-  const getCurrentSlug = () => {
-    const path = window.location.pathname;
-    return path === '/' || path === '' ? 'home' : path.replace(/^\/|\/$/g, '');
+  const readServerState = () => {
+    const script = document.getElementById(SSR_STATE_ID);
+    if (!script || container.dataset.ssr !== 'true') {
+      return null;
+    }
+
+    try {
+      return JSON.parse(script.textContent);
+    } catch (error) {
+      console.warn('Invalid server state, rendering on the client:', error);
+      return null;
+    }
+  };
+
+  /**
+   * Hydrate server-rendered markup instead of re-rendering it
+   * @param {Object} serverState - State embedded by the server
+   */
+  const adoptServerRender = async serverState => {
+    currentRoute = window.location.pathname;
+
+    const apiLanguage = locales.toApiLanguage(getCurrentLocation().language);
+    const settings = serverState.global
+      ? globals.prime(serverState.global, apiLanguage)
+      : await globals.load(apiLanguage);
+    renderLayout(settings, apiLanguage, { hydrate: true });
+
+    currentStory = await renderStory(serverState.story, {
+      hydrate: true,
+      datasources: serverState.datasources,
+    });
+
+    // Later navigations render on the client as usual
+    delete container.dataset.ssr;
+    watchLinks();
+  };
+
+  /**
+   * Prefetch the story of an internal path
+   * Paths of special routes are left to their handlers
+   * @param {string} path - Pathname and search
+   * @returns {Promise<Object|null>|undefined} Prefetched story
+   */
+  const prefetchStory = path => {
+    if (router.findRoute(path)?.path !== '*') {
+      return undefined;
+    }
+
+    const { slug, language } = locales.parseLocation(path.split('?')[0]);
+    return storyblok.prefetchStory(slug, {
+      language: locales.toApiLanguage(language),
+    });
+  };
+
+  /**
+   * Prefetch the links of the page as they scroll into view
+   * Layout regions and globals outside the container count too
+   */
+  const watchLinks = () => {
+    prefetcher?.reset();
+    prefetcher?.observe(document.body);
+  };
+
+  /**
+   * Get current slug and language from URL
+   */
+  const getCurrentLocation = () =>
+    locales.parseLocation(window.location.pathname);
+
+  /**
+   * Send first visits to the browser's preferred language
+   * The server does the same from Accept-Language for pages it renders
+   * @returns {boolean} True when leaving for another domain
+   */
+  const applyPreferredLanguage = () => {
+    const location = getCurrentLocation();
+    if (
+      locales.locales.length < 2 ||
+      location.prefixed ||
+      getLocaleCookie(document.cookie)
+    ) {
+      return false;
+    }
+
+    const preferred = locales.detectLanguage(
+      navigator.languages || [navigator.language].filter(Boolean)
+    );
+    if (!preferred || preferred === location.language) {
+      return false;
+    }
+
+    rememberLanguage(preferred);
+    const target =
+      locales.localizePath(location.path, preferred) + window.location.search;
+
+    if (/^https?:\/\//.test(target)) {
+      window.location.assign(target);
+      return true;
+    }
+
+    window.history.replaceState({}, '', target);
+    return false;
+  };
+
+  /**
+   * Set the document language, hreflang links and language switcher
+   * @param {Object} story - Storyblok story
+   * @param {string} language - Language of the URL
+   */
+  const applyLanguage = (story, language) => {
+    currentLanguage = language;
+    // Untranslated stories are shown in the default language
+    const contentLanguage = story.missingTranslation
+      ? locales.defaultLanguage
+      : language;
+    if (contentLanguage) {
+      document.documentElement.lang = contentLanguage;
+    }
+
+    document.head
+      .querySelectorAll('link[rel="alternate"][hreflang]')
+      .forEach(link => link.remove());
+    locales
+      .getHreflangLinks(story, window.location.origin)
+      .forEach(({ hreflang, href }) => {
+        const link = document.createElement('link');
+        link.rel = 'alternate';
+        link.hreflang = hreflang;
+        link.href = href;
+        document.head.appendChild(link);
+      });
+
+    document.querySelector('.language-switcher')?.remove();
+    if (locales.locales.length > 1) {
+      document.body.appendChild(
+        createLanguageSwitcher(locales.getAlternates(story), language)
+      );
+    }
+  };
+
+  /**
+   * Set title, meta, canonical, social and JSON-LD tags of a story
+   * Defaults come from the global settings, then from index.html
+   * @param {Object} story - Storyblok story
+   */
+  const applySeo = story => {
+    const seo = currentSettings?.seo || {};
+    // Untranslated stories point to the default language version
+    const path = locales.getStoryPath(
+      story,
+      story.missingTranslation
+        ? locales.defaultLanguage
+        : currentLanguage || undefined
+    );
+
+    head.update(
+      getPageHeadTags(story, {
+        defaults: {
+          title: seo.title || templateHead.title,
+          description: seo.description || templateHead.description,
+          image: seo.image,
+        },
+        url: new URL(path, window.location.href).href,
+        siteName: seo.siteName,
+        currency: seo.currency,
+      })
+    );
   };
 
   /**
    * Render story to container
+   * @param {Object} story - Storyblok story
+   * @param {Object} [options] - Render options
+   * @param {boolean} [options.hydrate] - Attach to pre-rendered markup
+   * @param {string} [options.language] - Language of the URL
+   * @param {Object} [options.datasources] - Datasource options, loaded when
+   *   missing and the story has no components yet
    */
-  const renderStory = async story => {
-    // Clear existing content
-    container.innerHTML = '';
+  const renderStory = async (
+    story,
+    {
+      hydrate = false,
+      language = getCurrentLocation().language,
+      datasources = null,
+    } = {}
+  ) => {
+    const hasComponents = story.renderedComponents?.length > 0;
+    const apiLanguage = locales.toApiLanguage(language);
 
     // Create components from story
-    const components =
-      story.renderedComponents?.length > 0
-        ? story.renderedComponents
-        : await storyblok.createComponentsFromStory(story);
-
-    // Add navigation if needed
-    if (!container.querySelector('header')) {
-      addDefaultNavigation();
+    const context = createRenderContext({
+      language: apiLanguage,
+      datasources:
+        datasources ||
+        (hasComponents
+          ? {}
+          : await storyblok.loadStoryDatasources(story, {
+              dimension: apiLanguage,
+            })),
+      reconciler,
+    });
+    const components = hasComponents
+      ? story.renderedComponents
+      : await storyblok.createComponentsFromStory(story, context);
+    const issues = story.validationIssues || context.issues;
+
+    showValidationIssues(issues);
+    applyLanguage(story, language);
+    // The server already rendered the head of pre-rendered pages
+    if (!hydrate) {
+      applySeo(story);
     }
 
-    // Render components
-    const elements = components.map(component => {
-      const element = component.getElement();
-      container.appendChild(element);
-      return element;
-    });
+    // Only the outlet changes while pages share a layout
+    const outlet = mountLayout(story, { hydrate, language: apiLanguage });
+
+    if (hydrate) {
+      const elements = storyblok.renderComponentsToContainer(
+        components,
+        outlet,
+        { hydrate: true }
+      );
+      return createRenderedStory(story, components, elements, issues);
+    }
+
+    // Reused components keep their elements and state
+    const elements = components.map(component => component.getElement());
+    reconcileElements(outlet, elements);
+
+    return createRenderedStory(story, components, elements, issues);
+  };
 
+  /**
+   * Bundle a rendered story with its cleanup
+   */
+  const createRenderedStory = (story, components, elements, issues = []) => {
     return {
       story,
       components,
       elements,
-      destroy: () => {
-        components.forEach(component => {
-          if (component.destroy) {
-            component.destroy();
-          }
-        });
-      },
+      issues,
+      destroy: reconciler.destroy,
     };
   };
 
   /**
-   * Add default navigation
+   * Mount the layout of a story and get its outlet
+   * The layout element stays in place while pages share the layout; its
+   * regions are rendered again only when the global settings change
+   * @param {Object} story - Storyblok story
+   * @param {Object} [options] - Render options
+   * @param {boolean} [options.hydrate] - Attach to a pre-rendered layout
+   * @param {string} [options.language] - Storyblok language code
+   * @returns {HTMLElement} Outlet for the story body
    */
-  const addDefaultNavigation = () => {
-    const nav = document.createElement('nav');
-    nav.className = 'default-nav no-print';
-    nav.innerHTML = `
-      <div style="
-        background: var(--color-bg-secondary, #f8f9fa);
-        padding: 1rem;
-        border-bottom: 1px solid var(--color-border, #dee2e6);
-        margin-bottom: 2rem;
-      ">
-        <div style="
-          max-width: 1200px;
-          margin: 0 auto;
-          display: flex;
-          justify-content: space-between;
-          align-items: center;
-        ">
-          <h3 style="margin: 0; color: var(--color-text, #333);">
-            Your Website
-          </h3>
-          <div>
-            <a href="/" style="margin: 0 0.5rem;">Home</a>
-            <a href="/about" style="margin: 0 0.5rem;">About</a>
-            <a href="/contact" style="margin: 0 0.5rem;">Contact</a>
-          </div>
-        </div>
-      </div>
-    `;
-    container.insertBefore(nav, container.firstChild);
+  const mountLayout = (story, { hydrate = false, language } = {}) => {
+    const layout = resolveLayout(story);
+    let hydrateRegions = false;
+
+    if (
+      currentLayout?.layout !== layout ||
+      !currentLayout.element.isConnected
+    ) {
+      unmountLayout();
+
+      const rendered = hydrate && findLayoutElement(container, layout);
+      const mounted = rendered || createLayoutElement(layout);
+      if (!rendered) {
+        container.replaceChildren(mounted.element);
+      }
+
+      currentLayout = {
+        layout,
+        ...mounted,
+        settings: null,
+        reconciler: createReconciler(),
+      };
+      hydrateRegions = Boolean(rendered);
+    }
+
+    if (currentLayout.settings !== currentSettings) {
+      renderLayoutRegions({ hydrate: hydrateRegions, language });
+    }
+
+    return currentLayout.outlet;
   };
 
   /**
-   * Enable Storyblok live preview
+   * Render the regions of the current layout besides the outlet
+   * @param {Object} [options] - Render options
+   * @param {boolean} [options.hydrate] - Attach to pre-rendered markup
+   * @param {string} [options.language] - Storyblok language code
+   */
+  const renderLayoutRegions = ({ hydrate = false, language } = {}) => {
+    const { reconciler: regionReconciler } = currentLayout;
+    const context = createRenderContext({
+      language,
+      reconciler: regionReconciler,
+    });
+
+    regionReconciler.begin();
+    currentLayout.layout.regions
+      .filter(({ name }) => name !== OUTLET)
+      .forEach(region => {
+        storyblok.renderComponentsToContainer(
+          createRegionComponents(region, currentSettings, context),
+          currentLayout.regions[region.name],
+          { hydrate }
+        );
+      });
+    regionReconciler.commit();
+    currentLayout.settings = currentSettings;
+  };
+
+  /**
+   * Destroy the components of the current layout
    */
-  const enableStoryblokPreview = () => {
-    if (!window.storyblok) return;
+  const unmountLayout = () => {
+    currentLayout?.reconciler.destroy();
+    currentLayout = null;
+  };
 
-    window.storyblok.on(['input', 'published', 'change'], event => {
-      if (event.action === 'input') {
-        refreshContent();
+  /**
+   * Get the element page states render into
+   * @returns {HTMLElement} Outlet of the mounted layout, or the container
+   */
+  const getOutlet = () =>
+    currentLayout?.element.isConnected ? currentLayout.outlet : container;
+
+  /**
+   * Get a layout region around the page content
+   * Regions rendered by the server are reused
+   * @param {string} name - 'header' or 'footer'
+   * @returns {HTMLElement} Region element
+   */
+  const getRegion = name => {
+    let region = document.querySelector(`[data-global="${name}"]`);
+
+    if (!region) {
+      region = document.createElement('div');
+      region.className = `global-${name}`;
+      region.dataset.global = name;
+      if (name === 'header') {
+        container.before(region);
+      } else {
+        container.after(region);
       }
+    }
+
+    return region;
+  };
+
+  /**
+   * Render the header and footer of the global settings
+   * The layout persists across route changes and is only rendered again
+   * when the settings change, e.g. for another language or when published
+   * @param {Object|null} settings - Global settings
+   * @param {string} [language] - Storyblok language code
+   * @param {Object} [options] - Render options
+   * @param {boolean} [options.hydrate] - Attach to pre-rendered markup
+   */
+  const renderLayout = (settings, language, { hydrate = false } = {}) => {
+    if (settings === currentSettings) {
+      return;
+    }
+
+    currentSettings = settings;
+
+    const context = createRenderContext({
+      language,
+      reconciler: layoutReconciler,
+    });
+    layoutReconciler.begin();
+    const header = createGlobalComponents(settings, 'header', context);
+    const footer = createGlobalComponents(settings, 'footer', context);
+    layoutReconciler.commit();
+
+    const headerRegion = getRegion('header');
+    if (header.length > 0) {
+      storyblok.renderComponentsToContainer(header, headerRegion, { hydrate });
+    } else if (!hydrate || !headerRegion.firstElementChild) {
+      headerRegion.replaceChildren(createDefaultNavigation());
+    }
+
+    storyblok.renderComponentsToContainer(footer, getRegion('footer'), {
+      hydrate,
     });
 
-    window.storyblok.pingEditor();
+    applyTheme(settings?.theme);
+    if (currentStory) {
+      applySeo(currentStory.story);
+    }
+
+    // Regions of the page layout render blocks of the settings too
+    if (currentLayout?.element.isConnected) {
+      renderLayoutRegions({ language });
+    }
+  };
+
+  /**
+   * Reload the global settings and render the layout again
+   */
+  const refreshLayout = async () => {
+    const language = locales.toApiLanguage(currentLanguage);
+    storyblok.clearCache();
+    renderLayout(await globals.refresh(language), language);
+  };
+
+  /**
+   * Apply the theme chosen in the global settings
+   * @param {string} [theme] - Theme name
+   */
+  const applyTheme = theme => {
+    if (!theme || getCurrentTheme() === theme) {
+      return;
+    }
+
+    document.body.classList.forEach(name => {
+      if (name.startsWith('theme-')) {
+        document.body.classList.remove(name);
+      }
+    });
+    document.body.classList.add(`theme-${theme}`);
+
+    try {
+      switchTheme?.(theme);
+    } catch (error) {
+      if (isDevelopment()) {
+        console.warn(`Theme ${theme} not available:`, error.message);
+      }
+    }
+  };
+
+  /**
+   * Enable Storyblok live preview
+   * Drafts patch the changed blocks of the page; saving clears the caches.
+   * The bridge script is loaded first unless the page already has it.
+   */
+  const enableStoryblokPreview = async () => {
+    try {
+      const bridge = await loadEditorBridge({
+        resolveRelations: getRelationFields(),
+      });
+      if (destroyed) {
+        return;
+      }
+      editorBridge = createEditorBridge({
+        bridge,
+        onInput: applyDraft,
+        onSave: event => {
+          storyblok.clearCache();
+          if (isSettingsStory(event.story, event.storyId)) {
+            refreshLayout();
+          }
+        },
+      });
+    } catch (error) {
+      console.warn('Live preview unavailable:', error.message);
+    }
+  };
+
+  /**
+   * Check whether a story holds the global settings
+   * @param {Object} [story] - Storyblok story
+   * @param {number} [storyId] - Story id of an editor event
+   * @returns {boolean} True for the global settings story
+   */
+  const isSettingsStory = (story, storyId = story?.id) => {
+    const settingsId = currentSettings?.story?.id;
+    return (
+      globals.isGlobalStory(story) ||
+      Boolean(settingsId && storyId === settingsId)
+    );
+  };
+
+  /**
+   * Show a draft story of the Visual Editor
+   * Only changed blocks are updated, see createReconciler
+   * @param {Object} draft - Draft story
+   */
+  const applyDraft = async draft => {
+    const language = locales.toApiLanguage(currentLanguage);
+    // Drafts hide scheduled blocks like fetched stories
+    const story = storyblok.scheduleStory(draft);
+
+    // The global settings shape the layout of every page
+    if (isSettingsStory(story)) {
+      renderLayout(globals.prime(story, language), language);
+      return;
+    }
+    if (!currentStory || story.id !== currentStory.story.id) {
+      return;
+    }
+
+    try {
+      // Blocks are reconciled against the rendered page
+      await preserveView(async () => {
+        currentStory = await renderStory(story);
+      });
+    } catch (error) {
+      console.error('Failed to apply editor changes:', error);
+    }
   };
 
   /**
@@ -192,13 +945,9 @@ export const createApp = (config = {}) => {
       container.style.opacity = '0.7';
       container.style.transition = 'opacity 0.2s';
 
-      // Destroy current story
-      if (currentStory?.destroy) {
-        currentStory.destroy();
-      }
-
-      // Reload content
-      await loadContent();
+      // Reload content of the current route; components of unchanged
+      // blocks are kept
+      await router.handleRoute();
 
       // Restore opacity
       container.style.opacity = '1';
@@ -210,23 +959,39 @@ export const createApp = (config = {}) => {
 
   /**
    * Set up client-side routing
+   * Special pages get explicit routes, every other path renders its story
    */
   const setupRouter = () => {
-    // Handle browser navigation
-    window.addEventListener('popstate', () => {
-      loadContent();
+    // Redirects managed in Storyblok apply before any route renders
+    router.use(async (context, next) => {
+      const redirect = await redirects.resolve(context.path, { locales });
+      if (redirect) {
+        await router.redirect(redirect.location);
+        return;
+      }
+      next();
     });
 
-    // Handle link clicks
-    document.addEventListener('click', event => {
-      const link = event.target.closest('a[href^="/"]');
-      if (link && !link.hasAttribute('target')) {
-        event.preventDefault();
-        const href = link.getAttribute('href');
-        window.history.pushState({}, '', href);
-        loadContent();
-      }
+    router.use((context, next) => {
+      currentRoute = context.path.split('?')[0];
+      next();
+    });
+
+    routes.forEach(({ path, handler, ...options }) => {
+      router.add(
+        path,
+        context =>
+          handler(context, {
+            loadStory: slug => loadContent({ ...context, slug }),
+            getOutlet,
+          }),
+        options
+      );
     });
+    router.add('*', loadContent);
+
+    router.beforeEach(formGuard.hook);
+    router.listen();
   };
 
   /**
@@ -235,7 +1000,7 @@ export const createApp = (config = {}) => {
   const showLoadingState = () => {
     const existing = container.querySelector('.app-loading');
     if (!existing) {
-      container.innerHTML = `
+      getOutlet().innerHTML = `
         <div class="app-loading">
           <div class="loading-spinner"></div>
           <p class="loading-text">Loading content...</p>
@@ -258,6 +1023,7 @@ export const createApp = (config = {}) => {
    * Show error state
    */
   const showErrorState = error => {
+    unmountLayout();
     container.innerHTML = `
       <div class="app-error">
         <h1>❌ Unable to Load Content</h1>
@@ -269,10 +1035,62 @@ export const createApp = (config = {}) => {
     `;
   };
 
+  /**
+   * List the story's validation issues for editors
+   * Shown in development and inside the Storyblok Visual Editor only
+   * @param {Array<Object>} issues - Issues collected while rendering
+   */
+  const showValidationIssues = issues => {
+    document.querySelector('.validation-issues')?.remove();
+
+    const inEditor = new URLSearchParams(window.location.search).has(
+      '_storyblok'
+    );
+    if (issues.length === 0 || !(inEditor || isDevelopment())) {
+      return;
+    }
+
+    const panel = document.createElement('aside');
+    panel.className = 'validation-issues';
+    panel.setAttribute('role', 'status');
+    panel.style.cssText = `
+      position: fixed;
+      right: 10px;
+      bottom: 10px;
+      max-width: 360px;
+      max-height: 40vh;
+      overflow: auto;
+      padding: 0.75rem 1rem;
+      background: #fff8e1;
+      border: 1px solid #ffb300;
+      border-radius: 4px;
+      font-size: 13px;
+      z-index: 9998;
+    `;
+
+    const title = document.createElement('strong');
+    title.textContent = `⚠️ ${issues.length} content issue(s)`;
+    const list = document.createElement('ul');
+    list.style.cssText = 'margin: 0.5rem 0 0; padding-left: 1.25rem;';
+
+    issues.forEach(issue => {
+      const item = document.createElement('li');
+      item.textContent = `${issue.component}: ${issue.message}`;
+      if (issue.severity === 'error') {
+        item.style.color = '#c62828';
+      }
+      list.appendChild(item);
+    });
+
+    panel.append(title, list);
+    document.body.appendChild(panel);
+  };
+
   /**
    * Show setup guide for new users
    */
   const showSetupGuide = () => {
+    unmountLayout();
     container.innerHTML = `
       <div class="setup-guide">
         <h1>🚀 Welcome to Svarog-UI + Storyblok</h1>
@@ -319,31 +1137,53 @@ export const createApp = (config = {}) => {
       ready: document.body.classList.contains('app-ready'),
       currentRoute,
       currentTheme: getCurrentTheme(),
+      currentLanguage,
       cacheStats: storyblok.getCacheStats(),
       storyLoaded: !!currentStory,
+      settingsLoaded: !!currentSettings,
+      layout: currentLayout?.layout.name || null,
+      validationIssues: currentStory?.issues || [],
     };
   };
 
   /**
    * Navigate to route
+   * @param {string} path - Path to navigate to
+   * @param {Object} [options] - Router navigation options
    */
-  const navigateToRoute = async path => {
-    currentRoute = path;
-    window.history.pushState({}, '', path);
-    await loadContent();
+  const navigateToRoute = async (path, options) => {
+    await router.navigate(path, options);
   };
 
   /**
    * Destroy application
    */
   const destroy = () => {
+    destroyed = true;
+    router.destroy();
+    formGuard.destroy();
+    prefetcher?.destroy();
+    editorBridge?.destroy();
+
     // Destroy current story
     if (currentStory?.destroy) {
       currentStory.destroy();
     }
 
+    head.clear();
+    previewBanner?.remove();
+
+    // Destroy the layouts
+    unmountLayout();
+    layoutReconciler.destroy();
+    document
+      .querySelectorAll('[data-global]')
+      .forEach(region => region.remove());
+
     // Clear container
     container.innerHTML = '';
+    document.querySelector('.validation-issues')?.remove();
+    document.querySelector('.language-switcher')?.remove();
 
     // Remove ready class
     document.body.classList.remove('app-ready');
@@ -353,6 +1193,7 @@ export const createApp = (config = {}) => {
   return {
     init,
     navigateToRoute,
+    router,
     getStatus,
     destroy,
     // Development utilities
@@ -6,6 +6,7 @@
 
 import * as SvarogUICore from 'svarog-ui-core';
 import { defaultTheme } from 'svarog-ui';
+import { DEFAULT_TRANSFORMERS } from '../integration/transformers.js';
 
 // CUSTOM COMPONENT IMPORTS
 // Add your custom component imports below this line
@@ -174,73 +175,78 @@ if (process.env.NODE_ENV === 'development') {
 export const COMPONENT_FACTORIES = new Map(COMPONENT_FACTORIES_DATA);
 
 /**
- * CMS to Svarog-UI component mapping
- * This mapping stays the same regardless of what components are available
+ * Built-in CMS to Svarog-UI component mappings, grouped by category
+ * These seed the component registry; add project blocks with registerComponent
  */
-export const CMS_COMPONENT_MAP = new Map([
-  // Layout
-  ['grid', 'Grid'],
-  ['section', 'Section'],
-  ['page', 'Page'],
-
-  // Content
-  ['hero_section', 'Hero'],
-  ['muchandy_hero', 'MuchandyHero'],
-  ['text_block', 'Typography'],
-  ['card', 'Card'],
-  ['image', 'Image'],
-  ['logo', 'Logo'],
-
-  // Navigation
-  ['header', 'Header'],
-  ['collapsible_header', 'CollapsibleHeader'],
-  ['navigation', 'Navigation'],
-  ['footer', 'Footer'],
-  ['pagination', 'Pagination'],
-  ['tabs', 'Tabs'],
-
-  // Forms
-  ['form', 'Form'],
-  ['form_group', 'FormGroup'],
-  ['form_section', 'FormSection'],
-  ['form_actions', 'FormActions'],
-  ['input', 'Input'],
-  ['select', 'Select'],
-  ['checkbox', 'Checkbox'],
-  ['radio', 'Radio'],
-  ['radio_group', 'RadioGroup'],
-  ['condition_selector', 'ConditionSelector'],
-
-  // UI Elements
-  ['button', 'Button'],
-  ['link', 'Link'],
-  ['rating', 'Rating'],
-  ['price_display', 'PriceDisplay'],
-  ['steps_indicator', 'StepsIndicator'],
-
-  // Blog
-  ['blog_card', 'BlogCard'],
-  ['blog_list', 'BlogList'],
-  ['blog_detail', 'BlogDetail'],
-
-  // Products
-  ['product_card', 'ProductCard'],
-
-  // Specialized
-  ['phone_repair_form', 'PhoneRepairForm'],
-  ['used_phone_price_form', 'UsedPhonePriceForm'],
-  ['contact_info', 'ContactInfo'],
-  ['sticky_contact_icons', 'StickyContactIcons'],
-  ['map', 'Map'],
-
-  // CUSTOM COMPONENT MAPPINGS
-  // Add your custom CMS mappings below this line
-]);
+const BUILT_IN_COMPONENTS = {
+  Layout: [
+    ['grid', 'Grid'],
+    ['section', 'Section'],
+    ['page', 'Page'],
+  ],
+
+  Content: [
+    ['hero_section', 'Hero'],
+    ['muchandy_hero', 'MuchandyHero'],
+    ['text_block', 'Typography'],
+    ['card', 'Card'],
+    ['image', 'Image'],
+    ['logo', 'Logo'],
+  ],
+
+  Navigation: [
+    ['header', 'Header'],
+    ['collapsible_header', 'CollapsibleHeader'],
+    ['navigation', 'Navigation'],
+    ['footer', 'Footer'],
+    ['pagination', 'Pagination'],
+    ['tabs', 'Tabs'],
+  ],
+
+  Forms: [
+    ['form', 'Form'],
+    ['form_group', 'FormGroup'],
+    ['form_section', 'FormSection'],
+    ['form_actions', 'FormActions'],
+    ['input', 'Input'],
+    ['select', 'Select'],
+    ['checkbox', 'Checkbox'],
+    ['radio', 'Radio'],
+    ['radio_group', 'RadioGroup'],
+    ['condition_selector', 'ConditionSelector'],
+  ],
+
+  'UI Elements': [
+    ['button', 'Button'],
+    ['link', 'Link'],
+    ['rating', 'Rating'],
+    ['price_display', 'PriceDisplay'],
+    ['steps_indicator', 'StepsIndicator'],
+  ],
+
+  Blog: [
+    ['blog_card', 'BlogCard'],
+    ['blog_list', 'BlogList'],
+    ['blog_detail', 'BlogDetail'],
+  ],
+
+  Products: [['product_card', 'ProductCard']],
+
+  Specialized: [
+    ['phone_repair_form', 'PhoneRepairForm'],
+    ['used_phone_price_form', 'UsedPhonePriceForm'],
+    ['contact_info', 'ContactInfo'],
+    ['sticky_contact_icons', 'StickyContactIcons'],
+    ['map', 'Map'],
+  ],
+};
 
 /**
- * Component validation schemas
+ * Component validation schemas for the built-in components
+ * Fields with a datasource rule get their options from a Storyblok
+ * datasource when the editor leaves them empty, see integration/datasources.js
  */
-export const COMPONENT_SCHEMAS = {
+const BUILT_IN_SCHEMAS = {
   // Layout Components
   grid: {
     columns: { type: 'number', min: 1, max: 12, default: 12 },
@@ -253,9 +259,10 @@ export const COMPONENT_SCHEMAS = {
   },
 
   section: {
+    // Section supports the 'minor' variant only; 'default' renders none
     variant: {
       type: 'string',
-      enum: ['default', 'primary', 'secondary'],
+      enum: ['default', 'minor'],
       default: 'default',
     },
     padding: {
@@ -324,7 +331,7 @@ export const COMPONENT_SCHEMAS = {
   logo: {
     src: { type: 'asset', required: true },
     alt: { type: 'string', required: true },
-    href: { type: 'string', default: '/' },
+    href: { type: 'link', default: '/' },
     size: {
       type: 'string',
       enum: ['small', 'medium', 'large'],
@@ -417,7 +424,13 @@ export const COMPONENT_SCHEMAS = {
   select: {
     name: { type: 'string', required: true },
     label: { type: 'string' },
-    options: { type: 'array', required: true },
+    // Editors enter options or name a datasource to take them from
+    datasource: { type: 'string' },
+    options: {
+      type: 'array',
+      required: true,
+      datasource: props => props.datasource,
+    },
     value: { type: 'string' },
     required: { type: 'boolean', default: false },
   },
@@ -443,7 +456,7 @@ export const COMPONENT_SCHEMAS = {
   },
 
   condition_selector: {
-    conditions: { type: 'array', required: true },
+    conditions: { type: 'array', required: true, datasource: 'conditions' },
     value: { type: 'string' },
     onChange: { type: 'function' },
   },
@@ -451,7 +464,7 @@ export const COMPONENT_SCHEMAS = {
   // UI Components
   button: {
     text: { type: 'string', required: true },
-    url: { type: 'string' },
+    url: { type: 'link' },
     variant: {
       type: 'string',
       enum: ['primary', 'secondary', 'outline'],
@@ -467,7 +480,7 @@ export const COMPONENT_SCHEMAS = {
 
   link: {
     text: { type: 'string', required: true },
-    href: { type: 'string', required: true },
+    href: { type: 'link', required: true },
     target: { type: 'string', enum: ['_self', '_blank'], default: '_self' },
     variant: {
       type: 'string',
@@ -510,7 +523,7 @@ export const COMPONENT_SCHEMAS = {
     image: { type: 'asset' },
     date: { type: 'string' },
     author: { type: 'string' },
-    link: { type: 'string', required: true },
+    link: { type: 'link', required: true },
   },
 
   blog_list: {
@@ -533,7 +546,7 @@ export const COMPONENT_SCHEMAS = {
     price: { type: 'number', required: true },
     image: { type: 'asset', required: true },
     description: { type: 'string' },
-    link: { type: 'string' },
+    link: { type: 'link' },
     inStock: { type: 'boolean', default: true },
   },
 
@@ -545,8 +558,8 @@ export const COMPONENT_SCHEMAS = {
   },
 
   used_phone_price_form: {
-    phoneModels: { type: 'array', required: true },
-    conditions: { type: 'array', required: true },
+    phoneModels: { type: 'array', required: true, datasource: 'phone-models' },
+    conditions: { type: 'array', required: true, datasource: 'conditions' },
     basePrice: { type: 'object' },
     onCalculate: { type: 'function' },
   },
@@ -572,80 +585,190 @@ export const COMPONENT_SCHEMAS = {
     markers: { type: 'array' },
   },
 
-  // CUSTOM COMPONENT SCHEMAS
-  // Add your custom component schemas below this line
+  // Custom blocks pass their schema to registerComponent
+};
+
+/**
+ * Fields of built-in components that reference other stories by UUID
+ */
+const BUILT_IN_RELATIONS = {
+  blog_list: ['posts'],
+};
+
+/**
+ * Component registry
+ * Single source for mapping, validation and showcase, keyed by CMS type
+ */
+const COMPONENT_REGISTRY = new Map();
+
+/**
+ * Svarog-UI component names by CMS type, derived from the registry
+ * Read-only; register blocks with registerComponent
+ */
+export const CMS_COMPONENT_MAP = new Map();
+
+/**
+ * Validation schemas by CMS type, derived from the registry
+ * Read-only; pass schemas to registerComponent
+ */
+export const COMPONENT_SCHEMAS = {};
+
+/**
+ * Updates CMS_COMPONENT_MAP and COMPONENT_SCHEMAS for a block type
+ * @param {string} cmsType - Storyblok component technical name
+ * @param {Object|null} entry - Registry entry, null once unregistered
+ */
+const syncRegistryViews = (cmsType, entry) => {
+  if (entry?.svarogType) {
+    CMS_COMPONENT_MAP.set(cmsType, entry.svarogType);
+  } else {
+    CMS_COMPONENT_MAP.delete(cmsType);
+  }
+
+  if (entry?.schema) {
+    COMPONENT_SCHEMAS[cmsType] = entry.schema;
+  } else {
+    delete COMPONENT_SCHEMAS[cmsType];
+  }
+};
+
+/**
+ * Registers a Storyblok block type, or updates an existing registration
+ * Omitted fields keep their current value, so a project can e.g. replace only
+ * the transformer of a built-in block
+ * @param {string} cmsType - Storyblok component technical name
+ * @param {Object|string} definition - Definition, or a Svarog-UI component name
+ * @param {string} [definition.svarogType] - Name of a registered factory
+ * @param {Function} [definition.factory] - Factory, takes precedence over svarogType
+ * @param {Function} [definition.transform] - Maps CMS props to component props,
+ *   called as transform(props, context)
+ * @param {Object} [definition.schema] - Validation schema for the CMS props
+ * @param {Array<string>} [definition.relations] - Fields holding story UUIDs,
+ *   resolved to the referenced stories before transformation
+ * @param {string} [definition.category] - Showcase category
+ * @returns {Object} Registered definition
+ */
+export const registerComponent = (cmsType, definition = {}) => {
+  if (!cmsType || typeof cmsType !== 'string') {
+    throw new Error('registerComponent requires a CMS component type');
+  }
+
+  const update =
+    typeof definition === 'string' ? { svarogType: definition } : definition;
+  const entry = {
+    svarogType: null,
+    factory: null,
+    transform: null,
+    schema: null,
+    relations: [],
+    category: 'Other',
+    ...COMPONENT_REGISTRY.get(cmsType),
+    ...Object.fromEntries(
+      Object.entries(update).filter(([, value]) => value !== undefined)
+    ),
+    cmsType,
+  };
+
+  if (!entry.factory && !entry.svarogType) {
+    throw new Error(
+      `Component ${cmsType} needs either a factory or a svarogType`
+    );
+  }
+
+  COMPONENT_REGISTRY.set(cmsType, entry);
+  syncRegistryViews(cmsType, entry);
+  return entry;
+};
+
+/**
+ * Registers several block types at once
+ * @param {Object} definitions - Definitions keyed by CMS type
+ */
+export const registerComponents = definitions => {
+  Object.entries(definitions).forEach(([cmsType, definition]) => {
+    registerComponent(cmsType, definition);
+  });
+};
+
+/**
+ * Removes a block type from the registry
+ * @param {string} cmsType - Storyblok component technical name
+ * @returns {boolean} True if the type was registered
+ */
+export const unregisterComponent = cmsType => {
+  syncRegistryViews(cmsType, null);
+  return COMPONENT_REGISTRY.delete(cmsType);
 };
 
+Object.entries(BUILT_IN_COMPONENTS).forEach(([category, components]) => {
+  components.forEach(([cmsType, svarogType]) => {
+    registerComponent(cmsType, {
+      svarogType,
+      transform: DEFAULT_TRANSFORMERS[cmsType] || null,
+      schema: BUILT_IN_SCHEMAS[cmsType] || null,
+      relations: BUILT_IN_RELATIONS[cmsType] || [],
+      category,
+    });
+  });
+});
+
+// CUSTOM COMPONENT MAPPINGS
+// Register project blocks with registerComponent, here or from your own module:
+// registerComponent('my_block', { factory: MyBlock, schema, category: 'Custom' });
+
 /**
  * Helper functions
  */
+export const getComponentDefinition = cmsType => {
+  return COMPONENT_REGISTRY.get(cmsType) || null;
+};
+
+export const getRegisteredComponentTypes = () => {
+  return Array.from(COMPONENT_REGISTRY.keys());
+};
+
 export const getComponentFactory = componentName => {
   return COMPONENT_FACTORIES.get(componentName) || null;
 };
 
+/**
+ * Gets the factory for a CMS type, preferring a directly registered factory
+ * @param {string} cmsType - Storyblok component technical name
+ * @returns {Function|null} Component factory
+ */
+export const resolveComponentFactory = cmsType => {
+  const entry = COMPONENT_REGISTRY.get(cmsType);
+  if (!entry) {
+    return null;
+  }
+  return entry.factory || getComponentFactory(entry.svarogType);
+};
+
 export const getCMSMapping = cmsComponentType => {
-  return CMS_COMPONENT_MAP.get(cmsComponentType) || null;
+  return COMPONENT_REGISTRY.get(cmsComponentType)?.svarogType || null;
 };
 
 export const getValidationSchema = componentType => {
-  return COMPONENT_SCHEMAS[componentType] || null;
+  return COMPONENT_REGISTRY.get(componentType)?.schema || null;
 };
 
-export const getAllComponentsForShowcase = () => {
-  return Array.from(CMS_COMPONENT_MAP.entries()).map(
-    ([cmsType, svarogType]) => ({
-      cmsType,
-      svarogType,
-      schema: COMPONENT_SCHEMAS[cmsType] || {},
-      category: getComponentCategory(cmsType),
-    })
+/**
+ * Gets the relation fields of all registered blocks
+ * @returns {Array<string>} Fields in resolve_relations format, 'component.field'
+ */
+export const getRelationFields = () => {
+  return Array.from(COMPONENT_REGISTRY.values()).flatMap(entry =>
+    (entry.relations || []).map(field => `${entry.cmsType}.${field}`)
   );
 };
 
-const getComponentCategory = componentType => {
-  const categories = {
-    grid: 'Layout',
-    section: 'Layout',
-    page: 'Layout',
-    hero_section: 'Content',
-    muchandy_hero: 'Content',
-    text_block: 'Content',
-    card: 'Content',
-    image: 'Content',
-    logo: 'Content',
-    header: 'Navigation',
-    collapsible_header: 'Navigation',
-    navigation: 'Navigation',
-    footer: 'Navigation',
-    pagination: 'Navigation',
-    tabs: 'Navigation',
-    form: 'Forms',
-    form_group: 'Forms',
-    form_section: 'Forms',
-    form_actions: 'Forms',
-    input: 'Forms',
-    select: 'Forms',
-    checkbox: 'Forms',
-    radio: 'Forms',
-    radio_group: 'Forms',
-    condition_selector: 'Forms',
-    button: 'UI Elements',
-    link: 'UI Elements',
-    rating: 'UI Elements',
-    price_display: 'UI Elements',
-    steps_indicator: 'UI Elements',
-    blog_card: 'Blog',
-    blog_list: 'Blog',
-    blog_detail: 'Blog',
-    product_card: 'Products',
-    phone_repair_form: 'Specialized',
-    used_phone_price_form: 'Specialized',
-    contact_info: 'Specialized',
-    sticky_contact_icons: 'Specialized',
-    map: 'Specialized',
-  };
-
-  return categories[componentType] || 'Other';
+export const getAllComponentsForShowcase = () => {
+  return Array.from(COMPONENT_REGISTRY.values()).map(entry => ({
+    cmsType: entry.cmsType,
+    svarogType: entry.svarogType,
+    schema: entry.schema || {},
+    category: entry.category,
+  }));
 };
 
 export const registerComponentFactory = (name, factory) => {
@@ -653,7 +776,7 @@ export const registerComponentFactory = (name, factory) => {
 };
 
 export const registerCMSMapping = (cmsType, svarogType) => {
-  CMS_COMPONENT_MAP.set(cmsType, svarogType);
+  registerComponent(cmsType, { svarogType });
 };
 
 // Export theme utilities
@@ -47,6 +47,18 @@ const getEnvVar = (key, defaultValue) => {
     VITE_STORYBLOK_SPACE_ID: process.env.VITE_STORYBLOK_SPACE_ID,
     VITE_STORYBLOK_REGION: process.env.VITE_STORYBLOK_REGION,
     VITE_BASE_URL: process.env.VITE_BASE_URL,
+    VITE_VALIDATION_STRICTNESS: process.env.VITE_VALIDATION_STRICTNESS,
+    VITE_BASE_PATH: process.env.VITE_BASE_PATH,
+    VITE_STORYBLOK_URL_PREFIX: process.env.VITE_STORYBLOK_URL_PREFIX,
+    VITE_STORYBLOK_LANGUAGES: process.env.VITE_STORYBLOK_LANGUAGES,
+    VITE_STORYBLOK_DEFAULT_LANGUAGE:
+      process.env.VITE_STORYBLOK_DEFAULT_LANGUAGE,
+    VITE_LOCALE_DOMAINS: process.env.VITE_LOCALE_DOMAINS,
+    VITE_STORYBLOK_GLOBAL_STORY: process.env.VITE_STORYBLOK_GLOBAL_STORY,
+    VITE_STORYBLOK_REDIRECTS_STORY: process.env.VITE_STORYBLOK_REDIRECTS_STORY,
+    VITE_STORYBLOK_REDIRECTS_DATASOURCE:
+      process.env.VITE_STORYBLOK_REDIRECTS_DATASOURCE,
+    VITE_STORYBLOK_NOT_FOUND_STORY: process.env.VITE_STORYBLOK_NOT_FOUND_STORY,
     NODE_ENV: process.env.NODE_ENV,
   };
 
@@ -72,13 +84,17 @@ const environmentConfig = {
       enableThemeSwitcher: true,
       exposeDebugTools: true,
     },
+    validation: {
+      strictness: 'warn',
+    },
   },
 
   [ENVIRONMENTS.STAGING]: {
+    // Drafts are served to preview sessions only, see server/preview.js
     storyblok: {
-      version: 'draft',
+      version: 'published',
       cache: true,
-      enablePreview: true,
+      enablePreview: false,
     },
     performance: {
       enableMonitoring: true,
@@ -89,6 +105,9 @@ const environmentConfig = {
       enableThemeSwitcher: false,
       exposeDebugTools: false,
     },
+    validation: {
+      strictness: 'warn',
+    },
   },
 
   [ENVIRONMENTS.PRODUCTION]: {
@@ -106,6 +125,9 @@ const environmentConfig = {
       enableThemeSwitcher: false,
       exposeDebugTools: false,
     },
+    validation: {
+      strictness: 'lenient',
+    },
   },
 
   [ENVIRONMENTS.TEST]: {
@@ -123,6 +145,9 @@ const environmentConfig = {
       enableThemeSwitcher: false,
       exposeDebugTools: false,
     },
+    validation: {
+      strictness: 'warn',
+    },
   },
 };
 
@@ -183,6 +208,15 @@ export const getAppConfig = () => {
 
   return {
     baseURL: getEnvVar('VITE_BASE_URL', 'http://localhost:3000'),
+    // Story holding header, footer, navigation, SEO defaults and theme
+    globalStory: getEnvVar('VITE_STORYBLOK_GLOBAL_STORY') || 'settings/global',
+    // Story and datasource holding redirects
+    redirectsStory:
+      getEnvVar('VITE_STORYBLOK_REDIRECTS_STORY') || 'settings/redirects',
+    redirectsDatasource:
+      getEnvVar('VITE_STORYBLOK_REDIRECTS_DATASOURCE') || 'redirects',
+    // Story shown for paths without a story, with status 404
+    notFoundStory: getEnvVar('VITE_STORYBLOK_NOT_FOUND_STORY') || 'not-found',
     apiTimeout: 10000,
     maxRetries: 3,
     defaultTheme: 'default',
@@ -225,6 +259,60 @@ export const getDebugConfig = () => {
   };
 };
 
+/**
+ * Validation configuration
+ * strictness: 'lenient' renders and only collects issues, 'warn' also logs
+ * them, 'strict' replaces invalid blocks with a fallback
+ */
+export const getValidationConfig = () => {
+  const envConfig = getEnvironmentConfig();
+
+  return {
+    // Webpack injects an empty string when the variable is not set
+    strictness:
+      getEnvVar('VITE_VALIDATION_STRICTNESS') ||
+      envConfig.validation.strictness,
+  };
+};
+
+/**
+ * Splits a comma-separated environment variable
+ * @param {string} key - Environment variable key
+ * @returns {Array<string>} Trimmed, non-empty entries
+ */
+const getEnvList = key =>
+  (getEnvVar(key) || '')
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean);
+
+/**
+ * Link configuration
+ * folderPrefix is the content folder that maps to the site root; stories in
+ * language folders other than the default language keep their prefix
+ */
+export const getLinkConfig = () => ({
+  basePath: getEnvVar('VITE_BASE_PATH') || '',
+  folderPrefix: getEnvVar('VITE_STORYBLOK_URL_PREFIX') || '',
+  languages: getEnvList('VITE_STORYBLOK_LANGUAGES'),
+  defaultLanguage: getEnvVar('VITE_STORYBLOK_DEFAULT_LANGUAGE') || null,
+});
+
+/**
+ * Language configuration
+ * Languages are Storyblok language codes; domains maps hosts to the
+ * language they serve, from 'example.de=de,example.fr=fr'
+ */
+export const getI18nConfig = () => ({
+  languages: getEnvList('VITE_STORYBLOK_LANGUAGES'),
+  defaultLanguage: getEnvVar('VITE_STORYBLOK_DEFAULT_LANGUAGE') || null,
+  domains: Object.fromEntries(
+    getEnvList('VITE_LOCALE_DOMAINS')
+      .map(entry => entry.split('=').map(part => part.trim()))
+      .filter(([host, language]) => host && language)
+  ),
+});
+
 /**
  * Validates required environment variables (non-throwing version)
  * @returns {Object} Validation result
@@ -267,8 +355,8 @@ export const getFeatureFlags = () => {
   const env = getCurrentEnvironment();
 
   return {
-    enableLivePreview:
-      env === ENVIRONMENTS.DEVELOPMENT || env === ENVIRONMENTS.STAGING,
+    // Elsewhere the server enables it for validated preview sessions
+    enableLivePreview: env === ENVIRONMENTS.DEVELOPMENT,
     enablePerformanceMonitoring: env !== ENVIRONMENTS.TEST,
     enableErrorReporting: env === ENVIRONMENTS.PRODUCTION,
     enableDebugPanel: env === ENVIRONMENTS.DEVELOPMENT,
@@ -4,17 +4,104 @@
  * Maps Storyblok components to Svarog-UI components with validation
  */
 
-import { getComponentFactory, getCMSMapping } from '../config/components.js';
-import { sanitizeHTML } from '../utils/validation/index.js';
-import { memoize } from '../utils/algorithms/index.js';
+import {
+  getComponentDefinition,
+  getRegisteredComponentTypes,
+  registerComponent as registerComponentDefinition,
+  resolveComponentFactory,
+} from '../config/components.js';
+import { createDefaultTransformer } from './transformers.js';
+import { createLinkResolver } from './links.js';
+import { createLocaleResolver } from './i18n.js';
+import { injectDatasourceOptions } from './datasources.js';
+import { mountEmbeddedBloks } from './richText.js';
+import {
+  getI18nConfig,
+  getLinkConfig,
+  getValidationConfig,
+} from '../config/environment.js';
+import {
+  STRICTNESS,
+  ValidationError,
+  validateBlock,
+} from '../utils/validation/index.js';
 import { isDevelopment } from '../utils/environment.js';
 
+// Used for registered blocks that bring no transformer of their own
+const genericTransformer = createDefaultTransformer();
+
+/**
+ * Creates the context threaded through createComponent and the transformers
+ * One context per story collects the validation issues of all its blocks
+ * @param {Object} [options] - Context options
+ * @param {string} [options.strictness] - Validation strictness, see STRICTNESS
+ * @param {string} [options.language] - Language of the story, links to
+ *   other stories stay in it
+ * @param {string} [options.host] - Host the page is served from, for
+ *   languages with their own domain
+ * @param {Object} [options.linkResolver] - Resolver from createLinkResolver
+ * @param {Object} [options.datasources] - Datasource options keyed by slug
+ * @param {Object} [options.reconciler] - Reconciler from createReconciler,
+ *   reuses the component instances of its previous pass
+ * @returns {Object} Render context
+ */
+export const createRenderContext = ({
+  strictness = getValidationConfig().strictness,
+  language = null,
+  host = typeof window !== 'undefined' ? window.location.hostname : null,
+  linkResolver = createLinkResolver({
+    ...getLinkConfig(),
+    language,
+    localizePath: createLocaleResolver({ ...getI18nConfig(), host })
+      .localizePath,
+  }),
+  datasources = {},
+  reconciler = null,
+} = {}) => ({
+  strictness,
+  language,
+  linkResolver,
+  datasources,
+  reconciler,
+  issues: [],
+});
+
 /**
  * Main component creation function with validation and caching
+ * With a reconciler in the context, instances of the previous pass are
+ * reused where the block allows it
+ * @param {Object} cmsComponent - Storyblok component data
+ * @param {Object} [context] - Render context from createRenderContext
+ * @returns {Object|null} Svarog-UI component instance or null
+ */
+export const createComponent = (
+  cmsComponent,
+  context = createRenderContext()
+) => {
+  const { reconciler } = context;
+  const reused = cmsComponent && reconciler?.reuse(cmsComponent, context);
+  if (reused) {
+    return reused;
+  }
+
+  const issueCount = context.issues.length;
+  const component = buildComponent(cmsComponent, context);
+  reconciler?.track(
+    cmsComponent,
+    component,
+    context,
+    context.issues.slice(issueCount)
+  );
+  return component;
+};
+
+/**
+ * Creates a new component instance for a block
  * @param {Object} cmsComponent - Storyblok component data
+ * @param {Object} context - Render context from createRenderContext
  * @returns {Object|null} Svarog-UI component instance or null
  */
-export const createComponent = cmsComponent => {
+const buildComponent = (cmsComponent, context) => {
   if (!cmsComponent || !cmsComponent.component) {
     if (isDevelopment()) {
       console.warn('Invalid CMS component data:', cmsComponent);
@@ -22,27 +109,59 @@ export const createComponent = cmsComponent => {
     return null;
   }
 
-  const { component: componentType, ...props } = cmsComponent;
-  const svarogComponentName = getCMSMapping(componentType);
+  const { component: componentType } = cmsComponent;
+  const definition = getComponentDefinition(componentType);
 
-  if (!svarogComponentName) {
+  if (!definition) {
     if (isDevelopment()) {
       console.warn(`No mapping found for component type: ${componentType}`);
     }
-    return createFallbackComponent(cmsComponent);
+    reportIssues(context, cmsComponent, [
+      { message: 'Unknown component type', severity: 'error' },
+    ]);
+    return markBlockElement(
+      createFallbackComponent(cmsComponent),
+      cmsComponent
+    );
   }
 
-  const factory = getComponentFactory(svarogComponentName);
+  const svarogComponentName = definition.svarogType || componentType;
+  const factory = resolveComponentFactory(componentType);
   if (!factory) {
     if (isDevelopment()) {
       console.warn(`No factory found for component: ${svarogComponentName}`);
     }
-    return createFallbackComponent(cmsComponent);
+    return markBlockElement(
+      createFallbackComponent(cmsComponent),
+      cmsComponent
+    );
   }
 
+  const validation = prepareProps(cmsComponent, definition, context);
+  if (validation.errors) {
+    return markBlockElement(
+      createFallbackComponent(
+        cmsComponent,
+        new ValidationError(
+          validation.errors.map(issue => issue.message).join(', ')
+        )
+      ),
+      cmsComponent
+    );
+  }
+
+  // Bloks embedded in rich text props, mounted into the component's element
+  const embedded = [];
+
   try {
     // Transform props for Svarog-UI
-    const transformedProps = transformPropsForComponent(props, componentType);
+    const transformedProps = transformPropsForComponent(
+      validation.props,
+      componentType,
+      definition.transform,
+      context,
+      embedded
+    );
 
     if (isDevelopment()) {
       console.log(
@@ -52,7 +171,9 @@ export const createComponent = cmsComponent => {
     }
 
     // Create component instance
-    const component = factory(transformedProps);
+    const { result: component, listeners } = recordListeners(() =>
+      factory(transformedProps)
+    );
 
     if (!component || !component.getElement) {
       throw new Error(
@@ -60,266 +181,351 @@ export const createComponent = cmsComponent => {
       );
     }
 
-    return component;
+    return markBlockElement(
+      attachEmbeddedBloks(
+        makeHydratable(component, listeners),
+        embedded,
+        context
+      ),
+      cmsComponent
+    );
   } catch (error) {
     console.error(`Error creating component ${componentType}:`, error);
-    return createFallbackComponent(cmsComponent, error);
+    destroyEmbeddedBloks(embedded, context);
+    return markBlockElement(
+      createFallbackComponent(cmsComponent, error),
+      cmsComponent
+    );
   }
 };
 
 /**
- * Transforms CMS props to Svarog-UI compatible props
- * @param {Object} props - CMS props
- * @param {string} componentType - Component type
- * @returns {Object} Transformed props
+ * Creates the props of a block without creating its component
+ * Used to update existing component instances, e.g. from the Visual Editor
+ * @param {Object} cmsComponent - Storyblok component data
+ * @param {Object} [context] - Render context from createRenderContext
+ * @returns {Object|null} Transformed props, null if createComponent would
+ *   render a fallback or rich text embeds bloks, which only new instances
+ *   mount
  */
-const transformPropsForComponent = (props, componentType) => {
-  const transformers = {
-    hero_section: transformHeroProps,
-    text_block: transformTextBlockProps,
-    button: transformButtonProps,
-    card: transformCardProps,
-    image: transformImageProps,
-    grid: transformGridProps,
-    section: transformSectionProps,
-    header: transformHeaderProps,
-    footer: transformFooterProps,
-    navigation: transformNavigationProps,
-  };
+export const getComponentProps = (
+  cmsComponent,
+  context = createRenderContext()
+) => {
+  const definition = getComponentDefinition(cmsComponent?.component);
+  if (!definition || !resolveComponentFactory(cmsComponent.component)) {
+    return null;
+  }
 
-  const transformer = transformers[componentType];
-  if (!transformer) {
-    if (isDevelopment()) {
-      console.warn(
-        `No transformer found for ${componentType}, using props as-is`
-      );
+  const validation = prepareProps(cmsComponent, definition, context);
+  if (validation.errors) {
+    return null;
+  }
+
+  const embedded = [];
+  try {
+    const props = transformPropsForComponent(
+      validation.props,
+      cmsComponent.component,
+      definition.transform,
+      context,
+      embedded
+    );
+    if (embedded.length > 0) {
+      // createComponent creates the bloks again for the new instance
+      embedded.forEach(({ component }) => component.destroy?.());
+      return null;
     }
     return props;
+  } catch (error) {
+    console.error(`Error transforming ${cmsComponent.component}:`, error);
+    return null;
   }
-
-  return transformer(props);
 };
 
 /**
- * Transforms hero section props
- * @param {Object} props - CMS props
- * @returns {Object} Svarog-UI props
+ * Injects datasource options and validates the props of a block
+ * @param {Object} cmsComponent - Storyblok component data
+ * @param {Object} definition - Registry definition of the block
+ * @param {Object} context - Render context collecting the issues
+ * @returns {Object} Validated props, and the errors that block rendering
+ *   under strict validation
  */
-const transformHeroProps = props => {
-  const transformed = {
-    title: props.title || 'Default Hero Title',
-    subtitle: props.subtitle || null,
-    // Use backgroundImageUrl instead of backgroundImage (fix deprecation)
-    backgroundImageUrl: props.background_image?.filename || null,
-    theme: props.theme || 'default',
+const prepareProps = (cmsComponent, definition, context) => {
+  const { component: componentType, ...props } = cmsComponent;
+
+  // Options from datasources count as field values during validation
+  const withOptions = injectDatasourceOptions(
+    props,
+    definition.schema,
+    context.datasources
+  );
+  reportIssues(context, cmsComponent, withOptions.issues);
+
+  // Validate before transforming; defaults and coerced values flow on
+  const validation = validateBlock(withOptions.props, componentType);
+  reportIssues(context, cmsComponent, validation.issues);
+
+  const errors = validation.issues.filter(issue => issue.severity === 'error');
+  return {
+    props: validation.props,
+    errors:
+      context.strictness === STRICTNESS.STRICT && errors.length > 0
+        ? errors
+        : null,
   };
+};
 
-  // Transform CTA button if present
-  if (props.cta_button) {
-    transformed.ctaButton = {
-      text: props.cta_button.text || 'Learn More',
-      href: props.cta_button.url || '#',
-      variant: props.cta_button.variant || 'primary',
-      onClick: () => {
-        if (isDevelopment()) {
-          console.log('Hero CTA clicked:', props.cta_button.url);
-        }
-      },
-    };
+/**
+ * Records validation issues of a block in the render context
+ * @param {Object} context - Render context
+ * @param {Object} cmsComponent - Storyblok component data
+ * @param {Array<Object>} issues - Issues with field, message and severity
+ */
+const reportIssues = (context, cmsComponent, issues) => {
+  if (issues.length === 0) {
+    return;
   }
 
-  return transformed;
+  const blockIssues = issues.map(issue => ({
+    component: cmsComponent.component,
+    uid: cmsComponent._uid || null,
+    field: null,
+    ...issue,
+  }));
+
+  context.issues.push(...blockIssues);
+
+  if (context.strictness !== STRICTNESS.LENIENT) {
+    console.warn(
+      `Validation issues in ${cmsComponent.component}:`,
+      blockIssues.map(issue => issue.message)
+    );
+  }
 };
 
 /**
- * Transforms text block props for Typography component
- * @param {Object} props - CMS props
- * @returns {Object} Svarog-UI props
+ * Gets the attributes that make a block editable in the Visual Editor
+ * Storyblok sends them as a comment in the _editable field of draft blocks
+ * @param {Object} cmsComponent - Storyblok component data
+ * @returns {Object} data-blok-c and data-blok-uid, empty outside the editor
  */
-const transformTextBlockProps = props => {
-  let content = '';
-
-  if (props.content) {
-    if (typeof props.content === 'string') {
-      content = props.content;
-    } else if (props.content.type === 'doc') {
-      content = convertRichTextToHTML(props.content);
-    } else {
-      content = JSON.stringify(props.content);
-    }
+export const getEditableAttributes = cmsComponent => {
+  const match = /^<!--#storyblok#(.*)-->$/.exec(cmsComponent?._editable || '');
+  if (!match) {
+    return {};
   }
 
-  // Typography component expects 'children' instead of 'content'
-  return {
-    children: sanitizeHTML(content),
-    variant: props.variant || 'body',
-    alignment: props.alignment || 'left',
-    theme: props.theme || 'default',
-  };
+  try {
+    const options = JSON.parse(match[1]);
+    return {
+      'data-blok-c': JSON.stringify(options),
+      'data-blok-uid': `${options.id}-${options.uid}`,
+    };
+  } catch {
+    return {};
+  }
 };
 
 /**
- * Transforms button props
- * @param {Object} props - CMS props
- * @returns {Object} Svarog-UI props
+ * Marks a component's root element with the identity of its Storyblok block
+ * Hydration uses data-uid to match pre-rendered markup back to its block;
+ * the Visual Editor finds blocks by their editable attributes
+ * @param {Object} component - Svarog-UI component instance
+ * @param {Object} cmsComponent - Storyblok component data
+ * @returns {Object} The same component instance
  */
-const transformButtonProps = props => {
-  // Validate button size - only 'sm', 'md', 'lg' are valid
-  const validSizes = ['sm', 'md', 'lg'];
-  const sizeMap = {
-    small: 'sm',
-    medium: 'md',
-    large: 'lg',
-    sm: 'sm',
-    md: 'md',
-    lg: 'lg',
-  };
+const markBlockElement = (component, cmsComponent) => {
+  const getElement = component.getElement;
 
-  const size = sizeMap[props.size] || 'md';
+  component.getElement = (...args) => {
+    const element = getElement.apply(component, args);
 
-  return {
-    text: props.text || 'Button',
-    href: props.url || '#',
-    variant: props.variant || 'primary',
-    size: validSizes.includes(size) ? size : 'md',
-    disabled: props.disabled || false,
-    theme: props.theme || 'default',
-    onClick: () => {
-      if (isDevelopment()) {
-        console.log('Button clicked:', props.text, props.url);
-      }
-      // Track button clicks for analytics
-      if (window.analytics) {
-        window.analytics.track('Button Clicked', {
-          text: props.text,
-          url: props.url,
-          variant: props.variant,
-        });
+    if (element?.dataset) {
+      element.dataset.component = cmsComponent.component;
+      if (cmsComponent._uid) {
+        element.dataset.uid = cmsComponent._uid;
       }
-    },
+      Object.entries(getEditableAttributes(cmsComponent)).forEach(
+        ([name, value]) => element.setAttribute(name, value)
+      );
+    }
+
+    return element;
   };
+
+  return component;
 };
 
 /**
- * Transforms card props
- * @param {Object} props - CMS props
- * @returns {Object} Svarog-UI props
+ * Runs a factory, recording the event listeners it adds
+ * @param {Function} create - Creates the component
+ * @returns {Object} { result, listeners } with target, type, listener and
+ *   options of every listener
  */
-const transformCardProps = props => ({
-  title: props.title || 'Card Title',
-  children: props.content || '', // Card expects 'children' not 'content'
-  imageUrl: props.image?.filename || null, // Use imageUrl instead of image
-  link: props.link
-    ? {
-        text: props.link.text || 'Read More',
-        href: props.link.url || '#',
-      }
-    : null,
-  variant: props.variant || 'default',
-  theme: props.theme || 'default',
-});
+const recordListeners = create => {
+  const listeners = [];
+  if (typeof EventTarget === 'undefined') {
+    return { result: create(), listeners };
+  }
 
-/**
- * Transforms image props
- * @param {Object} props - CMS props
- * @returns {Object} Svarog-UI props
- */
-const transformImageProps = props => ({
-  src: props.src?.filename || props.src,
-  alt: props.alt || props.src?.alt || 'Image',
-  caption: props.caption || null,
-  responsive: props.responsive !== false,
-  lazy: props.lazy !== false,
-});
+  const { addEventListener } = EventTarget.prototype;
+  EventTarget.prototype.addEventListener = function (type, listener, options) {
+    listeners.push({ target: this, type, listener, options });
+    return addEventListener.call(this, type, listener, options);
+  };
 
-/**
- * Transforms grid props with recursive child component creation
- * @param {Object} props - CMS props
- * @returns {Object} Svarog-UI props
- */
-const transformGridProps = props => ({
-  columns: parseInt(props.columns) || 12, // Ensure it's a number
-  // Skip gap property for now to see if Grid works without it
-  children: (props.children || [])
-    .map(child => createComponent(child))
-    .filter(Boolean),
-  theme: props.theme || 'default',
-});
+  try {
+    return { result: create(), listeners };
+  } finally {
+    EventTarget.prototype.addEventListener = addEventListener;
+  }
+};
 
 /**
- * Transforms section props with recursive child component creation
- * @param {Object} props - CMS props
- * @returns {Object} Svarog-UI props
+ * Lets a component take over the pre-rendered element of its block
+ * The pre-rendered element stays in the document: it gets the attributes
+ * and child nodes of the component's own element, and the listeners the
+ * factory bound to that element. Updates are carried over the same way.
+ * Components with a hydrate method of their own keep it.
+ * @param {Object} component - Svarog-UI component instance
+ * @param {Array<Object>} listeners - Listeners from recordListeners
+ * @returns {Object} The same component instance
  */
-const transformSectionProps = props => {
-  // Section only accepts 'minor' variant or undefined
-  const variant = props.variant === 'minor' ? 'minor' : undefined;
+const makeHydratable = (component, listeners) => {
+  if (typeof component.hydrate === 'function') {
+    return component;
+  }
 
-  return {
-    variant,
-    padding: props.padding || 'medium',
-    children: (props.children || [])
-      .map(child => createComponent(child))
-      .filter(Boolean),
-    theme: props.theme || 'default',
+  const { getElement, update, destroy } = component;
+  let own = null;
+  let adopted = null;
+
+  const sync = () => {
+    Array.from(adopted.attributes)
+      .filter(({ name }) => !own.hasAttribute(name))
+      .forEach(({ name }) => adopted.removeAttribute(name));
+    Array.from(own.attributes).forEach(({ name, value }) => {
+      if (adopted.getAttribute(name) !== value) {
+        adopted.setAttribute(name, value);
+      }
+    });
+    if (own.hasChildNodes()) {
+      adopted.replaceChildren(...own.childNodes);
+    }
   };
+
+  component.getElement = (...args) =>
+    adopted || getElement.apply(component, args);
+
+  component.hydrate = existing => {
+    own = getElement.apply(component);
+    if (!own || own === existing) {
+      return;
+    }
+
+    adopted = existing;
+    sync();
+    const rootListeners = listeners.filter(({ target }) => target === own);
+    rootListeners.forEach(({ type, listener, options }) =>
+      adopted.addEventListener(type, listener, options)
+    );
+
+    if (typeof update === 'function') {
+      component.update = (...args) => {
+        const result = update.apply(component, args);
+        sync();
+        return result;
+      };
+    }
+    component.destroy = (...args) => {
+      rootListeners.forEach(({ type, listener, options }) =>
+        adopted.removeEventListener(type, listener, options)
+      );
+      return destroy?.apply(component, args);
+    };
+  };
+
+  return component;
 };
 
 /**
- * Transforms header props
- * @param {Object} props - CMS props
- * @returns {Object} Svarog-UI props
+ * Mounts the bloks embedded in a component's rich text into its element
+ * Destroying the component destroys them too
+ * @param {Object} component - Svarog-UI component instance
+ * @param {Array<Object>} embedded - Bloks renderRichText collected
+ * @param {Object} context - Render context of the story
+ * @returns {Object} The same component instance
  */
-const transformHeaderProps = props => ({
-  logo: props.logo
-    ? {
-        src: props.logo.src || props.logo.filename,
-        alt: props.logo.alt || 'Logo',
-        href: props.logo.href || '/',
-      }
-    : null,
-  navigation: (props.navigation || []).map(item => ({
-    text: item.text || 'Nav Item',
-    href: item.url || '#',
-    active: item.active || false,
-  })),
-  variant: props.variant || 'default',
-  theme: props.theme || 'default',
-});
+const attachEmbeddedBloks = (component, embedded, context) => {
+  if (embedded.length === 0) {
+    return component;
+  }
+
+  const { getElement, destroy } = component;
+
+  component.getElement = (...args) => {
+    const element = getElement.apply(component, args);
+    mountEmbeddedBloks(element, embedded);
+    return element;
+  };
+
+  component.destroy = (...args) => {
+    destroyEmbeddedBloks(embedded, context);
+    return destroy?.apply(component, args);
+  };
+
+  return component;
+};
 
 /**
- * Transforms footer props
- * @param {Object} props - CMS props
- * @returns {Object} Svarog-UI props
+ * Destroys embedded bloks
+ * Bloks with a _uid belong to the reconciler, which destroys them itself
+ * @param {Array<Object>} embedded - Bloks renderRichText collected
+ * @param {Object} context - Render context of the story
  */
-const transformFooterProps = props => ({
-  copyright: props.copyright || '',
-  links: (props.links || []).map(link => ({
-    text: link.text || 'Link',
-    href: link.url || '#',
-  })),
-  social: (props.social || []).map(item => ({
-    platform: item.platform || 'website',
-    url: item.url || '#',
-  })),
-  theme: props.theme || 'default',
-});
+const destroyEmbeddedBloks = (embedded, context) => {
+  embedded
+    .filter(({ blok }) => !(context.reconciler && blok._uid))
+    .forEach(({ component }) => component.destroy?.());
+};
 
 /**
- * Transforms navigation props
+ * Transforms CMS props to Svarog-UI compatible props
  * @param {Object} props - CMS props
- * @returns {Object} Svarog-UI props
+ * @param {string} componentType - Component type
+ * @param {Function} [transform] - Transformer from the registry
+ * @param {Object} renderContext - Render context of the story
+ * @param {Array<Object>} [embedded] - Collects the bloks embedded in rich text
+ * @returns {Object} Transformed props
  */
-const transformNavigationProps = props => ({
-  items: (props.items || []).map(item => ({
-    text: item.text || 'Nav Item',
-    href: item.url || '#',
-    active: item.active || false,
-    children: item.children || [],
-  })),
-  variant: props.variant || 'horizontal',
-  theme: props.theme || 'default',
-});
+const transformPropsForComponent = (
+  props,
+  componentType,
+  transform,
+  renderContext,
+  embedded = []
+) => {
+  // Nested bloks share the story's render context
+  const context = {
+    ...renderContext,
+    componentType,
+    uid: props._uid || null,
+    createComponent: blok => createComponent(blok, renderContext),
+    embedded,
+  };
+
+  if (!transform) {
+    if (isDevelopment()) {
+      console.warn(
+        `No transformer registered for ${componentType}, using default field conversion`
+      );
+    }
+    return genericTransformer(props, context);
+  }
+
+  return transform(props, context);
+};
 
 /**
  * Creates a fallback component for unsupported or failed components
@@ -360,149 +566,48 @@ const createFallbackComponent = (cmsComponent, error = null) => {
     },
     update: () => {},
     destroy: () => {},
+    // The reconciler creates the block again instead of updating it
+    fallback: true,
   };
 };
 
 /**
- * Converts Storyblok rich text to HTML with memoization
- * @param {Object} richText - Storyblok rich text object
- * @returns {string} HTML string
- */
-const convertRichTextToHTML = memoize(richText => {
-  if (!richText || !richText.content) {
-    return '';
-  }
-
-  const convertNode = node => {
-    switch (node.type) {
-      case 'paragraph': {
-        const content = (node.content || []).map(convertNode).join('');
-        return `<p>${content}</p>`;
-      }
-
-      case 'heading': {
-        const level = node.attrs?.level || 1;
-        const content = (node.content || []).map(convertNode).join('');
-        return `<h${level}>${content}</h${level}>`;
-      }
-
-      case 'text': {
-        let text = node.text || '';
-
-        // Apply marks (bold, italic, etc.)
-        if (node.marks) {
-          node.marks.forEach(mark => {
-            switch (mark.type) {
-              case 'bold':
-                text = `<strong>${text}</strong>`;
-                break;
-              case 'italic':
-                text = `<em>${text}</em>`;
-                break;
-              case 'link':
-                text = `<a href="${mark.attrs?.href || '#'}">${text}</a>`;
-                break;
-              case 'underline':
-                text = `<u>${text}</u>`;
-                break;
-            }
-          });
-        }
-
-        return text;
-      }
-
-      case 'bullet_list': {
-        const content = (node.content || []).map(convertNode).join('');
-        return `<ul>${content}</ul>`;
-      }
-
-      case 'ordered_list': {
-        const content = (node.content || []).map(convertNode).join('');
-        return `<ol>${content}</ol>`;
-      }
-
-      case 'list_item': {
-        const content = (node.content || []).map(convertNode).join('');
-        return `<li>${content}</li>`;
-      }
-
-      case 'hard_break':
-        return '<br>';
-
-      case 'horizontal_rule':
-        return '<hr>';
-
-      default:
-        return (node.content || []).map(convertNode).join('');
-    }
-  };
-
-  const htmlContent = (richText.content || []).map(convertNode).join('');
-  return sanitizeHTML(htmlContent);
-});
-
-/**
- * Gets all registered component types using the array data directly
+ * Gets all registered component types
  * @returns {Array<string>} Array of CMS component type names
  */
 export const getRegisteredComponents = () => {
-  // Import the data array directly to avoid Map issues in tests
-  const CMS_COMPONENT_MAP_DATA = [
-    'grid',
-    'section',
-    'page',
-    'hero_section',
-    'muchandy_hero',
-    'text_block',
-    'card',
-    'image',
-    'logo',
-    'header',
-    'collapsible_header',
-    'navigation',
-    'footer',
-    'pagination',
-    'tabs',
-    'form',
-    'form_group',
-    'form_section',
-    'form_actions',
-    'input',
-    'select',
-    'checkbox',
-    'radio',
-    'radio_group',
-    'condition_selector',
-    'button',
-    'link',
-    'rating',
-    'price_display',
-    'steps_indicator',
-    'blog_card',
-    'blog_list',
-    'blog_detail',
-    'product_card',
-    'phone_repair_form',
-    'used_phone_price_form',
-    'contact_info',
-    'sticky_contact_icons',
-    'map',
-  ];
-
-  return CMS_COMPONENT_MAP_DATA;
+  return getRegisteredComponentTypes();
 };
 
 /**
- * Registers a new component mapping
+ * Registers a component mapping in the component registry
  * @param {string} componentType - Storyblok component type
- * @param {string} svarogComponentName - Svarog-UI component name
+ * @param {Object|string} definition - Registry definition or Svarog-UI component name
+ * @returns {Object} Registered definition
  */
-export const registerComponent = (componentType, svarogComponentName) => {
-  // This would need to be implemented based on how CMS_COMPONENT_MAP is exposed
+export const registerComponent = (componentType, definition) => {
+  const entry = registerComponentDefinition(componentType, definition);
+
   if (isDevelopment()) {
     console.log(
-      `Registered new component mapping: ${componentType} -> ${svarogComponentName}`
+      `Registered component: ${componentType} -> ${entry.svarogType || 'custom factory'}`
     );
   }
+
+  return entry;
+};
+
+/**
+ * Registers the prop transformer for a block type
+ * The transformer is called as transform(props, context); see transformers.js
+ * for helpers such as assetToUrl, linkToHref and bloksToComponents
+ * @param {string} componentType - Storyblok component type
+ * @param {Function} transform - Maps CMS props to component props
+ * @returns {Object} Registered definition
+ */
+export const registerTransformer = (componentType, transform) => {
+  if (typeof transform !== 'function') {
+    throw new Error(`Transformer for ${componentType} must be a function`);
+  }
+  return registerComponentDefinition(componentType, { transform });
 };
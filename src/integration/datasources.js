@@ -0,0 +1,209 @@
+// src/integration/datasources.js
+/**
+ * Storyblok datasources for option lists
+ * Schema fields declare the datasource they take their options from:
+ *
+ *   conditions: { type: 'array', datasource: 'device-conditions' }
+ *   options: { type: 'array', datasource: props => props.datasource }
+ *
+ * The client loads the datasources a story needs before its components are
+ * created, and createComponent injects them into fields the editor left
+ * empty. Options have the shape { label, value }.
+ */
+
+import { getValidationSchema } from '../config/components.js';
+import { isDevelopment } from '../utils/environment.js';
+
+// Storyblok's maximum page size for datasource entries
+const PER_PAGE = 1000;
+
+/**
+ * Gets the datasource slug a schema field takes its options from
+ * @param {Object} rules - Validation rules of the field
+ * @param {Object} props - CMS props of the block
+ * @returns {string|null} Datasource slug
+ */
+export const getDatasourceSlug = (rules, props) => {
+  const slug =
+    typeof rules?.datasource === 'function'
+      ? rules.datasource(props)
+      : rules?.datasource;
+  return typeof slug === 'string' && slug ? slug : null;
+};
+
+/**
+ * Finds the CMS key of a schema field
+ * Schemas use both snake_case and camelCase field names
+ * @param {Object} props - CMS props
+ * @param {string} field - Schema field name
+ * @returns {string} Key present in props, or the schema name
+ */
+const getFieldKey = (props, field) => {
+  const snakeCase = field.replace(/[A-Z]/g, char => `_${char.toLowerCase()}`);
+  return [field, snakeCase].find(name => name in props) || field;
+};
+
+/**
+ * Gets the datasource of a field the editor left empty
+ * @param {Object} rules - Validation rules of the field
+ * @param {Object} props - CMS props of the block
+ * @param {string} field - Schema field name
+ * @returns {string|null} Datasource slug, null if the field has options
+ */
+const getPendingDatasource = (rules, props, field) => {
+  const value = props[getFieldKey(props, field)];
+  return Array.isArray(value) && value.length > 0
+    ? null
+    : getDatasourceSlug(rules, props);
+};
+
+/**
+ * Converts datasource entries to options
+ * With a dimension, its value replaces the default value where translated
+ * @param {Array<Object>} entries - Storyblok datasource entries
+ * @param {string} [dimension] - Requested dimension
+ * @returns {Array<Object>} Options with label and value
+ */
+export const entriesToOptions = (entries, dimension) =>
+  entries.map(entry => ({
+    label: entry.name,
+    value: (dimension && entry.dimension_value) || entry.value,
+  }));
+
+/**
+ * Finds the datasources the blocks of a story need, nested bloks included
+ * @param {*} value - Story body or any field value
+ * @param {Set<string>} [slugs] - Slugs found so far
+ * @returns {Array<string>} Datasource slugs
+ */
+export const getBlockDatasources = (value, slugs = new Set()) => {
+  if (Array.isArray(value)) {
+    value.forEach(item => getBlockDatasources(item, slugs));
+  } else if (value && typeof value === 'object') {
+    if (value.component) {
+      Object.entries(getValidationSchema(value.component) || {}).forEach(
+        ([field, rules]) => {
+          const slug = getPendingDatasource(rules, value, field);
+          if (slug) {
+            slugs.add(slug);
+          }
+        }
+      );
+    }
+    Object.values(value).forEach(item => getBlockDatasources(item, slugs));
+  }
+
+  return Array.from(slugs);
+};
+
+/**
+ * Fills empty datasource fields of a block with the loaded options
+ * Options entered on the block itself take precedence
+ * @param {Object} props - CMS props
+ * @param {Object} schema - Validation schema of the block
+ * @param {Object} [datasources] - Loaded options keyed by datasource slug
+ * @returns {Object} Props with options and the issues found
+ */
+export const injectDatasourceOptions = (props, schema, datasources = {}) => {
+  const issues = [];
+
+  if (!schema) {
+    return { props, issues };
+  }
+
+  const injected = { ...props };
+
+  Object.entries(schema).forEach(([field, rules]) => {
+    const slug = getPendingDatasource(rules, props, field);
+
+    if (!slug) {
+      return;
+    }
+
+    if (datasources[slug]) {
+      injected[getFieldKey(props, field)] = datasources[slug];
+    } else {
+      issues.push({
+        field,
+        message: `Datasource ${slug} is not loaded`,
+        severity: 'warning',
+      });
+    }
+  });
+
+  return { props: injected, issues };
+};
+
+/**
+ * Creates a cached datasource loader
+ * @param {Object} client - storyblok-js-client instance
+ * @param {Object} [options] - Loader options
+ * @param {number} [options.ttl] - Cache lifetime in milliseconds
+ * @returns {Object} Loader API
+ */
+export const createDatasourceLoader = (client, { ttl = 300000 } = {}) => {
+  // Promises are cached so concurrent renders share one request
+  const cache = new Map();
+
+  /**
+   * Loads the options of a datasource
+   * @param {string} slug - Datasource slug
+   * @param {Object} [options] - Load options
+   * @param {string} [options.dimension] - Dimension, e.g. a language code
+   * @returns {Promise<Array<Object>>} Options with label and value
+   */
+  const load = (slug, { dimension } = {}) => {
+    const key = `${slug}:${dimension || ''}`;
+    const cached = cache.get(key);
+    if (cached && Date.now() - cached.timestamp < ttl) {
+      return cached.promise;
+    }
+
+    const promise = client
+      .getAll(
+        'cdn/datasource_entries',
+        {
+          datasource: slug,
+          per_page: PER_PAGE,
+          ...(dimension && { dimension }),
+        },
+        'datasource_entries'
+      )
+      .then(entries => entriesToOptions(entries, dimension));
+
+    // Failed requests are retried on the next load
+    promise.catch(() => cache.delete(key));
+    cache.set(key, { promise, timestamp: Date.now() });
+    return promise;
+  };
+
+  /**
+   * Loads several datasources; ones that fail to load are left out
+   * @param {Array<string>} slugs - Datasource slugs
+   * @param {Object} [options] - Load options, see load
+   * @returns {Promise<Object>} Options keyed by datasource slug
+   */
+  const loadAll = async (slugs, options = {}) => {
+    const loaded = await Promise.all(
+      [...new Set(slugs)].map(async slug => {
+        try {
+          return [slug, await load(slug, options)];
+        } catch (error) {
+          if (isDevelopment()) {
+            console.warn(`Failed to load datasource: ${slug}`, error.message);
+          }
+          return null;
+        }
+      })
+    );
+
+    return Object.fromEntries(loaded.filter(Boolean));
+  };
+
+  return {
+    load,
+    loadAll,
+    clear: () => cache.clear(),
+    getSize: () => cache.size,
+  };
+};
@@ -0,0 +1,149 @@
+// src/integration/globalSettings.js
+/**
+ * Global settings story
+ * One story, settings/global by default, holds what every page shares: the
+ * header and footer blocks, the navigation tree, default SEO and the theme.
+ * It is loaded once per language, cached, and rendered around page content.
+ *
+ * Expected fields of the story content:
+ *   header, footer  - blocks, e.g. a header and a footer block
+ *   navigation      - navigation items { text, url, children }, used by a
+ *                     header block without navigation of its own
+ *   seo_title, seo_description, seo_image - page defaults
+ *   site_name, currency - for Open Graph and structured data
+ *   theme           - theme name
+ */
+
+import { getAppConfig } from '../config/environment.js';
+import { createComponent } from './componentMapper.js';
+import { assetToUrl } from './transformers.js';
+import { isDevelopment } from '../utils/environment.js';
+
+/**
+ * Header block types that take the global navigation tree
+ */
+const NAVIGATION_HEADERS = ['header', 'collapsible_header'];
+
+/**
+ * Reads the global settings from their story
+ * @param {Object} story - Storyblok story
+ * @returns {Object} Settings with header, footer, navigation, seo and theme
+ */
+export const toGlobalSettings = story => {
+  const content = story?.content || {};
+
+  return {
+    header: Array.isArray(content.header) ? content.header : [],
+    footer: Array.isArray(content.footer) ? content.footer : [],
+    navigation: Array.isArray(content.navigation) ? content.navigation : [],
+    seo: {
+      title: content.seo_title || '',
+      description: content.seo_description || '',
+      image: assetToUrl(content.seo_image),
+      siteName: content.site_name || '',
+      currency: content.currency || '',
+    },
+    theme: content.theme || null,
+    story,
+  };
+};
+
+/**
+ * Creates the components of a layout region from the global settings
+ * Header blocks without navigation get the global navigation tree
+ * @param {Object} settings - Global settings
+ * @param {string} region - 'header' or 'footer'
+ * @param {Object} context - Render context from createRenderContext
+ * @returns {Array<Object>} Component instances
+ */
+export const createGlobalComponents = (settings, region, context) =>
+  (settings?.[region] || [])
+    .map(block =>
+      NAVIGATION_HEADERS.includes(block.component) &&
+      !block.navigation?.length &&
+      settings.navigation.length > 0
+        ? { ...block, navigation: settings.navigation }
+        : block
+    )
+    .map(block => createComponent(block, context))
+    .filter(Boolean);
+
+/**
+ * Creates the loader for the global settings story
+ * @param {Object} storyblok - Client from createStoryblokClient
+ * @param {Object} [options] - Loader options
+ * @param {string} [options.slug] - Full slug of the settings story
+ * @returns {Object} Loader API
+ */
+export const createGlobalSettings = (
+  storyblok,
+  { slug = getAppConfig().globalStory } = {}
+) => {
+  // Settings promises by Storyblok language, '' for the default
+  const cache = new Map();
+
+  /**
+   * Loads the settings, once per language
+   * @param {string} [language] - Storyblok language code
+   * @returns {Promise<Object|null>} Settings, null if the story is missing
+   */
+  const load = language => {
+    const key = language || '';
+
+    if (!cache.has(key)) {
+      const promise = storyblok
+        .getStory(slug, { language })
+        .then(toGlobalSettings)
+        .catch(error => {
+          // Retried on the next load
+          cache.delete(key);
+          if (isDevelopment()) {
+            console.warn(`Global settings ${slug} not loaded:`, error.message);
+          }
+          return null;
+        });
+      cache.set(key, promise);
+    }
+
+    return cache.get(key);
+  };
+
+  /**
+   * Uses an already fetched settings story, e.g. embedded by the server
+   * @param {Object} story - Settings story
+   * @param {string} [language] - Storyblok language code
+   * @returns {Object} Settings
+   */
+  const prime = (story, language) => {
+    const settings = toGlobalSettings(story);
+    cache.set(language || '', Promise.resolve(settings));
+    return settings;
+  };
+
+  /**
+   * Reloads the settings, e.g. after they were published
+   * @param {string} [language] - Storyblok language code
+   * @returns {Promise<Object|null>} Settings
+   */
+  const refresh = language => {
+    cache.delete(language || '');
+    return load(language);
+  };
+
+  /**
+   * Checks whether a story is the settings story
+   * @param {Object} story - Storyblok story
+   * @returns {boolean} True for the settings story
+   */
+  const isGlobalStory = story =>
+    (story?.full_slug || '').replace(/\/+$/, '') === slug;
+
+  return {
+    slug,
+    load,
+    prime,
+    refresh,
+    clear: () => cache.clear(),
+    isGlobalStory,
+  };
+};
@@ -0,0 +1,230 @@
+// src/integration/i18n.js
+/**
+ * Multilingual routing for Storyblok field-level translations
+ * Maps URLs to a language and slug, either by path prefix (/de/about) or by
+ * domain (example.de), and builds localized paths and hreflang alternates.
+ * The default language is served without prefix.
+ */
+
+import { getLinkConfig } from '../config/environment.js';
+import { createLinkResolver } from './links.js';
+
+/**
+ * Cookie remembering the visitor's language choice
+ */
+export const LOCALE_COOKIE = 'locale';
+
+/**
+ * Parses an Accept-Language header into tags by preference
+ * @param {string} header - Accept-Language header, e.g. 'de-CH,de;q=0.9'
+ * @returns {Array<string>} Lowercase language tags, preferred first
+ */
+const parseAcceptLanguage = header =>
+  (header || '')
+    .split(',')
+    .map((part, index) => {
+      const [tag, ...params] = part.trim().split(';');
+      const quality = params
+        .map(param => param.trim())
+        .find(param => param.startsWith('q='));
+      return {
+        tag: tag.toLowerCase(),
+        q: quality ? Number(quality.slice(2)) : 1,
+        index,
+      };
+    })
+    .filter(({ tag, q }) => tag && tag !== '*' && q > 0)
+    .sort((a, b) => b.q - a.q || a.index - b.index)
+    .map(({ tag }) => tag);
+
+/**
+ * Reads the remembered language from a cookie string
+ * @param {string} cookies - document.cookie or a Cookie header
+ * @returns {string|null} Language code
+ */
+export const getLocaleCookie = cookies => {
+  const match = (cookies || '').match(
+    new RegExp(`(?:^|;\\s*)${LOCALE_COOKIE}=([^;]+)`)
+  );
+  return match ? decodeURIComponent(match[1]) : null;
+};
+
+/**
+ * Creates a locale resolver
+ * @param {Object} [options] - Locale options
+ * @param {Array<string>} [options.languages] - Language codes of the space
+ * @param {string} [options.defaultLanguage] - Language served without prefix
+ * @param {Object} [options.domains] - Languages by host, e.g. { 'example.de': 'de' }
+ * @param {string} [options.host] - Host of the current request or page
+ * @param {Object} [options.links] - Link options, see getLinkConfig
+ * @returns {Object} Resolver API
+ */
+export const createLocaleResolver = ({
+  languages = [],
+  defaultLanguage = null,
+  domains = {},
+  host = null,
+  links = getLinkConfig(),
+} = {}) => {
+  const locales = [...new Set([defaultLanguage, ...languages])].filter(Boolean);
+  const languageDomains = Object.fromEntries(
+    Object.entries(domains).map(([domain, language]) => [language, domain])
+  );
+  // A language bound to the current host is served without prefix there
+  const hostLanguage = (host && domains[host]) || defaultLanguage;
+  const base = (links.basePath || '').replace(/\/+$/, '');
+  const { pathToStorySlug } = createLinkResolver(links);
+
+  /**
+   * Resolves a pathname to its language and story slug
+   * @param {string} pathname - URL pathname
+   * @returns {Object} language, path without base path and language prefix,
+   *   slug and whether the language came from the path
+   */
+  const parseLocation = pathname => {
+    const fullPath = (pathname || '/').split(/[?#]/)[0];
+    // The base path comes before the language prefix
+    const path =
+      base && `${fullPath}/`.startsWith(`${base}/`)
+        ? fullPath.slice(base.length) || '/'
+        : fullPath;
+    const [first, ...rest] = path.replace(/^\/+/, '').split('/');
+
+    if (locales.includes(first)) {
+      const localPath = `/${rest.join('/')}`;
+      return {
+        language: first,
+        path: localPath,
+        slug: pathToStorySlug(`${base}${localPath}`),
+        prefixed: true,
+      };
+    }
+
+    return {
+      language: hostLanguage,
+      path,
+      slug: pathToStorySlug(fullPath),
+      prefixed: false,
+    };
+  };
+
+  /**
+   * Builds the URL of a path in a language
+   * Languages with their own domain get an absolute URL from other hosts
+   * @param {string} path - Path without language prefix
+   * @param {string} [language] - Language code
+   * @returns {string} Localized path or URL
+   */
+  const localizePath = (path, language) => {
+    if (!language) {
+      return path;
+    }
+
+    const domain = languageDomains[language];
+    if (domain && domain !== host) {
+      return `https://${domain}${path}`;
+    }
+    if (domain || language === hostLanguage) {
+      return path;
+    }
+
+    return `/${language}${path === '/' ? '' : path}`;
+  };
+
+  /**
+   * Picks the best supported language for an Accept-Language header
+   * Region tags match their base language, e.g. de-CH matches de
+   * @param {string|Array<string>} acceptLanguage - Header or navigator.languages
+   * @returns {string|null} Language code, null if none is supported
+   */
+  const detectLanguage = acceptLanguage => {
+    const tags = Array.isArray(acceptLanguage)
+      ? acceptLanguage.map(tag => tag.toLowerCase())
+      : parseAcceptLanguage(acceptLanguage);
+
+    for (const tag of tags) {
+      const match =
+        locales.find(locale => locale.toLowerCase() === tag) ||
+        locales.find(locale => locale.toLowerCase() === tag.split('-')[0]);
+      if (match) {
+        return match;
+      }
+    }
+
+    return null;
+  };
+
+  /**
+   * Gets the Storyblok language param for a language
+   * The default language is requested without one
+   * @param {string} language - Language code
+   * @returns {string|undefined} API language
+   */
+  const toApiLanguage = language =>
+    language && language !== defaultLanguage ? language : undefined;
+
+  /**
+   * Gets the localized path of a story
+   * Uses translated slugs when the space translates them
+   * @param {Object} story - Storyblok story
+   * @param {string} [language] - Language code, defaults to the host's
+   * @returns {string} Path, or absolute URL for another language domain
+   */
+  const getStoryPath = (story, language = hostLanguage) => {
+    const translated = (story.translated_slugs || []).find(
+      entry => entry.lang === language
+    );
+
+    return createLinkResolver({ ...links, language, localizePath }).storyPath(
+      translated?.path || story.default_full_slug || story.full_slug
+    );
+  };
+
+  /**
+   * Gets the localized paths of a story in every language
+   * @param {Object} story - Storyblok story
+   * @returns {Array<Object>} Alternates with language and path
+   */
+  const getAlternates = story =>
+    locales.map(language => ({
+      language,
+      path: getStoryPath(story, language),
+    }));
+
+  /**
+   * Gets the hreflang links of a story, including x-default
+   * @param {Object} story - Storyblok story
+   * @param {string} baseUrl - Public site URL
+   * @returns {Array<Object>} Links with hreflang and absolute href
+   */
+  const getHreflangLinks = (story, baseUrl) => {
+    if (locales.length < 2) {
+      return [];
+    }
+
+    const alternates = getAlternates(story);
+    const fallback = alternates.find(
+      ({ language }) => language === defaultLanguage
+    );
+
+    return [
+      ...alternates,
+      ...(fallback ? [{ ...fallback, language: 'x-default' }] : []),
+    ].map(({ language, path }) => ({
+      hreflang: language,
+      href: new URL(path, baseUrl).href,
+    }));
+  };
+
+  return {
+    locales,
+    defaultLanguage,
+    parseLocation,
+    localizePath,
+    detectLanguage,
+    toApiLanguage,
+    getStoryPath,
+    getAlternates,
+    getHreflangLinks,
+  };
+};
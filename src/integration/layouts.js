@@ -0,0 +1,185 @@
+// src/integration/layouts.js
+/**
+ * Page layouts
+ * A layout wraps the story body in regions chosen per content type, e.g. a
+ * sidebar next to blog posts. Regions render blocks of the global settings
+ * story; the outlet holds the story body. While consecutive pages share a
+ * layout, navigation only swaps the outlet and the regions keep their state.
+ *
+ *   registerLayout('docs', {
+ *     contentTypes: ['docs_page'],
+ *     regions: [{ name: 'toc', field: 'docs_toc' }, OUTLET],
+ *   });
+ *
+ * A story can pick another layout with a `layout` field.
+ */
+
+import { createComponent } from './componentMapper.js';
+
+/**
+ * Region holding the story body
+ */
+export const OUTLET = 'outlet';
+
+/**
+ * Layout of content types no layout claims
+ */
+export const DEFAULT_LAYOUT = 'page';
+
+/**
+ * Layout registry, keyed by layout name
+ */
+const LAYOUT_REGISTRY = new Map();
+
+/**
+ * Used when the default layout was unregistered
+ */
+const FALLBACK_LAYOUT = {
+  name: DEFAULT_LAYOUT,
+  contentTypes: [],
+  regions: [{ name: OUTLET, field: OUTLET }],
+};
+
+/**
+ * Normalizes a region entry
+ * @param {string|Object} region - Region name, or { name, field }
+ * @returns {Object} Region with name and the settings field it renders
+ */
+const toRegion = region =>
+  typeof region === 'string'
+    ? { name: region, field: region }
+    : { field: region.name, ...region };
+
+/**
+ * Registers a layout, or replaces an existing one
+ * @param {string} name - Layout name
+ * @param {Object} [definition] - Layout definition
+ * @param {Array<string>} [definition.contentTypes] - Content types using the
+ *   layout, defaults to the layout name
+ * @param {Array<string|Object>} [definition.regions] - Regions in document
+ *   order, OUTLET included; others read the global settings field of their
+ *   name or the given { name, field }
+ * @returns {Object} Registered layout
+ */
+export const registerLayout = (name, definition = {}) => {
+  if (!name || typeof name !== 'string') {
+    throw new Error('registerLayout requires a layout name');
+  }
+
+  const regions = (definition.regions || [OUTLET]).map(toRegion);
+  if (regions.filter(region => region.name === OUTLET).length !== 1) {
+    throw new Error(`Layout ${name} needs exactly one ${OUTLET} region`);
+  }
+
+  const layout = {
+    name,
+    contentTypes: definition.contentTypes || [name],
+    regions,
+  };
+
+  LAYOUT_REGISTRY.set(name, layout);
+  return layout;
+};
+
+/**
+ * Removes a layout from the registry
+ * @param {string} name - Layout name
+ * @returns {boolean} True if the layout was registered
+ */
+export const unregisterLayout = name => LAYOUT_REGISTRY.delete(name);
+
+/**
+ * Gets a registered layout
+ * @param {string} name - Layout name
+ * @returns {Object|null} Layout
+ */
+export const getLayout = name => LAYOUT_REGISTRY.get(name) || null;
+
+/**
+ * Finds the layout of a story
+ * The story's layout field wins over its content type
+ * @param {Object} story - Storyblok story
+ * @returns {Object} Layout
+ */
+export const resolveLayout = story => {
+  const content = story?.content || {};
+  const byType = Array.from(LAYOUT_REGISTRY.values()).find(layout =>
+    layout.contentTypes.includes(content.component)
+  );
+
+  return (
+    getLayout(content.layout) ||
+    byType ||
+    getLayout(DEFAULT_LAYOUT) ||
+    FALLBACK_LAYOUT
+  );
+};
+
+/**
+ * Creates the components of a layout region
+ * @param {Object} region - Region of the layout
+ * @param {Object|null} settings - Global settings
+ * @param {Object} context - Render context from createRenderContext
+ * @returns {Array<Object>} Component instances
+ */
+export const createRegionComponents = (region, settings, context) => {
+  const blocks = settings?.story?.content?.[region.field];
+
+  return (Array.isArray(blocks) ? blocks : [])
+    .map(block => createComponent(block, context))
+    .filter(Boolean);
+};
+
+/**
+ * Creates the empty element of a layout
+ * Regions and the outlet carry data attributes so pre-rendered layouts can
+ * be found again
+ * @param {Object} layout - Layout
+ * @returns {Object} Layout element, its outlet and region elements by name
+ */
+export const createLayoutElement = layout => {
+  const element = document.createElement('div');
+  element.className = `layout layout-${layout.name}`;
+  element.dataset.layout = layout.name;
+
+  const regions = {};
+  layout.regions.forEach(({ name }) => {
+    const region = document.createElement('div');
+    region.className = `layout-region layout-${name}`;
+    region.dataset.region = name;
+    element.appendChild(region);
+    regions[name] = region;
+  });
+
+  return { element, outlet: regions[OUTLET], regions };
+};
+
+/**
+ * Finds a pre-rendered layout in a container
+ * @param {HTMLElement} container - App container
+ * @param {Object} layout - Layout
+ * @returns {Object|null} Layout element, its outlet and region elements
+ */
+export const findLayoutElement = (container, layout) => {
+  const element = Array.from(container.children).find(
+    child => child.dataset.layout === layout.name
+  );
+  if (!element) {
+    return null;
+  }
+
+  const regions = Object.fromEntries(
+    Array.from(element.children).map(region => [region.dataset.region, region])
+  );
+  const complete = layout.regions.every(({ name }) => regions[name]);
+
+  return complete ? { element, outlet: regions[OUTLET], regions } : null;
+};
+
+registerLayout(DEFAULT_LAYOUT);
+registerLayout('blog_post', {
+  regions: [OUTLET, { name: 'sidebar', field: 'blog_sidebar' }],
+});
+registerLayout('product', {
+  regions: [OUTLET, { name: 'sidebar', field: 'product_sidebar' }],
+});
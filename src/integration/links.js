@@ -0,0 +1,239 @@
+// src/integration/links.js
+/**
+ * Storyblok link field resolution
+ * Turns multilink fields into hrefs with target and rel, mapping story slugs
+ * to public paths (content folder prefix, language folders, home story)
+ */
+
+import { getAppConfig } from '../config/environment.js';
+import { isDevelopment } from '../utils/environment.js';
+
+// Link hrefs end up in attributes that are not sanitized
+const UNSAFE_PROTOCOL = /^\s*(javascript|data|vbscript):/i;
+
+/**
+ * Creates a link resolver
+ * @param {Object} [options] - Resolver options
+ * @param {string} [options.basePath] - Path the site is served under, e.g. '/shop'
+ * @param {string} [options.folderPrefix] - Content folder that maps to the
+ *   site root, e.g. 'site/' for stories stored under a 'site' folder
+ * @param {string} [options.homeSlug] - Slug of the home story
+ * @param {Array<string>} [options.languages] - Language folder codes
+ * @param {string} [options.defaultLanguage] - Language served without prefix
+ * @param {string} [options.language] - Language of the page being rendered
+ * @param {Function} [options.localizePath] - Builds the path or URL of a
+ *   path in a language, see createLocaleResolver; defaults to a prefix
+ * @returns {Object} Resolver API
+ */
+export const createLinkResolver = ({
+  basePath = '',
+  folderPrefix = '',
+  homeSlug = 'home',
+  languages = [],
+  defaultLanguage = null,
+  language = null,
+  localizePath = null,
+} = {}) => {
+  const base = basePath.replace(/\/+$/, '');
+  const prefix = folderPrefix.replace(/^\/+/, '');
+
+  /**
+   * Maps a story full slug to its public path
+   * @param {string} fullSlug - Story full slug or cached_url
+   * @returns {string} Path starting with a slash, or a URL for languages
+   *   served from their own domain
+   */
+  const storyPath = fullSlug => {
+    let slug = (fullSlug || '').replace(/^\/+|\/+$/g, '');
+
+    if (prefix && `${slug}/`.startsWith(prefix)) {
+      slug = `${slug}/`.slice(prefix.length).replace(/\/+$/, '');
+    }
+
+    // Language folders: the default language lives at the root
+    const [first, ...rest] = slug.split('/');
+    let lang = languages.includes(first) ? first : null;
+    if (lang) {
+      slug = rest.join('/');
+    } else if (language && (language !== defaultLanguage || localizePath)) {
+      // Field-level translations share one slug across languages; the
+      // default language may live on another domain than the current one
+      lang = language;
+    }
+
+    if (slug === homeSlug) {
+      slug = '';
+    }
+
+    const localized = localizePath
+      ? localizePath(`/${slug}`, lang)
+      : `${lang && lang !== defaultLanguage ? `/${lang}` : ''}/${slug}`;
+
+    // Languages served from their own domain
+    if (/^https?:\/\//.test(localized)) {
+      return localized;
+    }
+
+    const path = `${base}${localized}`;
+
+    return path.length > 1 ? path.replace(/\/+$/, '') : path;
+  };
+
+  /**
+   * Maps a public path back to its story full slug, the inverse of storyPath
+   * @param {string} pathname - URL pathname without language prefix
+   * @returns {string} Story full slug
+   */
+  const pathToStorySlug = pathname => {
+    let path = (pathname || '').split(/[?#]/)[0];
+
+    if (base && `${path}/`.startsWith(`${base}/`)) {
+      path = path.slice(base.length);
+    }
+
+    const slug = path.replace(/^\/+|\/+$/g, '') || homeSlug;
+
+    return prefix ? `${prefix.replace(/\/+$/, '')}/${slug}` : slug;
+  };
+
+  /**
+   * Resolves a link field
+   * @param {Object|string} link - Storyblok multilink field or URL
+   * @returns {Object} Link with href, target, rel, internal and broken flags
+   */
+  const resolve = link => {
+    const resolved = {
+      href: '',
+      target: null,
+      rel: null,
+      internal: false,
+      broken: false,
+    };
+
+    if (!link) {
+      return resolved;
+    }
+
+    if (typeof link === 'string') {
+      if (!UNSAFE_PROTOCOL.test(link)) {
+        resolved.href = link;
+        resolved.internal = link.startsWith('/');
+      }
+      return resolved;
+    }
+
+    switch (link.linktype) {
+      case 'story': {
+        const fullSlug = link.story?.full_slug || link.cached_url;
+        resolved.internal = true;
+
+        if (fullSlug) {
+          resolved.href = storyPath(fullSlug);
+        }
+        // A story id without a slug points at a deleted story
+        resolved.broken = Boolean(link.id) && !fullSlug;
+        break;
+      }
+
+      case 'email': {
+        const email = link.email || link.url;
+        resolved.href = email ? `mailto:${email}` : '';
+        break;
+      }
+
+      case 'asset':
+        resolved.href = link.url || link.cached_url || '';
+        break;
+
+      default: {
+        const url = link.url || link.cached_url || '';
+        // Editors often enter URLs without a protocol
+        resolved.href = /^www\./i.test(url) ? `https://${url}` : url;
+        resolved.internal = resolved.href.startsWith('/');
+      }
+    }
+
+    if (UNSAFE_PROTOCOL.test(resolved.href)) {
+      resolved.href = '';
+      resolved.internal = false;
+    }
+
+    if (link.anchor && !resolved.broken) {
+      resolved.href = `${resolved.href}#${link.anchor}`;
+    }
+
+    if (link.target) {
+      resolved.target = link.target;
+      if (link.target === '_blank') {
+        resolved.rel = 'noopener noreferrer';
+      }
+    }
+
+    return resolved;
+  };
+
+  return {
+    resolve,
+    storyPath,
+    pathToStorySlug,
+  };
+};
+
+/**
+ * Checks whether a story is a page of the site
+ * The settings folder, the redirects story and the not-found story hold
+ * content for other pages and have no URL of their own
+ * @param {Object} story - Storyblok story
+ * @param {Object} [config] - Slugs from getAppConfig
+ * @returns {boolean} True for stories with their own page
+ */
+export const isPageStory = (
+  story,
+  { globalStory, redirectsStory, notFoundStory } = getAppConfig()
+) => {
+  const trim = slug => (slug || '').replace(/^\/+|\/+$/g, '');
+  const slug = trim(story?.full_slug);
+  const settingsSlug = trim(globalStory);
+  const settingsFolder = settingsSlug.includes('/')
+    ? settingsSlug.slice(0, settingsSlug.lastIndexOf('/') + 1)
+    : null;
+
+  return !(
+    (settingsFolder && `${slug}/`.startsWith(settingsFolder)) ||
+    [settingsSlug, trim(redirectsStory), trim(notFoundStory)].includes(slug)
+  );
+};
+
+// Resolver used when the render context brings none
+const defaultResolver = createLinkResolver();
+
+/**
+ * Resolves a link field with the resolver of a render context
+ * Broken internal links are reported as issues of the block
+ * @param {Object|string} link - Storyblok link field or URL
+ * @param {Object} [context] - Render or transformer context
+ * @param {string} [field] - Field name for issue reports
+ * @returns {Object} Resolved link
+ */
+export const resolveLink = (link, context = {}, field = null) => {
+  const resolved = (context.linkResolver || defaultResolver).resolve(link);
+
+  if (resolved.broken) {
+    const issue = {
+      component: context.componentType || null,
+      uid: context.uid || null,
+      field,
+      message: `Broken internal link to story ${link.id}`,
+      severity: 'warning',
+    };
+
+    if (context.issues) {
+      context.issues.push(issue);
+    }
+    if (isDevelopment()) {
+      console.warn('Broken internal link:', issue);
+    }
+  }
+
+  return resolved;
+};
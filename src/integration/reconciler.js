@@ -0,0 +1,225 @@
+// src/integration/reconciler.js
+/**
+ * Keyed block reconciler
+ * Re-rendering a story, e.g. after a refresh, a language switch or a draft
+ * from the Visual Editor, would otherwise replace every component. With a
+ * reconciler in the render context, createComponent reuses the instance of
+ * the previous pass with the same _uid and component type, nested blocks of
+ * grids and sections included:
+ *
+ *   unchanged blocks  - the instance is kept as it is
+ *   changed blocks    - update(props) of the instance, created again when it
+ *                       has none or the block became invalid
+ *   fallbacks         - created again, as the block may have become valid
+ *   new blocks        - created
+ *   removed blocks    - destroyed when the pass is committed
+ *
+ * Instances keep their state and elements; reconcileElements moves the
+ * elements of a list into their new order.
+ */
+
+import { getComponentProps } from './componentMapper.js';
+
+/**
+ * Checks whether a value is a block with an identity
+ * @param {*} value - Field value
+ * @returns {boolean} True for blocks with _uid and component
+ */
+const isBlock = value =>
+  Boolean(value && typeof value === 'object' && value._uid && value.component);
+
+/**
+ * Key of a block; blocks changing their type are created again
+ * @param {Object} block - Storyblok block
+ * @returns {string|null} Key, null for blocks without _uid
+ */
+const toKey = block =>
+  isBlock(block) ? `${block.component}:${block._uid}` : null;
+
+/**
+ * Serializes the fields of a block with nested blocks as their keys
+ * Changes inside nested blocks reach those blocks, not their parent
+ * @param {Object} block - Storyblok block
+ * @returns {string} Signature of the block's own fields and children order
+ */
+const toSignature = block =>
+  JSON.stringify(block, (name, value) =>
+    value !== block && isBlock(value) ? toKey(value) : value
+  );
+
+/**
+ * Calls a function for every block nested in a value
+ * @param {*} value - Block or field value
+ * @param {Function} callback - Called with each nested block
+ */
+const forEachNestedBlock = (value, callback) => {
+  const values = Array.isArray(value) ? value : Object.values(value || {});
+  values.forEach(item => {
+    if (item && typeof item === 'object') {
+      if (isBlock(item)) {
+        callback(item);
+      }
+      forEachNestedBlock(item, callback);
+    }
+  });
+};
+
+/**
+ * Creates a reconciler keeping the component instances of one block tree
+ * @returns {Object} Reconciler API
+ */
+export const createReconciler = () => {
+  // Instances of the last pass by key, with the block they render, its
+  // language and the issues found in it
+  let instances = new Map();
+  // Instances of the pass before, while a pass runs
+  let previous = null;
+
+  /**
+   * Starts a pass; createComponent may reuse instances until commit
+   */
+  const begin = () => {
+    previous = instances;
+    instances = new Map();
+  };
+
+  /**
+   * Carries over the instances of blocks nested in an unchanged block
+   * @param {Object} block - Unchanged Storyblok block
+   */
+  const keepNested = block => {
+    forEachNestedBlock(block, nested => {
+      const key = toKey(nested);
+      if (previous.has(key)) {
+        instances.set(key, previous.get(key));
+        previous.delete(key);
+      }
+    });
+  };
+
+  /**
+   * Gets the instance of the previous pass for a block
+   * Called by createComponent before it creates an instance
+   * @param {Object} block - Storyblok block
+   * @param {Object} context - Render context of the pass
+   * @returns {Object|null} Reused instance, null to create one
+   */
+  const reuse = (block, context) => {
+    const key = toKey(block);
+    const entry = key && previous?.get(key);
+    if (!entry) {
+      return null;
+    }
+
+    const { component } = entry;
+    // Fallbacks ignore updates; a fixed block needs its real component
+    if (component.fallback || typeof component.update !== 'function') {
+      return null;
+    }
+
+    const language = context.language || null;
+    if (
+      language === entry.language &&
+      JSON.stringify(block) === JSON.stringify(entry.block)
+    ) {
+      previous.delete(key);
+      keepNested(block);
+      instances.set(key, entry);
+      context.issues.push(...entry.issues);
+      return component;
+    }
+
+    // Transforming the props reconciles nested blocks too
+    const issueCount = context.issues.length;
+    const props = getComponentProps(block, context);
+    if (!props) {
+      // createComponent reports the issues again
+      context.issues.splice(issueCount);
+      return null;
+    }
+
+    previous.delete(key);
+    if (
+      language !== entry.language ||
+      toSignature(block) !== toSignature(entry.block)
+    ) {
+      component.update(props);
+    }
+    instances.set(key, {
+      block,
+      component,
+      language,
+      issues: context.issues.slice(issueCount),
+    });
+    return component;
+  };
+
+  /**
+   * Records an instance createComponent created for a block
+   * @param {Object} block - Storyblok block
+   * @param {Object|null} component - Created instance
+   * @param {Object} context - Render context of the pass
+   * @param {Array<Object>} [issues] - Issues found in the block
+   */
+  const track = (block, component, context, issues = []) => {
+    const key = toKey(block);
+    if (key && component) {
+      instances.set(key, {
+        block,
+        component,
+        language: context.language || null,
+        issues,
+      });
+    }
+  };
+
+  /**
+   * Ends a pass, destroying the instances it did not reuse
+   * @returns {number} Number of destroyed instances
+   */
+  const commit = () => {
+    const removed = previous ? previous.size : 0;
+    previous?.forEach(({ component }) => component.destroy?.());
+    previous = null;
+    return removed;
+  };
+
+  /**
+   * Destroys all instances
+   */
+  const destroy = () => {
+    begin();
+    commit();
+  };
+
+  return {
+    begin,
+    commit,
+    reuse,
+    track,
+    destroy,
+    get size() {
+      return instances.size;
+    },
+  };
+};
+
+/**
+ * Puts elements into a container in order
+ * Elements already in place stay untouched, so they keep focus; others
+ * are moved or inserted, and remaining children are removed.
+ * @param {HTMLElement} container - Parent element
+ * @param {Array<HTMLElement>} elements - Elements in their new order
+ */
+export const reconcileElements = (container, elements) => {
+  elements.forEach((element, index) => {
+    const current = container.children[index];
+    if (current !== element) {
+      container.insertBefore(element, current || null);
+    }
+  });
+
+  Array.from(container.childNodes)
+    .filter(node => !elements.includes(node))
+    .forEach(node => node.remove());
+};
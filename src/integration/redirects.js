@@ -0,0 +1,350 @@
+// src/integration/redirects.js
+/**
+ * Redirects managed in Storyblok
+ * Editors keep redirects in a story, settings/redirects by default, as
+ * `redirect` blocks in its redirects field:
+ *
+ *   source  - path pattern, e.g. /old-page, /blog/:slug or /shop/*
+ *   target  - path, URL or link field; :params and * are substituted
+ *   status  - 301 (default) or 302
+ *   locale  - language the redirect is limited to, empty for all
+ *
+ * A datasource, redirects by default, can hold more: the entry name is the
+ * source, the value the target, optionally followed by status and locale,
+ * e.g. "/new-page 302 de". Sources and targets are paths without language
+ * prefix; targets stay in the language of the request. Chains resolve to
+ * their final target, loops are reported and left alone.
+ *
+ * Paths left without a story show the not-found story, not-found by
+ * default, with status 404.
+ */
+
+import { getAppConfig } from '../config/environment.js';
+import { resolveLink } from './links.js';
+import { isDevelopment } from '../utils/environment.js';
+
+/**
+ * Supported redirect status codes
+ */
+export const REDIRECT_STATUSES = [301, 302];
+
+/**
+ * Most redirects a chain may have before it counts as a loop
+ */
+const MAX_HOPS = 10;
+
+/**
+ * Page shown for missing stories until editors create the not-found story
+ * @param {string} [slug] - Slug of the not-found story
+ * @returns {Object} Storyblok story
+ */
+export const createNotFoundStory = (slug = getAppConfig().notFoundStory) => ({
+  id: 'not-found',
+  name: 'Page not found',
+  slug,
+  full_slug: slug,
+  content: {
+    component: 'page',
+    title: 'Page not found',
+    noindex: true,
+    body: [
+      {
+        _uid: 'not-found',
+        component: 'hero_section',
+        title: 'Page not found',
+        subtitle: 'The page you are looking for does not exist or has moved.',
+      },
+    ],
+  },
+});
+
+/**
+ * Removes the trailing slash of a path, keeping the root
+ * @param {string} path - Path
+ * @returns {string} Normalized path
+ */
+const normalizePath = path => {
+  const trimmed = `/${String(path || '').trim()}`.replace(/\/{2,}/g, '/');
+  return trimmed.length > 1 ? trimmed.replace(/\/+$/, '') : trimmed;
+};
+
+const escapeRegExp = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Compiles a source pattern
+ * `:name` matches one segment, a trailing `*` the rest of the path
+ * @param {string} source - Source pattern
+ * @returns {Object} Regex and parameter names
+ */
+const compileSource = source => {
+  const segments = normalizePath(source).split('/').slice(1);
+  const names = [];
+  const splat = segments[segments.length - 1] === '*';
+
+  const pattern = (splat ? segments.slice(0, -1) : segments)
+    .map(segment => {
+      if (segment.startsWith(':')) {
+        names.push(segment.slice(1));
+        return '/([^/]+)';
+      }
+      return `/${escapeRegExp(segment)}`;
+    })
+    .join('');
+
+  if (splat) {
+    names.push('splat');
+  }
+
+  return {
+    regex: new RegExp(`^${splat ? `${pattern}(?:/(.*))?` : pattern || '/'}$`),
+    names,
+  };
+};
+
+/**
+ * Normalizes a redirect rule
+ * @param {Object} rule - Rule with source, target, status and locale
+ * @returns {Object|null} Compiled rule, null if source or target is missing
+ */
+export const toRedirect = ({ source, target, status, locale } = {}) => {
+  const href =
+    target && typeof target === 'object' ? resolveLink(target).href : target;
+  if (!source || !href) {
+    return null;
+  }
+
+  const code = parseInt(status, 10);
+  return {
+    source: normalizePath(source),
+    target: String(href).trim(),
+    status: REDIRECT_STATUSES.includes(code) ? code : 301,
+    locale: locale || null,
+    ...compileSource(source),
+  };
+};
+
+/**
+ * Reads the redirects of a redirects story
+ * @param {Object} story - Storyblok story
+ * @returns {Array<Object>} Compiled rules
+ */
+export const storyToRedirects = story =>
+  (story?.content?.redirects || []).map(toRedirect).filter(Boolean);
+
+/**
+ * Reads the redirects of datasource options
+ * @param {Array<Object>} options - Options with label (source) and value
+ *   (target, then optional status and locale)
+ * @returns {Array<Object>} Compiled rules
+ */
+export const datasourceToRedirects = options =>
+  options
+    .map(({ label, value }) => {
+      const [target, status, locale] = String(value || '')
+        .trim()
+        .split(/\s+/);
+      return toRedirect({ source: label, target, status, locale });
+    })
+    .filter(Boolean);
+
+/**
+ * Finds the first rule matching a path and builds its target
+ * @param {Array<Object>} rules - Compiled rules
+ * @param {string} path - Path without language prefix and query
+ * @param {string} [language] - Language of the request
+ * @returns {Object|null} Matched rule and substituted target
+ */
+export const matchRedirect = (rules, path, language = null) => {
+  const normalized = normalizePath(path);
+
+  for (const rule of rules) {
+    if (rule.locale && rule.locale !== language) continue;
+
+    const match = normalized.match(rule.regex);
+    if (!match) continue;
+
+    const params = Object.fromEntries(
+      rule.names.map((name, index) => [name, match[index + 1] || ''])
+    );
+    const target = rule.target.replace(/:(\w+)|\*/g, (token, name) =>
+      (name || 'splat') in params ? params[name || 'splat'] : token
+    );
+
+    return { rule, target };
+  }
+
+  return null;
+};
+
+/**
+ * Whether a target leaves the site
+ * @param {string} target - Redirect target
+ * @returns {boolean} True for absolute URLs
+ */
+const isExternal = target => /^[a-z][a-z\d+.-]*:/i.test(target);
+
+/**
+ * Follows the redirects of a request to their final target
+ * Chains are shortened to one redirect, which is permanent only if every
+ * step is. The query of the request is kept unless the target has one.
+ * @param {Array<Object>} rules - Compiled rules
+ * @param {string} url - Request path, optionally with query
+ * @param {Object} [options] - Resolve options
+ * @param {Object} [options.locales] - Locale resolver, see
+ *   createLocaleResolver; without it paths have no language prefix
+ * @returns {Object|null} { location, status }, { loop, chain } for loops,
+ *   null if no redirect matches
+ */
+export const resolveRedirect = (rules, url, { locales = null } = {}) => {
+  const [pathname, query = ''] = String(url).split('?');
+  const chain = [normalizePath(pathname)];
+  let current = pathname;
+  let permanent = true;
+
+  while (chain.length <= MAX_HOPS + 1) {
+    const location = locales
+      ? locales.parseLocation(current)
+      : { path: current, language: null };
+    const match = matchRedirect(rules, location.path, location.language);
+
+    if (!match) break;
+
+    permanent = permanent && match.rule.status === 301;
+    current =
+      isExternal(match.target) || !locales
+        ? match.target
+        : locales.localizePath(match.target, location.language);
+
+    if (isExternal(current)) break;
+
+    const next = normalizePath(current.split('?')[0]);
+    if (chain.includes(next)) {
+      return { loop: true, chain: [...chain, next] };
+    }
+    chain.push(next);
+  }
+
+  if (chain.length > MAX_HOPS + 1) {
+    return { loop: true, chain };
+  }
+  if (current === pathname) {
+    return null;
+  }
+
+  return {
+    location: query && !current.includes('?') ? `${current}?${query}` : current,
+    status: permanent ? 301 : 302,
+  };
+};
+
+/**
+ * Milliseconds before rules that failed to load are loaded again
+ */
+const RETRY_DELAY = 30000;
+
+/**
+ * Creates the redirects loader
+ * Rules of the story come before those of the datasource
+ * @param {Object} storyblok - Client from createStoryblokClient
+ * @param {Object} [options] - Loader options
+ * @param {string} [options.story] - Slug of the redirects story
+ * @param {string} [options.datasource] - Slug of the redirects datasource
+ * @param {number} [options.retryDelay] - Milliseconds before failed rules
+ *   are loaded again
+ * @returns {Object} Loader API
+ */
+export const createRedirects = (
+  storyblok,
+  {
+    story = getAppConfig().redirectsStory,
+    datasource = getAppConfig().redirectsDatasource,
+    retryDelay = RETRY_DELAY,
+  } = {}
+) => {
+  let cache = null;
+  // Time after which a load that failed is retried
+  let retryAt = null;
+  // Rules each source last loaded, kept while loading fails
+  const loaded = {};
+
+  /**
+   * Loads the rules of one source
+   * A missing story or datasource has no rules; other failures keep the
+   * rules of the last load and schedule a retry
+   * @param {string} source - Source name for warnings
+   * @param {Function} read - Fetches and compiles the rules
+   * @returns {Promise<Array<Object>>} Rules
+   */
+  const loadRules = async (source, read) => {
+    try {
+      loaded[source] = await read();
+    } catch (error) {
+      if (error.status === 404) {
+        loaded[source] = [];
+      } else {
+        retryAt = Date.now() + retryDelay;
+        if (isDevelopment()) {
+          console.warn(`Redirects ${source} not loaded:`, error.message);
+        }
+      }
+    }
+    return loaded[source] || [];
+  };
+
+  /**
+   * Loads the rules once, and again after a failed load's retry delay
+   * @returns {Promise<Array<Object>>} Compiled rules
+   */
+  const load = () => {
+    if (cache && retryAt !== null && Date.now() >= retryAt) {
+      cache = null;
+    }
+    if (!cache) {
+      retryAt = null;
+      cache = Promise.all([
+        loadRules(`story ${story}`, async () =>
+          storyToRedirects(await storyblok.getStory(story))
+        ),
+        loadRules(`datasource ${datasource}`, async () =>
+          datasourceToRedirects(await storyblok.getDatasource(datasource))
+        ),
+      ]).then(rules => rules.flat());
+    }
+
+    return cache;
+  };
+
+  /**
+   * Finds the redirect of a request
+   * Loops are logged and not redirected
+   * @param {string} url - Request path, optionally with query
+   * @param {Object} [options] - See resolveRedirect
+   * @returns {Promise<Object|null>} { location, status } or null
+   */
+  const resolve = async (url, options) => {
+    const redirect = resolveRedirect(await load(), url, options);
+
+    if (redirect?.loop) {
+      console.warn(`Redirect loop: ${redirect.chain.join(' -> ')}`);
+      return null;
+    }
+    return redirect;
+  };
+
+  /**
+   * Checks whether a story is the redirects story
+   * @param {Object} value - Storyblok story
+   * @returns {boolean} True for the redirects story
+   */
+  const isRedirectsStory = value =>
+    (value?.full_slug || '').replace(/\/+$/, '') === story;
+
+  return {
+    load,
+    resolve,
+    clear: () => {
+      cache = null;
+    },
+    isRedirectsStory,
+  };
+};
@@ -0,0 +1,279 @@
+// src/integration/richText.js
+/**
+ * Storyblok rich text renderer
+ * Renders rich text documents to HTML, with embedded bloks created through
+ * createComponent and mounted into the rendered markup. Every node and mark
+ * type can be overridden.
+ *
+ * A node resolver is called as (node, children, helpers) and a mark resolver
+ * as (mark, text, helpers); both return HTML. helpers holds escape,
+ * attributes and the render context. The output is sanitized once, after
+ * all resolvers ran, so resolvers need not sanitize themselves.
+ */
+
+import { sanitizeHTML } from '../utils/validation/index.js';
+import { isDevelopment } from '../utils/environment.js';
+import { resolveLink } from './links.js';
+
+/**
+ * Escapes text for use in HTML content and attribute values
+ * @param {*} value - Text
+ * @returns {string} Escaped text
+ */
+export const escapeHTML = value =>
+  String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+/**
+ * Builds an attribute string, skipping empty values
+ * @param {Object} attrs - Attribute values by name
+ * @returns {string} Attributes with a leading space, or an empty string
+ */
+const attributes = attrs =>
+  Object.entries(attrs)
+    .filter(
+      ([, value]) => value !== null && value !== undefined && value !== ''
+    )
+    .map(([name, value]) => ` ${name}="${escapeHTML(value)}"`)
+    .join('');
+
+/**
+ * Creates a resolver that wraps children in a tag
+ * @param {string} tag - HTML tag
+ * @returns {Function} Node or mark resolver
+ */
+const wrapIn = tag => (node, children) => `<${tag}>${children}</${tag}>`;
+
+/**
+ * Default node resolvers
+ */
+const DEFAULT_NODE_RESOLVERS = {
+  doc: (node, children) => children,
+  paragraph: wrapIn('p'),
+  heading: (node, children) => {
+    const level = Math.min(Math.max(Number(node.attrs?.level) || 1, 1), 6);
+    return `<h${level}>${children}</h${level}>`;
+  },
+  text: (node, children, { escape }) => escape(node.text),
+  bullet_list: wrapIn('ul'),
+  ordered_list: (node, children, { attributes }) => {
+    const start = Number(node.attrs?.order) || 1;
+    return `<ol${attributes({ start: start !== 1 ? start : null })}>${children}</ol>`;
+  },
+  list_item: wrapIn('li'),
+  blockquote: wrapIn('blockquote'),
+  code_block: (node, children, { attributes }) => {
+    const language = node.attrs?.class || node.attrs?.language;
+    return `<pre><code${attributes({ class: language })}>${children}</code></pre>`;
+  },
+  hard_break: () => '<br>',
+  horizontal_rule: () => '<hr>',
+  image: (node, children, { attributes }) =>
+    `<img${attributes({
+      src: node.attrs?.src,
+      alt: node.attrs?.alt || '',
+      title: node.attrs?.title,
+      loading: 'lazy',
+    })}>`,
+  emoji: (node, children, { attributes, escape }) => {
+    if (node.attrs?.emoji) {
+      return `<span${attributes({ class: 'emoji', title: node.attrs.name })}>${escape(node.attrs.emoji)}</span>`;
+    }
+    return `<img${attributes({
+      src: node.attrs?.fallbackImage,
+      alt: node.attrs?.name,
+      width: 16,
+      height: 16,
+    })}>`;
+  },
+  table: (node, children) => `<table><tbody>${children}</tbody></table>`,
+  tableRow: wrapIn('tr'),
+  tableHeader: (node, children, { attributes }) =>
+    `<th${tableCellAttributes(node, attributes)}>${children}</th>`,
+  tableCell: (node, children, { attributes }) =>
+    `<td${tableCellAttributes(node, attributes)}>${children}</td>`,
+  blok: (node, children, { renderBlok }) =>
+    (node.attrs?.body || []).map(renderBlok).join(''),
+};
+
+/**
+ * Gets the span and width attributes of a table cell
+ * @param {Object} node - Table cell node
+ * @param {Function} attributes - Attribute builder
+ * @returns {string} Attributes
+ */
+const tableCellAttributes = (node, attributes) => {
+  const { colspan, rowspan, colwidth, backgroundColor } = node.attrs || {};
+  const styles = [
+    colwidth?.length ? `width: ${Number(colwidth[0])}px` : null,
+    backgroundColor ? `background-color: ${backgroundColor}` : null,
+  ].filter(Boolean);
+
+  return attributes({
+    colspan: colspan > 1 ? colspan : null,
+    rowspan: rowspan > 1 ? rowspan : null,
+    style: styles.join('; '),
+  });
+};
+
+/**
+ * Default mark resolvers
+ */
+const DEFAULT_MARK_RESOLVERS = {
+  bold: wrapIn('strong'),
+  italic: wrapIn('em'),
+  strike: wrapIn('s'),
+  underline: wrapIn('u'),
+  code: wrapIn('code'),
+  superscript: wrapIn('sup'),
+  subscript: wrapIn('sub'),
+  textStyle: (mark, text, { attributes }) =>
+    mark.attrs?.color
+      ? `<span${attributes({ style: `color: ${mark.attrs.color}` })}>${text}</span>`
+      : text,
+  highlight: (mark, text, { attributes }) =>
+    `<mark${attributes({
+      style: mark.attrs?.color ? `background-color: ${mark.attrs.color}` : null,
+    })}>${text}</mark>`,
+  anchor: (mark, text, { attributes }) =>
+    `<span${attributes({ id: mark.attrs?.id })}>${text}</span>`,
+  styled: (mark, text, { attributes }) =>
+    `<span${attributes({ class: mark.attrs?.class })}>${text}</span>`,
+  link: (mark, text, { attributes, context }) => {
+    const { href, linktype, uuid, story, anchor, target } = mark.attrs || {};
+    const link = resolveLink(
+      {
+        linktype,
+        id: uuid,
+        story,
+        anchor,
+        target,
+        cached_url: href,
+        url: href,
+        email: href?.replace(/^mailto:/, ''),
+      },
+      context,
+      'richtext'
+    );
+
+    return `<a${attributes({
+      href: link.href || '#',
+      target: link.target,
+      rel: link.rel,
+    })}>${text}</a>`;
+  },
+};
+
+// Project overrides, see registerRichTextResolvers
+const nodeResolvers = { ...DEFAULT_NODE_RESOLVERS };
+const markResolvers = { ...DEFAULT_MARK_RESOLVERS };
+
+/**
+ * Overrides how rich text nodes and marks render
+ * Passing null for a type restores its default
+ * @param {Object} resolvers - Resolvers to register
+ * @param {Object} [resolvers.nodes] - Node resolvers keyed by node type
+ * @param {Object} [resolvers.marks] - Mark resolvers keyed by mark type
+ */
+export const registerRichTextResolvers = ({ nodes = {}, marks = {} }) => {
+  Object.entries(nodes).forEach(([type, resolver]) => {
+    nodeResolvers[type] = resolver || DEFAULT_NODE_RESOLVERS[type];
+  });
+  Object.entries(marks).forEach(([type, resolver]) => {
+    markResolvers[type] = resolver || DEFAULT_MARK_RESOLVERS[type];
+  });
+};
+
+/**
+ * Renders a Storyblok rich text document to sanitized HTML
+ * Embedded bloks need context.createComponent and context.embedded: they
+ * render as placeholders, and their instances are added to context.embedded
+ * for mountEmbeddedBloks to put in place
+ * @param {Object} doc - Storyblok rich text document
+ * @param {Object} [context] - Transformer context
+ * @param {Object} [resolvers] - Node and mark resolvers for this call only
+ * @returns {string} HTML string
+ */
+export const renderRichText = (doc, context = {}, resolvers = {}) => {
+  if (!doc || !Array.isArray(doc.content)) {
+    return '';
+  }
+
+  const nodes = { ...nodeResolvers, ...resolvers.nodes };
+  const marks = { ...markResolvers, ...resolvers.marks };
+
+  const renderBlok = blok => {
+    if (
+      typeof context.createComponent !== 'function' ||
+      !Array.isArray(context.embedded)
+    ) {
+      if (isDevelopment()) {
+        console.warn('Rich text blok skipped, no component to mount it:', blok);
+      }
+      return '';
+    }
+
+    const component = context.createComponent(blok);
+    if (!component) {
+      return '';
+    }
+
+    // The same on the server and the client, so hydration finds them
+    const id = blok._uid
+      ? `rich-text-blok-${blok._uid}`
+      : `rich-text-blok-index-${context.embedded.length}`;
+    context.embedded.push({ id, blok, component });
+    return `<span${attributes({ id })}></span>`;
+  };
+
+  const helpers = { escape: escapeHTML, attributes, context, renderBlok };
+
+  const renderNode = node => {
+    if (!node) {
+      return '';
+    }
+
+    const children = (node.content || []).map(renderNode).join('');
+    const resolver = nodes[node.type];
+    let html = resolver ? resolver(node, children, helpers) : children;
+
+    if (node.type === 'text') {
+      (node.marks || []).forEach(mark => {
+        const markResolver = marks[mark.type];
+        if (markResolver) {
+          html = markResolver(mark, html, helpers);
+        }
+      });
+    }
+
+    return html;
+  };
+
+  return sanitizeHTML(renderNode({ ...doc, type: 'doc' }));
+};
+
+/**
+ * Mounts embedded bloks into the placeholders of rendered rich text
+ * @param {HTMLElement} root - Element containing the rendered rich text
+ * @param {Array<Object>} embedded - Bloks renderRichText collected
+ */
+export const mountEmbeddedBloks = (root, embedded) => {
+  const placeholders = new Map(
+    Array.from(root?.querySelectorAll('span[id]') || []).map(element => [
+      element.id,
+      element,
+    ])
+  );
+
+  embedded.forEach(({ id, component }) => {
+    const placeholder = placeholders.get(id);
+    const element = placeholder && component.getElement();
+    if (element) {
+      placeholder.replaceWith(element);
+    }
+  });
+};
@@ -0,0 +1,99 @@
+// src/integration/schedule.js
+/**
+ * Scheduled content
+ * Blocks with a visible_from or visible_until date field only show within
+ * that window. Stories are filtered when they are fetched, against the
+ * current time or the "view as of" date of a preview.
+ */
+
+/**
+ * Fields holding the window a block is visible in
+ */
+export const SCHEDULE_FIELDS = {
+  from: 'visible_from',
+  until: 'visible_until',
+};
+
+/**
+ * Parses a date of a Storyblok datetime field or a preview setting
+ * Storyblok stores "YYYY-MM-DD HH:mm" in UTC
+ * @param {string|Date} value - Date value
+ * @returns {Date|null} Date, null if empty or invalid
+ */
+export const parseScheduleDate = value => {
+  if (!value) {
+    return null;
+  }
+  if (value instanceof Date) {
+    return Number.isNaN(value.getTime()) ? null : value;
+  }
+
+  const text = String(value).trim().replace(' ', 'T');
+  const date = new Date(
+    /T\d{2}:\d{2}(:\d{2})?$/.test(text) ? `${text}Z` : text
+  );
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * Checks whether a block is visible at a date
+ * @param {Object} block - Storyblok block
+ * @param {Date} [date] - Date to check, defaults to now
+ * @returns {boolean} True unless the block is scheduled outside the date
+ */
+export const isVisibleAt = (block, date = new Date()) => {
+  const from = parseScheduleDate(block?.[SCHEDULE_FIELDS.from]);
+  const until = parseScheduleDate(block?.[SCHEDULE_FIELDS.until]);
+  return (!from || from <= date) && (!until || until > date);
+};
+
+/**
+ * Removes blocks scheduled outside a date from a field value
+ * Returns the value itself when nothing is removed; cached API responses
+ * are never modified
+ * @param {*} value - Field value
+ * @param {Date} date - Date to check
+ * @returns {*} Filtered value
+ */
+const filterScheduled = (value, date) => {
+  if (Array.isArray(value)) {
+    const items = value
+      .filter(
+        item =>
+          !(item && typeof item === 'object' && item.component) ||
+          isVisibleAt(item, date)
+      )
+      .map(item => filterScheduled(item, date));
+    return items.length === value.length &&
+      items.every((item, index) => item === value[index])
+      ? value
+      : items;
+  }
+
+  if (value && typeof value === 'object') {
+    let changed = false;
+    const entries = Object.entries(value).map(([name, field]) => {
+      const filtered = filterScheduled(field, date);
+      changed = changed || filtered !== field;
+      return [name, filtered];
+    });
+    return changed ? Object.fromEntries(entries) : value;
+  }
+
+  return value;
+};
+
+/**
+ * Applies the schedule of a story's blocks
+ * @param {Object} story - Storyblok story
+ * @param {Date} [date] - Date the story is viewed at, defaults to now
+ * @returns {Object} Story without the blocks hidden at that date
+ */
+export const applySchedule = (story, date = new Date()) => {
+  if (!story?.content) {
+    return story;
+  }
+
+  const content = filterScheduled(story.content, date);
+  return content === story.content ? story : { ...story, content };
+};
@@ -0,0 +1,416 @@
+// src/integration/seo.js
+/**
+ * SEO head tags and structured data
+ * Head tags of a story come from, in order of precedence:
+ *   - the Storyblok SEO plugin (seo_metatags) in any top-level field
+ *   - an `seo` field group, or seo_title, seo_description, seo_image,
+ *     canonical and noindex fields on the content
+ *   - the story itself: content title, description and image, story name
+ *   - defaults, e.g. from the global settings story
+ *
+ * JSON-LD is built from blog_detail, product_card, contact_info and map
+ * blocks anywhere in the story body.
+ *
+ * getHeadTags describes the tags as data, so the server serializes the same
+ * tags the client head manager creates on every navigation. Managed tags
+ * carry a data-seo attribute.
+ */
+
+/**
+ * Attribute marking the head tags the head manager owns
+ */
+export const SEO_ATTRIBUTE = 'data-seo';
+
+/**
+ * Field value of the Storyblok SEO plugin
+ */
+const SEO_PLUGIN = 'seo_metatags';
+
+const SCHEMA_CONTEXT = 'https://schema.org';
+
+/**
+ * Picks the first non-empty string
+ * @param {...*} values - Candidates in order of precedence
+ * @returns {string|null} Trimmed value
+ */
+const pick = (...values) => {
+  const value = values.find(item => typeof item === 'string' && item.trim());
+  return value ? value.trim() : null;
+};
+
+/**
+ * Gets the URL of an asset field, as assetToUrl of the transformers
+ * Kept here so the module has no dependency on the component registry
+ * @param {Object|string} asset - Storyblok asset or plain URL
+ * @returns {string|null} Asset URL
+ */
+const assetToUrl = asset =>
+  typeof asset === 'string' ? asset : asset?.filename || null;
+
+/**
+ * Converts a field value to a number
+ * @param {*} value - Field value
+ * @returns {number|null} Number, null when empty or invalid
+ */
+const toNumber = value => {
+  const number = value === '' || value === null ? NaN : Number(value);
+  return Number.isFinite(number) ? number : null;
+};
+
+/**
+ * Removes empty values from a JSON-LD object
+ * @param {Object} object - JSON-LD object
+ * @returns {Object} Object without null, undefined, '' or empty arrays
+ */
+const compact = object =>
+  Object.fromEntries(
+    Object.entries(object).filter(
+      ([, value]) =>
+        value !== null &&
+        value !== undefined &&
+        value !== '' &&
+        !(Array.isArray(value) && value.length === 0)
+    )
+  );
+
+/**
+ * Finds blocks of the given types in a story body, nested bloks included
+ * @param {*} value - Story body or any field value
+ * @param {Array<string>} types - Block types
+ * @param {Array<Object>} [found] - Blocks found so far
+ * @returns {Array<Object>} Blocks in document order
+ */
+export const findBlocks = (value, types, found = []) => {
+  if (Array.isArray(value)) {
+    value.forEach(item => findBlocks(item, types, found));
+  } else if (value && typeof value === 'object') {
+    if (types.includes(value.component)) {
+      found.push(value);
+    }
+    Object.values(value).forEach(item => findBlocks(item, types, found));
+  }
+
+  return found;
+};
+
+/**
+ * Gets the SEO field group of story content
+ * @param {Object} content - Story content
+ * @returns {Object} Field group; nested seo bloks or objects are unwrapped
+ */
+const getSeoGroup = content => {
+  const group = Array.isArray(content.seo) ? content.seo[0] : content.seo;
+  const nested = group && typeof group === 'object' ? group : {};
+
+  return {
+    title: pick(nested.title, content.seo_title),
+    description: pick(nested.description, content.seo_description),
+    image: assetToUrl(nested.image || content.seo_image),
+    canonical: pick(nested.canonical, content.canonical),
+    noindex: Boolean(nested.noindex ?? content.noindex),
+  };
+};
+
+/**
+ * Reads the SEO meta of a story
+ * @param {Object} story - Storyblok story
+ * @param {Object} [options] - Options
+ * @param {Object} [options.defaults] - Default title, description and image
+ * @param {string} [options.url] - Absolute URL of the page, the canonical
+ *   unless the story sets one
+ * @param {string} [options.siteName] - Site name for Open Graph
+ * @returns {Object} Title, description, canonical, image, robots, openGraph
+ *   and twitter
+ */
+export const getSeoMeta = (
+  story,
+  { defaults = {}, url = null, siteName = null } = {}
+) => {
+  const content = story?.content || {};
+  const plugin =
+    Object.values(content).find(value => value?.plugin === SEO_PLUGIN) || {};
+  const group = getSeoGroup(content);
+
+  const title = pick(
+    plugin.title,
+    group.title,
+    content.title,
+    story?.name,
+    defaults.title
+  );
+  const description = pick(
+    plugin.description,
+    group.description,
+    typeof content.description === 'string' ? content.description : null,
+    defaults.description
+  );
+  const image = pick(
+    group.image,
+    assetToUrl(content.image),
+    assetToUrl(defaults.image)
+  );
+  const canonical = pick(group.canonical, url);
+  const isArticle = findBlocks(content.body, ['blog_detail']).length > 0;
+
+  const openGraph = {
+    title: pick(plugin.og_title, title),
+    description: pick(plugin.og_description, description),
+    image: pick(assetToUrl(plugin.og_image), image),
+    url: canonical,
+    type: isArticle ? 'article' : 'website',
+    site_name: siteName,
+  };
+
+  return {
+    title,
+    description,
+    canonical,
+    image,
+    robots: group.noindex ? 'noindex, nofollow' : null,
+    openGraph,
+    twitter: {
+      card: openGraph.image ? 'summary_large_image' : 'summary',
+      title: pick(plugin.twitter_title, openGraph.title),
+      description: pick(plugin.twitter_description, openGraph.description),
+      image: pick(assetToUrl(plugin.twitter_image), openGraph.image),
+    },
+  };
+};
+
+/**
+ * Serializes JSON-LD for a script tag, safe against `</script>` injection
+ * @param {Object} data - JSON-LD object
+ * @returns {string} JSON
+ */
+export const serializeJsonLd = data =>
+  JSON.stringify(data)
+    .replace(/</g, '\\u003c')
+    .replace(/\u2028/g, '\\u2028')
+    .replace(/\u2029/g, '\\u2029');
+
+/**
+ * Describes the head tags of SEO meta and JSON-LD
+ * Script text is serialized JSON; other text is plain
+ * @param {Object} meta - Meta from getSeoMeta
+ * @param {Array<Object>} [structuredData] - JSON-LD objects
+ * @returns {Array<Object>} Tags as { tag, attributes, text }
+ */
+export const getHeadTags = (meta, structuredData = []) => {
+  const named = (name, content) =>
+    content && { tag: 'meta', attributes: { name, content } };
+  const property = (name, content) =>
+    content && { tag: 'meta', attributes: { property: name, content } };
+
+  return [
+    meta.title && { tag: 'title', attributes: {}, text: meta.title },
+    named('description', meta.description),
+    named('robots', meta.robots),
+    meta.canonical && {
+      tag: 'link',
+      attributes: { rel: 'canonical', href: meta.canonical },
+    },
+    ...Object.entries(meta.openGraph).map(([key, value]) =>
+      property(`og:${key}`, value)
+    ),
+    ...Object.entries(meta.twitter).map(([key, value]) =>
+      named(`twitter:${key}`, value)
+    ),
+    ...structuredData.map(data => ({
+      tag: 'script',
+      attributes: { type: 'application/ld+json' },
+      text: serializeJsonLd(data),
+    })),
+  ].filter(Boolean);
+};
+
+/**
+ * Builds BlogPosting data for a blog_detail block
+ * @param {Object} block - blog_detail block
+ * @param {Object} story - Storyblok story
+ * @param {string} [url] - Page URL
+ * @returns {Object} JSON-LD
+ */
+const toBlogPosting = (block, story, url) => {
+  const author = pick(block.author?.name, block.author);
+
+  return compact({
+    '@context': SCHEMA_CONTEXT,
+    '@type': 'BlogPosting',
+    headline: pick(block.title, story.name),
+    image: assetToUrl(block.image || story.content?.image),
+    datePublished: pick(
+      block.date,
+      story.first_published_at,
+      story.published_at
+    ),
+    dateModified: pick(story.published_at),
+    author: author ? { '@type': 'Person', name: author } : null,
+    keywords: Array.isArray(block.tags) ? block.tags.join(', ') : null,
+    mainEntityOfPage: url,
+  });
+};
+
+/**
+ * Builds Product data for a product_card block
+ * @param {Object} block - product_card block
+ * @param {string} [currency] - ISO 4217 currency of prices
+ * @returns {Object} JSON-LD
+ */
+const toProduct = (block, currency) =>
+  compact({
+    '@context': SCHEMA_CONTEXT,
+    '@type': 'Product',
+    name: pick(block.name),
+    description: pick(block.description),
+    image: assetToUrl(block.image),
+    offers: compact({
+      '@type': 'Offer',
+      price: toNumber(block.price),
+      priceCurrency: pick(block.currency, currency),
+      availability:
+        block.inStock === false || block.in_stock === false
+          ? `${SCHEMA_CONTEXT}/OutOfStock`
+          : `${SCHEMA_CONTEXT}/InStock`,
+    }),
+  });
+
+/**
+ * Builds LocalBusiness data from contact_info and map blocks
+ * @param {Array<Object>} contacts - contact_info blocks
+ * @param {Array<Object>} maps - map blocks
+ * @param {string} [name] - Business name
+ * @param {string} [url] - Site URL
+ * @returns {Object} JSON-LD
+ */
+const toLocalBusiness = (contacts, maps, name, url) => {
+  const contact = Object.assign({}, ...contacts);
+  const location = maps.find(map => map.location)?.location || {};
+  const latitude = toNumber(location.lat ?? location.latitude);
+  const longitude = toNumber(
+    location.lng ?? location.lon ?? location.longitude
+  );
+
+  return compact({
+    '@context': SCHEMA_CONTEXT,
+    '@type': 'LocalBusiness',
+    name: pick(contact.name, name),
+    url,
+    telephone: pick(contact.phone),
+    email: pick(contact.email),
+    address: pick(contact.address)
+      ? { '@type': 'PostalAddress', streetAddress: pick(contact.address) }
+      : null,
+    geo:
+      latitude !== null && longitude !== null
+        ? { '@type': 'GeoCoordinates', latitude, longitude }
+        : null,
+    openingHours: Array.isArray(contact.hours)
+      ? contact.hours.filter(hours => typeof hours === 'string')
+      : null,
+  });
+};
+
+/**
+ * Builds the JSON-LD of a story from its blocks
+ * @param {Object} story - Storyblok story
+ * @param {Object} [options] - Options
+ * @param {string} [options.url] - Absolute URL of the page
+ * @param {string} [options.siteName] - Business name for LocalBusiness
+ * @param {string} [options.currency] - Currency of product prices
+ * @returns {Array<Object>} JSON-LD objects
+ */
+export const getStructuredData = (
+  story,
+  { url = null, siteName = null, currency = null } = {}
+) => {
+  const body = story?.content?.body;
+  const contacts = findBlocks(body, ['contact_info']);
+  const maps = findBlocks(body, ['map']);
+
+  return [
+    ...findBlocks(body, ['blog_detail']).map(block =>
+      toBlogPosting(block, story, url)
+    ),
+    ...findBlocks(body, ['product_card']).map(block =>
+      toProduct(block, currency)
+    ),
+    ...(contacts.length > 0 || maps.length > 0
+      ? [toLocalBusiness(contacts, maps, siteName, url)]
+      : []),
+  ];
+};
+
+/**
+ * Gets the head tags of a story page
+ * @param {Object} story - Storyblok story
+ * @param {Object} [options] - Options of getSeoMeta and getStructuredData
+ * @returns {Array<Object>} Tags as { tag, attributes, text }
+ */
+export const getPageHeadTags = (story, options = {}) =>
+  getHeadTags(getSeoMeta(story, options), getStructuredData(story, options));
+
+/**
+ * Gets the selector of head elements a tag replaces
+ * @param {Object} tag - Tag from getHeadTags
+ * @returns {string|null} CSS selector, null for tags that only add
+ */
+const getTagSelector = ({ tag, attributes }) => {
+  if (tag === 'title') {
+    return 'title';
+  }
+  if (tag === 'link') {
+    return `link[rel="${attributes.rel}"]`;
+  }
+  if (tag === 'script') {
+    return null;
+  }
+  return attributes.property
+    ? `meta[property="${attributes.property}"]`
+    : `meta[name="${attributes.name}"]`;
+};
+
+/**
+ * Creates the client-side head manager
+ * Replaces the managed tags, and template tags they supersede, on update
+ * @param {Document} [doc] - Document to manage
+ * @returns {Object} Head manager API
+ */
+export const createHeadManager = (doc = document) => {
+  /**
+   * Removes the managed tags
+   */
+  const clear = () => {
+    doc.head
+      .querySelectorAll(`[${SEO_ATTRIBUTE}]`)
+      .forEach(element => element.remove());
+  };
+
+  /**
+   * Sets the head tags of a page
+   * @param {Array<Object>} tags - Tags from getHeadTags
+   */
+  const update = tags => {
+    clear();
+
+    tags.forEach(tag => {
+      const selector = getTagSelector(tag);
+      if (selector) {
+        doc.head
+          .querySelectorAll(selector)
+          .forEach(element => element.remove());
+      }
+
+      const element = doc.createElement(tag.tag);
+      Object.entries(tag.attributes).forEach(([name, value]) => {
+        element.setAttribute(name, value);
+      });
+      if (tag.text) {
+        element.textContent = tag.text;
+      }
+      element.setAttribute(SEO_ATTRIBUTE, '');
+      doc.head.appendChild(element);
+    });
+  };
+
+  return { update, clear };
+};
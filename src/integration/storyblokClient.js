@@ -5,7 +5,12 @@
  */
 
 import StoryblokClient from 'storyblok-js-client';
-import { createComponent } from './componentMapper.js';
+import { createComponent, createRenderContext } from './componentMapper.js';
+import { createDatasourceLoader, getBlockDatasources } from './datasources.js';
+import { createEditorBridge, loadEditorBridge } from './visualEditor.js';
+import { createReconciler, reconcileElements } from './reconciler.js';
+import { applySchedule, parseScheduleDate } from './schedule.js';
+import { getRelationFields } from '../config/components.js';
 import { getStoryblokConfig } from '../config/environment.js';
 import { isDevelopment } from '../utils/environment.js';
 
@@ -39,6 +44,19 @@ export const createStoryblokClient = (config = {}) => {
     accessToken = storyblokConfig.accessToken,
     version = storyblokConfig.version,
     region = storyblokConfig.region,
+    endpoint,
+    // Validation strictness, defaults to the environment's level
+    strictness,
+    // Relation fields ('component.field') resolved on top of the ones
+    // declared by registered blocks
+    resolveRelations = [],
+    // Link resolution mode: 'url' or 'story' attach the linked story to
+    // story links, false leaves them unresolved
+    resolveLinks = 'url',
+    // Release whose changes are shown on top of the drafts (from_release)
+    release = null,
+    // "View as of" date for scheduled blocks, defaults to the current time
+    date = null,
   } = config;
 
   // Initialize Storyblok client with fallback
@@ -49,48 +67,325 @@ export const createStoryblokClient = (config = {}) => {
       type: 'memory',
     },
     region,
+    // Custom endpoint (e.g. a local CDN stub); defaults to the region API
+    ...(endpoint && { endpoint }),
   });
 
   // Local cache for component instances
   const componentCache = new Map();
   const CACHE_TTL = 300000; // 5 minutes
 
+  // Datasource options, cached per datasource and dimension
+  const datasources = createDatasourceLoader(client, { ttl: CACHE_TTL });
+
+  // Prefetched stories waiting for their navigation, keyed by language and
+  // slug. Entries are used once, so a later reload fetches fresh content.
+  const prefetchCache = new Map();
+  const MAX_PREFETCHED_STORIES = 50;
+
+  // Default slugs by language and translated path, see findDefaultSlug
+  let translatedSlugs = null;
+
   /**
-   * Fetches story and creates Svarog-UI components
+   * Applies the schedule of stories at the view date
+   * @param {Object} story - Storyblok story
+   * @returns {Object} Story without blocks hidden at the view date
+   */
+  const scheduleStory = story =>
+    applySchedule(story, parseScheduleDate(date) || new Date());
+
+  /**
+   * Adds relation and link resolution to request parameters
+   * All relation fields go into one resolve_relations parameter, so the
+   * related stories of a request are fetched together, in batches of 50
+   * @param {Object} params - Request parameters
+   * @returns {Object} Parameters with resolve_relations and resolve_links
+   */
+  const withResolveParams = ({
+    resolve_relations: extraRelations = [],
+    ...params
+  }) => {
+    const relations = [
+      ...getRelationFields(),
+      ...resolveRelations,
+      ...(Array.isArray(extraRelations)
+        ? extraRelations
+        : extraRelations.split(',')),
+    ].filter(Boolean);
+
+    return {
+      ...(relations.length > 0 && {
+        resolve_relations: [...new Set(relations)].join(','),
+      }),
+      ...(resolveLinks && { resolve_links: resolveLinks }),
+      ...params,
+    };
+  };
+
+  /**
+   * Finds the default slug of a story by its translated path
+   * Paths built from translated slugs are no story slugs; the translated
+   * slugs of all stories are listed once and dropped with clearCache
+   * @param {string} slug - Translated path without language prefix
+   * @param {string} language - Storyblok language code
+   * @returns {Promise<string|null>} Default full slug, null if none matches
+   */
+  const findDefaultSlug = async (slug, language) => {
+    translatedSlugs =
+      translatedSlugs ||
+      client
+        .getAll('cdn/stories', {
+          version,
+          ...(release && { from_release: release }),
+        })
+        .then(
+          stories =>
+            new Map(
+              stories.flatMap(story =>
+                (story.translated_slugs || []).map(entry => [
+                  `${entry.lang}:${entry.path.replace(/^\/+|\/+$/g, '')}`,
+                  story.default_full_slug || story.full_slug,
+                ])
+              )
+            )
+        )
+        .catch(error => {
+          translatedSlugs = null;
+          throw error;
+        });
+
+    const defaultSlug = (await translatedSlugs).get(`${language}:${slug}`);
+    return defaultSlug && defaultSlug !== slug ? defaultSlug : null;
+  };
+
+  /**
+   * Fetches a raw story without creating components
+   * Relations and links are resolved before the story is returned. Slugs
+   * not found in the requested language are looked up as translated paths;
+   * a story missing in the language falls back to the default language and
+   * is marked with missingTranslation.
    * @param {string} slug - Story slug
    * @param {Object} params - Additional parameters
-   * @returns {Promise<Object>} Story with rendered components
+   * @param {string} [params.language] - Storyblok language code, omitted for
+   *   the default language
+   * @param {AbortSignal} [params.signal] - Cancels the request
+   * @returns {Promise<Object>} Storyblok story object
    */
-  const getStoryWithComponents = async (slug, params = {}) => {
+  const getStory = async (
+    slug,
+    { language, signal, ...defaultParams } = {}
+  ) => {
     try {
-      const response = await client.get(`cdn/stories/${slug}`, {
-        version,
-        ...params,
-      });
-
-      const story = response.data.story;
-
-      // Create components from story body
-      const renderedComponents = await createComponentsFromStory(story);
-
-      return {
-        ...story,
-        renderedComponents,
-        metadata: {
-          fetchedAt: new Date().toISOString(),
-          slug,
+      const response = await client.get(
+        `cdn/stories/${slug}`,
+        {
           version,
+          ...(release && { from_release: release }),
+          ...withResolveParams(defaultParams),
+          ...(language && { language }),
         },
-      };
+        ...(signal ? [{ signal }] : [])
+      );
+
+      return scheduleStory(response.data.story);
     } catch (error) {
+      if (!language || error.status !== 404 || signal?.aborted) {
+        throw error;
+      }
+
+      // Without the list, the story is looked up in the default language
+      const defaultSlug = await findDefaultSlug(slug, language).catch(
+        () => null
+      );
+      if (defaultSlug) {
+        return getStory(defaultSlug, { ...defaultParams, language, signal });
+      }
+
+      if (isDevelopment()) {
+        console.warn(`No ${language} translation of ${slug}, using default`);
+      }
+      const story = await getStory(slug, { ...defaultParams, signal });
+      return { ...story, missingTranslation: language };
+    }
+  };
+
+  /**
+   * Fetches the options of a datasource
+   * @param {string} slug - Datasource slug
+   * @param {Object} [options] - Load options
+   * @param {string} [options.dimension] - Dimension, e.g. a language code
+   * @returns {Promise<Array<Object>>} Options with label and value
+   */
+  const getDatasource = (slug, options) => datasources.load(slug, options);
+
+  /**
+   * Loads the datasources the blocks of a story take options from
+   * @param {Object} story - Storyblok story
+   * @param {Object} [options] - Load options
+   * @param {string} [options.dimension] - Dimension, e.g. a language code
+   * @returns {Promise<Object>} Options keyed by datasource slug
+   */
+  const loadStoryDatasources = (story, options) =>
+    datasources.loadAll(getBlockDatasources(story.content?.body), options);
+
+  /**
+   * Key of a story in the prefetch cache
+   * @param {string} slug - Story slug
+   * @param {string} [language] - Storyblok language code
+   * @returns {string} Cache key
+   */
+  const toPrefetchKey = (slug, language) => `${language || 'default'}:${slug}`;
+
+  /**
+   * Stores a prefetch, dropping expired entries and the oldest beyond
+   * MAX_PREFETCHED_STORIES, as links that are never followed stay behind
+   * @param {string} key - Cache key
+   * @param {Promise<Object>} promise - Prefetched story
+   */
+  const storePrefetch = (key, promise) => {
+    const now = Date.now();
+    prefetchCache.forEach((cached, cachedKey) => {
+      if (now - cached.timestamp >= CACHE_TTL) {
+        prefetchCache.delete(cachedKey);
+      }
+    });
+
+    prefetchCache.delete(key);
+    prefetchCache.set(key, { promise, timestamp: now });
+    while (prefetchCache.size > MAX_PREFETCHED_STORIES) {
+      prefetchCache.delete(prefetchCache.keys().next().value);
+    }
+  };
+
+  /**
+   * Fetches a story ahead of its navigation
+   * The story and its datasources are kept until getStoryWithComponents
+   * asks for the story, the cache expires or newer prefetches push it out.
+   * Failed prefetches are dropped, so the navigation retries them.
+   * @param {string} slug - Story slug
+   * @param {Object} [options] - Prefetch options
+   * @param {string} [options.language] - Storyblok language code
+   * @returns {Promise<Object|null>} Story, null if the fetch failed
+   */
+  const prefetchStory = (slug, { language } = {}) => {
+    const key = toPrefetchKey(slug, language);
+    const cached = prefetchCache.get(key);
+    if (cached && Date.now() - cached.timestamp < CACHE_TTL) {
+      return cached.promise.catch(() => null);
+    }
+
+    const promise = getStory(slug, { language }).then(async story => {
+      await loadStoryDatasources(story, { dimension: language });
+      return story;
+    });
+    storePrefetch(key, promise);
+
+    return promise.catch(error => {
+      if (prefetchCache.get(key)?.promise === promise) {
+        prefetchCache.delete(key);
+      }
       if (isDevelopment()) {
+        console.warn(`Failed to prefetch story: ${slug}`, error.message);
+      }
+      return null;
+    });
+  };
+
+  /**
+   * Takes a prefetched story out of the cache
+   * Requests with parameters beyond language and signal always fetch
+   * @param {string} slug - Story slug
+   * @param {Object} params - Request parameters, see getStory
+   * @returns {Promise<Object>|null} Prefetched story
+   */
+  const takePrefetchedStory = (slug, { language, signal, ...params }) => {
+    const key = toPrefetchKey(slug, language);
+    const cached = prefetchCache.get(key);
+    prefetchCache.delete(key);
+
+    if (
+      !cached ||
+      Object.keys(params).length > 0 ||
+      Date.now() - cached.timestamp >= CACHE_TTL
+    ) {
+      return null;
+    }
+
+    // A failed prefetch falls through to a regular request
+    return cached.promise.catch(() => getStory(slug, { language, signal }));
+  };
+
+  /**
+   * Fetches a story and the datasource options its blocks take
+   * Stories prefetched with prefetchStory are used instead of a request.
+   * Cancelled requests reject instead of falling back, as do missing
+   * stories, with status 404.
+   * @param {string} slug - Story slug
+   * @param {Object} params - Additional parameters, see getStory
+   * @returns {Promise<Object>} { story, datasources }
+   */
+  const loadStory = async (slug, params = {}) => {
+    try {
+      const story = await (takePrefetchedStory(slug, params) ||
+        getStory(slug, params));
+      params.signal?.throwIfAborted();
+
+      const datasources = await loadStoryDatasources(story, {
+        dimension: params.language,
+      });
+      params.signal?.throwIfAborted();
+
+      return { story, datasources };
+    } catch (error) {
+      if (params.signal?.aborted) {
+        throw error;
+      }
+      if (isDevelopment() && error.status !== 404) {
         console.warn(`Failed to fetch story: ${slug}`, error.message);
-        return createFallbackStory(slug);
+        return { story: createFallbackStory(slug), datasources: {} };
       }
-      throw new Error(`Story not found: ${slug}`);
+      throw Object.assign(new Error(`Story not found: ${slug}`), {
+        status: error.status,
+      });
     }
   };
 
+  /**
+   * Fetches story and creates Svarog-UI components
+   * Loads the story like loadStory.
+   * @param {string} slug - Story slug
+   * @param {Object} params - Additional parameters, see getStory
+   * @param {Object} [params.reconciler] - Reconciler from createReconciler,
+   *   reuses the components of the story rendered before
+   * @returns {Promise<Object>} Story with rendered components
+   */
+  const getStoryWithComponents = async (
+    slug,
+    { reconciler = null, ...params } = {}
+  ) => {
+    const { story, datasources } = await loadStory(slug, params);
+
+    // Create components from story body; links stay in the language
+    const context = createRenderContext({
+      strictness,
+      language: params.language,
+      datasources,
+      reconciler,
+    });
+    const renderedComponents = await createComponentsFromStory(story, context);
+
+    return {
+      ...story,
+      renderedComponents,
+      validationIssues: context.issues,
+      metadata: {
+        fetchedAt: new Date().toISOString(),
+        slug,
+        version,
+      },
+    };
+  };
+
   /**
    * Creates fallback story for development
    * @param {string} slug - Story slug
@@ -154,18 +449,30 @@ export const createStoryblokClient = (config = {}) => {
     try {
       const response = await client.get('cdn/stories', {
         version,
-        ...params,
+        ...(release && { from_release: release }),
+        ...withResolveParams(params),
       });
 
-      const stories = response.data.stories;
+      const stories = response.data.stories.map(scheduleStory);
 
       // Create components for each story
       const storiesWithComponents = await Promise.all(
         stories.map(async story => {
-          const renderedComponents = await createComponentsFromStory(story);
+          const context = createRenderContext({
+            strictness,
+            language: params.language,
+            datasources: await loadStoryDatasources(story, {
+              dimension: params.language,
+            }),
+          });
+          const renderedComponents = await createComponentsFromStory(
+            story,
+            context
+          );
           return {
             ...story,
             renderedComponents,
+            validationIssues: context.issues,
           };
         })
       );
@@ -182,20 +489,38 @@ export const createStoryblokClient = (config = {}) => {
 
   /**
    * Creates Svarog-UI components from story content
+   * With a reconciler in the context, the components of its previous pass
+   * are reused and the cache is skipped
    * @param {Object} story - Storyblok story object
+   * @param {Object} [context] - Render context collecting validation issues
    * @returns {Promise<Array>} Array of rendered component instances
    */
-  const createComponentsFromStory = async story => {
+  const createComponentsFromStory = async (
+    story,
+    context = createRenderContext({ strictness })
+  ) => {
+    const { reconciler } = context;
+    if (reconciler) {
+      reconciler.begin();
+      const components = (story.content?.body || [])
+        .map(block => createComponent(block, context))
+        .filter(component => component !== null);
+      reconciler.commit();
+      return components;
+    }
+
     if (!story.content || !story.content.body) {
       return [];
     }
 
-    const cacheKey = `${story.id}_${story.published_at || Date.now()}`;
+    // Translations share the story id
+    const cacheKey = `${story.id}_${story.lang || 'default'}_${story.published_at || Date.now()}`;
 
     // Check cache first
     if (componentCache.has(cacheKey)) {
       const cached = componentCache.get(cacheKey);
       if (Date.now() - cached.timestamp < CACHE_TTL) {
+        context.issues.push(...cached.issues);
         return cached.components;
       }
       componentCache.delete(cacheKey);
@@ -203,13 +528,15 @@ export const createStoryblokClient = (config = {}) => {
 
     try {
       // Create components from story body
+      const issueCount = context.issues.length;
       const components = story.content.body
-        .map(block => createComponent(block))
+        .map(block => createComponent(block, context))
         .filter(component => component !== null);
 
       // Cache the result
       componentCache.set(cacheKey, {
         components,
+        issues: context.issues.slice(issueCount),
         timestamp: Date.now(),
       });
 
@@ -224,22 +551,85 @@ export const createStoryblokClient = (config = {}) => {
    * Renders components to a container element
    * @param {Array} components - Array of Svarog-UI component instances
    * @param {HTMLElement} container - Target container
+   * @param {Object} [options] - Render options
+   * @param {boolean} [options.hydrate] - Reuse pre-rendered markup
    * @returns {Array} Array of DOM elements
    */
-  const renderComponentsToContainer = (components, container) => {
+  const renderComponentsToContainer = (
+    components,
+    container,
+    { hydrate = false } = {}
+  ) => {
     if (!container) {
       throw new Error('Container element is required');
     }
 
-    // Clear existing content
-    container.innerHTML = '';
+    if (hydrate) {
+      return hydrateComponentsInContainer(components, container);
+    }
+
+    // Elements of reused components keep their place
+    const elements = components.map(component => component.getElement());
+    reconcileElements(container, elements);
+
+    return elements;
+  };
+
+  /**
+   * Attaches components to server- or build-rendered markup
+   * Pre-rendered elements are matched to their block by data-uid. Components
+   * exposing hydrate(element) adopt the existing node, as all components of
+   * createComponent do; others replace it with their own element.
+   * Unmatched blocks are inserted in order and stale blocks are removed.
+   * @param {Array} components - Array of Svarog-UI component instances
+   * @param {HTMLElement} container - Container holding pre-rendered markup
+   * @returns {Array} Array of DOM elements
+   */
+  const hydrateComponentsInContainer = (components, container) => {
+    const rendered = new Map(
+      Array.from(container.children)
+        .filter(element => element.dataset.uid)
+        .map(element => [element.dataset.uid, element])
+    );
+
+    let previous = null;
 
     const elements = components.map(component => {
       const element = component.getElement();
-      container.appendChild(element);
-      return element;
+      const existing = rendered.get(element.dataset.uid);
+      let attached = element;
+
+      if (existing) {
+        rendered.delete(element.dataset.uid);
+
+        if (typeof component.hydrate === 'function') {
+          component.hydrate(existing);
+          attached = existing;
+        } else if (existing !== element) {
+          existing.replaceWith(element);
+        }
+      } else if (previous) {
+        previous.after(element);
+      } else {
+        container.insertBefore(
+          element,
+          container.querySelector(':scope > [data-uid]')
+        );
+      }
+
+      if (isDevelopment() && !existing) {
+        console.warn(
+          `Hydration: no pre-rendered markup for block ${element.dataset.uid}`
+        );
+      }
+
+      previous = attached;
+      return attached;
     });
 
+    // Blocks removed since the markup was rendered
+    rendered.forEach(element => element.remove());
+
     return elements;
   };
 
@@ -247,11 +637,15 @@ export const createStoryblokClient = (config = {}) => {
    * Gets story by slug and renders to container
    * @param {string} slug - Story slug
    * @param {HTMLElement} container - Target container
-   * @param {Object} params - Additional parameters
+   * @param {Object} params - Additional parameters, see getStoryWithComponents
    * @returns {Promise<Object>} Rendered story data
    */
   const renderStoryToContainer = async (slug, container, params = {}) => {
-    const storyWithComponents = await getStoryWithComponents(slug, params);
+    const { reconciler = createReconciler() } = params;
+    const storyWithComponents = await getStoryWithComponents(slug, {
+      ...params,
+      reconciler,
+    });
     const elements = renderComponentsToContainer(
       storyWithComponents.renderedComponents,
       container
@@ -260,24 +654,22 @@ export const createStoryblokClient = (config = {}) => {
     return {
       story: storyWithComponents,
       elements,
-      destroy: () => {
-        // Cleanup all component instances
-        storyWithComponents.renderedComponents.forEach(component => {
-          if (component.destroy) {
-            component.destroy();
-          }
-        });
-      },
+      reconciler,
+      // Cleanup all component instances
+      destroy: reconciler.destroy,
     };
   };
 
   /**
    * Updates story content and re-renders
+   * Components of blocks that are still there are kept and updated
    * @param {string} slug - Story slug
    * @param {HTMLElement} container - Target container
+   * @param {Object} [rendered] - Result of renderStoryToContainer for the
+   *   container
    * @returns {Promise<Object>} Updated story data
    */
-  const refreshStory = async (slug, container) => {
+  const refreshStory = async (slug, container, rendered = null) => {
     // Clear cache for this story
     const cacheKeys = Array.from(componentCache.keys()).filter(key =>
       key.includes(slug)
@@ -285,7 +677,10 @@ export const createStoryblokClient = (config = {}) => {
     cacheKeys.forEach(key => componentCache.delete(key));
 
     // Re-fetch and render
-    return await renderStoryToContainer(slug, container, { cb: Date.now() });
+    return await renderStoryToContainer(slug, container, {
+      cb: Date.now(),
+      reconciler: rendered?.reconciler,
+    });
   };
 
   /**
@@ -293,7 +688,13 @@ export const createStoryblokClient = (config = {}) => {
    */
   const clearCache = () => {
     componentCache.clear();
-    if (client.cache) {
+    prefetchCache.clear();
+    datasources.clear();
+    translatedSlugs = null;
+    // storyblok-js-client v6 exposes flushCache(); client.cache is its config
+    if (typeof client.flushCache === 'function') {
+      client.flushCache();
+    } else if (typeof client.cache?.clear === 'function') {
       client.cache.clear();
     }
   };
@@ -305,6 +706,8 @@ export const createStoryblokClient = (config = {}) => {
   const getCacheStats = () => {
     return {
       componentCacheSize: componentCache.size,
+      datasourceCacheSize: datasources.getSize(),
+      prefetchCacheSize: prefetchCache.size,
       storyblokCacheSize: client.cache
         ? client.cache.getStats?.() || 'Unknown'
         : 0,
@@ -313,33 +716,36 @@ export const createStoryblokClient = (config = {}) => {
 
   /**
    * Enables live preview for Storyblok Visual Editor
-   * @param {Function} onStoryChange - Callback when story changes
+   * Input is debounced; caches are cleared once the story is saved
+   * @param {Function} onStoryChange - Callback with the draft story
+   * @returns {Promise<Object|null>} Bridge API once the bridge is loaded
    */
-  const enableLivePreview = onStoryChange => {
-    if (window.storyblok) {
-      window.storyblok.on(['input', 'published', 'change'], event => {
-        if (event.action === 'input') {
-          clearCache();
-          if (onStoryChange) {
-            onStoryChange(event.story);
-          }
-        }
-      });
-
-      window.storyblok.pingEditor();
-    }
-  };
+  const enableLivePreview = async onStoryChange =>
+    createEditorBridge({
+      bridge: await loadEditorBridge({
+        resolveRelations: getRelationFields(),
+      }),
+      onInput: story => onStoryChange?.(scheduleStory(story)),
+      onSave: () => clearCache(),
+    });
 
   return {
     // Core methods
+    getStory,
+    scheduleStory,
+    loadStory,
     getStoryWithComponents,
     getStoriesWithComponents,
+    prefetchStory,
+    getDatasource,
+    loadStoryDatasources,
     renderStoryToContainer,
     refreshStory,
 
     // Component methods
     createComponentsFromStory,
     renderComponentsToContainer,
+    hydrateComponentsInContainer,
 
     // Cache methods
     clearCache,
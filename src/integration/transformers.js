@@ -0,0 +1,598 @@
+// src/integration/transformers.js
+/**
+ * Prop transformers for Storyblok blocks
+ * Turn CMS field values into the props Svarog-UI components expect
+ *
+ * A transformer is called as transform(props, context), where context holds
+ * the block's componentType and createComponent for nested bloks.
+ */
+
+import { sanitizeHTML } from '../utils/validation/index.js';
+import { isDevelopment } from '../utils/environment.js';
+import { resolveLink } from './links.js';
+import { renderRichText } from './richText.js';
+
+// Storyblok bookkeeping fields that are never component props
+const META_FIELDS = ['_uid', '_editable', 'component'];
+
+/**
+ * Gets the URL of an asset field
+ * @param {Object|string} asset - Storyblok asset or plain URL
+ * @returns {string|null} Asset URL
+ */
+export const assetToUrl = asset => {
+  if (!asset) {
+    return null;
+  }
+  if (typeof asset === 'string') {
+    return asset;
+  }
+  return asset.filename || null;
+};
+
+/**
+ * Gets the href, target and rel of a link field
+ * Handles Storyblok multilinks (story, url, email, asset) and plain strings;
+ * target and rel are only set when the link asks for them
+ * @param {Object|string} link - Storyblok link field or URL
+ * @param {Object} [context] - Transformer context with the link resolver
+ * @param {string} [field] - Field name for broken link reports
+ * @param {string} [fallback] - Href for empty links
+ * @returns {Object} Link props
+ */
+export const linkToProps = (link, context, field = null, fallback = '#') => {
+  const { href, target, rel } = resolveLink(link, context, field);
+
+  return {
+    href: href || fallback,
+    ...(target && { target }),
+    ...(rel && { rel }),
+  };
+};
+
+/**
+ * Gets the href of a link field
+ * @param {Object|string} link - Storyblok link field or URL
+ * @param {string} [fallback] - Href for empty links
+ * @param {Object} [context] - Transformer context with the link resolver
+ * @returns {string} Href
+ */
+export const linkToHref = (link, fallback = '#', context) =>
+  linkToProps(link, context, null, fallback).href;
+
+/**
+ * Converts Storyblok rich text to sanitized HTML
+ * Strings are treated as HTML and only sanitized
+ * @param {Object|string} richText - Storyblok rich text document
+ * @param {Object} [context] - Transformer context, needed for embedded bloks
+ * @returns {string} HTML string
+ */
+export const richTextToHTML = (richText, context) => {
+  if (!richText) {
+    return '';
+  }
+  if (typeof richText === 'string') {
+    return sanitizeHTML(richText);
+  }
+  return renderRichText(richText, context);
+};
+
+/**
+ * Creates components for a field of nested bloks
+ * @param {Array<Object>} bloks - Nested Storyblok blocks
+ * @param {Object} context - Transformer context
+ * @returns {Array<Object>} Component instances
+ */
+export const bloksToComponents = (bloks, context) => {
+  if (!Array.isArray(bloks)) {
+    return [];
+  }
+  return bloks.map(blok => context.createComponent(blok)).filter(Boolean);
+};
+
+/**
+ * Gets the stories of a relation field
+ * Resolved relations hold story objects; UUIDs left in place point at
+ * unpublished or deleted stories and are reported as issues of the block
+ * @param {Array|Object|string} value - Relation field value
+ * @param {Object} [context] - Transformer context
+ * @param {string} [field] - Field name for issue reports
+ * @returns {Array<Object>} Resolved stories
+ */
+export const relationsToStories = (value, context = {}, field = null) => {
+  const items = Array.isArray(value) ? value : [value];
+
+  return items.filter(item => {
+    if (typeof item === 'string' && item) {
+      const issue = {
+        component: context.componentType || null,
+        uid: context.uid || null,
+        field,
+        message: `Unresolved relation to story ${item}`,
+        severity: 'warning',
+      };
+
+      if (context.issues) {
+        context.issues.push(issue);
+      }
+      if (isDevelopment()) {
+        console.warn('Unresolved relation:', issue);
+      }
+      return false;
+    }
+
+    return Boolean(item) && typeof item === 'object';
+  });
+};
+
+/**
+ * Converts a snake_case field name to camelCase
+ * @param {string} key - Field name
+ * @returns {string} camelCase name
+ */
+export const toCamelCase = key =>
+  key.replace(/_([a-z0-9])/g, (_, char) => char.toUpperCase());
+
+/**
+ * Converts a field value by its Storyblok shape
+ * @param {*} value - Field value
+ * @param {Object} context - Transformer context
+ * @param {string} key - Field name
+ * @returns {*} Converted value
+ */
+const convertFieldValue = (value, context, key) => {
+  if (Array.isArray(value)) {
+    return value.length > 0 && value.every(item => item?.component)
+      ? bloksToComponents(value, context)
+      : value;
+  }
+
+  if (!value || typeof value !== 'object') {
+    return value;
+  }
+
+  if (value.fieldtype === 'asset') {
+    return assetToUrl(value);
+  }
+  if (value.fieldtype === 'multilink' || value.linktype) {
+    return linkToProps(value, context, key).href;
+  }
+  if (value.type === 'doc') {
+    return richTextToHTML(value, context);
+  }
+
+  return value;
+};
+
+/**
+ * Creates a transformer that camelCases field names and converts assets,
+ * links, rich text and nested bloks by their shape
+ * @param {Object} [fields] - Per-field converters, keyed by CMS field name
+ *   Each is called as (value, props, context); returning undefined drops it
+ * @returns {Function} Transformer
+ */
+export const createDefaultTransformer =
+  (fields = {}) =>
+  (props, context) => {
+    const transformed = {};
+
+    Object.entries(props).forEach(([key, value]) => {
+      if (META_FIELDS.includes(key)) {
+        return;
+      }
+
+      const converted = fields[key]
+        ? fields[key](value, props, context)
+        : convertFieldValue(value, context, key);
+
+      if (converted !== undefined) {
+        transformed[toCamelCase(key)] = converted;
+      }
+    });
+
+    return transformed;
+  };
+
+/**
+ * Converts a number field, which Storyblok delivers as a string
+ * @param {*} value - Field value
+ * @returns {number|undefined} Number, or undefined if empty
+ */
+export const toNumber = value => {
+  if (value === '' || value === null || value === undefined) {
+    return undefined;
+  }
+  const number = Number(value);
+  return Number.isNaN(number) ? undefined : number;
+};
+
+/**
+ * Transforms hero section props
+ * @param {Object} props - CMS props
+ * @param {Object} context - Transformer context
+ * @returns {Object} Svarog-UI props
+ */
+const transformHeroProps = (props, context) => {
+  const transformed = {
+    title: props.title || 'Default Hero Title',
+    subtitle: props.subtitle || null,
+    // Use backgroundImageUrl instead of backgroundImage (fix deprecation)
+    backgroundImageUrl: assetToUrl(props.background_image),
+    theme: props.theme || 'default',
+  };
+
+  // Transform CTA button if present
+  if (props.cta_button) {
+    transformed.ctaButton = {
+      text: props.cta_button.text || 'Learn More',
+      ...linkToProps(props.cta_button.url, context, 'cta_button.url'),
+      variant: props.cta_button.variant || 'primary',
+      onClick: () => {
+        if (isDevelopment()) {
+          console.log('Hero CTA clicked:', props.cta_button.url);
+        }
+      },
+    };
+  }
+
+  return transformed;
+};
+
+/**
+ * Transforms text block props for Typography component
+ * @param {Object} props - CMS props
+ * @param {Object} context - Transformer context
+ * @returns {Object} Svarog-UI props
+ */
+const transformTextBlockProps = (props, context) => {
+  let content = '';
+
+  if (props.content) {
+    if (typeof props.content === 'string' || props.content.type === 'doc') {
+      content = richTextToHTML(props.content, context);
+    } else {
+      content = sanitizeHTML(JSON.stringify(props.content));
+    }
+  }
+
+  // Typography component expects 'children' instead of 'content'
+  return {
+    children: content,
+    variant: props.variant || 'body',
+    alignment: props.alignment || 'left',
+    theme: props.theme || 'default',
+  };
+};
+
+/**
+ * Transforms button props
+ * @param {Object} props - CMS props
+ * @param {Object} context - Transformer context
+ * @returns {Object} Svarog-UI props
+ */
+const transformButtonProps = (props, context) => {
+  // Validate button size - only 'sm', 'md', 'lg' are valid
+  const validSizes = ['sm', 'md', 'lg'];
+  const sizeMap = {
+    small: 'sm',
+    medium: 'md',
+    large: 'lg',
+    sm: 'sm',
+    md: 'md',
+    lg: 'lg',
+  };
+
+  const size = sizeMap[props.size] || 'md';
+  const link = linkToProps(props.url, context, 'url');
+
+  return {
+    text: props.text || 'Button',
+    ...link,
+    variant: props.variant || 'primary',
+    size: validSizes.includes(size) ? size : 'md',
+    disabled: props.disabled || false,
+    theme: props.theme || 'default',
+    onClick: () => {
+      if (isDevelopment()) {
+        console.log('Button clicked:', props.text, link.href);
+      }
+      // Track button clicks for analytics
+      if (window.analytics) {
+        window.analytics.track('Button Clicked', {
+          text: props.text,
+          url: link.href,
+          variant: props.variant,
+        });
+      }
+    },
+  };
+};
+
+/**
+ * Transforms card props
+ * @param {Object} props - CMS props
+ * @param {Object} context - Transformer context
+ * @returns {Object} Svarog-UI props
+ */
+const transformCardProps = (props, context) => ({
+  title: props.title || 'Card Title',
+  children: props.content || '', // Card expects 'children' not 'content'
+  imageUrl: assetToUrl(props.image), // Use imageUrl instead of image
+  link: props.link
+    ? {
+        text: props.link.text || 'Read More',
+        ...linkToProps(
+          props.link.linktype ? props.link : props.link.url,
+          context,
+          'link'
+        ),
+      }
+    : null,
+  variant: props.variant || 'default',
+  theme: props.theme || 'default',
+});
+
+/**
+ * Transforms image props
+ * @param {Object} props - CMS props
+ * @returns {Object} Svarog-UI props
+ */
+const transformImageProps = props => ({
+  src: assetToUrl(props.src),
+  alt: props.alt || props.src?.alt || 'Image',
+  caption: props.caption || null,
+  responsive: props.responsive !== false,
+  lazy: props.lazy !== false,
+});
+
+/**
+ * Transforms grid props with recursive child component creation
+ * @param {Object} props - CMS props
+ * @param {Object} context - Transformer context
+ * @returns {Object} Svarog-UI props
+ */
+const transformGridProps = (props, context) => ({
+  columns: parseInt(props.columns) || 12, // Ensure it's a number
+  // Skip gap property for now to see if Grid works without it
+  children: bloksToComponents(props.children, context),
+  theme: props.theme || 'default',
+});
+
+/**
+ * Transforms section props with recursive child component creation
+ * @param {Object} props - CMS props
+ * @param {Object} context - Transformer context
+ * @returns {Object} Svarog-UI props
+ */
+const transformSectionProps = (props, context) => {
+  // Section only accepts 'minor' variant or undefined
+  const variant = props.variant === 'minor' ? 'minor' : undefined;
+
+  return {
+    variant,
+    padding: props.padding || 'medium',
+    children: bloksToComponents(props.children, context),
+    theme: props.theme || 'default',
+  };
+};
+
+/**
+ * Transforms navigation items, nested children included
+ * @param {Array<Object>} items - CMS navigation items { text, url, children }
+ * @param {Object} context - Transformer context
+ * @param {string} field - Field name for broken link reports
+ * @returns {Array<Object>} Svarog-UI navigation items
+ */
+const toNavItems = (items, context, field) =>
+  (Array.isArray(items) ? items : []).map(item => ({
+    text: item.text || 'Nav Item',
+    ...linkToProps(item.url, context, field),
+    active: item.active || false,
+    children: toNavItems(item.children, context, field),
+  }));
+
+/**
+ * Transforms header props
+ * @param {Object} props - CMS props
+ * @param {Object} context - Transformer context
+ * @returns {Object} Svarog-UI props
+ */
+const transformHeaderProps = (props, context) => ({
+  logo: props.logo
+    ? {
+        src: props.logo.src || assetToUrl(props.logo),
+        alt: props.logo.alt || 'Logo',
+        href: linkToHref(props.logo.href, '/', context),
+      }
+    : null,
+  navigation: toNavItems(props.navigation, context, 'navigation.url'),
+  variant: props.variant || 'default',
+  theme: props.theme || 'default',
+});
+
+/**
+ * Transforms footer props
+ * @param {Object} props - CMS props
+ * @param {Object} context - Transformer context
+ * @returns {Object} Svarog-UI props
+ */
+const transformFooterProps = (props, context) => ({
+  copyright: props.copyright || '',
+  links: (props.links || []).map(link => ({
+    text: link.text || 'Link',
+    ...linkToProps(link.url, context, 'links.url'),
+  })),
+  social: (props.social || []).map(item => {
+    const { href, ...attributes } = linkToProps(
+      item.url,
+      context,
+      'social.url'
+    );
+    return { platform: item.platform || 'website', url: href, ...attributes };
+  }),
+  theme: props.theme || 'default',
+});
+
+/**
+ * Transforms navigation props
+ * @param {Object} props - CMS props
+ * @param {Object} context - Transformer context
+ * @returns {Object} Svarog-UI props
+ */
+const transformNavigationProps = (props, context) => ({
+  items: toNavItems(props.items, context, 'items.url'),
+  variant: props.variant || 'horizontal',
+  theme: props.theme || 'default',
+});
+
+// Link fields are resolved by transformLinkProps with target and rel
+const transformLinkFields = createDefaultTransformer({
+  href: () => undefined,
+  link: () => undefined,
+});
+
+/**
+ * Transforms link props
+ * @param {Object} props - CMS props
+ * @param {Object} context - Transformer context
+ * @returns {Object} Svarog-UI props
+ */
+const transformLinkProps = (props, context) => {
+  const transformed = {
+    ...transformLinkFields(props, context),
+    ...linkToProps(props.href || props.link, context, 'href'),
+  };
+
+  if (transformed.target === '_blank' && !transformed.rel) {
+    transformed.rel = 'noopener noreferrer';
+  }
+
+  return transformed;
+};
+
+/**
+ * Maps a related story to the props of a post teaser
+ * @param {Object} story - Resolved story
+ * @param {Object} context - Transformer context
+ * @returns {Object} Post props
+ */
+const storyToPost = (story, context) => {
+  const content = story.content || {};
+  const author = content.author;
+
+  return {
+    title: content.title || story.name,
+    excerpt: content.excerpt || '',
+    imageUrl: assetToUrl(content.image),
+    date: content.date || story.first_published_at || null,
+    author:
+      typeof author === 'string'
+        ? author
+        : author?.content?.name || author?.name || null,
+    href: linkToHref(
+      { linktype: 'story', id: story.id, cached_url: story.full_slug },
+      '#',
+      context
+    ),
+  };
+};
+
+/**
+ * Converts blog posts, given as nested bloks or as related stories
+ * @param {Array} value - Posts field value
+ * @param {Object} props - CMS props
+ * @param {Object} context - Transformer context
+ * @returns {Array<Object>} Components or post props
+ */
+const postsField = (value, props, context) =>
+  Array.isArray(value) && value.every(post => post?.component)
+    ? bloksToComponents(value, context)
+    : relationsToStories(value, context, 'posts').map(story =>
+        storyToPost(story, context)
+      );
+
+// Field converters shared by several default transformers
+const numberField = value => toNumber(value);
+const linkField = (value, props, context) => linkToHref(value, '#', context);
+const richTextField = (value, props, context) => richTextToHTML(value, context);
+
+/**
+ * Default transformers for every built-in block type
+ */
+export const DEFAULT_TRANSFORMERS = {
+  // Layout
+  grid: transformGridProps,
+  section: transformSectionProps,
+  page: createDefaultTransformer({
+    body: (value, props, context) => bloksToComponents(value, context),
+  }),
+
+  // Content
+  hero_section: transformHeroProps,
+  muchandy_hero: createDefaultTransformer({
+    background_video: value => assetToUrl(value),
+  }),
+  text_block: transformTextBlockProps,
+  card: transformCardProps,
+  image: transformImageProps,
+  logo: createDefaultTransformer({
+    href: (value, props, context) => linkToHref(value, '/', context),
+  }),
+
+  // Navigation
+  header: transformHeaderProps,
+  collapsible_header: (props, context) => ({
+    ...transformHeaderProps(props, context),
+    collapseOnScroll: props.collapse_on_scroll !== false,
+  }),
+  navigation: transformNavigationProps,
+  footer: transformFooterProps,
+  pagination: createDefaultTransformer({
+    current_page: numberField,
+    total_pages: numberField,
+  }),
+  tabs: createDefaultTransformer({ default_tab: numberField }),
+
+  // Forms
+  form: createDefaultTransformer(),
+  form_group: createDefaultTransformer(),
+  form_section: createDefaultTransformer(),
+  form_actions: createDefaultTransformer(),
+  input: createDefaultTransformer(),
+  select: createDefaultTransformer(),
+  checkbox: createDefaultTransformer(),
+  radio: createDefaultTransformer(),
+  radio_group: createDefaultTransformer(),
+  condition_selector: createDefaultTransformer(),
+
+  // UI Elements
+  button: transformButtonProps,
+  link: transformLinkProps,
+  rating: createDefaultTransformer({ value: numberField }),
+  price_display: createDefaultTransformer({
+    price: numberField,
+    original_price: numberField,
+  }),
+  steps_indicator: createDefaultTransformer({ current_step: numberField }),
+
+  // Blog
+  blog_card: createDefaultTransformer({ link: linkField }),
+  blog_list: createDefaultTransformer({
+    columns: numberField,
+    posts: postsField,
+  }),
+  blog_detail: createDefaultTransformer({ content: richTextField }),
+
+  // Products
+  product_card: createDefaultTransformer({
+    price: numberField,
+    link: linkField,
+  }),
+
+  // Specialized
+  phone_repair_form: createDefaultTransformer(),
+  used_phone_price_form: createDefaultTransformer(),
+  contact_info: createDefaultTransformer(),
+  sticky_contact_icons: createDefaultTransformer(),
+  map: createDefaultTransformer({ zoom: numberField }),
+};
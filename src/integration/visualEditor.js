@@ -0,0 +1,144 @@
+// src/integration/visualEditor.js
+/**
+ * Storyblok Visual Editor bridge
+ * Input events of the editor carry the whole draft story. They are
+ * debounced and rendered through the page's reconciler, so only changed
+ * blocks are updated; focus and scroll position stay where they were.
+ */
+
+/**
+ * Milliseconds input events wait for the next keystroke
+ */
+export const INPUT_DEBOUNCE = 150;
+
+/**
+ * Script of the Storyblok bridge
+ */
+export const BRIDGE_SCRIPT =
+  'https://app.storyblok.com/f/storyblok-v2-latest.js';
+
+/**
+ * Elements that can hold focus inside a block
+ */
+const FOCUSABLE =
+  'a[href], button, input, select, textarea, [tabindex]:not([tabindex="-1"])';
+
+/**
+ * Runs a DOM update keeping the scroll position and focus
+ * Focus returns to moved elements, or moves to the matching element of a
+ * replaced block
+ * @param {Function} update - Updates the DOM, may return a promise
+ * @returns {Promise<void>} Resolves after the update
+ */
+export const preserveView = async update => {
+  const { scrollX, scrollY } = window;
+  const active = document.activeElement;
+  const block = active?.closest?.('[data-uid]');
+  const focus = block && {
+    uid: block.dataset.uid,
+    index: Array.from(block.querySelectorAll(FOCUSABLE)).indexOf(active),
+  };
+
+  await update();
+
+  // Moved elements lose focus, replaced ones hand it to their successor
+  if (focus && document.activeElement !== active) {
+    const target = Array.from(document.querySelectorAll('[data-uid]')).find(
+      element => element.dataset.uid === focus.uid
+    );
+    const next = active.isConnected
+      ? active
+      : target?.querySelectorAll(FOCUSABLE)[focus.index] ||
+        (target?.matches(FOCUSABLE) ? target : null);
+    next?.focus({ preventScroll: true });
+  }
+
+  if (window.scrollX !== scrollX || window.scrollY !== scrollY) {
+    window.scrollTo(scrollX, scrollY);
+  }
+};
+
+/**
+ * Connects to the Storyblok bridge of the Visual Editor
+ * Relations of draft stories are resolved by the bridge itself, see the
+ * resolveRelations option of loadEditorBridge.
+ * @param {Object} options - Bridge options
+ * @param {Object} [options.bridge] - StoryblokBridge instance
+ * @param {Function} [options.onInput] - Called with the draft story once
+ *   typing pauses
+ * @param {Function} [options.onSave] - Called with the event when a story is
+ *   saved or published
+ * @param {number} [options.delay] - Debounce of input events in milliseconds
+ * @returns {Object|null} Bridge API, null outside the Visual Editor
+ */
+export const createEditorBridge = ({
+  bridge = null,
+  onInput = () => {},
+  onSave = () => {},
+  delay = INPUT_DEBOUNCE,
+} = {}) => {
+  if (!bridge) {
+    return null;
+  }
+
+  let timer = null;
+  let destroyed = false;
+
+  bridge.on(['input', 'published', 'change'], event => {
+    if (destroyed) return;
+
+    clearTimeout(timer);
+    if (event.action !== 'input') {
+      onSave(event);
+      return;
+    }
+
+    timer = setTimeout(() => onInput(event.story), delay);
+  });
+
+  bridge.pingEditor?.();
+
+  return {
+    /**
+     * Stops handling events; the bridge has no way to remove listeners
+     */
+    destroy: () => {
+      destroyed = true;
+      clearTimeout(timer);
+    },
+  };
+};
+
+/**
+ * Loads the bridge script unless the page already has it
+ * @returns {Promise<Function>} The StoryblokBridge constructor
+ */
+const loadBridgeScript = () =>
+  window.StoryblokBridge
+    ? Promise.resolve(window.StoryblokBridge)
+    : new Promise((resolve, reject) => {
+        const script = document.createElement('script');
+        script.src = BRIDGE_SCRIPT;
+        script.async = true;
+        script.onload = () =>
+          window.StoryblokBridge
+            ? resolve(window.StoryblokBridge)
+            : reject(new Error('Storyblok bridge script has no bridge'));
+        script.onerror = () =>
+          reject(new Error('Storyblok bridge could not be loaded'));
+        document.head.appendChild(script);
+      });
+
+/**
+ * Loads the Storyblok bridge, which only preview sessions need
+ * The v2 script defines the StoryblokBridge constructor; every call creates
+ * a bridge with the given options.
+ * @param {Object} [options] - StoryblokBridge options
+ * @param {Array<string>} [options.resolveRelations] - Relation fields the
+ *   bridge resolves in draft stories, see getRelationFields
+ * @returns {Promise<Object>} StoryblokBridge instance
+ */
+export const loadEditorBridge = async (options = {}) => {
+  const StoryblokBridge = await loadBridgeScript();
+  return new StoryblokBridge(options);
+};
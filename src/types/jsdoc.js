@@ -203,6 +203,7 @@
 
 /**
  * @typedef {Object} StoryblokClient
+ * @property {Function} loadStory - Fetch story with its datasource options
  * @property {Function} getStoryWithComponents - Fetch story with components
  * @property {Function} getStoriesWithComponents - Fetch multiple stories
  * @property {Function} renderStoryToContainer - Render story to DOM
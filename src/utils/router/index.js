@@ -71,9 +71,17 @@ export class Router {
     this.errorHandler = options.errorHandler || this.defaultErrorHandler;
     this.baseURL = options.baseURL || '';
     this.mode = options.mode || 'history'; // 'history' or 'hash'
+    this.scrollRestoration = options.scrollRestoration !== false;
     this.currentRoute = null;
     this.beforeHooks = [];
     this.afterHooks = [];
+    // Aborted when a newer navigation starts
+    this.abortController = null;
+    // Position of the current entry in the session history
+    this.historyIndex = 0;
+    this.ignoreNextPop = false;
+    // How the pending navigation moves through history, passed to handlers
+    this.direction = null;
   }
 
   /**
@@ -123,16 +131,50 @@ export class Router {
    * Initialize router
    */
   init() {
-    // Set up event listeners
+    this.listen();
+
+    // Handle initial route
+    this.handleRoute();
+  }
+
+  /**
+   * Set up event listeners without handling the current route
+   * For pages whose content is already rendered, e.g. by the server
+   */
+  listen() {
+    if (this.listeners) return;
+
     if (this.mode === 'history') {
-      window.addEventListener('popstate', () => this.handleRoute());
-      document.addEventListener('click', e => this.handleLinkClick(e));
+      this.listeners = {
+        popstate: event => this.handlePopState(event),
+        click: event => this.handleLinkClick(event),
+      };
+      window.addEventListener('popstate', this.listeners.popstate);
+      document.addEventListener('click', this.listeners.click);
+
+      this.historyIndex = window.history.state?.index ?? 0;
+      if (this.scrollRestoration && 'scrollRestoration' in window.history) {
+        window.history.scrollRestoration = 'manual';
+      }
     } else {
-      window.addEventListener('hashchange', () => this.handleRoute());
+      this.listeners = { hashchange: () => this.handleRoute() };
+      window.addEventListener('hashchange', this.listeners.hashchange);
     }
+  }
 
-    // Handle initial route
-    this.handleRoute();
+  /**
+   * Remove event listeners and cancel the running navigation
+   */
+  destroy() {
+    this.abortController?.abort();
+
+    if (this.listeners?.popstate) {
+      window.removeEventListener('popstate', this.listeners.popstate);
+      document.removeEventListener('click', this.listeners.click);
+    } else if (this.listeners?.hashchange) {
+      window.removeEventListener('hashchange', this.listeners.hashchange);
+    }
+    this.listeners = null;
   }
 
   /**
@@ -142,14 +184,24 @@ export class Router {
   handleLinkClick(event) {
     const link = event.target.closest('a');
 
-    if (!link || !link.href) return;
+    if (!link || !link.href || event.defaultPrevented || event.button > 0) {
+      return;
+    }
 
     const url = new URL(link.href);
     const isInternal = url.origin === window.location.origin;
     const isTargetBlank = link.target === '_blank';
-    const isModified = event.metaKey || event.ctrlKey || event.shiftKey;
-
-    if (isInternal && !isTargetBlank && !isModified) {
+    const isModified =
+      event.metaKey || event.ctrlKey || event.shiftKey || event.altKey;
+    const isDownload = link.hasAttribute('download');
+    // Anchors on the same page are left to the browser
+    const isSamePage =
+      url.hash &&
+      url.pathname === window.location.pathname &&
+      url.search === window.location.search;
+
+    if (isInternal && !isTargetBlank && !isModified && !isDownload) {
+      if (isSamePage) return;
       event.preventDefault();
       this.navigate(url.pathname + url.search + url.hash);
     }
@@ -171,22 +223,38 @@ export class Router {
       );
       if (!canNavigate) return;
 
+      const from = this.currentRoute?.path;
+
       // Update URL
+      this.direction = replace ? 'replace' : 'forward';
       if (this.mode === 'history') {
+        this.saveScrollPosition();
         if (replace) {
-          window.history.replaceState(state, '', path);
+          window.history.replaceState(
+            { ...state, index: this.historyIndex },
+            '',
+            path
+          );
         } else {
-          window.history.pushState(state, '', path);
+          this.historyIndex += 1;
+          window.history.pushState(
+            { ...state, index: this.historyIndex },
+            '',
+            path
+          );
         }
       } else {
         window.location.hash = path;
       }
 
       // Handle route
-      await this.handleRoute();
+      const handled = await this.handleRoute();
+      if (!handled) return;
+
+      this.restoreScrollPosition(null, path);
 
       // Run after hooks
-      await this.runAfterHooks(path, this.currentRoute?.path);
+      await this.runAfterHooks(path, from);
     } catch (error) {
       throw new AppError(
         `Navigation failed: ${error.message}`,
@@ -196,38 +264,131 @@ export class Router {
     }
   }
 
+  /**
+   * Handle back and forward navigation
+   * Guards run as for navigate; a blocked navigation returns to the entry
+   * the user left
+   * @param {PopStateEvent} event - Popstate event
+   */
+  async handlePopState(event) {
+    if (this.ignoreNextPop) {
+      this.ignoreNextPop = false;
+      return;
+    }
+
+    const to = this.getCurrentPath();
+    const from = this.currentRoute?.path;
+    const index = event.state?.index ?? 0;
+
+    const canNavigate = await this.runBeforeHooks(to, from);
+    if (!canNavigate) {
+      this.ignoreNextPop = true;
+      window.history.go(this.historyIndex - index);
+      return;
+    }
+
+    this.direction = index < this.historyIndex ? 'back' : 'forward';
+    this.historyIndex = index;
+
+    const handled = await this.handleRoute();
+    if (!handled) return;
+
+    this.restoreScrollPosition(event.state?.scroll, to);
+    await this.runAfterHooks(to, from);
+  }
+
   /**
    * Handle current route
+   * A newer navigation cancels the running one through context.signal
+   * @returns {Promise<boolean>} False when cancelled by a newer navigation
    */
   async handleRoute() {
     const path = this.getCurrentPath();
     const route = this.findRoute(path);
 
+    this.abortController?.abort();
+    const controller = new AbortController();
+    this.abortController = controller;
+
     if (!route) {
       await this.handleNotFound(path);
-      return;
+      return true;
     }
 
     try {
       // Create context
       const context = {
         path,
-        params: route.match(path).params,
+        params: route.match(path.split('?')[0]).params,
         query: this.parseQuery(),
         route,
         router: this,
+        signal: controller.signal,
+        // 'forward', 'back' or 'replace'; null for reloads of the route
+        direction: this.direction,
       };
+      this.direction = null;
 
-      // Run middlewares
-      await this.runMiddlewares(context);
+      // Run middlewares; a redirect ends the navigation
+      const completed = await this.runMiddlewares(context);
+      if (!completed) {
+        return false;
+      }
 
       // Execute route handler
       await route.handler(context);
 
+      if (controller.signal.aborted) {
+        return false;
+      }
+
       // Update current route
       this.currentRoute = { path, route, context };
+      return true;
     } catch (error) {
+      if (controller.signal.aborted) {
+        return false;
+      }
       await this.errorHandler(error, { path, route });
+      return true;
+    }
+  }
+
+  /**
+   * Remember the scroll position of the current history entry
+   */
+  saveScrollPosition() {
+    if (!this.scrollRestoration || this.mode !== 'history') return;
+
+    window.history.replaceState(
+      {
+        ...window.history.state,
+        index: this.historyIndex,
+        scroll: { x: window.scrollX, y: window.scrollY },
+      },
+      ''
+    );
+  }
+
+  /**
+   * Scroll after navigating: to a saved position, the URL hash or the top
+   * @param {Object} [position] - Saved position of the history entry
+   * @param {string} path - Path navigated to
+   */
+  restoreScrollPosition(position, path) {
+    if (!this.scrollRestoration) return;
+
+    if (position) {
+      window.scrollTo(position.x, position.y);
+      return;
+    }
+
+    const hash = path.split('#')[1];
+    const target = hash && document.getElementById(decodeURIComponent(hash));
+    if (target) {
+      target.scrollIntoView();
+    } else {
+      window.scrollTo(0, 0);
     }
   }
 
@@ -237,7 +398,7 @@ export class Router {
    */
   getCurrentPath() {
     if (this.mode === 'history') {
-      return window.location.pathname + window.location.search;
+      return window.location.pathname + (window.location.search || '');
     } else {
       return window.location.hash.slice(1) || '/';
     }
@@ -279,6 +440,7 @@ export class Router {
   /**
    * Run middlewares
    * @param {Object} context - Route context
+   * @returns {Promise<boolean>} False when a middleware ended the navigation
    */
   async runMiddlewares(context) {
     for (const middleware of this.middlewares) {
@@ -288,10 +450,15 @@ export class Router {
         nextCalled = true;
       });
 
+      // A redirect or newer navigation took over
+      if (context.signal?.aborted) return false;
+
       if (!nextCalled) {
         throw new Error('Middleware did not call next()');
       }
     }
+
+    return true;
   }
 
   /**
@@ -355,6 +522,27 @@ export class Router {
     console.error('Router error:', error, context);
   }
 
+  /**
+   * Replace the current navigation with another location
+   * Internal paths replace the history entry, other origins leave the app.
+   * Middlewares redirecting this way end the navigation they run in.
+   * @param {string} location - Path or URL
+   * @returns {Promise<void>} Resolves once the new path is handled
+   */
+  async redirect(location) {
+    const url = new URL(location, window.location.href);
+
+    if (url.origin !== window.location.origin) {
+      this.abortController?.abort();
+      window.location.replace(url.href);
+      return;
+    }
+
+    await this.navigate(url.pathname + url.search + url.hash, {
+      replace: true,
+    });
+  }
+
   /**
    * Go back in history
    */
@@ -412,5 +600,275 @@ export const createRouter = (options = {}) => {
   return router;
 };
 
+/**
+ * Create a navigation guard for forms with unsaved input
+ * Forms count as dirty from their first input until submitted. The guard
+ * asks before leaving them, in the app and when closing the page.
+ * @param {HTMLElement} root - Element containing the forms
+ * @param {Object} [options] - Guard options
+ * @param {string} [options.message] - Confirmation message
+ * @param {Function} [options.confirm] - Asks the user, returns a boolean
+ * @returns {Object} Guard with hook for beforeEach, isDirty, reset, destroy
+ */
+export const createFormGuard = (
+  root,
+  {
+    message = 'You have unsaved changes. Leave this page?',
+    confirm = text => window.confirm(text),
+  } = {}
+) => {
+  const dirtyForms = new Set();
+
+  const isDirty = () => Array.from(dirtyForms).some(form => form.isConnected);
+
+  const handleInput = event => {
+    const form = event.target.closest?.('form');
+    if (form && !form.hasAttribute('data-no-guard')) {
+      dirtyForms.add(form);
+    }
+  };
+
+  const handleSubmit = event => {
+    dirtyForms.delete(event.target);
+  };
+
+  const handleBeforeUnload = event => {
+    if (isDirty()) {
+      event.preventDefault();
+      event.returnValue = message;
+    }
+  };
+
+  root.addEventListener('input', handleInput);
+  root.addEventListener('change', handleInput);
+  root.addEventListener('submit', handleSubmit);
+  window.addEventListener('beforeunload', handleBeforeUnload);
+
+  const reset = () => dirtyForms.clear();
+
+  return {
+    /**
+     * Before hook: blocks navigation unless the user confirms
+     * @returns {boolean} Whether to continue navigation
+     */
+    hook: () => {
+      if (!isDirty()) return true;
+      const leave = confirm(message);
+      if (leave) reset();
+      return leave;
+    },
+    isDirty,
+    reset,
+    destroy: () => {
+      root.removeEventListener('input', handleInput);
+      root.removeEventListener('change', handleInput);
+      root.removeEventListener('submit', handleSubmit);
+      window.removeEventListener('beforeunload', handleBeforeUnload);
+      reset();
+    },
+  };
+};
+
+/**
+ * Whether the connection asks to save data
+ * @returns {boolean} True on Save-Data or a 2G connection
+ */
+const isSavingData = () => {
+  const connection = navigator.connection;
+  return Boolean(
+    connection?.saveData || /2g/.test(connection?.effectiveType || '')
+  );
+};
+
+/**
+ * Creates a prefetcher loading the data of internal links ahead of a click
+ * Links are prefetched when hovered, focused, touched or, after observe(),
+ * scrolled into view. Hover, focus and touch jump the queue; at most
+ * `concurrency` prefetches run at a time. Nothing is prefetched when the
+ * connection saves data or for links with data-no-prefetch.
+ * @param {Object} options - Prefetch options
+ * @param {Function} options.prefetch - Loads the data of a path
+ *   (pathname and search), may return a promise
+ * @param {number} [options.concurrency] - Prefetches running at a time
+ * @param {number} [options.hoverDelay] - Milliseconds a link is hovered
+ *   before it is prefetched
+ * @param {HTMLElement|Document} [options.root] - Element whose links are
+ *   prefetched on hover, focus and touch
+ * @returns {Object} Prefetcher with request, observe, reset, destroy
+ */
+export const createPrefetcher = ({
+  prefetch,
+  concurrency = 2,
+  hoverDelay = 65,
+  root = document,
+}) => {
+  // Paths queued or prefetched since the last reset
+  const requested = new Set();
+  const queue = [];
+  let active = 0;
+  let hoverTimer = null;
+  let observer = null;
+
+  /**
+   * Path of a link worth prefetching
+   * @param {Element} link - Anchor element
+   * @returns {string|null} Path, null for external, download, new-tab and
+   *   current-page links
+   */
+  const toPath = link => {
+    if (
+      !link?.href ||
+      link.target === '_blank' ||
+      link.hasAttribute('download') ||
+      link.closest('[data-no-prefetch]')
+    ) {
+      return null;
+    }
+
+    const url = new URL(link.href, window.location.href);
+    const path = url.pathname + url.search;
+    const current = window.location.pathname + (window.location.search || '');
+
+    return url.origin === window.location.origin && path !== current
+      ? path
+      : null;
+  };
+
+  const next = () => {
+    while (active < concurrency && queue.length > 0) {
+      const path = queue.shift();
+      active += 1;
+
+      Promise.resolve()
+        .then(() => prefetch(path))
+        .catch(() => {})
+        .finally(() => {
+          active -= 1;
+          next();
+        });
+    }
+  };
+
+  /**
+   * Queues a path for prefetching
+   * @param {string} path - Path to prefetch
+   * @param {Object} [options] - Request options
+   * @param {boolean} [options.priority] - Prefetch before queued paths
+   * @returns {boolean} True if the path was queued
+   */
+  const request = (path, { priority = false } = {}) => {
+    if (!path || isSavingData()) {
+      return false;
+    }
+
+    if (requested.has(path)) {
+      // A link the user points at overtakes links merely in view
+      const index = queue.indexOf(path);
+      if (priority && index > 0) {
+        queue.splice(index, 1);
+        queue.unshift(path);
+      }
+      return false;
+    }
+
+    requested.add(path);
+    if (priority) {
+      queue.unshift(path);
+    } else {
+      queue.push(path);
+    }
+    next();
+    return true;
+  };
+
+  const requestLink = (link, options) => request(toPath(link), options);
+
+  const handleMouseOver = event => {
+    const link = event.target.closest?.('a');
+    if (!link || link.contains(event.relatedTarget)) return;
+
+    clearTimeout(hoverTimer);
+    hoverTimer = setTimeout(
+      () => requestLink(link, { priority: true }),
+      hoverDelay
+    );
+  };
+
+  const handleMouseOut = event => {
+    const link = event.target.closest?.('a');
+    if (link && !link.contains(event.relatedTarget)) {
+      clearTimeout(hoverTimer);
+    }
+  };
+
+  const handleIntent = event => {
+    requestLink(event.target.closest?.('a'), { priority: true });
+  };
+
+  root.addEventListener('mouseover', handleMouseOver);
+  root.addEventListener('mouseout', handleMouseOut);
+  root.addEventListener('focusin', handleIntent);
+  root.addEventListener('touchstart', handleIntent, { passive: true });
+
+  /**
+   * Prefetches the links of an element once they scroll into view
+   * Without IntersectionObserver only hover, focus and touch prefetch
+   * @param {HTMLElement} element - Element containing links
+   */
+  const observe = element => {
+    if (typeof IntersectionObserver === 'undefined' || !element) return;
+
+    if (!observer) {
+      observer = new IntersectionObserver(entries => {
+        entries
+          .filter(entry => entry.isIntersecting)
+          .forEach(entry => {
+            observer.unobserve(entry.target);
+            requestLink(entry.target);
+          });
+      });
+    }
+
+    element
+      .querySelectorAll('a[href]')
+      .forEach(link => toPath(link) && observer.observe(link));
+  };
+
+  /**
+   * Forgets prefetched paths and observed links, e.g. after navigation
+   * Running prefetches finish
+   */
+  const reset = () => {
+    clearTimeout(hoverTimer);
+    queue.length = 0;
+    requested.clear();
+    observer?.disconnect();
+  };
+
+  return {
+    request,
+    observe,
+    reset,
+    destroy: () => {
+      reset();
+      observer = null;
+      root.removeEventListener('mouseover', handleMouseOver);
+      root.removeEventListener('mouseout', handleMouseOut);
+      root.removeEventListener('focusin', handleIntent);
+      root.removeEventListener('touchstart', handleIntent);
+    },
+  };
+};
+
+/**
+ * Convert URL pathname to Storyblok slug
+ * @param {string} pathname - URL pathname
+ * @returns {string} Story slug ('home' for the root path)
+ */
+export const pathToSlug = pathname => {
+  const slug = (pathname || '').split(/[?#]/)[0].replace(/^\/+|\/+$/g, '');
+  return slug === '' ? 'home' : slug;
+};
+
 // Export default router instance
 export default createRouter();
@@ -0,0 +1,184 @@
+// File: src/utils/transitions/index.js
+/**
+ * Page transitions
+ * Animates DOM updates with the View Transitions API, or with a CSS
+ * animation of the new content where the API is missing. Elements shown on
+ * both pages morph into each other: images match by their asset, other
+ * elements by a data-transition-name attribute.
+ */
+
+/**
+ * Transition types with styles in main.css
+ */
+export const TRANSITION_TYPES = ['fade', 'slide', 'none'];
+
+/**
+ * Class of elements playing the CSS fallback animation
+ */
+const FALLBACK_CLASS = 'page-transition';
+
+/**
+ * Longest the fallback class stays when animationend never fires
+ */
+const FALLBACK_TIMEOUT = 1000;
+
+/**
+ * Whether the user asked for reduced motion
+ * @returns {boolean} True if animations should be skipped
+ */
+export const prefersReducedMotion = () =>
+  typeof window.matchMedia === 'function' &&
+  window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+
+/**
+ * Key of an element for matching it across pages
+ * Storyblok image URLs lose their size transforms, so a thumbnail matches
+ * the full image of the same asset
+ * @param {Element} element - Element
+ * @returns {string|null} Shared key
+ */
+const toSharedKey = element => {
+  if (element.dataset.transitionName) {
+    return element.dataset.transitionName;
+  }
+
+  const src = element.getAttribute('src');
+  return src ? `img:${src.split('?')[0].replace(/\/m\/.*$/, '')}` : null;
+};
+
+/**
+ * Turns a shared key into a valid view-transition-name
+ * @param {string} key - Shared key
+ * @returns {string} CSS identifier
+ */
+const toTransitionName = key => {
+  let hash = 5381;
+  for (let i = 0; i < key.length; i += 1) {
+    hash = ((hash << 5) + hash + key.charCodeAt(i)) >>> 0;
+  }
+  return `shared-${hash.toString(36)}`;
+};
+
+/**
+ * Finds the elements of a page that may morph into the next page
+ * Keys found more than once are left out, transition names must be unique
+ * @param {HTMLElement} root - Page content
+ * @returns {Map<string, Element>} Elements by shared key
+ */
+export const getSharedElements = root => {
+  const elements = new Map();
+  const duplicates = new Set();
+
+  root.querySelectorAll('[data-transition-name], img[src]').forEach(element => {
+    const key = toSharedKey(element);
+    if (!key) return;
+
+    if (elements.has(key)) {
+      duplicates.add(key);
+    } else {
+      elements.set(key, element);
+    }
+  });
+
+  duplicates.forEach(key => elements.delete(key));
+  return elements;
+};
+
+/**
+ * Sets or removes the view-transition-name of elements
+ * @param {Map<string, Element>} elements - Elements by shared key
+ * @param {boolean} named - Whether to set the names
+ */
+const nameElements = (elements, named) => {
+  elements.forEach((element, key) => {
+    element.style.viewTransitionName = named ? toTransitionName(key) : '';
+  });
+};
+
+/**
+ * Animates the new content where the View Transitions API is missing
+ * @param {HTMLElement} root - Page content
+ * @param {string} type - Transition type
+ * @param {string|null} direction - Navigation direction
+ */
+const playFallback = (root, type, direction) => {
+  const classes = [
+    FALLBACK_CLASS,
+    `${FALLBACK_CLASS}-${type}`,
+    ...(direction === 'back' ? [`${FALLBACK_CLASS}-back`] : []),
+  ];
+  let timer = null;
+
+  const done = () => {
+    clearTimeout(timer);
+    root.classList.remove(...classes);
+    root.removeEventListener('animationend', done);
+  };
+
+  root.classList.remove(...classes);
+  // Restart the animation when transitions follow each other quickly
+  void root.offsetWidth;
+  root.classList.add(...classes);
+  root.addEventListener('animationend', done);
+  timer = setTimeout(done, FALLBACK_TIMEOUT);
+};
+
+/**
+ * Runs a DOM update as a page transition
+ * Resolves once the DOM is updated; the animation plays on. Updates run
+ * without animation for type 'none' or false and for reduced motion.
+ * @param {Function} update - Updates the DOM, may return a promise
+ * @param {Object} [options] - Transition options
+ * @param {HTMLElement} [options.root] - Element whose content changes
+ * @param {string|boolean} [options.type] - One of TRANSITION_TYPES
+ * @param {string} [options.direction] - Navigation direction, e.g. 'back',
+ *   set as data-transition-direction on the document while animating
+ * @returns {Promise<void>} Resolves after the update
+ */
+export const runTransition = async (
+  update,
+  { root = document.body, type = 'fade', direction = null } = {}
+) => {
+  if (!type || type === 'none' || prefersReducedMotion()) {
+    await update();
+    return;
+  }
+
+  if (typeof document.startViewTransition !== 'function') {
+    await update();
+    playFallback(root, type, direction);
+    return;
+  }
+
+  const html = document.documentElement;
+  const before = getSharedElements(root);
+  let after = new Map();
+
+  html.dataset.transition = type;
+  if (direction) {
+    html.dataset.transitionDirection = direction;
+  }
+  nameElements(before, true);
+
+  const transition = document.startViewTransition(async () => {
+    nameElements(before, false);
+    await update();
+
+    // Only elements of the old page morph, others enter with the page
+    after = new Map(
+      Array.from(getSharedElements(root)).filter(([key]) => before.has(key))
+    );
+    nameElements(after, true);
+  });
+
+  // Skipped transitions reject finished; the update still ran
+  transition.finished
+    .catch(() => {})
+    .finally(() => {
+      nameElements(after, false);
+      delete html.dataset.transition;
+      delete html.dataset.transitionDirection;
+    });
+
+  await transition.updateCallbackDone;
+};
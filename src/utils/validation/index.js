@@ -53,6 +53,146 @@ export const validateComponentProps = (props, componentType) => {
   return validatedProps;
 };
 
+/**
+ * Validation strictness levels
+ */
+export const STRICTNESS = {
+  // Render, collect issues silently
+  LENIENT: 'lenient',
+  // Render, collect issues and log them
+  WARN: 'warn',
+  // Replace blocks with errors by a fallback
+  STRICT: 'strict',
+};
+
+/**
+ * Validates a Storyblok block against its schema without throwing
+ * Applies schema defaults and coerces values Storyblok delivers loosely:
+ * numbers and booleans as strings, enum values in another case, empty assets
+ * @param {Object} props - CMS props
+ * @param {string} componentType - Component type for schema lookup
+ * @returns {Object} Props with defaults applied and the issues found
+ */
+export const validateBlock = (props, componentType) => {
+  const schema = getValidationSchema(componentType);
+  const issues = [];
+
+  if (!schema) {
+    return { props, issues };
+  }
+
+  const validatedProps = { ...props };
+
+  Object.entries(schema).forEach(([field, rules]) => {
+    const key = resolveFieldKey(props, field);
+    const value = coerceValue(props[key], rules);
+
+    try {
+      const validated = validateField(value, rules, field);
+      if (validated !== undefined) {
+        validatedProps[key] = validated;
+      }
+    } catch (error) {
+      // An invalid option falls back to the schema default
+      if (rules.enum && rules.default !== undefined && value !== undefined) {
+        validatedProps[key] = rules.default;
+        issues.push({
+          field,
+          message: `${error.message}, using ${rules.default}`,
+          severity: 'warning',
+        });
+        return;
+      }
+
+      issues.push({ field, message: error.message, severity: 'error' });
+    }
+  });
+
+  return { props: validatedProps, issues };
+};
+
+/**
+ * Finds the CMS field for a schema field; schemas use both snake_case and
+ * camelCase names
+ * @param {Object} props - CMS props
+ * @param {string} field - Schema field name
+ * @returns {string} Key present in props, or the schema name
+ */
+const resolveFieldKey = (props, field) => {
+  if (field in props) {
+    return field;
+  }
+  const snakeCase = field.replace(/[A-Z]/g, char => `_${char.toLowerCase()}`);
+  return snakeCase in props ? snakeCase : field;
+};
+
+/**
+ * Coerces a CMS value towards the type its rules expect
+ * @param {*} value - CMS value
+ * @param {Object} rules - Validation rules
+ * @returns {*} Coerced value, undefined for empty values
+ */
+const coerceValue = (value, rules) => {
+  if (value === null || value === undefined) {
+    return undefined;
+  }
+
+  switch (rules.type) {
+    case 'number':
+      if (value === '') return undefined;
+      if (typeof value === 'string' && !isNaN(Number(value))) {
+        return Number(value);
+      }
+      break;
+
+    case 'boolean':
+      if (value === '') return undefined;
+      if (value === 'true' || value === 'false') {
+        return value === 'true';
+      }
+      break;
+
+    case 'asset':
+      // Unset asset fields arrive as '' or { filename: '' }
+      if (!value || (typeof value === 'object' && !value.filename)) {
+        return undefined;
+      }
+      if (typeof value === 'string') {
+        return { filename: value };
+      }
+      break;
+
+    case 'link':
+      // Unset multilinks arrive with empty url, cached_url and id
+      if (value === '') return undefined;
+      if (typeof value === 'object' && isEmptyLink(value)) return undefined;
+      break;
+
+    case 'string':
+      if (value === '' && rules.default !== undefined) return undefined;
+      break;
+  }
+
+  if (rules.enum && typeof value === 'string' && !rules.enum.includes(value)) {
+    const match = rules.enum.find(
+      option => String(option).toLowerCase() === value.trim().toLowerCase()
+    );
+    if (match !== undefined) {
+      return match;
+    }
+  }
+
+  return value;
+};
+
+/**
+ * Checks whether a Storyblok multilink points anywhere
+ * @param {Object} link - Multilink object
+ * @returns {boolean} True if the link has no target
+ */
+const isEmptyLink = link =>
+  !link.url && !link.cached_url && !link.id && !link.email && !link.story;
+
 /**
  * Validates individual field against rules
  * @param {*} value - Value to validate
@@ -197,8 +337,18 @@ const validateType = (value, expectedType, fieldName) => {
       validateAsset(value, fieldName);
       break;
 
+    case 'link':
+      // URLs as strings, or Storyblok multilinks
+      if (typeof value !== 'string') {
+        validateLink(value, fieldName);
+      }
+      break;
+
     case 'richtext':
-      validateRichText(value, fieldName);
+      // Plain text and markdown fields hold strings
+      if (typeof value !== 'string') {
+        validateRichText(value, fieldName);
+      }
       break;
 
     default:
@@ -231,6 +381,30 @@ const validateAsset = (asset, fieldName) => {
   }
 };
 
+/**
+ * Validates Storyblok multilink object
+ * @param {Object} link - Link object to validate
+ * @param {string} fieldName - Field name for error messages
+ */
+const validateLink = (link, fieldName) => {
+  if (!link || typeof link !== 'object' || Array.isArray(link)) {
+    throw new ValidationError(
+      `${fieldName} must be a URL or a link object`,
+      fieldName
+    );
+  }
+
+  if (
+    link.linktype &&
+    !['story', 'url', 'email', 'asset'].includes(link.linktype)
+  ) {
+    throw new ValidationError(
+      `${fieldName} has an unknown link type: ${link.linktype}`,
+      fieldName
+    );
+  }
+};
+
 /**
  * Validates Storyblok rich text object
  * @param {Object} richText - Rich text object to validate
@@ -259,8 +433,55 @@ const validateRichText = (richText, fieldName) => {
   }
 };
 
+/**
+ * CSS properties rich text may set through style attributes
+ */
+const ALLOWED_STYLES = ['color', 'background-color', 'width', 'text-align'];
+
+/**
+ * Keeps the allowed properties of an inline style
+ * Values are limited to colors, lengths and keywords, so no url() or
+ * expression() gets through
+ * @param {string} style - Style attribute value
+ * @returns {string} Filtered style, empty if nothing is left
+ */
+export const sanitizeStyle = style =>
+  String(style || '')
+    .split(';')
+    .map(declaration => {
+      const separator = declaration.indexOf(':');
+      return [
+        declaration.slice(0, separator).trim().toLowerCase(),
+        declaration.slice(separator + 1).trim(),
+      ];
+    })
+    .filter(
+      ([property, value]) =>
+        ALLOWED_STYLES.includes(property) &&
+        /^[#\w\s.,%()-]+$/.test(value) &&
+        !/(url|expression)\s*\(/i.test(value)
+    )
+    .map(([property, value]) => `${property}: ${value}`)
+    .join('; ');
+
+/**
+ * DOMPurify hook letting style attributes through with allowed properties
+ * @param {Element} node - Sanitized element
+ * @param {Object} data - Hook data of the attribute
+ */
+const filterStyleAttribute = (node, data) => {
+  if (data.attrName !== 'style') {
+    return;
+  }
+
+  data.attrValue = sanitizeStyle(data.attrValue);
+  data.keepAttr = data.attrValue !== '';
+  data.allowedAttributes.style = data.keepAttr;
+};
+
 /**
  * Sanitizes HTML content to prevent XSS using DOMPurify
+ * Style attributes keep only the properties in ALLOWED_STYLES
  * @param {string} html - HTML content to sanitize
  * @returns {string} Sanitized HTML
  */
@@ -274,7 +495,22 @@ export const sanitizeHTML = html => {
       .replace(/on\w+\s*=/gi, '');
   }
 
-  return DOMPurify.sanitize(html, {
+  // Hooks are global; only this sanitizer filters styles
+  DOMPurify.addHook('uponSanitizeAttribute', filterStyleAttribute);
+  try {
+    return sanitize(html);
+  } finally {
+    DOMPurify.removeHook('uponSanitizeAttribute', filterStyleAttribute);
+  }
+};
+
+/**
+ * Runs DOMPurify with the rich text allowlist
+ * @param {string} html - HTML content to sanitize
+ * @returns {string} Sanitized HTML
+ */
+const sanitize = html =>
+  DOMPurify.sanitize(html, {
     ALLOWED_TAGS: [
       'p',
       'br',
@@ -297,13 +533,39 @@ export const sanitizeHTML = html => {
       'code',
       'pre',
       'span',
+      's',
+      'sub',
+      'sup',
+      'mark',
+      'hr',
+      'img',
+      'table',
+      'thead',
+      'tbody',
+      'tr',
+      'th',
+      'td',
+    ],
+    ALLOWED_ATTR: [
+      'href',
+      'target',
+      'rel',
+      'class',
+      'id',
+      'src',
+      'alt',
+      'title',
+      'width',
+      'height',
+      'loading',
+      'start',
+      'colspan',
+      'rowspan',
     ],
-    ALLOWED_ATTR: ['href', 'target', 'rel', 'class', 'id'],
     ALLOW_DATA_ATTR: false,
     FORBID_TAGS: ['script', 'style'],
     FORBID_ATTR: ['onerror', 'onclick', 'onload', 'onmouseover'],
   });
-};
 
 /**
  * Validates URL format
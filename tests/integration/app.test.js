@@ -134,6 +134,65 @@ describe('App Integration', () => {
     });
   });
 
+  describe('Server-Rendered Markup', () => {
+    test('hydrates pre-rendered markup instead of re-rendering', async () => {
+      container.dataset.ssr = 'true';
+      container.innerHTML = `
+        <div class="layout layout-page" data-layout="page">
+          <div class="layout-region layout-outlet" data-region="outlet">
+            <nav class="default-nav"></nav>
+            <div class="hero" data-uid="hero-1">Server Hero</div>
+          </div>
+        </div>
+      `;
+      const serverNav = container.querySelector('nav');
+      const serverLayout = container.querySelector('[data-layout]');
+
+      const state = document.createElement('script');
+      state.id = '__SSR_STATE__';
+      state.type = 'application/json';
+      state.textContent = JSON.stringify({
+        slug: 'home',
+        story: {
+          id: 1,
+          content: {
+            body: [{ component: 'hero_section', _uid: 'hero-1', title: 'Hi' }],
+          },
+        },
+      });
+      document.body.appendChild(state);
+
+      app = createApp({ container, enableLivePreview: false });
+      await app.init();
+
+      expect(container.querySelector('nav')).toBe(serverNav);
+      expect(container.querySelector('[data-layout]')).toBe(serverLayout);
+      expect(container.querySelectorAll('[data-uid="hero-1"]').length).toBe(1);
+      expect(container.querySelector('.app-loading')).toBeNull();
+      expect(container.dataset.ssr).toBeUndefined();
+      expect(app.getStatus().storyLoaded).toBe(true);
+    });
+  });
+
+  describe('Layouts', () => {
+    test('keeps the layout and swaps the outlet on navigation', async () => {
+      app = createApp({ container, enableLivePreview: false });
+      await app.init();
+
+      const layout = container.querySelector('[data-layout="page"]');
+      expect(layout).not.toBeNull();
+      expect(
+        layout.querySelector('[data-region="outlet"] .hero')
+      ).not.toBeNull();
+
+      await app.navigateToRoute('/test-story');
+
+      expect(container.querySelector('[data-layout]')).toBe(layout);
+      expect(layout.querySelectorAll('.hero').length).toBe(1);
+      expect(app.getStatus().layout).toBe('page');
+    });
+  });
+
   describe('Live Preview Integration', () => {
     test('enables live preview in development mode', () => {
       app = createApp({
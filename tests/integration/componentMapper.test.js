@@ -4,12 +4,33 @@
  * Tests the core integration functionality
  */
 
-import { describe, test, expect, beforeEach } from 'vitest';
+import { describe, test, expect, beforeEach, vi } from 'vitest';
 import { createTestContainer, createMockComponent } from '../setup.js';
 import {
   createComponent,
+  createRenderContext,
+  getComponentProps,
   getRegisteredComponents,
+  registerComponent,
+  registerTransformer,
 } from '../../src/integration/componentMapper.js';
+import {
+  assetToUrl,
+  bloksToComponents,
+  linkToHref,
+  richTextToHTML,
+} from '../../src/integration/transformers.js';
+import { validateBlock } from '../../src/utils/validation/index.js';
+import {
+  CMS_COMPONENT_MAP,
+  COMPONENT_SCHEMAS,
+  getAllComponentsForShowcase,
+  getCMSMapping,
+  getComponentDefinition,
+  getRelationFields,
+  getValidationSchema,
+  unregisterComponent,
+} from '../../src/config/components.js';
 
 describe('Component Mapper Integration', () => {
   beforeEach(() => {
@@ -119,6 +140,356 @@ describe('Component Mapper Integration', () => {
       expect(components).toContain('text_block');
       expect(components).toContain('button');
     });
+
+    test('registers custom blocks at runtime', () => {
+      const factory = vi.fn(props => {
+        const element = document.createElement('div');
+        element.textContent = props.label;
+        return { getElement: () => element, destroy: () => {} };
+      });
+
+      registerComponent('promo_banner', {
+        factory,
+        transform: props => ({ label: props.headline }),
+        schema: { headline: { type: 'string', required: true } },
+        category: 'Marketing',
+      });
+
+      const component = createComponent(
+        createMockComponent('promo_banner', { headline: 'Sale' })
+      );
+
+      expect(getRegisteredComponents()).toContain('promo_banner');
+      expect(factory).toHaveBeenCalledWith({ label: 'Sale' });
+      expect(component.getElement().textContent).toBe('Sale');
+      expect(getValidationSchema('promo_banner').headline.required).toBe(true);
+      expect(getAllComponentsForShowcase()).toContainEqual(
+        expect.objectContaining({
+          cmsType: 'promo_banner',
+          category: 'Marketing',
+        })
+      );
+
+      unregisterComponent('promo_banner');
+      expect(getRegisteredComponents()).not.toContain('promo_banner');
+    });
+
+    test('derives the component map and schemas from the registry', () => {
+      expect(CMS_COMPONENT_MAP.get('button')).toBe(getCMSMapping('button'));
+      expect(COMPONENT_SCHEMAS.button).toBe(getValidationSchema('button'));
+
+      const schema = { label: { type: 'string' } };
+      registerComponent('badge', { svarogType: 'Button', schema });
+      expect(CMS_COMPONENT_MAP.get('badge')).toBe('Button');
+      expect(COMPONENT_SCHEMAS.badge).toBe(schema);
+
+      unregisterComponent('badge');
+      expect(CMS_COMPONENT_MAP.has('badge')).toBe(false);
+      expect(COMPONENT_SCHEMAS).not.toHaveProperty('badge');
+    });
+
+    test('keeps built-in settings when overriding a transformer', () => {
+      const { transform } = getComponentDefinition('button');
+      registerComponent('button', { transform: props => props });
+
+      expect(getValidationSchema('button')).not.toBeNull();
+      expect(
+        getAllComponentsForShowcase().find(entry => entry.cmsType === 'button')
+      ).toMatchObject({ svarogType: 'Button', category: 'UI Elements' });
+
+      registerComponent('button', { transform });
+    });
+  });
+
+  describe('Schema Validation', () => {
+    test('applies defaults and coerces loose CMS values', () => {
+      const { props, issues } = validateBlock(
+        { text: 'Buy', variant: 'Secondary', size: 'huge' },
+        'button'
+      );
+
+      expect(props.variant).toBe('secondary');
+      expect(props.size).toBe('medium');
+      expect(props.disabled).toBe(false);
+      expect(issues).toEqual([
+        expect.objectContaining({ field: 'size', severity: 'warning' }),
+      ]);
+    });
+
+    test('accepts multilink objects in link fields', () => {
+      const link = { linktype: 'story', id: 1, cached_url: 'about' };
+      const empty = { linktype: 'story', id: '', url: '', cached_url: '' };
+
+      expect(
+        validateBlock({ text: 'About', url: link }, 'button').issues
+      ).toEqual([]);
+      expect(
+        validateBlock({ text: 'About', href: empty }, 'link').issues
+      ).toEqual([
+        expect.objectContaining({ field: 'href', severity: 'error' }),
+      ]);
+    });
+
+    test('keeps the section variants the Section component supports', () => {
+      const { props, issues } = validateBlock(
+        { variant: 'minor', children: [] },
+        'section'
+      );
+
+      expect(props.variant).toBe('minor');
+      expect(issues).toHaveLength(0);
+      expect(
+        getComponentProps(createMockComponent('section', { variant: 'minor' }))
+      ).toMatchObject({ variant: 'minor' });
+    });
+
+    test('coerces number fields delivered as strings', () => {
+      const { props, issues } = validateBlock(
+        { columns: '4', children: [] },
+        'grid'
+      );
+
+      expect(props.columns).toBe(4);
+      expect(issues).toHaveLength(0);
+    });
+
+    test('renders invalid blocks and collects issues when lenient', () => {
+      const context = createRenderContext({ strictness: 'lenient' });
+      const component = createComponent(
+        { component: 'hero_section', _uid: 'hero-1' },
+        context
+      );
+
+      expect(component.getElement().className).not.toBe('component-fallback');
+      expect(context.issues).toEqual([
+        expect.objectContaining({
+          component: 'hero_section',
+          uid: 'hero-1',
+          field: 'title',
+          severity: 'error',
+        }),
+      ]);
+    });
+
+    test('falls back for invalid blocks when strict', () => {
+      const context = createRenderContext({ strictness: 'strict' });
+      const component = createComponent(
+        { component: 'hero_section', _uid: 'hero-1' },
+        context
+      );
+
+      expect(component.getElement().className).toBe('component-fallback');
+      expect(context.issues).toHaveLength(1);
+    });
+
+    test('collects issues of nested blocks in the same context', () => {
+      const context = createRenderContext({ strictness: 'lenient' });
+      createComponent(
+        createMockComponent('grid', {
+          children: [{ component: 'button', _uid: 'button-1' }],
+        }),
+        context
+      );
+
+      expect(context.issues).toContainEqual(
+        expect.objectContaining({ uid: 'button-1', field: 'text' })
+      );
+    });
+  });
+
+  describe('Prop Transformers', () => {
+    test('gives every registered block a transformer', () => {
+      getRegisteredComponents().forEach(type => {
+        expect(getComponentDefinition(type).transform).toBeTypeOf('function');
+      });
+    });
+
+    test('uses a registered transformer with helpers', () => {
+      const factory = vi.fn(() => ({
+        getElement: () => document.createElement('div'),
+      }));
+      registerComponent('teaser', { factory });
+      registerTransformer('teaser', (props, context) => ({
+        imageUrl: assetToUrl(props.image),
+        href: linkToHref(props.link),
+        text: richTextToHTML(props.text),
+        children: bloksToComponents(props.body, context),
+      }));
+
+      createComponent(
+        createMockComponent('teaser', {
+          image: { filename: 'https://a.storyblok.com/f/1/teaser.jpg' },
+          link: { linktype: 'story', cached_url: 'blog/post' },
+          text: '<p>Intro</p>',
+          body: [createMockComponent('button', { text: 'More' })],
+        })
+      );
+
+      const props = factory.mock.calls[0][0];
+      expect(props.imageUrl).toBe('https://a.storyblok.com/f/1/teaser.jpg');
+      expect(props.href).toBe('/blog/post');
+      expect(props.text).toBe('<p>Intro</p>');
+      expect(props.children).toHaveLength(1);
+
+      unregisterComponent('teaser');
+    });
+
+    test('mounts bloks embedded in rich text and destroys them with the block', () => {
+      const destroyBadge = vi.fn();
+      registerComponent('badge', {
+        factory: props => ({
+          getElement: () => {
+            const element = document.createElement('strong');
+            element.textContent = props.label;
+            return element;
+          },
+          destroy: destroyBadge,
+        }),
+      });
+      registerComponent('callout', {
+        factory: props => {
+          const element = document.createElement('div');
+          element.innerHTML = props.text;
+          return { getElement: () => element, destroy: vi.fn() };
+        },
+      });
+      registerTransformer('callout', (props, context) => ({
+        text: richTextToHTML(props.text, context),
+      }));
+
+      const callout = createComponent(
+        createMockComponent('callout', {
+          text: {
+            type: 'doc',
+            content: [
+              { type: 'paragraph', content: [{ type: 'text', text: 'Hi' }] },
+              {
+                type: 'blok',
+                attrs: {
+                  body: [createMockComponent('badge', { label: 'New' })],
+                },
+              },
+            ],
+          },
+        })
+      );
+
+      const element = callout.getElement();
+      expect(element.querySelector('p + strong').textContent).toBe('New');
+      expect(element.querySelector('span')).toBeNull();
+      expect(callout.getElement().querySelectorAll('strong')).toHaveLength(1);
+
+      callout.destroy();
+      expect(destroyBadge).toHaveBeenCalledTimes(1);
+
+      unregisterComponent('callout');
+      unregisterComponent('badge');
+    });
+
+    test('converts snake_case fields of blocks without a custom transformer', () => {
+      const factory = vi.fn(() => ({
+        getElement: () => document.createElement('div'),
+      }));
+      registerComponent('product_card', { factory });
+
+      createComponent(
+        createMockComponent('product_card', {
+          name: 'Phone',
+          price: '199.90',
+          in_stock: true,
+        })
+      );
+
+      expect(factory.mock.calls[0][0]).toMatchObject({
+        name: 'Phone',
+        price: 199.9,
+        inStock: true,
+      });
+
+      registerComponent('product_card', { factory: null });
+    });
+
+    test('maps related stories and reports unresolved relations', () => {
+      const { transform } = getComponentDefinition('blog_list');
+      const context = createRenderContext({ strictness: 'lenient' });
+
+      const props = transform(
+        {
+          columns: '2',
+          posts: [
+            {
+              id: 5,
+              uuid: 'post-uuid',
+              name: 'First Post',
+              full_slug: 'blog/first-post',
+              content: {
+                component: 'post',
+                excerpt: 'Intro',
+                author: { content: { name: 'Ada' } },
+              },
+            },
+            'missing-uuid',
+          ],
+        },
+        { ...context, componentType: 'blog_list' }
+      );
+
+      expect(getRelationFields()).toContain('blog_list.posts');
+      expect(props.columns).toBe(2);
+      expect(props.posts).toEqual([
+        expect.objectContaining({
+          title: 'First Post',
+          excerpt: 'Intro',
+          author: 'Ada',
+          href: '/blog/first-post',
+        }),
+      ]);
+      expect(context.issues).toEqual([
+        expect.objectContaining({
+          component: 'blog_list',
+          field: 'posts',
+          message: 'Unresolved relation to story missing-uuid',
+        }),
+      ]);
+    });
+
+    test('resolves multilinks with target and reports broken links', () => {
+      const { transform } = getComponentDefinition('button');
+      const context = createRenderContext({ strictness: 'lenient' });
+
+      expect(
+        transform(
+          {
+            text: 'Docs',
+            url: {
+              linktype: 'url',
+              url: 'https://example.com',
+              target: '_blank',
+            },
+          },
+          context
+        )
+      ).toMatchObject({
+        href: 'https://example.com',
+        target: '_blank',
+        rel: 'noopener noreferrer',
+      });
+
+      createComponent(
+        createMockComponent('button', {
+          text: 'Gone',
+          url: { linktype: 'story', id: 7, cached_url: '' },
+        }),
+        context
+      );
+      expect(context.issues).toEqual([
+        expect.objectContaining({
+          component: 'button',
+          field: 'url',
+          severity: 'warning',
+        }),
+      ]);
+    });
   });
 
   describe('Complex Component Scenarios', () => {
@@ -0,0 +1,112 @@
+/**
+ * Datasource loading and option injection tests
+ */
+
+import { describe, test, expect, vi } from 'vitest';
+import {
+  createDatasourceLoader,
+  getBlockDatasources,
+} from '../../src/integration/datasources.js';
+import {
+  createComponent,
+  createRenderContext,
+  registerComponent,
+} from '../../src/integration/componentMapper.js';
+import { unregisterComponent } from '../../src/config/components.js';
+import { createStoryblokClient } from '../../src/integration/storyblokClient.js';
+
+const ENTRIES = [
+  { id: 1, name: 'Like new', value: 'like-new', dimension_value: null },
+  { id: 2, name: 'Used', value: 'used', dimension_value: 'gebraucht' },
+];
+
+describe('Datasources', () => {
+  test('loads entries as options, cached per dimension', async () => {
+    const client = { getAll: vi.fn().mockResolvedValue(ENTRIES) };
+    const loader = createDatasourceLoader(client);
+
+    const options = await loader.load('conditions', { dimension: 'de' });
+    await loader.load('conditions', { dimension: 'de' });
+    await loader.load('conditions');
+
+    expect(options).toEqual([
+      { label: 'Like new', value: 'like-new' },
+      { label: 'Used', value: 'gebraucht' },
+    ]);
+    expect(client.getAll).toHaveBeenCalledTimes(2);
+    expect(client.getAll).toHaveBeenCalledWith(
+      'cdn/datasource_entries',
+      { datasource: 'conditions', per_page: 1000, dimension: 'de' },
+      'datasource_entries'
+    );
+  });
+
+  test('finds the datasources of empty fields in nested bloks', () => {
+    const body = [
+      {
+        component: 'grid',
+        children: [
+          { component: 'select', name: 'color', datasource: 'colors' },
+          { component: 'condition_selector', conditions: [{ value: 'a' }] },
+          { component: 'used_phone_price_form' },
+        ],
+      },
+    ];
+
+    expect(getBlockDatasources(body).sort()).toEqual([
+      'colors',
+      'conditions',
+      'phone-models',
+    ]);
+  });
+
+  test('injects loaded options into empty fields', () => {
+    const factory = vi.fn(() => ({
+      getElement: () => document.createElement('div'),
+    }));
+    registerComponent('size_picker', {
+      factory,
+      schema: { sizes: { type: 'array', required: true, datasource: 'sizes' } },
+    });
+    const options = [{ label: 'Small', value: 's' }];
+
+    const context = createRenderContext({ datasources: { sizes: options } });
+    createComponent({ component: 'size_picker', _uid: '1' }, context);
+    const missing = createRenderContext();
+    createComponent({ component: 'size_picker', _uid: '2' }, missing);
+
+    expect(factory.mock.calls[0][0]).toEqual({ sizes: options });
+    expect(context.issues).toEqual([]);
+    expect(missing.issues.map(issue => issue.message)).toContain(
+      'Datasource sizes is not loaded'
+    );
+
+    unregisterComponent('size_picker');
+  });
+
+  test('loads the datasources of a story with its components', async () => {
+    const client = createStoryblokClient();
+    client.client.getAll = vi.fn().mockResolvedValue(ENTRIES);
+    client.client.get.mockResolvedValueOnce({
+      data: {
+        story: {
+          id: 7,
+          content: {
+            body: [{ component: 'condition_selector', _uid: 'c' }],
+          },
+        },
+      },
+    });
+
+    const story = await client.getStoryWithComponents('sell', {
+      language: 'de',
+    });
+
+    expect(client.client.getAll).toHaveBeenCalledWith(
+      'cdn/datasource_entries',
+      expect.objectContaining({ datasource: 'conditions', dimension: 'de' }),
+      'datasource_entries'
+    );
+    expect(story.validationIssues).toEqual([]);
+  });
+});
@@ -0,0 +1,126 @@
+/**
+ * Global settings story tests
+ */
+
+import { describe, test, expect, vi } from 'vitest';
+import {
+  createGlobalComponents,
+  createGlobalSettings,
+  toGlobalSettings,
+} from '../../src/integration/globalSettings.js';
+import { createRenderContext } from '../../src/integration/componentMapper.js';
+import { createStoryblokClient } from '../../src/integration/storyblokClient.js';
+import { createRenderer } from '../../server/renderer.js';
+
+const TEMPLATE = `<!doctype html>
+<html lang="en">
+  <head><title>Shell</title></head>
+  <body>
+    <main id="app" role="main"></main>
+    <script src="/js/main.js"></script>
+  </body>
+</html>`;
+
+const SETTINGS_STORY = {
+  id: 7,
+  full_slug: 'settings/global',
+  content: {
+    header: [{ _uid: 'h1', component: 'header', title: 'Site' }],
+    footer: [{ _uid: 'f1', component: 'footer', copyright: '2026' }],
+    navigation: [
+      {
+        text: 'Shop',
+        url: { linktype: 'url', url: '/shop' },
+        children: [{ text: 'Phones', url: { linktype: 'url', url: '/p' } }],
+      },
+    ],
+    seo_title: 'Global Title',
+    seo_description: 'Global description',
+    theme: 'cabalou',
+  },
+};
+
+describe('Global Settings', () => {
+  test('reads header, footer, navigation, SEO and theme', () => {
+    const settings = toGlobalSettings(SETTINGS_STORY);
+
+    expect(settings.header).toHaveLength(1);
+    expect(settings.footer).toHaveLength(1);
+    expect(settings.seo).toMatchObject({
+      title: 'Global Title',
+      description: 'Global description',
+    });
+    expect(settings.theme).toBe('cabalou');
+    expect(toGlobalSettings({ content: {} })).toMatchObject({
+      header: [],
+      navigation: [],
+      theme: null,
+    });
+  });
+
+  test('gives header blocks the global navigation', () => {
+    const settings = toGlobalSettings(SETTINGS_STORY);
+    const components = createGlobalComponents(
+      settings,
+      'header',
+      createRenderContext()
+    );
+
+    expect(components).toHaveLength(1);
+    expect(components[0].getElement().className).toBe('header');
+    expect(createGlobalComponents(null, 'footer', {})).toEqual([]);
+  });
+
+  test('loads the story once per language', async () => {
+    const client = createStoryblokClient();
+    const getStory = vi.spyOn(client, 'getStory');
+    const globals = createGlobalSettings(client, { slug: 'settings/global' });
+
+    const [first, second] = await Promise.all([globals.load(), globals.load()]);
+    await globals.load('de');
+
+    expect(first).toBe(second);
+    expect(getStory).toHaveBeenCalledTimes(2);
+    expect(getStory).toHaveBeenCalledWith('settings/global', {
+      language: 'de',
+    });
+
+    await globals.refresh();
+    expect(getStory).toHaveBeenCalledTimes(3);
+  });
+
+  test('retries after a failed load', async () => {
+    const client = createStoryblokClient();
+    const globals = createGlobalSettings(client, {
+      slug: 'non-existent-story',
+    });
+
+    expect(await globals.load()).toBeNull();
+    globals.prime(SETTINGS_STORY);
+    expect((await globals.load()).theme).toBe('cabalou');
+    expect(globals.isGlobalStory({ full_slug: 'non-existent-story/' })).toBe(
+      true
+    );
+  });
+
+  test('renders the layout around server-rendered pages', async () => {
+    const renderer = await createRenderer({ template: TEMPLATE });
+    renderer.globals.prime(SETTINGS_STORY);
+
+    const page = await renderer.renderPage('/test-story');
+    let html = '';
+    for await (const chunk of page.stream) {
+      html += chunk;
+    }
+
+    const header = html.indexOf('data-global="header"');
+    const footer = html.indexOf('data-global="footer"');
+    expect(header).toBeGreaterThan(-1);
+    expect(header).toBeLessThan(html.indexOf('id="app"'));
+    expect(footer).toBeGreaterThan(html.indexOf('class="hero"'));
+    expect(html).toContain('>Test Story Title</title>');
+    expect(html).toContain('content="Global description"');
+    expect(html).toMatch(/<body[^>]*class="[^"]*theme-cabalou/);
+    expect(html).toContain('"full_slug":"settings/global"');
+  });
+});
@@ -0,0 +1,213 @@
+/**
+ * Multilingual routing tests
+ */
+
+import { describe, test, expect, vi } from 'vitest';
+import { createLocaleResolver } from '../../src/integration/i18n.js';
+import { createLinkResolver } from '../../src/integration/links.js';
+import { createStoryblokClient } from '../../src/integration/storyblokClient.js';
+
+const I18N = { languages: ['en', 'de', 'fr'], defaultLanguage: 'en' };
+
+describe('Locale Resolver', () => {
+  test('maps language prefixes to language and slug', () => {
+    const locales = createLocaleResolver(I18N);
+
+    expect(locales.parseLocation('/de/about/team')).toEqual({
+      language: 'de',
+      path: '/about/team',
+      slug: 'about/team',
+      prefixed: true,
+    });
+    expect(locales.parseLocation('/de')).toMatchObject({
+      language: 'de',
+      slug: 'home',
+    });
+    expect(locales.parseLocation('/about')).toMatchObject({
+      language: 'en',
+      slug: 'about',
+      prefixed: false,
+    });
+  });
+
+  test('parses paths under a base path and content folder', () => {
+    const locales = createLocaleResolver({
+      ...I18N,
+      links: { basePath: '/shop', folderPrefix: 'site/' },
+    });
+    const { storyPath } = createLinkResolver({
+      basePath: '/shop',
+      folderPrefix: 'site/',
+      language: 'de',
+      localizePath: locales.localizePath,
+    });
+
+    expect(locales.parseLocation(storyPath('site/about/team'))).toEqual({
+      language: 'de',
+      path: '/about/team',
+      slug: 'site/about/team',
+      prefixed: true,
+    });
+    expect(locales.parseLocation('/shop/de')).toMatchObject({
+      language: 'de',
+      slug: 'site/home',
+    });
+    expect(locales.parseLocation('/shop/')).toMatchObject({
+      language: 'en',
+      path: '/',
+      slug: 'site/home',
+      prefixed: false,
+    });
+  });
+
+  test('localizes paths by prefix and by domain', () => {
+    const locales = createLocaleResolver({
+      ...I18N,
+      domains: { 'example.fr': 'fr' },
+      host: 'example.com',
+    });
+
+    expect(locales.localizePath('/about', 'en')).toBe('/about');
+    expect(locales.localizePath('/', 'de')).toBe('/de');
+    expect(locales.localizePath('/about', 'fr')).toBe(
+      'https://example.fr/about'
+    );
+
+    const french = createLocaleResolver({
+      ...I18N,
+      domains: { 'example.fr': 'fr' },
+      host: 'example.fr',
+    });
+    expect(french.parseLocation('/about').language).toBe('fr');
+    expect(french.localizePath('/about', 'fr')).toBe('/about');
+    expect(french.localizePath('/about', 'en')).toBe('/en/about');
+  });
+
+  test('detects the preferred language from Accept-Language', () => {
+    const locales = createLocaleResolver(I18N);
+
+    expect(locales.detectLanguage('it;q=0.9,de-CH,fr;q=0.5')).toBe('de');
+    expect(locales.detectLanguage('fr;q=0.4,en;q=0.8')).toBe('en');
+    expect(locales.detectLanguage(['pt-BR', 'fr-FR'])).toBe('fr');
+    expect(locales.detectLanguage('it,es')).toBeNull();
+    expect(locales.toApiLanguage('en')).toBeUndefined();
+    expect(locales.toApiLanguage('de')).toBe('de');
+  });
+
+  test('builds hreflang links from translated slugs', () => {
+    const locales = createLocaleResolver(I18N);
+    const story = {
+      full_slug: 'about',
+      default_full_slug: 'about',
+      translated_slugs: [{ lang: 'de', path: 'ueber-uns' }],
+    };
+
+    expect(locales.getHreflangLinks(story, 'https://example.com/')).toEqual([
+      { hreflang: 'en', href: 'https://example.com/about' },
+      { hreflang: 'de', href: 'https://example.com/de/ueber-uns' },
+      { hreflang: 'fr', href: 'https://example.com/fr/about' },
+      { hreflang: 'x-default', href: 'https://example.com/about' },
+    ]);
+  });
+
+  test('builds story paths with the link configuration', () => {
+    const locales = createLocaleResolver({
+      ...I18N,
+      links: { basePath: '/shop', folderPrefix: 'site/', homeSlug: 'start' },
+    });
+    const story = {
+      full_slug: 'site/about',
+      translated_slugs: [{ lang: 'de', path: 'site/ueber-uns' }],
+    };
+
+    expect(locales.getStoryPath(story, 'en')).toBe('/shop/about');
+    expect(locales.getStoryPath(story, 'de')).toBe('/shop/de/ueber-uns');
+    expect(locales.getStoryPath({ full_slug: 'site/start' }, 'fr')).toBe(
+      '/shop/fr'
+    );
+    expect(locales.parseLocation(locales.getStoryPath(story, 'de'))).toEqual(
+      expect.objectContaining({ language: 'de', slug: 'site/ueber-uns' })
+    );
+    expect(
+      locales.getHreflangLinks(story, 'https://example.com/')
+    ).toContainEqual({
+      hreflang: 'x-default',
+      href: 'https://example.com/shop/about',
+    });
+  });
+
+  test('keeps story links in the page language', () => {
+    const { resolve } = createLinkResolver({
+      ...I18N,
+      language: 'de',
+      localizePath: createLocaleResolver(I18N).localizePath,
+    });
+
+    expect(resolve({ linktype: 'story', cached_url: 'contact' }).href).toBe(
+      '/de/contact'
+    );
+    expect(resolve({ linktype: 'story', cached_url: 'home' }).href).toBe('/de');
+
+    // Pages in the default language served from another language's domain
+    const english = createLinkResolver({
+      ...I18N,
+      language: 'en',
+      localizePath: createLocaleResolver({
+        ...I18N,
+        domains: { 'example.de': 'de' },
+        host: 'example.de',
+      }).localizePath,
+    });
+    expect(english.storyPath('contact')).toBe('/en/contact');
+  });
+});
+
+describe('Translated Stories', () => {
+  test('requests the language and falls back to the default', async () => {
+    const client = createStoryblokClient();
+    client.client.get.mockRejectedValueOnce({ status: 404 });
+
+    const story = await client.getStory('test-story', { language: 'de' });
+
+    expect(client.client.get).toHaveBeenNthCalledWith(
+      1,
+      'cdn/stories/test-story',
+      expect.objectContaining({ language: 'de' })
+    );
+    expect(client.client.get.mock.calls[1][1]).not.toHaveProperty('language');
+    expect(story.missingTranslation).toBe('de');
+  });
+
+  test('loads stories from the paths of their translated slugs', async () => {
+    const story = {
+      full_slug: 'about',
+      translated_slugs: [{ lang: 'de', path: 'ueber-uns', name: null }],
+    };
+    const locales = createLocaleResolver({
+      languages: ['en', 'de'],
+      defaultLanguage: 'en',
+    });
+    const client = createStoryblokClient();
+    client.client.get.mockImplementation(async (requestPath, params) =>
+      requestPath === 'cdn/stories/about'
+        ? { data: { story: { ...story, lang: params.language } } }
+        : Promise.reject({ status: 404 })
+    );
+    client.client.getAll = vi.fn(async () => [story]);
+
+    const { slug, language } = locales.parseLocation(
+      locales.getStoryPath(story, 'de')
+    );
+    const loaded = await client.getStory(slug, {
+      language: locales.toApiLanguage(language),
+    });
+
+    expect(slug).toBe('ueber-uns');
+    expect(loaded).toMatchObject({ full_slug: 'about', lang: 'de' });
+    expect(loaded.missingTranslation).toBeUndefined();
+
+    // The list is loaded once
+    await client.getStory(slug, { language: 'de' });
+    expect(client.client.getAll).toHaveBeenCalledTimes(1);
+  });
+});
@@ -4,13 +4,15 @@
  * Tests only our mapping logic, not the underlying components
  */
 
-import { describe, test, expect, beforeEach } from 'vitest';
+import { describe, test, expect, beforeEach, vi } from 'vitest';
 import { createStoryblokClient } from '../../src/integration/storyblokClient.js';
 import { createTestContainer, createMockComponent } from '../setup.js';
 import {
   createComponent,
   getRegisteredComponents,
+  registerComponent,
 } from '../../src/integration/componentMapper.js';
+import { unregisterComponent } from '../../src/config/components.js';
 
 describe('Storyblok Integration Layer', () => {
   let container;
@@ -150,6 +152,99 @@ describe('Storyblok Integration Layer', () => {
       expect(typeof result.destroy).toBe('function');
     });
 
+    test('hydrates pre-rendered markup by block uid', () => {
+      const client = createStoryblokClient();
+      container.innerHTML =
+        '<div data-uid="a">A</div><div data-uid="stale">Stale</div>';
+      const existing = container.firstElementChild;
+
+      const createBlockElement = uid => {
+        const element = document.createElement('div');
+        element.dataset.uid = uid;
+        return element;
+      };
+      const hydratable = {
+        getElement: () => createBlockElement('a'),
+        hydrate: vi.fn(),
+      };
+      const added = { getElement: () => createBlockElement('b') };
+
+      const elements = client.renderComponentsToContainer(
+        [hydratable, added],
+        container,
+        { hydrate: true }
+      );
+
+      expect(hydratable.hydrate).toHaveBeenCalledWith(existing);
+      expect(elements[0]).toBe(existing);
+      expect(
+        Array.from(container.children).map(element => element.dataset.uid)
+      ).toEqual(['a', 'b']);
+    });
+
+    test('keeps the pre-rendered nodes of created components', () => {
+      const clicks = vi.fn();
+      const toggles = vi.fn();
+      registerComponent('toggle', {
+        factory: props => {
+          const element = document.createElement('div');
+          const button = document.createElement('button');
+          button.textContent = props.label;
+          button.addEventListener('click', toggles);
+          element.append(button);
+          element.addEventListener('click', clicks);
+          return {
+            getElement: () => element,
+            update: next => {
+              button.textContent = next.label;
+            },
+          };
+        },
+      });
+      const createToggle = () =>
+        createComponent({ component: 'toggle', _uid: 't1', label: 'Open' });
+
+      // Markup as the server renders it
+      const rendered = createToggle().getElement();
+      container.innerHTML = rendered.outerHTML;
+      const existing = container.children[0];
+
+      const client = createStoryblokClient();
+      const component = createToggle();
+      client.renderComponentsToContainer([component], container, {
+        hydrate: true,
+      });
+
+      expect(container.children[0]).toBe(existing);
+      expect(component.getElement()).toBe(existing);
+      existing.querySelector('button').click();
+      expect(toggles).toHaveBeenCalledTimes(1);
+      expect(clicks).toHaveBeenCalledTimes(1);
+
+      component.update({ label: 'Close' });
+      expect(existing.textContent).toBe('Close');
+
+      unregisterComponent('toggle');
+    });
+
+    test('resolves declared relations and links in one request', async () => {
+      const client = createStoryblokClient({
+        resolveRelations: ['article.author'],
+      });
+
+      await client.getStory('test-story', {
+        resolve_relations: 'event.venue,article.author',
+      });
+
+      expect(client.client.get).toHaveBeenCalledWith(
+        'cdn/stories/test-story',
+        expect.objectContaining({
+          resolve_relations: 'blog_list.posts,article.author,event.venue',
+          resolve_links: 'url',
+        })
+      );
+    });
+
     test('provides cache management', () => {
       const client = createStoryblokClient();
 
@@ -0,0 +1,89 @@
+/**
+ * Page layout tests
+ */
+
+import { describe, test, expect, afterEach } from 'vitest';
+import {
+  OUTLET,
+  createLayoutElement,
+  findLayoutElement,
+  registerLayout,
+  resolveLayout,
+  unregisterLayout,
+} from '../../src/integration/layouts.js';
+import { toGlobalSettings } from '../../src/integration/globalSettings.js';
+import { createRenderer } from '../../server/renderer.js';
+
+const TEMPLATE = `<!doctype html>
+<html lang="en">
+  <head><title>Shell</title></head>
+  <body><main id="app"></main></body>
+</html>`;
+
+describe('Layouts', () => {
+  afterEach(() => {
+    unregisterLayout('docs');
+  });
+
+  test('resolves layouts by content type and layout field', () => {
+    registerLayout('docs', {
+      contentTypes: ['docs_page'],
+      regions: [{ name: 'toc', field: 'docs_toc' }, OUTLET],
+    });
+
+    expect(resolveLayout({ content: { component: 'docs_page' } }).name).toBe(
+      'docs'
+    );
+    expect(resolveLayout({ content: { component: 'blog_post' } }).name).toBe(
+      'blog_post'
+    );
+    expect(
+      resolveLayout({ content: { component: 'page', layout: 'docs' } }).name
+    ).toBe('docs');
+    expect(resolveLayout({ content: { component: 'unknown' } }).name).toBe(
+      'page'
+    );
+  });
+
+  test('requires exactly one outlet', () => {
+    expect(() => registerLayout('docs', { regions: ['sidebar'] })).toThrow(
+      'needs exactly one outlet region'
+    );
+  });
+
+  test('finds pre-rendered layouts in a container', () => {
+    const layout = resolveLayout({ content: { component: 'blog_post' } });
+    const { element, outlet } = createLayoutElement(layout);
+    const container = document.createElement('div');
+    container.appendChild(element);
+
+    expect(findLayoutElement(container, layout).outlet).toBe(outlet);
+    expect(findLayoutElement(container, resolveLayout({}))).toBeNull();
+  });
+
+  test('renders regions around the story body on the server', async () => {
+    const renderer = await createRenderer({ template: TEMPLATE });
+    const settings = toGlobalSettings({
+      content: {
+        blog_sidebar: [{ _uid: 's1', component: 'text_block', text: 'Side' }],
+      },
+    });
+
+    const html = renderer.renderStoryHTML(
+      {
+        content: {
+          component: 'blog_post',
+          body: [{ _uid: 'h1', component: 'hero_section', title: 'Post' }],
+        },
+      },
+      undefined,
+      settings
+    );
+
+    expect(html).toMatch(/^<div class="layout layout-blog_post"/);
+    expect(html.indexOf('data-uid="h1"')).toBeLessThan(
+      html.indexOf('data-region="sidebar"')
+    );
+    expect(html).toMatch(/data-region="sidebar">.*data-uid="s1"/);
+  });
+});
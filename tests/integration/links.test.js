@@ -0,0 +1,134 @@
+/**
+ * Link resolution tests
+ */
+
+import { describe, test, expect } from 'vitest';
+import {
+  createLinkResolver,
+  resolveLink,
+} from '../../src/integration/links.js';
+
+describe('Link Resolver', () => {
+  test('resolves story links to public paths', () => {
+    const { resolve } = createLinkResolver();
+
+    expect(
+      resolve({ linktype: 'story', id: 1, cached_url: 'about/team' }).href
+    ).toBe('/about/team');
+    expect(resolve({ linktype: 'story', id: 2, cached_url: 'home' }).href).toBe(
+      '/'
+    );
+    expect(
+      resolve({
+        linktype: 'story',
+        id: 3,
+        cached_url: 'old-slug',
+        story: { full_slug: 'blog/new-slug' },
+        anchor: 'comments',
+      }).href
+    ).toBe('/blog/new-slug#comments');
+  });
+
+  test('strips the URL prefix and maps language folders', () => {
+    const { resolve, storyPath } = createLinkResolver({
+      basePath: '/shop/',
+      folderPrefix: 'site/',
+      languages: ['en', 'de'],
+      defaultLanguage: 'en',
+    });
+
+    expect(storyPath('site/products')).toBe('/shop/products');
+    expect(storyPath('site')).toBe('/shop');
+    expect(storyPath('en/about')).toBe('/shop/about');
+    expect(storyPath('de/home')).toBe('/shop/de');
+    expect(
+      resolve({ linktype: 'story', id: 1, cached_url: 'site/de/about' }).href
+    ).toBe('/shop/de/about');
+  });
+
+  test('maps public paths back to story slugs', () => {
+    const { storyPath, pathToStorySlug } = createLinkResolver({
+      basePath: '/shop/',
+      folderPrefix: 'site/',
+    });
+
+    ['site/products', 'site/blog/first-post', 'site/home'].forEach(slug => {
+      expect(pathToStorySlug(storyPath(slug))).toBe(slug);
+    });
+    expect(pathToStorySlug('/shop/products/?page=2')).toBe('site/products');
+    expect(pathToStorySlug('/shop')).toBe('site/home');
+    expect(pathToStorySlug('/shopping')).toBe('site/shopping');
+  });
+
+  test('prefixes field-level translations with the page language', () => {
+    const { storyPath } = createLinkResolver({
+      languages: ['de'],
+      defaultLanguage: 'en',
+      language: 'de',
+    });
+
+    expect(storyPath('about')).toBe('/de/about');
+  });
+
+  test('resolves url, email and asset links with target and rel', () => {
+    const { resolve } = createLinkResolver();
+
+    expect(
+      resolve({ linktype: 'url', url: 'www.example.com', target: '_blank' })
+    ).toEqual({
+      href: 'https://www.example.com',
+      target: '_blank',
+      rel: 'noopener noreferrer',
+      internal: false,
+      broken: false,
+    });
+    expect(resolve({ linktype: 'email', email: 'hi@example.com' }).href).toBe(
+      'mailto:hi@example.com'
+    );
+    expect(
+      resolve({ linktype: 'asset', url: 'https://a.storyblok.com/f/1.pdf' })
+        .href
+    ).toBe('https://a.storyblok.com/f/1.pdf');
+    expect(resolve({ linktype: 'url', url: 'javascript:alert(1)' }).href).toBe(
+      ''
+    );
+    expect(resolve('javascript:alert(1)').href).toBe('');
+    expect(resolve(' JavaScript:alert(1)').href).toBe('');
+    expect(
+      resolve({ linktype: 'asset', url: 'data:text/html,<script>' }).href
+    ).toBe('');
+    expect(resolve('/contact')).toMatchObject({
+      href: '/contact',
+      internal: true,
+    });
+  });
+
+  test('reports broken internal links as issues', () => {
+    const context = {
+      componentType: 'button',
+      uid: 'abc',
+      issues: [],
+    };
+
+    const resolved = resolveLink(
+      { linktype: 'story', id: 42, cached_url: '' },
+      context,
+      'url'
+    );
+
+    expect(resolved.broken).toBe(true);
+    expect(context.issues).toEqual([
+      {
+        component: 'button',
+        uid: 'abc',
+        field: 'url',
+        message: 'Broken internal link to story 42',
+        severity: 'warning',
+      },
+    ]);
+
+    // Empty link fields are not broken
+    resolveLink({ linktype: 'story', id: '', cached_url: '' }, context);
+    expect(context.issues).toHaveLength(1);
+  });
+});
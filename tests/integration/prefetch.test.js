@@ -0,0 +1,133 @@
+/**
+ * Prefetching tests
+ * Link intent and queueing in the router, the story cache in the client
+ */
+
+import { describe, test, expect, beforeEach, afterEach, vi } from 'vitest';
+import { createPrefetcher } from '../../src/utils/router/index.js';
+import { createStoryblokClient } from '../../src/integration/storyblokClient.js';
+
+const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+
+describe('Prefetcher', () => {
+  let root;
+
+  beforeEach(() => {
+    window.history.replaceState(null, '', '/');
+    root = document.createElement('nav');
+    root.innerHTML = `
+      <a href="/one">One</a>
+      <a href="/two">Two</a>
+      <a href="/three">Three</a>
+      <a href="/">Home</a>
+      <a href="https://example.org/away">Away</a>
+      <a href="/file.pdf" download>File</a>
+      <a href="/new" target="_blank">New tab</a>
+    `;
+    document.body.appendChild(root);
+  });
+
+  afterEach(() => {
+    root.remove();
+    delete navigator.connection;
+  });
+
+  const focus = text =>
+    Array.from(root.querySelectorAll('a'))
+      .find(link => link.textContent === text)
+      .dispatchEvent(new FocusEvent('focusin', { bubbles: true }));
+
+  test('prefetches focused internal links once', async () => {
+    const prefetch = vi.fn();
+    const prefetcher = createPrefetcher({ prefetch, root });
+
+    ['One', 'One', 'Home', 'Away', 'File', 'New tab'].forEach(focus);
+    await flush();
+
+    expect(prefetch.mock.calls).toEqual([['/one']]);
+    prefetcher.destroy();
+  });
+
+  test('limits concurrency and lets intent overtake queued links', async () => {
+    const pending = [];
+    const prefetch = vi.fn(() => new Promise(resolve => pending.push(resolve)));
+    const prefetcher = createPrefetcher({ prefetch, concurrency: 1, root });
+
+    prefetcher.request('/one');
+    prefetcher.request('/two');
+    prefetcher.request('/three');
+    focus('Three');
+    await flush();
+
+    expect(prefetch.mock.calls).toEqual([['/one']]);
+
+    pending.shift()();
+    await flush();
+    expect(prefetch).toHaveBeenLastCalledWith('/three');
+
+    pending.shift()();
+    await flush();
+    expect(prefetch).toHaveBeenLastCalledWith('/two');
+    prefetcher.destroy();
+  });
+
+  test('prefetches nothing when the connection saves data', async () => {
+    navigator.connection = { saveData: true };
+    const prefetch = vi.fn();
+    const prefetcher = createPrefetcher({ prefetch, root });
+
+    focus('One');
+    expect(prefetcher.request('/two')).toBe(false);
+    await flush();
+
+    expect(prefetch).not.toHaveBeenCalled();
+    prefetcher.destroy();
+  });
+});
+
+describe('Story prefetching', () => {
+  test('navigation uses the prefetched story once', async () => {
+    const storyblok = createStoryblokClient();
+
+    const prefetched = await storyblok.prefetchStory('test-story');
+    await storyblok.prefetchStory('test-story');
+    expect(prefetched.content.title).toBe('Test Story Title');
+    expect(storyblok.client.get).toHaveBeenCalledTimes(1);
+    expect(storyblok.getCacheStats().prefetchCacheSize).toBe(1);
+
+    const story = await storyblok.getStoryWithComponents('test-story');
+    expect(story.id).toBe(prefetched.id);
+    expect(storyblok.client.get).toHaveBeenCalledTimes(1);
+
+    await storyblok.getStoryWithComponents('test-story');
+    expect(storyblok.client.get).toHaveBeenCalledTimes(2);
+  });
+
+  test('keeps the most recent prefetches within their lifetime', async () => {
+    vi.useFakeTimers();
+    const storyblok = createStoryblokClient();
+
+    for (let index = 0; index < 60; index++) {
+      await storyblok.prefetchStory(`story-${index}`);
+    }
+    expect(storyblok.getCacheStats().prefetchCacheSize).toBe(50);
+
+    // Taking the oldest kept story needs no request
+    const requests = storyblok.client.get.mock.calls.length;
+    await storyblok.getStoryWithComponents('story-10');
+    expect(storyblok.client.get).toHaveBeenCalledTimes(requests);
+
+    vi.advanceTimersByTime(300000);
+    await storyblok.prefetchStory('story-60');
+    expect(storyblok.getCacheStats().prefetchCacheSize).toBe(1);
+
+    vi.useRealTimers();
+  });
+
+  test('failed prefetches are dropped', async () => {
+    const storyblok = createStoryblokClient();
+
+    expect(await storyblok.prefetchStory('non-existent-story')).toBeNull();
+    expect(storyblok.getCacheStats().prefetchCacheSize).toBe(0);
+  });
+});
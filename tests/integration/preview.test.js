@@ -0,0 +1,334 @@
+/**
+ * Preview session tests
+ * Storyblok preview tokens, the session cookie and draft rendering
+ */
+
+import { describe, test, expect, vi } from 'vitest';
+import crypto from 'crypto';
+import StoryblokClient from 'storyblok-js-client';
+import {
+  PREVIEW_COOKIE,
+  createPreviewProxy,
+  createPreviewSession,
+  createPreviewSessions,
+  getPreviewConfig,
+  readPreviewToken,
+  readPreviewView,
+  verifyPreviewSession,
+  verifyPreviewToken,
+} from '../../server/preview.js';
+import { createRenderer } from '../../server/renderer.js';
+import { createStoryCache } from '../../server/storyCache.js';
+
+const PREVIEW_TOKEN = 'preview-token';
+const NOW = 1_700_000_000;
+
+/**
+ * Query Storyblok adds to preview URLs
+ */
+const createQuery = ({
+  spaceId = '123',
+  timestamp = NOW,
+  previewToken = PREVIEW_TOKEN,
+} = {}) => ({
+  _storyblok_tk: {
+    space_id: spaceId,
+    timestamp: String(timestamp),
+    token: crypto
+      .createHash('sha1')
+      .update(`${spaceId}:${previewToken}:${timestamp}`)
+      .digest('hex'),
+  },
+});
+
+/**
+ * Minimal Express request and response
+ */
+const createRequest = ({ query = {}, cookie = '' } = {}) => ({
+  query,
+  get: name => (name === 'cookie' ? cookie : undefined),
+});
+
+const createResponse = () => ({
+  cookie: vi.fn(),
+  set: vi.fn(),
+});
+
+describe('Preview Tokens', () => {
+  const options = { previewToken: PREVIEW_TOKEN, spaceId: '123', now: NOW };
+
+  test('accepts tokens signed with the preview token', () => {
+    expect(verifyPreviewToken(readPreviewToken(createQuery()), options)).toBe(
+      true
+    );
+
+    // Flat query parsing keeps the brackets in the keys
+    const { _storyblok_tk: tk } = createQuery();
+    const flat = {
+      '_storyblok_tk[space_id]': tk.space_id,
+      '_storyblok_tk[timestamp]': tk.timestamp,
+      '_storyblok_tk[token]': tk.token,
+    };
+    expect(verifyPreviewToken(readPreviewToken(flat), options)).toBe(true);
+  });
+
+  test('rejects forged, foreign and expired tokens', () => {
+    const verify = query =>
+      verifyPreviewToken(readPreviewToken(query), options);
+
+    expect(verify(createQuery({ previewToken: 'guess' }))).toBe(false);
+    expect(verify(createQuery({ spaceId: '999' }))).toBe(false);
+    expect(verify(createQuery({ timestamp: NOW - 2 * 60 * 60 }))).toBe(false);
+    expect(verify({})).toBe(false);
+    expect(
+      verifyPreviewToken(readPreviewToken(createQuery()), {
+        ...options,
+        previewToken: '',
+      })
+    ).toBe(false);
+  });
+
+  test('reads the release and view date of a preview', () => {
+    expect(
+      readPreviewView({ _storyblok_release: '7', _preview_date: '2030-01-01' })
+    ).toEqual({ release: 7, date: '2030-01-01' });
+    expect(
+      readPreviewView({ _storyblok_release: '0', _preview_date: 'soon' })
+    ).toEqual({ release: null, date: null });
+  });
+
+  test('signs sessions that expire', () => {
+    const value = createPreviewSession('123', { secret: 's', now: NOW });
+
+    expect(verifyPreviewSession(value, { secret: 's', now: NOW })).toEqual({
+      spaceId: '123',
+      expires: NOW + 30 * 60,
+    });
+    expect(verifyPreviewSession(value, { secret: 'x', now: NOW })).toBeNull();
+    expect(
+      verifyPreviewSession(value.replace('123', '124'), {
+        secret: 's',
+        now: NOW,
+      })
+    ).toBeNull();
+    expect(
+      verifyPreviewSession(value, { secret: 's', now: NOW + 31 * 60 })
+    ).toBeNull();
+  });
+});
+
+describe('Preview Sessions', () => {
+  const middleware = createPreviewSessions({
+    previewToken: PREVIEW_TOKEN,
+    spaceId: '123',
+    secret: 'secret',
+  });
+  const query = () => createQuery({ timestamp: Math.floor(Date.now() / 1000) });
+
+  test('starts a session for a valid token', () => {
+    const req = createRequest({ query: query() });
+    const res = createResponse();
+    const next = vi.fn();
+    middleware(req, res, next);
+
+    expect(req.preview).toBe(true);
+    expect(next).toHaveBeenCalled();
+    expect(res.set).toHaveBeenCalledWith('Cache-Control', 'private, no-store');
+
+    const [name, value, cookieOptions] = res.cookie.mock.calls[0];
+    expect(name).toBe(PREVIEW_COOKIE);
+    expect(cookieOptions).toMatchObject({ httpOnly: true, sameSite: 'none' });
+
+    // Later requests carry the cookie instead of the token
+    const later = createRequest({ cookie: `a=1; ${PREVIEW_COOKIE}=${value}` });
+    middleware(later, createResponse(), vi.fn());
+    expect(later.preview).toBe(true);
+  });
+
+  test('serves published content without a valid session', () => {
+    const forged = createRequest({
+      query: createQuery({ previewToken: 'guess' }),
+      cookie: `${PREVIEW_COOKIE}=123.9999999999.forged`,
+    });
+    const res = createResponse();
+    middleware(forged, res, vi.fn());
+
+    expect(forged.preview).toBe(false);
+    expect(res.cookie).not.toHaveBeenCalled();
+    expect(res.set).not.toHaveBeenCalled();
+
+    // Without a preview token or secret there are no previews at all
+    for (const options of [{}, { previewToken: PREVIEW_TOKEN }]) {
+      const disabled = createRequest({ query: query() });
+      createPreviewSessions(options)(disabled, createResponse(), vi.fn());
+      expect(disabled.preview).toBe(false);
+    }
+  });
+
+  test('refuses previews when only the public token is configured', () => {
+    const PUBLIC_TOKEN = 'public-token';
+    const publicOnly = getPreviewConfig({
+      VITE_STORYBLOK_TOKEN: PUBLIC_TOKEN,
+      VITE_STORYBLOK_SPACE_ID: '123',
+    });
+    expect(publicOnly).toMatchObject({
+      enabled: false,
+      previewToken: null,
+      secret: null,
+    });
+
+    // Tokens and cookies signed with the bundled token start no session
+    const forged = createRequest({
+      query: createQuery({
+        timestamp: Math.floor(Date.now() / 1000),
+        previewToken: PUBLIC_TOKEN,
+      }),
+      cookie: `${PREVIEW_COOKIE}=${createPreviewSession('123', {
+        secret: PUBLIC_TOKEN,
+      })}`,
+    });
+    const res = createResponse();
+    createPreviewSessions(publicOnly)(forged, res, vi.fn());
+    expect(forged.preview).toBe(false);
+    expect(res.cookie).not.toHaveBeenCalled();
+
+    // Neither may reuse the bundled token or each other
+    for (const env of [
+      { STORYBLOK_PREVIEW_TOKEN: PUBLIC_TOKEN, PREVIEW_SECRET: 's' },
+      { STORYBLOK_PREVIEW_TOKEN: PREVIEW_TOKEN, PREVIEW_SECRET: PUBLIC_TOKEN },
+      { STORYBLOK_PREVIEW_TOKEN: PREVIEW_TOKEN, PREVIEW_SECRET: PREVIEW_TOKEN },
+      { STORYBLOK_PREVIEW_TOKEN: PREVIEW_TOKEN },
+    ]) {
+      expect(
+        getPreviewConfig({ VITE_STORYBLOK_TOKEN: PUBLIC_TOKEN, ...env }).enabled
+      ).toBe(false);
+    }
+    expect(
+      getPreviewConfig({
+        VITE_STORYBLOK_TOKEN: PUBLIC_TOKEN,
+        STORYBLOK_PREVIEW_TOKEN: PREVIEW_TOKEN,
+        PREVIEW_SECRET: 'secret',
+      })
+    ).toMatchObject({ enabled: true, previewToken: PREVIEW_TOKEN });
+  });
+
+  test('proxies draft requests of sessions only', async () => {
+    const request = vi.fn(async () => ({
+      status: 200,
+      headers: { get: () => 'application/json' },
+      arrayBuffer: async () => new TextEncoder().encode('{"story":{}}'),
+    }));
+    const proxy = createPreviewProxy({
+      previewToken: PREVIEW_TOKEN,
+      region: 'us',
+      request,
+    });
+    const res = {
+      status: vi.fn(() => res),
+      json: vi.fn(),
+      set: vi.fn(),
+      send: vi.fn(),
+    };
+
+    await proxy({ preview: false, path: '/cdn/stories/home' }, res);
+    expect(res.status).toHaveBeenCalledWith(401);
+    expect(request).not.toHaveBeenCalled();
+
+    await proxy(
+      {
+        preview: true,
+        path: '/cdn/stories/home',
+        originalUrl:
+          '/api/preview/cdn/stories/home?token=public&version=published&cv=1',
+      },
+      res
+    );
+    const url = new URL(request.mock.calls[0][0]);
+    expect(url.origin + url.pathname).toBe(
+      'https://api-us.storyblok.com/v2/cdn/stories/home'
+    );
+    expect(url.searchParams.get('token')).toBe(PREVIEW_TOKEN);
+    expect(url.searchParams.get('version')).toBe('draft');
+    expect(url.searchParams.get('cv')).toBe('1');
+    expect(res.send).toHaveBeenCalled();
+  });
+});
+
+describe('Preview Rendering', () => {
+  const TEMPLATE = `<!doctype html>
+<html lang="en">
+  <head><title>Shell</title></head>
+  <body><main id="app"></main></body>
+</html>`;
+
+  const storyParams = client =>
+    client.get.mock.calls.find(
+      ([path]) => path === 'cdn/stories/test-story'
+    )[1];
+
+  const readStream = async stream => {
+    let html = '';
+    for await (const chunk of stream) {
+      html += chunk;
+    }
+    return html;
+  };
+
+  test('renders drafts for preview sessions without caching them', async () => {
+    const cache = createStoryCache();
+    const renderer = await createRenderer({ template: TEMPLATE, cache });
+    const published = StoryblokClient.mock.results.at(-1).value;
+
+    const page = await renderer.renderPage('/test-story');
+    expect(await readStream(page.stream)).not.toContain('"preview"');
+    expect(storyParams(published)).toMatchObject({ version: 'published' });
+
+    const preview = await renderer.renderPage('/test-story', {
+      preview: true,
+    });
+    const html = await readStream(preview.stream);
+    const drafts = StoryblokClient.mock.results.at(-1).value;
+
+    expect(drafts).not.toBe(published);
+    expect(storyParams(drafts)).toMatchObject({ version: 'draft' });
+    expect(html).toContain('"preview":{"release":null,"date":null}');
+
+    // Visitors still get the cached published page
+    const fetches = published.get.mock.calls.length;
+    const again = await renderer.renderPage('/test-story');
+    expect(await readStream(again.stream)).not.toContain('"preview"');
+    expect(published.get).toHaveBeenCalledTimes(fetches);
+  });
+
+  test('shows releases and scheduled blocks as of the view date', async () => {
+    const renderer = await createRenderer({ template: TEMPLATE });
+    const page = await renderer.renderPage('/test-story', {
+      preview: { release: 7, date: '2030-01-01' },
+    });
+    const html = await readStream(page.stream);
+    const drafts = StoryblokClient.mock.results.at(-1).value;
+
+    expect(storyParams(drafts)).toMatchObject({
+      version: 'draft',
+      from_release: 7,
+    });
+    expect(html).toContain('"preview":{"release":7,"date":"2030-01-01"}');
+  });
+
+  test('reuses draft clients per view until they are cleared', async () => {
+    const renderer = await createRenderer({ template: TEMPLATE });
+    const render = async () => {
+      const page = await renderer.renderPage('/test-story', {
+        preview: { release: 7 },
+      });
+      await readStream(page.stream);
+      return StoryblokClient.mock.results.at(-1).value;
+    };
+
+    const drafts = await render();
+    expect(await render()).toBe(drafts);
+
+    renderer.clearDraftSources();
+    expect(await render()).not.toBe(drafts);
+  });
+});
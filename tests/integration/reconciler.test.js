@@ -0,0 +1,322 @@
+/**
+ * Reconciler tests
+ * Reusing, updating, moving and destroying components across renders
+ */
+
+import { describe, test, expect, beforeAll, afterAll, vi } from 'vitest';
+import StoryblokClient from 'storyblok-js-client';
+import {
+  createComponent,
+  createRenderContext,
+  registerComponent,
+} from '../../src/integration/componentMapper.js';
+import { unregisterComponent } from '../../src/config/components.js';
+import {
+  createReconciler,
+  reconcileElements,
+} from '../../src/integration/reconciler.js';
+import { bloksToComponents } from '../../src/integration/transformers.js';
+import { createApp } from '../../src/app.js';
+import { createTestContainer } from '../setup.js';
+
+/**
+ * Field with an input, so tests can check that typed values survive
+ */
+const createField = vi.fn(props => {
+  const element = document.createElement('label');
+  const input = document.createElement('input');
+  element.append(input);
+  element.dataset.label = props.label;
+
+  return {
+    getElement: () => element,
+    update: vi.fn(next => {
+      element.dataset.label = next.label;
+    }),
+    destroy: vi.fn(),
+  };
+});
+
+/**
+ * Container of nested blocks, like grid and section
+ */
+const createGroup = vi.fn(props => {
+  const element = document.createElement('div');
+  const render = ({ children }) =>
+    reconcileElements(
+      element,
+      children.map(child => child.getElement())
+    );
+  render(props);
+
+  return {
+    getElement: () => element,
+    update: vi.fn(render),
+    destroy: vi.fn(),
+  };
+});
+
+const field = (uid, label) => ({ _uid: uid, component: 'test_field', label });
+
+const group = (uid, children, title = 'Group') => ({
+  _uid: uid,
+  component: 'test_group',
+  title,
+  children,
+});
+
+/**
+ * Renders blocks like createComponentsFromStory does with a reconciler
+ */
+const renderPass = (reconciler, blocks, options = {}) => {
+  const context = createRenderContext({ ...options, reconciler });
+  reconciler.begin();
+  const components = blocks.map(block => createComponent(block, context));
+  reconciler.commit();
+  return { components, issues: context.issues };
+};
+
+describe('Reconciler', () => {
+  beforeAll(() => {
+    registerComponent('test_field', {
+      factory: createField,
+      transform: props => ({ label: props.label }),
+      schema: { label: { type: 'string', required: true } },
+    });
+    registerComponent('test_group', {
+      factory: createGroup,
+      transform: (props, context) => ({
+        title: props.title,
+        children: bloksToComponents(props.children, context),
+      }),
+    });
+  });
+
+  afterAll(() => {
+    unregisterComponent('test_field');
+    unregisterComponent('test_group');
+  });
+
+  test('reuses, updates, moves and destroys components by _uid', () => {
+    const reconciler = createReconciler();
+    const root = document.createElement('div');
+
+    const first = renderPass(reconciler, [
+      field('a', 'One'),
+      field('b', 'Two'),
+      field('c', 'Three'),
+    ]).components;
+    reconcileElements(
+      root,
+      first.map(component => component.getElement())
+    );
+    const input = first[1].getElement().querySelector('input');
+    input.value = 'typed';
+
+    const second = renderPass(reconciler, [
+      field('b', 'Two'),
+      field('a', 'Uno'),
+      field('d', 'Four'),
+    ]).components;
+    reconcileElements(
+      root,
+      second.map(component => component.getElement())
+    );
+
+    expect(second[0]).toBe(first[1]);
+    expect(second[1]).toBe(first[0]);
+    expect(first[1].update).not.toHaveBeenCalled();
+    expect(first[0].update).toHaveBeenCalledWith({ label: 'Uno' });
+    expect(first[2].destroy).toHaveBeenCalled();
+    expect(first[0].destroy).not.toHaveBeenCalled();
+
+    expect(Array.from(root.children).map(el => el.dataset.uid)).toEqual([
+      'b',
+      'a',
+      'd',
+    ]);
+    expect(root.querySelector('input')).toBe(input);
+    expect(input.value).toBe('typed');
+    expect(reconciler.size).toBe(3);
+  });
+
+  test('reconciles nested blocks without updating their parent', () => {
+    createField.mockClear();
+    const reconciler = createReconciler();
+    const [parent] = renderPass(reconciler, [
+      group('g', [field('x', 'X'), field('y', 'Y')]),
+    ]).components;
+    const [x, y] = Array.from(parent.getElement().children);
+
+    renderPass(reconciler, [group('g', [field('x', 'X'), field('y', 'Why')])]);
+    expect(parent.update).not.toHaveBeenCalled();
+    expect(parent.getElement().children[1]).toBe(y);
+    expect(y.dataset.label).toBe('Why');
+
+    // Reordered children update the parent with the same instances
+    renderPass(reconciler, [group('g', [field('y', 'Why'), field('x', 'X')])]);
+    expect(parent.update).toHaveBeenCalledTimes(1);
+    expect(Array.from(parent.getElement().children)).toEqual([y, x]);
+    expect(createField).toHaveBeenCalledTimes(2);
+  });
+
+  test('creates blocks again that change type or become invalid', () => {
+    const reconciler = createReconciler();
+    const [component] = renderPass(reconciler, [field('a', 'One')]).components;
+
+    const { components, issues } = renderPass(reconciler, [field('a', '')], {
+      strictness: 'strict',
+    });
+
+    expect(components[0]).not.toBe(component);
+    expect(component.destroy).toHaveBeenCalled();
+    expect(issues).toHaveLength(1);
+
+    // Issues of kept blocks are reported by every pass
+    expect(
+      renderPass(reconciler, [field('a', '')], { strictness: 'strict' }).issues
+    ).toHaveLength(1);
+
+    const [regrouped] = renderPass(reconciler, [group('a', [])]).components;
+    expect(regrouped.getElement().dataset.component).toBe('test_group');
+  });
+
+  test('creates the component of a block that becomes valid', () => {
+    createField.mockClear();
+    const reconciler = createReconciler();
+    const strict = { strictness: 'strict' };
+    const [fallback] = renderPass(
+      reconciler,
+      [field('a', '')],
+      strict
+    ).components;
+    expect(fallback.getElement().className).toBe('component-fallback');
+    expect(createField).not.toHaveBeenCalled();
+
+    const { components, issues } = renderPass(
+      reconciler,
+      [field('a', 'Fixed')],
+      strict
+    );
+
+    expect(components[0]).not.toBe(fallback);
+    expect(components[0]).toBe(createField.mock.results[0].value);
+    expect(components[0].getElement().dataset.label).toBe('Fixed');
+    expect(issues).toHaveLength(0);
+    expect(reconciler.size).toBe(1);
+  });
+
+  test('replaces a block whose type changes under the same _uid', () => {
+    const reconciler = createReconciler();
+    const root = document.createElement('div');
+    const [before] = renderPass(reconciler, [
+      group('a', [field('x', 'X')]),
+    ]).components;
+    reconcileElements(root, [before.getElement()]);
+
+    const [after] = renderPass(reconciler, [
+      field('a', 'Now a field'),
+    ]).components;
+    reconcileElements(root, [after.getElement()]);
+
+    expect(after).not.toBe(before);
+    expect(before.destroy).toHaveBeenCalled();
+    expect(after.update).not.toHaveBeenCalled();
+    expect(root.firstElementChild.dataset.component).toBe('test_field');
+    expect(root.firstElementChild.dataset.label).toBe('Now a field');
+  });
+});
+
+describe('App Reconciliation', () => {
+  test('keeps component state when the content is refreshed', async () => {
+    registerComponent('test_field', {
+      factory: createField,
+      transform: props => ({ label: props.label }),
+    });
+    window.history.replaceState(null, '', '/');
+    window.scrollTo = vi.fn();
+    const container = createTestContainer();
+    let body = [field('a', 'One'), field('b', 'Two')];
+
+    const app = createApp({ container, enableLivePreview: false });
+    // Client instance created by the app; settings stay those of the stub
+    const { get } = StoryblokClient.mock.results.at(-1).value;
+    const original = get.getMockImplementation();
+    get.mockImplementation((path, ...args) =>
+      path.includes('settings/')
+        ? original(path, ...args)
+        : Promise.resolve({
+            data: {
+              story: { id: 7, full_slug: 'home', content: { body } },
+            },
+          })
+    );
+    await app.init();
+
+    const input = container.querySelector('[data-uid="b"] input');
+    input.value = 'typed';
+    const before = createField.mock.results.at(-1).value;
+
+    // Renders the current route again, as refreshes and language switches do
+    body = [field('b', 'Two'), field('c', 'Three')];
+    await app.router.handleRoute();
+
+    expect(container.querySelector('[data-uid="b"] input')).toBe(input);
+    expect(input.value).toBe('typed');
+    expect(container.querySelector('[data-uid="a"]')).toBeNull();
+    expect(container.querySelector('[data-uid="c"]')).not.toBeNull();
+    expect(before.destroy).not.toHaveBeenCalled();
+
+    app.destroy();
+    expect(before.destroy).toHaveBeenCalled();
+    unregisterComponent('test_field');
+  });
+
+  test('reconciles the page only when it renders', async () => {
+    registerComponent('test_field', {
+      factory: createField,
+      transform: props => ({ label: props.label }),
+    });
+    window.history.replaceState(null, '', '/');
+    window.scrollTo = vi.fn();
+    const container = createTestContainer();
+    let body = [field('a', 'One')];
+    // Missing settings are requested again by every navigation
+    let settings = () =>
+      Promise.reject(Object.assign(new Error('Not found'), { status: 404 }));
+
+    const app = createApp({ container, enableLivePreview: false });
+    const { get } = StoryblokClient.mock.results.at(-1).value;
+    get.mockImplementation(path =>
+      path.includes('settings/')
+        ? settings()
+        : Promise.resolve({
+            data: { story: { id: 7, full_slug: 'home', content: { body } } },
+          })
+    );
+    await app.init();
+    const before = createField.mock.results.at(-1).value;
+
+    // The story loads while the settings are still pending
+    let releaseSettings;
+    settings = () =>
+      new Promise((resolve, reject) => {
+        releaseSettings = () =>
+          reject(Object.assign(new Error('Not found'), { status: 404 }));
+      });
+    body = [field('b', 'Two')];
+    const navigation = app.router.handleRoute();
+    await new Promise(resolve => setTimeout(resolve, 0));
+
+    // Nothing is reconciled before the page renders
+    expect(before.destroy).not.toHaveBeenCalled();
+
+    releaseSettings();
+    await navigation;
+    expect(container.querySelector('[data-uid="b"]')).not.toBeNull();
+    expect(before.destroy).toHaveBeenCalled();
+
+    app.destroy();
+    unregisterComponent('test_field');
+  });
+});
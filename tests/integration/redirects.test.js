@@ -0,0 +1,224 @@
+/**
+ * Redirect and not-found tests
+ * Rule matching, chains and loops, the 404 page and client-side redirects
+ */
+
+import { describe, test, expect, vi } from 'vitest';
+import StoryblokClient from 'storyblok-js-client';
+import {
+  createRedirects,
+  datasourceToRedirects,
+  resolveRedirect,
+  storyToRedirects,
+} from '../../src/integration/redirects.js';
+import { createLocaleResolver } from '../../src/integration/i18n.js';
+import { createRenderer } from '../../server/renderer.js';
+import { createApp } from '../../src/app.js';
+import { createTestContainer } from '../setup.js';
+
+const TEMPLATE = `<!doctype html>
+<html lang="en">
+  <head><title>Shell</title></head>
+  <body><main id="app" role="main"></main></body>
+</html>`;
+
+const REDIRECTS_STORY = {
+  id: 9,
+  full_slug: 'settings/redirects',
+  content: {
+    redirects: [
+      { component: 'redirect', source: '/blog/:slug', target: '/news/:slug' },
+      { component: 'redirect', source: '/shop/*', target: '/store/*' },
+      { component: 'redirect', source: '/store/old', target: '/store/new' },
+      {
+        component: 'redirect',
+        source: '/sale',
+        target: { linktype: 'url', url: 'https://example.org/sale' },
+        status: '302',
+      },
+      { component: 'redirect', source: '/angebote', target: '/de/sale-de' },
+      {
+        component: 'redirect',
+        source: '/impressum',
+        target: '/imprint',
+        locale: 'de',
+      },
+      { component: 'redirect', source: '/a', target: '/b' },
+      { component: 'redirect', source: '/b/', target: '/a' },
+    ],
+  },
+};
+
+const readStream = async stream => {
+  let html = '';
+  for await (const chunk of stream) {
+    html += chunk;
+  }
+  return html;
+};
+
+const notFoundError = () =>
+  Promise.reject(Object.assign(new Error('Not Found'), { status: 404 }));
+
+/**
+ * Serves stories by slug on top of the CDN stub of tests/setup.js
+ */
+const stubStories = (get, stories) => {
+  const original = get.getMockImplementation();
+  get.mockImplementation((path, ...args) => {
+    const slug = Object.keys(stories).find(key => path.endsWith(`/${key}`));
+    if (!slug) {
+      return original(path, ...args);
+    }
+    return stories[slug]
+      ? Promise.resolve({ data: { story: stories[slug] } })
+      : notFoundError();
+  });
+};
+
+describe('Redirects', () => {
+  const rules = storyToRedirects(REDIRECTS_STORY);
+
+  test('substitutes parameters and wildcards, keeping the query', () => {
+    expect(resolveRedirect(rules, '/blog/hello?ref=mail')).toEqual({
+      location: '/news/hello?ref=mail',
+      status: 301,
+    });
+    expect(resolveRedirect(rules, '/shop/phones/pixel')).toEqual({
+      location: '/store/phones/pixel',
+      status: 301,
+    });
+    expect(resolveRedirect(rules, '/sale')).toEqual({
+      location: 'https://example.org/sale',
+      status: 302,
+    });
+    expect(resolveRedirect(rules, '/news/hello')).toBeNull();
+  });
+
+  test('follows chains to the final target and detects loops', () => {
+    expect(resolveRedirect(rules, '/shop/old')).toEqual({
+      location: '/store/new',
+      status: 301,
+    });
+
+    const loop = resolveRedirect(rules, '/a');
+    expect(loop.loop).toBe(true);
+    expect(loop.chain).toEqual(['/a', '/b', '/a']);
+  });
+
+  test('keeps the language of the request and honours locales', () => {
+    const locales = createLocaleResolver({
+      languages: ['en', 'de'],
+      defaultLanguage: 'en',
+    });
+
+    expect(resolveRedirect(rules, '/de/blog/hallo', { locales })).toEqual({
+      location: '/de/news/hallo',
+      status: 301,
+    });
+    expect(resolveRedirect(rules, '/de/impressum', { locales }).location).toBe(
+      '/de/imprint'
+    );
+    expect(resolveRedirect(rules, '/impressum', { locales })).toBeNull();
+  });
+
+  test('reads status and locale from datasource values', () => {
+    const [rule] = datasourceToRedirects([
+      { label: '/promo/', value: '/offers 302 de' },
+    ]);
+
+    expect(rule).toMatchObject({
+      source: '/promo',
+      target: '/offers',
+      status: 302,
+      locale: 'de',
+    });
+  });
+
+  test('keeps the last rules while loading fails and retries', async () => {
+    const storyblok = {
+      getStory: vi.fn(async () => REDIRECTS_STORY),
+      getDatasource: vi.fn(() =>
+        Promise.reject(Object.assign(new Error('Not found'), { status: 404 }))
+      ),
+    };
+    const redirects = createRedirects(storyblok, {
+      story: 'settings/redirects',
+      datasource: 'redirects',
+      retryDelay: 0,
+    });
+    const rules = await redirects.load();
+
+    storyblok.getStory.mockRejectedValueOnce(new Error('Network error'));
+    redirects.clear();
+    expect(await redirects.load()).toEqual(rules);
+
+    // Failed loads are not cached
+    expect(await redirects.load()).toEqual(rules);
+    expect(storyblok.getStory).toHaveBeenCalledTimes(3);
+
+    // Loads where sources are only missing are cached
+    await redirects.load();
+    expect(storyblok.getDatasource).toHaveBeenCalledTimes(3);
+  });
+});
+
+describe('Not Found', () => {
+  test('renders the not-found story with status 404', async () => {
+    const renderer = await createRenderer({ template: TEMPLATE });
+    stubStories(renderer.storyblok.client.get, { 'missing-page': null });
+
+    const page = await renderer.renderPage('/missing-page');
+    const html = await readStream(page.stream);
+
+    expect(page.status).toBe(404);
+    expect(html).toContain('Test Story Title');
+  });
+
+  test('falls back to a built-in page without a not-found story', async () => {
+    const renderer = await createRenderer({ template: TEMPLATE });
+    stubStories(renderer.storyblok.client.get, {
+      'missing-page': null,
+      'not-found': null,
+    });
+
+    const page = await renderer.renderPage('/missing-page');
+    const html = await readStream(page.stream);
+
+    expect(page.status).toBe(404);
+    expect(html).toContain('>Page not found</title>');
+    expect(html).toContain('noindex');
+  });
+});
+
+describe('App Redirects', () => {
+  test('redirects before rendering and shows the not-found page', async () => {
+    window.history.replaceState(null, '', '/');
+    window.scrollTo = vi.fn();
+    const container = createTestContainer();
+    const app = createApp({
+      container,
+      enableLivePreview: false,
+      prefetch: false,
+    });
+    // Client instance created by the app
+    stubStories(StoryblokClient.mock.results.at(-1).value.get, {
+      'settings/redirects': REDIRECTS_STORY,
+      'missing-page': null,
+      'not-found': null,
+    });
+
+    await app.init();
+    await app.navigateToRoute('/blog/hello');
+
+    expect(window.location.pathname).toBe('/news/hello');
+    expect(app.getStatus().currentRoute).toBe('/news/hello');
+    expect(window.history.state.index).toBe(1);
+
+    await app.navigateToRoute('/missing-page');
+    expect(document.title).toBe('Page not found');
+    expect(container.querySelector('[data-uid="not-found"]')).not.toBeNull();
+
+    app.destroy();
+  });
+});
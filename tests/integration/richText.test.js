@@ -0,0 +1,199 @@
+/**
+ * Rich text renderer tests
+ */
+
+import { describe, test, expect, afterEach, vi } from 'vitest';
+import {
+  mountEmbeddedBloks,
+  registerRichTextResolvers,
+  renderRichText,
+} from '../../src/integration/richText.js';
+import { sanitizeStyle } from '../../src/utils/validation/index.js';
+
+const doc = (...content) => ({ type: 'doc', content });
+const paragraph = (...content) => ({ type: 'paragraph', content });
+const text = (value, marks) => ({ type: 'text', text: value, marks });
+
+describe('Rich Text Renderer', () => {
+  afterEach(() => {
+    registerRichTextResolvers({ nodes: { paragraph: null } });
+  });
+
+  test('renders block nodes', () => {
+    const html = renderRichText(
+      doc(
+        { type: 'blockquote', content: [paragraph(text('Quote'))] },
+        {
+          type: 'code_block',
+          attrs: { class: 'language-js' },
+          content: [text('a < b')],
+        },
+        { type: 'image', attrs: { src: 'https://a.storyblok.com/x.png' } },
+        {
+          type: 'table',
+          content: [
+            {
+              type: 'tableRow',
+              content: [
+                {
+                  type: 'tableCell',
+                  attrs: { colspan: 2 },
+                  content: [paragraph(text('Cell'))],
+                },
+              ],
+            },
+          ],
+        }
+      )
+    );
+
+    expect(html).toContain('<blockquote><p>Quote</p></blockquote>');
+    expect(html).toContain(
+      '<pre><code class="language-js">a &lt; b</code></pre>'
+    );
+    expect(html).toContain('<img src="https://a.storyblok.com/x.png"');
+    expect(html).toContain('<td colspan="2"><p>Cell</p></td>');
+  });
+
+  test('renders marks', () => {
+    const html = renderRichText(
+      doc(
+        paragraph(
+          text('struck', [{ type: 'strike' }]),
+          text('2', [{ type: 'superscript' }]),
+          text('red', [{ type: 'textStyle', attrs: { color: '#ff0000' } }]),
+          text('here', [{ type: 'anchor', attrs: { id: 'here' } }]),
+          text('docs', [
+            {
+              type: 'link',
+              attrs: { href: 'https://example.com', target: '_blank' },
+            },
+          ])
+        )
+      )
+    );
+
+    expect(html).toContain('<s>struck</s>');
+    expect(html).toContain('<sup>2</sup>');
+    expect(html).toContain('<span style="color: #ff0000">red</span>');
+    expect(html).toContain('<span id="here">here</span>');
+    expect(html).toContain(
+      '<a href="https://example.com" target="_blank" rel="noopener noreferrer">docs</a>'
+    );
+  });
+
+  test('escapes text and sanitizes the output', () => {
+    const html = renderRichText(
+      doc(
+        paragraph(
+          text('<img src=x onerror=alert(1)>'),
+          text('bad', [
+            { type: 'link', attrs: { href: 'javascript:alert(1)' } },
+          ])
+        )
+      )
+    );
+
+    expect(html).not.toContain('<img');
+    expect(html).not.toContain('javascript:');
+  });
+
+  test('renders embedded bloks as placeholders and mounts them', () => {
+    const context = {
+      createComponent: blok => ({
+        getElement: () => {
+          const element = document.createElement('div');
+          element.className = `blok-${blok.component}`;
+          return element;
+        },
+      }),
+      embedded: [],
+    };
+
+    const html = renderRichText(
+      doc(paragraph(text('Before')), {
+        type: 'blok',
+        attrs: { body: [{ component: 'button', _uid: '1' }] },
+      }),
+      context
+    );
+
+    expect(context.embedded).toHaveLength(1);
+    expect(context.embedded[0].id).toBe('rich-text-blok-1');
+    expect(html).toBe(
+      `<p>Before</p><span id="${context.embedded[0].id}"></span>`
+    );
+
+    const root = document.createElement('div');
+    root.innerHTML = html;
+    mountEmbeddedBloks(root, context.embedded);
+    expect(root.innerHTML).toBe('<p>Before</p><div class="blok-button"></div>');
+  });
+
+  test('numbers the placeholders of bloks without _uid', () => {
+    const context = {
+      createComponent: () => ({
+        getElement: () => document.createElement('div'),
+      }),
+      embedded: [],
+    };
+    const body = [{ component: 'button' }, { component: 'button' }];
+
+    const html = renderRichText(
+      doc({ type: 'blok', attrs: { body } }),
+      context
+    );
+
+    expect(html).toBe(
+      '<span id="rich-text-blok-index-0"></span><span id="rich-text-blok-index-1"></span>'
+    );
+  });
+
+  test('skips embedded bloks without a list to mount them from', () => {
+    const createComponent = vi.fn();
+
+    const html = renderRichText(
+      doc({ type: 'blok', attrs: { body: [{ component: 'button' }] } }),
+      { createComponent }
+    );
+
+    expect(html).toBe('');
+    expect(createComponent).not.toHaveBeenCalled();
+  });
+
+  test('uses registered and per-call resolvers', () => {
+    registerRichTextResolvers({
+      nodes: {
+        paragraph: (node, children) => `<p class="lead">${children}</p>`,
+      },
+    });
+
+    expect(renderRichText(doc(paragraph(text('Hi'))))).toBe(
+      '<p class="lead">Hi</p>'
+    );
+    expect(
+      renderRichText(
+        doc(paragraph(text('Hi', [{ type: 'bold' }]))),
+        {},
+        {
+          marks: { bold: (mark, value) => `<b>${value}</b>` },
+        }
+      )
+    ).toBe('<p class="lead"><b>Hi</b></p>');
+  });
+
+  test('keeps only allowed style properties', () => {
+    expect(
+      sanitizeStyle(
+        'width: 120px; background-color: #fff; position: fixed; color: red'
+      )
+    ).toBe('width: 120px; background-color: #fff; color: red');
+    expect(sanitizeStyle('background-color: url(https://evil.test/x)')).toBe(
+      ''
+    );
+    expect(sanitizeStyle('color: expression(alert(1))')).toBe('');
+    expect(sanitizeStyle('color: red; } body { display: none')).toBe(
+      'color: red'
+    );
+  });
+});
@@ -0,0 +1,136 @@
+/**
+ * Router tests
+ * Cancellation, guards and scroll restoration on jsdom's history
+ */
+
+import { describe, test, expect, beforeEach, afterEach, vi } from 'vitest';
+import { Router, createFormGuard } from '../../src/utils/router/index.js';
+import { createApp } from '../../src/app.js';
+import { createTestContainer } from '../setup.js';
+
+describe('Router', () => {
+  let router;
+
+  beforeEach(() => {
+    window.history.replaceState(null, '', '/');
+    window.scrollTo = vi.fn();
+    router = new Router();
+  });
+
+  afterEach(() => {
+    router.destroy();
+  });
+
+  test('cancels the running navigation when a newer one starts', async () => {
+    const signals = {};
+    let release;
+    const blocked = new Promise(resolve => {
+      release = resolve;
+    });
+
+    router.add('/slow', async ({ signal }) => {
+      signals.slow = signal;
+      await blocked;
+    });
+    router.add('/fast', ({ signal }) => {
+      signals.fast = signal;
+    });
+    router.listen();
+
+    const slow = router.navigate('/slow');
+    await router.navigate('/fast');
+    release();
+    await slow;
+
+    expect(signals.slow.aborted).toBe(true);
+    expect(signals.fast.aborted).toBe(false);
+    expect(router.currentRoute.path).toBe('/fast');
+  });
+
+  test('guards can block navigation, also back and forward', async () => {
+    const handler = vi.fn();
+    router.add('*', handler);
+    router.listen();
+
+    await router.navigate('/first');
+    router.beforeEach(to => to !== '/blocked');
+    await router.navigate('/blocked');
+
+    expect(window.location.pathname).toBe('/first');
+    expect(handler).toHaveBeenCalledTimes(1);
+
+    const go = vi.spyOn(window.history, 'go').mockImplementation(() => {});
+    router.beforeEach(() => false);
+    window.history.replaceState({ index: 0 }, '', '/');
+    await router.handlePopState({ state: { index: 0 } });
+
+    expect(go).toHaveBeenCalledWith(1);
+    expect(handler).toHaveBeenCalledTimes(1);
+    go.mockRestore();
+  });
+
+  test('restores scroll positions of history entries', async () => {
+    router.add('*', () => {});
+    router.listen();
+
+    await router.navigate('/list');
+    expect(window.scrollTo).toHaveBeenLastCalledWith(0, 0);
+
+    window.scrollY = 640;
+    await router.navigate('/detail');
+    expect(window.history.state.index).toBe(2);
+
+    await router.handlePopState({
+      state: { index: 1, scroll: { x: 0, y: 640 } },
+    });
+    expect(window.scrollTo).toHaveBeenLastCalledWith(0, 640);
+  });
+
+  test('form guard asks before leaving unsaved input', () => {
+    const root = document.createElement('div');
+    root.innerHTML = '<form><input name="email" /></form>';
+    document.body.appendChild(root);
+    const confirm = vi.fn(() => false);
+    const guard = createFormGuard(root, { confirm });
+
+    expect(guard.hook()).toBe(true);
+
+    root
+      .querySelector('input')
+      .dispatchEvent(new Event('input', { bubbles: true }));
+    expect(guard.hook()).toBe(false);
+    expect(confirm).toHaveBeenCalledTimes(1);
+
+    root
+      .querySelector('form')
+      .dispatchEvent(new Event('submit', { bubbles: true }));
+    expect(guard.hook()).toBe(true);
+
+    guard.destroy();
+    root.remove();
+  });
+});
+
+describe('App Routes', () => {
+  test('matches special pages before the story route', async () => {
+    window.history.replaceState(null, '', '/');
+    window.scrollTo = vi.fn();
+    const container = createTestContainer();
+    const search = vi.fn((context, { loadStory }) => loadStory('search-page'));
+
+    const app = createApp({
+      container,
+      enableLivePreview: false,
+      routes: [{ path: '/search', handler: search }],
+    });
+    await app.init();
+    await app.navigateToRoute('/search?q=phone');
+
+    expect(search).toHaveBeenCalledTimes(1);
+    expect(search.mock.calls[0][0].query).toEqual({ q: 'phone' });
+    expect(app.getStatus().currentRoute).toBe('/search');
+    expect(container.querySelector('.hero')).not.toBeNull();
+
+    app.destroy();
+  });
+});
@@ -0,0 +1,102 @@
+/**
+ * Scheduled content tests
+ * Block visibility windows, the "view as of" date and release previews
+ */
+
+import { describe, test, expect } from 'vitest';
+import StoryblokClient from 'storyblok-js-client';
+import {
+  applySchedule,
+  isVisibleAt,
+  parseScheduleDate,
+} from '../../src/integration/schedule.js';
+import { createStoryblokClient } from '../../src/integration/storyblokClient.js';
+import { createPreviewBanner } from '../../src/app.js';
+
+const createStory = () => ({
+  id: 1,
+  full_slug: 'sale',
+  content: {
+    component: 'page',
+    body: [
+      { _uid: 'always', component: 'text_block' },
+      {
+        _uid: 'winter',
+        component: 'hero_section',
+        visible_from: '2030-12-01 00:00',
+        visible_until: '2031-01-01 00:00',
+      },
+      {
+        _uid: 'grid',
+        component: 'grid',
+        columns: [
+          { _uid: 'old', component: 'card', visible_until: '2020-01-01' },
+          { _uid: 'new', component: 'card' },
+        ],
+      },
+    ],
+  },
+});
+
+const uids = story => story.content.body.map(block => block._uid);
+
+describe('Scheduled Content', () => {
+  test('parses Storyblok dates as UTC', () => {
+    expect(parseScheduleDate('2030-12-01 10:30').toISOString()).toBe(
+      '2030-12-01T10:30:00.000Z'
+    );
+    expect(parseScheduleDate('2030-12-01').toISOString()).toBe(
+      '2030-12-01T00:00:00.000Z'
+    );
+    expect(parseScheduleDate('')).toBeNull();
+    expect(parseScheduleDate('soon')).toBeNull();
+  });
+
+  test('shows blocks within their window only', () => {
+    const block = createStory().content.body[1];
+
+    expect(isVisibleAt(block, new Date('2030-11-30T23:59Z'))).toBe(false);
+    expect(isVisibleAt(block, new Date('2030-12-01T00:00Z'))).toBe(true);
+    expect(isVisibleAt(block, new Date('2031-01-01T00:00Z'))).toBe(false);
+    expect(isVisibleAt({ component: 'card' })).toBe(true);
+  });
+
+  test('filters nested blocks without touching the story', () => {
+    const story = createStory();
+    const scheduled = applySchedule(story, new Date('2030-12-24T00:00Z'));
+
+    expect(uids(scheduled)).toEqual(['always', 'winter', 'grid']);
+    expect(scheduled.content.body[2].columns.map(card => card._uid)).toEqual([
+      'new',
+    ]);
+    expect(story.content.body[2].columns).toHaveLength(2);
+
+    const later = applySchedule(story, new Date('2031-06-01T00:00Z'));
+    expect(uids(later)).toEqual(['always', 'grid']);
+    // Unscheduled stories stay the same object
+    const plain = { content: { body: [{ _uid: 'a', component: 'card' }] } };
+    expect(applySchedule(plain)).toBe(plain);
+  });
+
+  test('fetches stories of a release as of the view date', async () => {
+    const storyblok = createStoryblokClient({
+      release: 7,
+      date: '2030-12-24',
+    });
+    const { get } = StoryblokClient.mock.results.at(-1).value;
+    get.mockResolvedValueOnce({ data: { story: createStory() } });
+
+    const story = await storyblok.getStory('sale');
+
+    expect(get.mock.calls.at(-1)[1]).toMatchObject({ from_release: 7 });
+    expect(uids(story)).toContain('winter');
+  });
+
+  test('names the release and date of a preview in a banner', () => {
+    expect(createPreviewBanner({})).toBeNull();
+
+    const banner = createPreviewBanner({ release: 7, date: '2030-12-24' });
+    expect(banner.getAttribute('role')).toBe('status');
+    expect(banner.textContent).toBe('Preview · release 7 · as of 2030-12-24');
+  });
+});
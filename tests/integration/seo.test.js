@@ -0,0 +1,169 @@
+/**
+ * SEO head tag and structured data tests
+ */
+
+import { describe, test, expect } from 'vitest';
+import {
+  createHeadManager,
+  getHeadTags,
+  getPageHeadTags,
+  getSeoMeta,
+  getStructuredData,
+} from '../../src/integration/seo.js';
+import { createRenderer } from '../../server/renderer.js';
+
+const TEMPLATE = `<!doctype html>
+<html lang="en">
+  <head>
+    <title>Shell</title>
+    <meta name="description" content="Template description" />
+  </head>
+  <body><main id="app"></main></body>
+</html>`;
+
+describe('SEO', () => {
+  test('prefers the SEO plugin, then the field group, then the story', () => {
+    const story = {
+      name: 'About',
+      content: {
+        title: 'About us',
+        seo_description: 'Who we are',
+        metatags: {
+          plugin: 'seo_metatags',
+          title: 'About | Shop',
+          og_image: 'https://a.storyblok.com/og.jpg',
+        },
+      },
+    };
+
+    const meta = getSeoMeta(story, {
+      defaults: { description: 'Default' },
+      url: 'https://example.com/about',
+    });
+
+    expect(meta.title).toBe('About | Shop');
+    expect(meta.description).toBe('Who we are');
+    expect(meta.canonical).toBe('https://example.com/about');
+    expect(meta.openGraph).toMatchObject({
+      title: 'About | Shop',
+      image: 'https://a.storyblok.com/og.jpg',
+      type: 'website',
+    });
+    expect(meta.twitter.card).toBe('summary_large_image');
+    expect(
+      getSeoMeta({ content: {} }, { defaults: { title: 'Site' } }).title
+    ).toBe('Site');
+  });
+
+  test('describes robots, canonical and social tags', () => {
+    const tags = getHeadTags(
+      getSeoMeta({
+        name: 'Draft',
+        content: {
+          seo: [{ component: 'seo', noindex: true }],
+          canonical: 'https://example.com/final',
+        },
+      })
+    );
+
+    expect(tags).toContainEqual({
+      tag: 'meta',
+      attributes: { name: 'robots', content: 'noindex, nofollow' },
+    });
+    expect(tags).toContainEqual({
+      tag: 'link',
+      attributes: { rel: 'canonical', href: 'https://example.com/final' },
+    });
+    expect(tags).toContainEqual({
+      tag: 'meta',
+      attributes: { property: 'og:title', content: 'Draft' },
+    });
+  });
+
+  test('builds JSON-LD for posts, products and local businesses', () => {
+    const story = {
+      name: 'Story',
+      published_at: '2026-01-02T00:00:00.000Z',
+      content: {
+        body: [
+          {
+            component: 'blog_detail',
+            title: 'Post',
+            author: { name: 'Sam' },
+            tags: ['a', 'b'],
+          },
+          {
+            component: 'grid',
+            columns: [
+              { component: 'product_card', name: 'Phone', price: '199' },
+            ],
+          },
+          { component: 'contact_info', phone: '+49 1', address: 'Main St 1' },
+          { component: 'map', location: { lat: 52.5, lng: 13.4 } },
+        ],
+      },
+    };
+
+    const [post, product, business] = getStructuredData(story, {
+      siteName: 'Shop',
+      currency: 'EUR',
+    });
+
+    expect(post).toMatchObject({
+      '@type': 'BlogPosting',
+      headline: 'Post',
+      author: { name: 'Sam' },
+      keywords: 'a, b',
+      datePublished: '2026-01-02T00:00:00.000Z',
+    });
+    expect(product.offers).toMatchObject({ price: 199, priceCurrency: 'EUR' });
+    expect(business).toMatchObject({
+      '@type': 'LocalBusiness',
+      name: 'Shop',
+      telephone: '+49 1',
+      geo: { latitude: 52.5, longitude: 13.4 },
+    });
+  });
+
+  test('replaces head tags on every navigation', () => {
+    const manager = createHeadManager();
+    const page = (title, body = []) =>
+      getPageHeadTags({ name: title, content: { body } });
+
+    manager.update(page('First', [{ component: 'map', location: {} }]));
+    manager.update(page('Second'));
+
+    expect(document.title).toBe('Second');
+    expect(document.head.querySelectorAll('title').length).toBe(1);
+    expect(
+      document.head.querySelectorAll('script[type="application/ld+json"]')
+        .length
+    ).toBe(0);
+
+    manager.clear();
+    expect(document.head.querySelector('[data-seo]')).toBeNull();
+  });
+
+  test('renders head tags on the server', async () => {
+    const renderer = await createRenderer({
+      template: TEMPLATE,
+      url: 'https://example.com/',
+    });
+
+    const page = await renderer.renderPage('/test-story');
+    let html = '';
+    for await (const chunk of page.stream) {
+      html += chunk;
+    }
+
+    expect(html).toContain('<title data-seo="">Test Story Title</title>');
+    expect(html).toContain(
+      '<meta name="description" content="Template description" data-seo="" />'
+    );
+    expect(html).toContain(
+      '<link rel="canonical" href="https://example.com/test-story" data-seo="" />'
+    );
+    expect(html).toContain('property="og:url"');
+    expect(html).not.toContain('<title>Shell</title>');
+  });
+});
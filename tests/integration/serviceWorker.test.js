@@ -0,0 +1,202 @@
+/**
+ * Service worker tests
+ * Runs public/sw.js against an in-memory Cache Storage
+ */
+
+import { describe, test, expect, vi } from 'vitest';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const ORIGIN = 'https://example.com';
+const SOURCE = fs.readFileSync(
+  path.join(path.dirname(fileURLToPath(import.meta.url)), '../../public/sw.js'),
+  'utf8'
+);
+
+const toKey = key =>
+  new URL(typeof key === 'string' ? key : key.url, ORIGIN).href;
+
+/**
+ * Cache Storage keeping entries in insertion order, like browsers do
+ */
+const createCacheStorage = fetch => {
+  const stores = new Map();
+
+  const open = async name => {
+    if (!stores.has(name)) {
+      const entries = new Map();
+      stores.set(name, {
+        entries,
+        match: async key => entries.get(toKey(key))?.clone(),
+        put: async (key, response) => {
+          entries.set(toKey(key), response);
+        },
+        delete: async key => entries.delete(toKey(key)),
+        keys: async () => [...entries.keys()].map(url => ({ url })),
+        addAll: async urls => {
+          for (const url of urls) {
+            entries.set(toKey(url), await fetch({ url: toKey(url) }));
+          }
+        },
+      });
+    }
+    return stores.get(name);
+  };
+
+  return {
+    stores,
+    open,
+    keys: async () => [...stores.keys()],
+    delete: async name => stores.delete(name),
+    match: async (key, { cacheName }) =>
+      stores.has(cacheName) ? (await open(cacheName)).match(key) : undefined,
+  };
+};
+
+/**
+ * Loads the worker with a network that answers from a map of URLs
+ */
+const createWorker = () => {
+  const listeners = {};
+  const network = { online: true, responses: {} };
+  const fetch = vi.fn(async request => {
+    if (!network.online) {
+      throw new TypeError('Failed to fetch');
+    }
+    const { body = '', headers = {} } = network.responses[request.url] || {};
+    return new Response(body, { headers });
+  });
+  const caches = createCacheStorage(fetch);
+
+  const self = {
+    addEventListener: (type, listener) => {
+      listeners[type] = listener;
+    },
+    skipWaiting: vi.fn(),
+    clients: { claim: vi.fn() },
+  };
+  new Function('self', 'caches', 'fetch', 'location', 'Response', SOURCE)(
+    self,
+    caches,
+    fetch,
+    new URL(ORIGIN),
+    Response
+  );
+
+  /**
+   * Dispatches an event and waits for all of its work
+   */
+  const dispatch = async (type, data = {}) => {
+    const pending = [];
+    let response = null;
+    listeners[type]({
+      ...data,
+      waitUntil: promise => pending.push(promise),
+      respondWith: promise => {
+        response = promise;
+      },
+    });
+    const result = await response;
+    // Background work may queue more work
+    while (pending.length > 0) {
+      await pending.shift();
+    }
+    return result;
+  };
+
+  const request = (url, mode = 'cors') =>
+    dispatch('fetch', { request: { url, method: 'GET', mode } });
+
+  return { caches, network, fetch, dispatch, request };
+};
+
+const entriesOf = async (caches, prefix) => {
+  const name = [...caches.stores.keys()].find(key => key.startsWith(prefix));
+  return name ? [...caches.stores.get(name).entries.keys()] : [];
+};
+
+describe('Service Worker', () => {
+  test('precaches into versioned caches and removes old ones', async () => {
+    const { caches, dispatch } = createWorker();
+    await caches.open('svarog-storyblok-v1');
+    await caches.open('svarog-pages-old');
+    await caches.open('other-app');
+
+    await dispatch('install');
+    await dispatch('activate');
+
+    expect([...caches.stores.keys()].sort()).toEqual([
+      'other-app',
+      'svarog-static-dev',
+    ]);
+    expect(await entriesOf(caches, 'svarog-static-')).toEqual([
+      `${ORIGIN}/offline.html`,
+    ]);
+  });
+
+  test('serves story JSON stale while revalidating it', async () => {
+    const worker = createWorker();
+    const api = 'https://api.storyblok.com/v2/cdn/stories/home?token=t';
+    worker.network.responses[`${api}&cv=1`] = { body: '{"v":1}' };
+    worker.network.responses[`${api}&cv=2`] = { body: '{"v":2}' };
+
+    expect(await (await worker.request(`${api}&cv=1`)).text()).toBe('{"v":1}');
+
+    // A new content version still answers from the cache first
+    expect(await (await worker.request(`${api}&cv=2`)).text()).toBe('{"v":1}');
+    worker.network.online = false;
+    expect(await (await worker.request(`${api}&cv=3`)).text()).toBe('{"v":2}');
+    expect(await entriesOf(worker.caches, 'svarog-content-')).toEqual([api]);
+  });
+
+  test('keeps visited pages readable offline', async () => {
+    const worker = createWorker();
+    worker.network.responses[`${ORIGIN}/offline.html`] = { body: 'Offline' };
+    worker.network.responses[`${ORIGIN}/about`] = { body: 'About' };
+    worker.network.responses[`${ORIGIN}/draft`] = {
+      body: 'Draft',
+      headers: { 'Cache-Control': 'private, no-store' },
+    };
+
+    await worker.dispatch('install');
+    await worker.request(`${ORIGIN}/about`, 'navigate');
+    await worker.request(`${ORIGIN}/draft`, 'navigate');
+    worker.network.online = false;
+
+    const about = await worker.request(`${ORIGIN}/about`, 'navigate');
+    expect(await about.text()).toBe('About');
+    // Private pages and pages never visited get the offline page
+    const draft = await worker.request(`${ORIGIN}/draft`, 'navigate');
+    expect(await draft.text()).toBe('Offline');
+    expect(await entriesOf(worker.caches, 'svarog-pages-')).toEqual([
+      `${ORIGIN}/about`,
+    ]);
+  });
+
+  test('bounds caches, dropping the oldest entries', async () => {
+    const worker = createWorker();
+    for (let index = 0; index <= 50; index++) {
+      await worker.request(`${ORIGIN}/page-${index}`, 'navigate');
+    }
+    // Visiting a page again keeps it
+    await worker.request(`${ORIGIN}/page-1`, 'navigate');
+    await worker.request(`${ORIGIN}/page-51`, 'navigate');
+
+    const pages = await entriesOf(worker.caches, 'svarog-pages-');
+    expect(pages).toHaveLength(50);
+    expect(pages).not.toContain(`${ORIGIN}/page-0`);
+    expect(pages).not.toContain(`${ORIGIN}/page-2`);
+    expect(pages).toContain(`${ORIGIN}/page-1`);
+  });
+
+  test('leaves the server API and other origins to the network', async () => {
+    const worker = createWorker();
+
+    expect(await worker.request(`${ORIGIN}/api/preview/cdn/stories`)).toBe(
+      null
+    );
+    expect(await worker.request('https://cdn.example.org/lib.js')).toBe(null);
+    expect(worker.fetch).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,176 @@
+/**
+ * Sitemap generation tests
+ */
+
+import { describe, test, expect, vi } from 'vitest';
+import {
+  buildSitemaps,
+  fetchSitemapEntries,
+  generateSitemaps,
+} from '../../server/sitemap.js';
+
+const createStories = (count, offset = 0) =>
+  Array.from({ length: count }, (_, index) => ({
+    full_slug: `page-${offset + index}`,
+    published_at: '2024-01-01T00:00:00.000Z',
+    content: {},
+  }));
+
+const I18N = { languages: ['en', 'de'], defaultLanguage: 'en', domains: {} };
+
+const createClient = pages => ({
+  flushCache: vi.fn(),
+  get: vi.fn(async (path, params) => {
+    const stories = pages[params.page - 1] || [];
+    return {
+      data: { stories },
+      total: pages.reduce((sum, page) => sum + page.length, 0),
+    };
+  }),
+});
+
+describe('Sitemap', () => {
+  test('pages through all published stories', async () => {
+    const client = createClient([createStories(100), createStories(20, 100)]);
+
+    const entries = await fetchSitemapEntries(client);
+
+    expect(entries).toHaveLength(120);
+    expect(client.get).toHaveBeenCalledTimes(2);
+    expect(client.get.mock.calls[0][1]).toMatchObject({
+      version: 'published',
+      page: 1,
+    });
+  });
+
+  test('uses published_at and skips noindex stories', async () => {
+    const client = createClient([
+      [
+        { full_slug: 'home', published_at: '2024-03-01T10:00:00.000Z' },
+        { full_slug: 'hidden', content: { noindex: true } },
+      ],
+    ]);
+
+    const { 'sitemap.xml': xml } = await generateSitemaps(
+      client,
+      'https://example.com/'
+    );
+
+    expect(xml).toContain('<loc>https://example.com/</loc>');
+    expect(xml).toContain('<lastmod>2024-03-01T10:00:00.000Z</lastmod>');
+    expect(xml).not.toContain('hidden');
+  });
+
+  test('adds hreflang alternates for every language', async () => {
+    const client = createClient([[{ full_slug: 'about', content: {} }]]);
+
+    const { 'sitemap.xml': xml } = await generateSitemaps(
+      client,
+      'https://example.com',
+      { i18n: I18N }
+    );
+
+    expect(xml).toContain('<loc>https://example.com/about</loc>');
+    expect(xml).toContain('<loc>https://example.com/de/about</loc>');
+    expect(xml).toContain('hreflang="en" href="https://example.com/about"');
+    expect(xml).toContain('hreflang="de" href="https://example.com/de/about"');
+    expect(xml).toContain(
+      'hreflang="x-default" href="https://example.com/about"'
+    );
+  });
+
+  test('builds URLs like page links', async () => {
+    const client = createClient([
+      [
+        {
+          full_slug: 'site/about',
+          translated_slugs: [{ lang: 'de', path: 'site/ueber-uns' }],
+        },
+        { full_slug: 'site/home' },
+      ],
+    ]);
+
+    const entries = await fetchSitemapEntries(client, {
+      i18n: I18N,
+      links: { basePath: '/shop', folderPrefix: 'site/' },
+    });
+
+    expect(entries.map(entry => entry.path)).toEqual([
+      '/shop/about',
+      '/shop/de/ueber-uns',
+      '/shop',
+      '/shop/de',
+    ]);
+  });
+
+  test('lists the URLs of its own language domain', async () => {
+    const client = createClient([[{ full_slug: 'about' }]]);
+    const domains = { 'example.com': 'en', 'example.de': 'de' };
+
+    const { 'sitemap.xml': xml } = await generateSitemaps(
+      client,
+      'https://example.de',
+      { i18n: { ...I18N, domains } }
+    );
+
+    expect(xml.match(/<loc>/g)).toHaveLength(1);
+    expect(xml).toContain('<loc>https://example.de/about</loc>');
+    expect(xml).toContain('hreflang="en" href="https://example.com/about"');
+  });
+
+  test('leaves out stories that are no pages', async () => {
+    const client = createClient([
+      [
+        { full_slug: 'about' },
+        { full_slug: 'settings/global' },
+        { full_slug: 'settings/footer' },
+        { full_slug: 'not-found' },
+        { full_slug: 'settings-guide' },
+      ],
+    ]);
+
+    const entries = await fetchSitemapEntries(client, { i18n: {} });
+
+    expect(entries.map(entry => entry.path)).toEqual([
+      '/about',
+      '/settings-guide',
+    ]);
+  });
+
+  test('escapes the attributes of alternates', () => {
+    const { 'sitemap.xml': xml } = buildSitemaps(
+      [
+        {
+          path: '/about',
+          alternates: [{ lang: 'de"><x', path: '/de/about?a=1&b=2' }],
+        },
+      ],
+      'https://example.com'
+    );
+
+    expect(xml).toContain(
+      'hreflang="de&quot;&gt;&lt;x" href="https://example.com/de/about?a=1&amp;b=2"'
+    );
+  });
+
+  test('splits into a sitemap index above the URL limit', () => {
+    const entries = createStories(5).map(story => ({
+      path: `/${story.full_slug}`,
+    }));
+
+    const sitemaps = buildSitemaps(entries, 'https://example.com', {
+      maxUrls: 2,
+    });
+
+    expect(Object.keys(sitemaps)).toEqual([
+      'sitemap.xml',
+      'sitemap-1.xml',
+      'sitemap-2.xml',
+      'sitemap-3.xml',
+    ]);
+    expect(sitemaps['sitemap.xml']).toContain('<sitemapindex');
+    expect(sitemaps['sitemap.xml']).toContain(
+      '<loc>https://example.com/sitemap-3.xml</loc>'
+    );
+  });
+});
@@ -0,0 +1,99 @@
+// File: tests/integration/ssr.test.js
+/**
+ * Server-side rendering tests
+ * Renders stories against the Storyblok CDN stub from tests/setup.js
+ */
+
+import { describe, test, expect, beforeAll } from 'vitest';
+import { createRenderer } from '../../server/renderer.js';
+import { pathToSlug } from '../../src/utils/router/index.js';
+
+const TEMPLATE = `<!doctype html>
+<html lang="en">
+  <head><title>Shell</title></head>
+  <body>
+    <main id="app" role="main"><div class="app-loading"></div></main>
+    <script src="/js/main.js"></script>
+  </body>
+</html>`;
+
+const readStream = async stream => {
+  let html = '';
+  for await (const chunk of stream) {
+    html += chunk;
+  }
+  return html;
+};
+
+describe('Server-Side Rendering', () => {
+  let renderer;
+
+  beforeAll(async () => {
+    renderer = await createRenderer({ template: TEMPLATE });
+  });
+
+  describe('Slug Resolution', () => {
+    test('maps root path to home story', () => {
+      expect(pathToSlug('/')).toBe('home');
+      expect(pathToSlug('')).toBe('home');
+    });
+
+    test('strips slashes and query strings', () => {
+      expect(pathToSlug('/about/')).toBe('about');
+      expect(pathToSlug('/blog/first-post?page=2')).toBe('blog/first-post');
+    });
+  });
+
+  describe('Page Rendering', () => {
+    test('renders story components into the app container', async () => {
+      const page = await renderer.renderPage('/test-story');
+      const html = await readStream(page.stream);
+
+      expect(page.status).toBe(200);
+      expect(page.slug).toBe('test-story');
+      expect(html).toContain('data-ssr="true"');
+      expect(html).toContain('class="hero"');
+      expect(html).not.toContain('app-loading');
+    });
+
+    test('embeds story state before the bundle scripts', async () => {
+      const page = await renderer.renderPage('/test-story');
+      const html = await readStream(page.stream);
+
+      const stateIndex = html.indexOf('id="__SSR_STATE__"');
+      expect(stateIndex).toBeGreaterThan(-1);
+      expect(stateIndex).toBeLessThan(html.indexOf('/js/main.js'));
+      expect(html).toContain('"slug":"test-story"');
+    });
+
+    test('rejects when the story does not exist', async () => {
+      await expect(
+        renderer.renderPage('/non-existent-story')
+      ).rejects.toThrow();
+    });
+  });
+
+  describe('Languages', () => {
+    test('renders language prefixes with lang and hreflang', async () => {
+      const localized = await createRenderer({
+        template: TEMPLATE,
+        url: 'https://example.com/',
+        i18n: { languages: ['en', 'de'], defaultLanguage: 'en', domains: {} },
+      });
+
+      const page = await localized.renderPage('/de/test-story');
+      const html = await readStream(page.stream);
+
+      expect(page.slug).toBe('test-story');
+      expect(page.language).toBe('de');
+      expect(localized.storyblok.client.get).toHaveBeenCalledWith(
+        'cdn/stories/test-story',
+        expect.objectContaining({ language: 'de' })
+      );
+      expect(html).toContain('<html lang="de">');
+      expect(html).toContain(
+        '<link rel="alternate" hreflang="x-default" href="https://example.com/test-story" />'
+      );
+    });
+  });
+});
@@ -0,0 +1,234 @@
+/**
+ * Static export tests
+ * Exports a small space into a temporary directory, in full and incrementally
+ */
+
+import { describe, test, expect, afterEach, vi } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import StoryblokClient from 'storyblok-js-client';
+import { createRenderer } from '../../server/renderer.js';
+import { MANIFEST_FILE, exportSite } from '../../server/staticExport.js';
+
+const TEMPLATE = `<!doctype html>
+<html lang="en">
+  <head><title>Shell</title></head>
+  <body><main id="app"></main></body>
+</html>`;
+
+const I18N = { languages: ['en', 'de'], defaultLanguage: 'en' };
+
+/**
+ * Published stories of the space; the home page links to the contact page
+ */
+const createSpace = () => ({
+  stories: [
+    {
+      id: 1,
+      full_slug: 'home',
+      published_at: '2024-01-01T00:00:00.000Z',
+      content: {
+        component: 'page',
+        body: [
+          {
+            _uid: 'b1',
+            component: 'button',
+            text: 'Contact',
+            url: { linktype: 'story', id: 3, cached_url: 'contact' },
+          },
+        ],
+      },
+    },
+    {
+      id: 2,
+      full_slug: 'about',
+      published_at: '2024-01-01T00:00:00.000Z',
+      content: {
+        component: 'page',
+        body: [
+          {
+            _uid: 's1',
+            component: 'select',
+            name: 'color',
+            datasource: 'colors',
+          },
+        ],
+      },
+    },
+    {
+      id: 3,
+      full_slug: 'contact',
+      published_at: '2024-01-01T00:00:00.000Z',
+      content: { component: 'page', body: [] },
+    },
+    {
+      id: 4,
+      full_slug: 'settings/global',
+      published_at: '2024-01-01T00:00:00.000Z',
+      content: { component: 'global_settings', site_name: 'Shop' },
+    },
+  ],
+  colors: [{ id: 1, name: 'Red', value: 'red', dimension_value: 'rot' }],
+});
+
+/**
+ * Answers the CDN requests of the renderer's client from the space
+ */
+const connect = (client, space) => {
+  client.get.mockImplementation(async (requestPath, params = {}) => {
+    if (requestPath === 'cdn/stories') {
+      return {
+        data: { stories: space.stories },
+        total: space.stories.length,
+      };
+    }
+    const slug = requestPath.replace('cdn/stories/', '');
+    const story = space.stories.find(entry => entry.full_slug === slug);
+    if (!story) {
+      return Promise.reject(
+        Object.assign(new Error('Not found'), { status: 404 })
+      );
+    }
+    return {
+      data: { story: { ...story, lang: params.language || 'default' } },
+    };
+  });
+  client.getAll = vi.fn(async () => space.colors);
+};
+
+/**
+ * Runs an export with a new renderer, like every run of the script
+ */
+const runExport = async (space, outPath, incremental = false) => {
+  const renderer = await createRenderer({ template: TEMPLATE, i18n: I18N });
+  connect(StoryblokClient.mock.results.at(-1).value, space);
+  const log = vi.fn();
+
+  const counts = await exportSite({
+    renderer,
+    outPath,
+    incremental,
+    log,
+  });
+  return { ...counts, log };
+};
+
+const readState = (outPath, file) => {
+  const html = fs.readFileSync(path.join(outPath, file), 'utf8');
+  const json = html.match(
+    /<script id="[^"]+" type="application\/json">(.*?)<\/script>/
+  )[1];
+  return { html, state: JSON.parse(json) };
+};
+
+describe('Static Export', () => {
+  const directories = [];
+  const createOutPath = () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'export-'));
+    directories.push(directory);
+    return directory;
+  };
+
+  afterEach(() => {
+    vi.unstubAllEnvs();
+    directories
+      .splice(0)
+      .forEach(directory => fs.rmSync(directory, { recursive: true }));
+  });
+
+  test('exports every language with the context of server pages', async () => {
+    const outPath = createOutPath();
+    await runExport(createSpace(), outPath);
+
+    [
+      'index.html',
+      'about/index.html',
+      'contact/index.html',
+      '404.html',
+    ].forEach(file => {
+      expect(fs.existsSync(path.join(outPath, file))).toBe(true);
+      expect(fs.existsSync(path.join(outPath, 'de', file))).toBe(true);
+    });
+
+    expect(fs.existsSync(path.join(outPath, 'settings'))).toBe(false);
+
+    const { html, state } = readState(outPath, 'de/about/index.html');
+    expect(html).toContain('<html lang="de"');
+    expect(state.slug).toBe('about');
+    expect(state.story.lang).toBe('de');
+    expect(state.datasources).toEqual({
+      colors: [{ label: 'Red', value: 'rot' }],
+    });
+    expect(state.global).toMatchObject({ full_slug: 'settings/global' });
+
+    const notFound = readState(outPath, 'de/404.html');
+    expect(notFound.html).toContain('<html lang="de"');
+    expect(notFound.state.story.full_slug).toBe('not-found');
+  });
+
+  test('writes pages under a base path into the output root', async () => {
+    vi.stubEnv('VITE_BASE_PATH', '/shop');
+    const outPath = createOutPath();
+    await runExport(createSpace(), outPath);
+
+    const { html, state } = readState(outPath, 'de/about/index.html');
+    expect(state.slug).toBe('about');
+    expect(html).toContain('/shop/de/about"');
+    expect(fs.existsSync(path.join(outPath, 'shop'))).toBe(false);
+  });
+
+  test('renders pages again whose linked stories changed', async () => {
+    const outPath = createOutPath();
+    const space = createSpace();
+    const full = await runExport(space, outPath);
+
+    space.stories[2].published_at = '2024-02-01T00:00:00.000Z';
+    const next = await runExport(space, outPath, true);
+
+    // Home links to the contact page, in both languages
+    expect(next.rendered).toBe(4);
+    expect(next.skipped).toBe(full.rendered - 4);
+    const rendered = next.log.mock.calls
+      .map(([line]) => line)
+      .filter(line => line.includes('✓ /'));
+    expect(rendered.sort()).toEqual([
+      '  ✓ /contact (de) → de/contact/index.html',
+      '  ✓ /contact (en) → contact/index.html',
+      '  ✓ /home (de) → de/index.html',
+      '  ✓ /home (en) → index.html',
+    ]);
+  });
+
+  test('exports everything when settings or datasources changed', async () => {
+    const outPath = createOutPath();
+    const space = createSpace();
+    const full = await runExport(space, outPath);
+
+    space.colors = [{ id: 1, name: 'Blue', value: 'blue' }];
+    const afterDatasource = await runExport(space, outPath, true);
+    expect(afterDatasource.rendered).toBe(full.rendered);
+
+    space.stories[3].published_at = '2024-02-01T00:00:00.000Z';
+    const afterSettings = await runExport(space, outPath, true);
+    expect(afterSettings.rendered).toBe(full.rendered);
+
+    expect((await runExport(space, outPath, true)).rendered).toBe(0);
+  });
+
+  test('removes the pages of unpublished stories', async () => {
+    const outPath = createOutPath();
+    const space = createSpace();
+    await runExport(space, outPath);
+
+    space.stories.splice(1, 1);
+    const { removed } = await runExport(space, outPath, true);
+
+    expect(removed).toBe(2);
+    expect(fs.existsSync(path.join(outPath, 'about/index.html'))).toBe(false);
+    const manifest = JSON.parse(
+      fs.readFileSync(path.join(outPath, MANIFEST_FILE), 'utf8')
+    );
+    expect(Object.keys(manifest.pages)).not.toContain('about/index.html');
+  });
+});
@@ -0,0 +1,102 @@
+/**
+ * Server story cache and webhook verification tests
+ */
+
+import { describe, test, expect } from 'vitest';
+import crypto from 'crypto';
+import {
+  createStoryCache,
+  getFolderTags,
+  getStoryTags,
+  getDatasourceTags,
+  getInvalidationTags,
+} from '../../server/storyCache.js';
+import { verifyWebhookSignature } from '../../server/webhook.js';
+
+describe('Story Cache', () => {
+  test('evicts entries by story id and dependent stories', () => {
+    const cache = createStoryCache();
+    const story = {
+      id: 1,
+      full_slug: 'blog/post',
+      content: {
+        author: { uuid: 'a', id: 2, content: { name: 'Author' } },
+        link: { linktype: 'story', cached_url: 'about/' },
+      },
+    };
+
+    cache.set('html:blog/post', '<p>post</p>', getStoryTags(story));
+    cache.set('html:home', '<p>home</p>', ['story:3', 'slug:home']);
+
+    expect(cache.invalidate(getInvalidationTags({ story_id: 2 }))).toEqual([
+      'html:blog/post',
+    ]);
+    expect(cache.get('html:blog/post')).toBeUndefined();
+    expect(cache.get('html:home')).toBe('<p>home</p>');
+  });
+
+  test('evicts folder listings of a changed slug', () => {
+    const cache = createStoryCache();
+    cache.set('listing:blog/', [], ['listing', 'folder:blog/']);
+    cache.set('listing:shop/', [], ['listing', 'folder:shop/']);
+
+    cache.invalidate(
+      getInvalidationTags({ story_id: 5, full_slug: 'blog/new-post' })
+    );
+
+    expect(cache.get('listing:blog/')).toBeUndefined();
+    expect(cache.get('listing:shop/')).toEqual([]);
+  });
+
+  test('evicts pages using a changed datasource', () => {
+    const cache = createStoryCache();
+    cache.set('html:sell', '<form></form>', [
+      'story:1',
+      ...getDatasourceTags({ conditions: [] }),
+    ]);
+    cache.set('html:home', '<p>home</p>', ['story:2']);
+
+    expect(
+      cache.invalidate(getInvalidationTags({ datasource_slug: 'conditions' }))
+    ).toEqual(['html:sell']);
+    expect(cache.get('html:home')).toBe('<p>home</p>');
+  });
+
+  test('expires entries and drops the least recently used', () => {
+    const expired = createStoryCache({ ttl: -1 });
+    expired.set('a', 1);
+    expect(expired.get('a')).toBeUndefined();
+
+    const small = createStoryCache({ maxEntries: 2 });
+    small.set('a', 1);
+    small.set('b', 2);
+    small.get('a');
+    small.set('c', 3);
+
+    expect(small.get('a')).toBe(1);
+    expect(small.get('b')).toBeUndefined();
+  });
+
+  test('builds folder tags for nested slugs', () => {
+    expect(getFolderTags('blog/2024/post')).toEqual([
+      'folder:',
+      'folder:blog/',
+      'folder:blog/2024/',
+    ]);
+  });
+});
+
+describe('Webhook Signature', () => {
+  const body = JSON.stringify({ story_id: 1, action: 'published' });
+  const sign = secret =>
+    crypto.createHmac('sha1', secret).update(body).digest('hex');
+
+  test('accepts a signature made with the shared secret', () => {
+    expect(verifyWebhookSignature(body, sign('secret'), 'secret')).toBe(true);
+  });
+
+  test('rejects wrong or missing signatures', () => {
+    expect(verifyWebhookSignature(body, sign('other'), 'secret')).toBe(false);
+    expect(verifyWebhookSignature(body, undefined, 'secret')).toBe(false);
+  });
+});
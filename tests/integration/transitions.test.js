@@ -0,0 +1,157 @@
+/**
+ * Page transition tests
+ * View Transitions API, CSS fallback, shared elements and reduced motion
+ */
+
+import { describe, test, expect, beforeEach, afterEach, vi } from 'vitest';
+import {
+  getSharedElements,
+  runTransition,
+} from '../../src/utils/transitions/index.js';
+import { createApp } from '../../src/app.js';
+import { createTestContainer } from '../setup.js';
+
+const IMAGE = 'https://a.storyblok.com/f/1/800x600/abc/phone.jpg';
+
+/**
+ * Minimal View Transitions API running the update right away
+ * The animation ends with finish()
+ */
+const mockViewTransitions = () => {
+  let finish;
+  const startViewTransition = vi.fn(update => ({
+    updateCallbackDone: Promise.resolve().then(update),
+    finished: new Promise(resolve => {
+      finish = resolve;
+    }),
+  }));
+  startViewTransition.finish = () => finish();
+  return startViewTransition;
+};
+
+const setReducedMotion = matches => {
+  window.matchMedia = vi.fn(() => ({ matches }));
+};
+
+describe('Page Transitions', () => {
+  let root;
+
+  beforeEach(() => {
+    root = document.createElement('div');
+    document.body.appendChild(root);
+    setReducedMotion(false);
+  });
+
+  afterEach(() => {
+    root.remove();
+    delete document.startViewTransition;
+    delete window.matchMedia;
+  });
+
+  test('morphs images of the same asset across pages', async () => {
+    root.innerHTML = `
+      <div class="product-card"><img src="${IMAGE}/m/300x0"></div>
+      <img src="https://a.storyblok.com/f/1/other.jpg">
+    `;
+    let before;
+    const startViewTransition = mockViewTransitions();
+    document.startViewTransition = update => {
+      // The browser takes its snapshot of the old page here
+      before = root.querySelector('.product-card img').style.viewTransitionName;
+      return startViewTransition(update);
+    };
+
+    await runTransition(
+      () => {
+        root.innerHTML = `
+          <article class="blog-detail"><img src="${IMAGE}"></article>
+          <img src="https://a.storyblok.com/f/1/new.jpg">
+        `;
+      },
+      { root, type: 'slide', direction: 'back' }
+    );
+
+    const images = root.querySelectorAll('img');
+    expect(before).toMatch(/^shared-/);
+    expect(images[0].style.viewTransitionName).toBe(before);
+    expect(images[1].style.viewTransitionName).toBe('');
+    expect(document.documentElement.dataset.transitionDirection).toBe('back');
+
+    startViewTransition.finish();
+    await startViewTransition.mock.results[0].value.finished;
+    await Promise.resolve();
+    expect(images[0].style.viewTransitionName).toBe('');
+    expect(document.documentElement.dataset.transition).toBeUndefined();
+  });
+
+  test('leaves out keys found twice on a page', () => {
+    root.innerHTML = `
+      <img src="${IMAGE}"><img src="${IMAGE}/m/100x0">
+      <div data-transition-name="price"></div>
+    `;
+
+    expect(Array.from(getSharedElements(root).keys())).toEqual(['price']);
+  });
+
+  test('falls back to a CSS animation of the new content', async () => {
+    const update = vi.fn();
+
+    await runTransition(update, { root, type: 'slide', direction: 'back' });
+
+    expect(update).toHaveBeenCalledTimes(1);
+    expect(root.classList.contains('page-transition-slide')).toBe(true);
+    expect(root.classList.contains('page-transition-back')).toBe(true);
+
+    root.dispatchEvent(new Event('animationend'));
+    expect(root.className).toBe('');
+  });
+
+  test('skips the animation for reduced motion', async () => {
+    setReducedMotion(true);
+    document.startViewTransition = mockViewTransitions();
+    const update = vi.fn();
+
+    await runTransition(update, { root });
+
+    expect(update).toHaveBeenCalledTimes(1);
+    expect(document.startViewTransition).not.toHaveBeenCalled();
+    expect(root.className).toBe('');
+  });
+});
+
+describe('App Transitions', () => {
+  test('animates navigations unless the route turns them off', async () => {
+    window.history.replaceState(null, '', '/');
+    window.scrollTo = vi.fn();
+    setReducedMotion(false);
+    document.startViewTransition = mockViewTransitions();
+    const container = createTestContainer();
+
+    const app = createApp({
+      container,
+      enableLivePreview: false,
+      prefetch: false,
+      transitions: true,
+      routes: [
+        {
+          path: '/plain',
+          handler: (context, { loadStory }) => loadStory('plain'),
+          transition: false,
+        },
+      ],
+    });
+    await app.init();
+    expect(document.startViewTransition).not.toHaveBeenCalled();
+
+    await app.navigateToRoute('/about');
+    expect(document.startViewTransition).toHaveBeenCalledTimes(1);
+    expect(container.querySelector('.hero')).not.toBeNull();
+
+    await app.navigateToRoute('/plain');
+    expect(document.startViewTransition).toHaveBeenCalledTimes(1);
+
+    app.destroy();
+    delete document.startViewTransition;
+    delete window.matchMedia;
+  });
+});
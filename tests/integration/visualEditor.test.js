@@ -0,0 +1,221 @@
+/**
+ * Visual Editor tests
+ * Editable attributes, the editor bridge and patching drafts into the page
+ */
+
+import { describe, test, expect, beforeAll, afterAll, vi } from 'vitest';
+import StoryblokClient from 'storyblok-js-client';
+import {
+  createComponent,
+  getEditableAttributes,
+  registerComponent,
+} from '../../src/integration/componentMapper.js';
+import { unregisterComponent } from '../../src/config/components.js';
+import {
+  BRIDGE_SCRIPT,
+  createEditorBridge,
+  loadEditorBridge,
+} from '../../src/integration/visualEditor.js';
+import { createApp } from '../../src/app.js';
+import { createTestContainer } from '../setup.js';
+
+const EDITABLE =
+  '<!--#storyblok#{"name": "promo_banner", "space": "1", "uid": "b1", "id": "42"}-->';
+
+/**
+ * Factory of a component that remembers its updates
+ */
+const createBanner = vi.fn(props => {
+  const element = document.createElement('section');
+  element.className = 'promo-banner';
+
+  const button = document.createElement('button');
+  const render = ({ label }) => {
+    button.textContent = label;
+  };
+  element.appendChild(button);
+  render(props);
+
+  return {
+    getElement: () => element,
+    update: vi.fn(render),
+    destroy: vi.fn(),
+  };
+});
+
+const banner = (uid, headline) => ({
+  _uid: uid,
+  component: 'promo_banner',
+  headline,
+});
+
+const createStory = (blocks, title = 'Draft') => ({
+  id: 42,
+  name: title,
+  slug: 'draft',
+  full_slug: 'draft',
+  content: { component: 'page', title, body: blocks },
+});
+
+/**
+ * Storyblok bridge capturing the event handler
+ */
+const createBridgeMock = () => {
+  const bridge = {
+    on: vi.fn((events, handler) => {
+      bridge.emit = handler;
+    }),
+    pingEditor: vi.fn(),
+  };
+  return bridge;
+};
+
+/**
+ * StoryblokBridge constructor of the v2 script, keeping its instances
+ */
+const createBridgeConstructor = () => {
+  const StoryblokBridge = vi.fn(function (options) {
+    this.options = options;
+    this.pingEditor = vi.fn();
+    this.on = vi.fn((events, handler) => {
+      this.emit = handler;
+    });
+  });
+  StoryblokBridge.instance = () => StoryblokBridge.mock.instances.at(-1);
+  return StoryblokBridge;
+};
+
+describe('Visual Editor', () => {
+  beforeAll(() => {
+    registerComponent('promo_banner', {
+      factory: createBanner,
+      transform: props => ({ label: props.headline }),
+      schema: { headline: { type: 'string', required: true } },
+    });
+  });
+
+  afterAll(() => {
+    unregisterComponent('promo_banner');
+  });
+
+  test('marks blocks with the editable attributes of the editor', () => {
+    const element = createComponent({
+      ...banner('b1', 'Sale'),
+      _editable: EDITABLE,
+    }).getElement();
+
+    expect(element.getAttribute('data-blok-uid')).toBe('42-b1');
+    expect(JSON.parse(element.getAttribute('data-blok-c'))).toMatchObject({
+      name: 'promo_banner',
+      uid: 'b1',
+    });
+    expect(getEditableAttributes({ _editable: 'broken' })).toEqual({});
+  });
+
+  test('debounces input and passes saves through', () => {
+    vi.useFakeTimers();
+    const bridge = createBridgeMock();
+    const onInput = vi.fn();
+    const onSave = vi.fn();
+    const editor = createEditorBridge({ bridge, onInput, onSave });
+
+    bridge.emit({ action: 'input', story: createStory([], 'A') });
+    bridge.emit({ action: 'input', story: createStory([], 'AB') });
+    vi.advanceTimersByTime(100);
+    expect(onInput).not.toHaveBeenCalled();
+
+    return vi.advanceTimersByTimeAsync(100).then(() => {
+      expect(onInput).toHaveBeenCalledTimes(1);
+      expect(onInput.mock.calls[0][0].name).toBe('AB');
+
+      bridge.emit({ action: 'published', storyId: 42 });
+      expect(onSave).toHaveBeenCalledWith({ action: 'published', storyId: 42 });
+      expect(bridge.pingEditor).toHaveBeenCalled();
+
+      editor.destroy();
+      vi.useRealTimers();
+    });
+  });
+
+  test('creates the bridge from the StoryblokBridge constructor', async () => {
+    const StoryblokBridge = createBridgeConstructor();
+    window.StoryblokBridge = StoryblokBridge;
+
+    const bridge = await loadEditorBridge({ resolveRelations: ['a.b'] });
+    expect(bridge).toBe(StoryblokBridge.instance());
+    expect(bridge.options).toEqual({ resolveRelations: ['a.b'] });
+    delete window.StoryblokBridge;
+
+    // Without it the v2 script is loaded first
+    const loading = loadEditorBridge();
+    const script = document.head.querySelector(
+      `script[src="${BRIDGE_SCRIPT}"]`
+    );
+    expect(script).not.toBeNull();
+    window.StoryblokBridge = StoryblokBridge;
+    script.onload();
+    expect(await loading).toBe(StoryblokBridge.instance());
+    expect(StoryblokBridge).toHaveBeenCalledTimes(2);
+
+    script.remove();
+    delete window.StoryblokBridge;
+  });
+});
+
+describe('App Visual Editor', () => {
+  test('patches the page in place, keeping focus', async () => {
+    vi.stubEnv('MODE', 'development');
+    registerComponent('promo_banner', {
+      factory: createBanner,
+      transform: props => ({ label: props.headline }),
+    });
+    window.history.replaceState(null, '', '/');
+    window.scrollTo = vi.fn();
+    window.StoryblokBridge = createBridgeConstructor();
+    const container = createTestContainer();
+
+    const app = createApp({ container, prefetch: false });
+    const story = createStory([banner('a', 'One'), banner('b', 'Two')]);
+    // Client instance created by the app; settings stay those of the stub
+    const { get } = StoryblokClient.mock.results.at(-1).value;
+    const original = get.getMockImplementation();
+    get.mockImplementation((path, ...args) =>
+      path.includes('settings/')
+        ? original(path, ...args)
+        : Promise.resolve({ data: { story } })
+    );
+    await app.init();
+
+    const button = container.querySelector('[data-uid="b"] button');
+    button.focus();
+    await vi.waitFor(() =>
+      expect(window.StoryblokBridge.instance()?.emit).toBeDefined()
+    );
+    const bridge = window.StoryblokBridge.instance();
+    bridge.emit({
+      action: 'input',
+      story: createStory([banner('a', 'One'), banner('b', 'Two!')], 'Live'),
+    });
+
+    await vi.waitFor(() => expect(document.title).toBe('Live'));
+    expect(button.textContent).toBe('Two!');
+    expect(button.isConnected).toBe(true);
+    expect(document.activeElement).toBe(button);
+
+    // Blocks added before it move the button, which keeps its focus
+    bridge.emit({
+      action: 'input',
+      story: createStory([banner('c', 'New'), ...story.content.body]),
+    });
+    await vi.waitFor(() =>
+      expect(container.querySelector('[data-uid="c"]')).not.toBeNull()
+    );
+    expect(container.querySelector('[data-uid="b"] button')).toBe(button);
+    expect(document.activeElement).toBe(button);
+
+    app.destroy();
+    delete window.StoryblokBridge;
+    unregisterComponent('promo_banner');
+    vi.unstubAllEnvs();
+  });
+});
@@ -30,6 +30,7 @@ vi.mock('storyblok-js-client', () => {
               id: 123,
               name: 'Test Story',
               slug: 'test-story',
+              full_slug: 'test-story',
               content: {
                 title: 'Test Story Title',
                 body: [
@@ -154,6 +155,8 @@ vi.mock('svarog-ui', () => ({
 vi.mock('dompurify', () => ({
   default: {
     sanitize: vi.fn(html => html),
+    addHook: vi.fn(),
+    removeHook: vi.fn(),
   },
 }));
 
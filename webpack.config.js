@@ -39,6 +39,36 @@ export default (env, argv) => {
     'process.env.VITE_BASE_URL': JSON.stringify(
       process.env.VITE_BASE_URL || 'http://localhost:3000'
     ),
+    'process.env.VITE_VALIDATION_STRICTNESS': JSON.stringify(
+      process.env.VITE_VALIDATION_STRICTNESS || ''
+    ),
+    'process.env.VITE_BASE_PATH': JSON.stringify(
+      process.env.VITE_BASE_PATH || ''
+    ),
+    'process.env.VITE_STORYBLOK_URL_PREFIX': JSON.stringify(
+      process.env.VITE_STORYBLOK_URL_PREFIX || ''
+    ),
+    'process.env.VITE_STORYBLOK_LANGUAGES': JSON.stringify(
+      process.env.VITE_STORYBLOK_LANGUAGES || ''
+    ),
+    'process.env.VITE_STORYBLOK_DEFAULT_LANGUAGE': JSON.stringify(
+      process.env.VITE_STORYBLOK_DEFAULT_LANGUAGE || ''
+    ),
+    'process.env.VITE_LOCALE_DOMAINS': JSON.stringify(
+      process.env.VITE_LOCALE_DOMAINS || ''
+    ),
+    'process.env.VITE_STORYBLOK_GLOBAL_STORY': JSON.stringify(
+      process.env.VITE_STORYBLOK_GLOBAL_STORY || ''
+    ),
+    'process.env.VITE_STORYBLOK_REDIRECTS_STORY': JSON.stringify(
+      process.env.VITE_STORYBLOK_REDIRECTS_STORY || ''
+    ),
+    'process.env.VITE_STORYBLOK_REDIRECTS_DATASOURCE': JSON.stringify(
+      process.env.VITE_STORYBLOK_REDIRECTS_DATASOURCE || ''
+    ),
+    'process.env.VITE_STORYBLOK_NOT_FOUND_STORY': JSON.stringify(
+      process.env.VITE_STORYBLOK_NOT_FOUND_STORY || ''
+    ),
   };
 
   const config = {